@@ -1,44 +1,70 @@
-// ==================== TEXT NORMALIZATION ====================
-// Clean and normalize PDF text with malformed spacing
-function cleanAndNormalizeText(text) {
-  if (!text) return "";
-
-  let cleaned = text
-    // Replace multiple spaces/tabs with single space
-    .replace(/[ \t]+/g, " ")
-    // Normalize common dash characters
-    .replace(/[-–—]/g, "-")
-    // Clean up EXCESSIVE newlines (3+ becomes 2) but preserve structure-defining blank lines
-    .replace(/\n\s*\n\s*\n+/g, "\n\n")
-    // Remove spaces before common punctuation
-    .replace(/\s+([.,;:])/g, "$1")
-    .trim();
-
-  return cleaned;
-}
-
 // ==================== PARSER CONFIGURATION ====================
-// Version 3.0 - COMPLETE REWRITE: Block-based extraction with proper boundaries
-// Toggle to use robust parser when current parser fails
-const USE_ROBUST_PARSER = true;
-const USE_ROBUST_AS_PRIMARY = true; // Use robust parser as primary
-let robustParser = null;
-
-// Initialize robust parser if available
-if (typeof RobustResumeParser !== 'undefined' && USE_ROBUST_PARSER) {
-  robustParser = new RobustResumeParser();
-  console.log('[Parser v3.0 - REWRITTEN] Robust parser initialized' + (USE_ROBUST_AS_PRIMARY ? ' as PRIMARY' : ' as fallback'));
+// Strategies registered with ResumeParserPipeline, tried in order until one
+// extracts resume content
+const PARSER_STRATEGIES = ["robust", "heuristic"];
+// Languages the OCR engine recognizes on scanned pages (vendor/tesseract/lang)
+const OCR_LANGUAGES = ["en"];
+// External template files loaded at startup; each registers itself with
+// TemplateRenderer (see docs/TEMPLATE_PLUGINS.md)
+const TEMPLATE_PLUGINS = [];
+// Declarative template folders (template.json, .html, .css) compiled by
+// TemplateEngine (see docs/TEMPLATE_FORMAT.md)
+const TEMPLATE_FOLDERS = ["templates/timeline"];
+// Wait after the last edit before saving to the resume library (ms)
+const LIBRARY_SAVE_DELAY = 500;
+let resumeParser = null;
+
+if (typeof ResumeParserPipeline !== "undefined") {
+  resumeParser = ResumeParserPipeline.createDefault();
+  console.log(
+    "[Parser] Pipeline initialized with strategies:",
+    resumeParser.list().map((s) => s.name)
+  );
 }
 
 // ==================== STATE MANAGEMENT ====================
 let STATE = {
   pdfFile: null,
   pdfArrayBuffer: null,
+  fileName: null, // Uploaded PDF or JSON file, shown and saved in the library
   rawText: "",
+  pdfLayout: null, // Columns and blocks detected by PDFTextExtractor.extractLayout
+  ocrResult: null, // PdfAdvancedFeatures.extractTextWithOcr result for scanned PDFs
   resumeData: null,
+  parseReport: null, // ParseConfidence report for parsed (not imported) data
   currentTemplate: null,
+  templateOptions: null, // TemplateCustomizer settings, also saved in resumeData.meta
+  libraryId: null, // ResumeLibrary id of the open resume, null until first saved
+  jobDescription: "", // Pasted "Target job" posting
+  jobMatch: null, // JobMatcher.match of the resume against jobDescription
 };
 
+// Structured editor for STATE.resumeData (see src/ui/ResumeEditor.js)
+let resumeEditor = null;
+
+// Template cards generated from the registry (src/ui/TemplateGallery.js)
+let templateGallery = null;
+
+// Colors, fonts, density, margin and section order (src/ui/TemplateCustomizerPanel.js)
+let customizerPanel = null;
+
+// Resumes saved in IndexedDB (src/core/ResumeLibrary.js), their list
+// (src/ui/ResumeLibraryPanel.js) and the open resume's versions
+// (src/ui/ResumeHistoryPanel.js)
+let resumeLibrary = null;
+let libraryPanel = null;
+let historyPanel = null;
+let librarySaveTimer = null;
+let librarySaveSource = "edit";
+let librarySaveQueue = Promise.resolve();
+
+// "Target job" keyword match (src/ui/JobMatchPanel.js)
+let jobMatchPanel = null;
+let jobHighlight = true;
+
+// ATS check of the previewed template (src/ui/AtsReportPanel.js)
+let atsReportPanel = null;
+
 // Demo sample data used to render template previews when no resume is loaded
 const SAMPLE_DATA = {
   basics: {
@@ -89,7 +115,14 @@ const SAMPLE_DATA = {
 document.addEventListener("DOMContentLoaded", function () {
   console.log("[Init] DOMContentLoaded fired");
   initializeEventListeners();
+  initializeEditor();
+  initializeGallery();
+  initializeCustomizer();
+  initializeJobMatch();
+  initializeAtsReport();
   renderSamplePreview();
+  loadTemplatePlugins();
+  initializeLibrary();
   console.log("[Init] ✅ Initialization complete");
 });
 
@@ -128,19 +161,139 @@ function initializeEventListeners() {
   });
   console.log("[Init] ✅ Tab listeners attached");
 
-  // Template cards
-  const templateCards = document.querySelectorAll(".template-card");
-  templateCards.forEach((card) => {
-    card.addEventListener("click", handleTemplateSelect);
-  });
-  console.log("[Init] ✅ Template card listeners attached");
+  // Plain text / Markdown export
+  document
+    .getElementById("textFormat")
+    .addEventListener("change", updateTextExport);
+  document
+    .getElementById("downloadTextBtn")
+    .addEventListener("click", handleDownloadText);
 
   // Export buttons
   document.getElementById("exportBtn").addEventListener("click", handleExport);
   document
     .getElementById("downloadJsonBtn")
     .addEventListener("click", handleDownloadJSON);
+  document.getElementById("docxBtn").addEventListener("click", handleDownloadDOCX);
+  document.getElementById("pdfBtn").addEventListener("click", handleDownloadPDF);
   document.getElementById("printBtn").addEventListener("click", handlePrint);
+
+  // Writing suggestions in the data preview open their field in the editor
+  document
+    .getElementById("dataPreview")
+    .addEventListener("click", handleLintFindingClick);
+}
+
+function initializeEditor() {
+  const container = document.getElementById("resumeEditor");
+  if (!container || typeof ResumeEditor === "undefined") {
+    console.warn("[Init] ResumeEditor not available, editing disabled");
+    return;
+  }
+
+  resumeEditor = new ResumeEditor(container, { onChange: handleEditorChange });
+  console.log("[Init] ✅ Resume editor attached");
+}
+
+function initializeGallery() {
+  const container = document.getElementById("templateGallery");
+  templateGallery = new TemplateGallery(container, { onSelect: handleTemplateSelect });
+  // Templates can be previewed with the sample data before a resume is loaded
+  templateGallery.setEnabled(true);
+  templateGallery.render();
+  console.log("[Init] ✅ Template gallery rendered:", TemplateRenderer.list());
+}
+
+function loadTemplatePlugins() {
+  TEMPLATE_PLUGINS.forEach((url) => {
+    TemplateRenderer.loadScript(url)
+      .then((ids) => console.log(`[Templates] Plugin ${url} registered:`, ids))
+      .catch((error) => console.error("[Templates]", error.message));
+  });
+
+  TEMPLATE_FOLDERS.forEach((folder) => {
+    TemplateEngine.load(folder)
+      .then((template) => console.log(`[Templates] ${folder} registered: ${template.id}`))
+      .catch((error) => console.error(`[Templates] ${folder}:`, error.message));
+  });
+}
+
+function initializeCustomizer() {
+  const container = document.getElementById("templateCustomizer");
+  if (!container || typeof TemplateCustomizerPanel === "undefined") {
+    console.warn("[Init] TemplateCustomizerPanel not available, customization disabled");
+    return;
+  }
+
+  customizerPanel = new TemplateCustomizerPanel(container, {
+    onChange: handleCustomizationChange,
+  });
+  console.log("[Init] ✅ Template customizer attached");
+}
+
+function initializeLibrary() {
+  const container = document.getElementById("resumeLibrary");
+  const panel = container && container.closest(".library-panel");
+  if (!container || typeof ResumeLibrary === "undefined" || !ResumeLibrary.isSupported()) {
+    console.warn("[Init] IndexedDB not available, resumes will not be saved");
+    if (panel) panel.classList.add("is-hidden");
+    return;
+  }
+
+  resumeLibrary = new ResumeLibrary();
+  libraryPanel = new ResumeLibraryPanel(container, {
+    onOpen: handleLibraryOpen,
+    onRename: handleLibraryRename,
+    onDuplicate: handleLibraryDuplicate,
+    onDelete: handleLibraryDelete,
+  });
+  const historyContainer = document.getElementById("resumeHistory");
+  if (historyContainer && typeof ResumeHistoryPanel !== "undefined") {
+    historyPanel = new ResumeHistoryPanel(historyContainer, { onRestore: handleVersionRestore });
+    historyPanel.render([]);
+  }
+  // Don't lose the last edits when the tab is closed before the save delay
+  window.addEventListener("pagehide", flushLibrarySave);
+
+  resumeLibrary
+    .open()
+    .then(refreshLibraryPanel)
+    .then(restoreLastSession)
+    .then(() => console.log("[Init] ✅ Resume library opened"))
+    .catch((error) => {
+      // e.g. storage disabled in a private window
+      console.error("[Library] Could not open the resume library:", error);
+      resumeLibrary = null;
+      if (panel) panel.classList.add("is-hidden");
+    });
+}
+
+function initializeJobMatch() {
+  const container = document.getElementById("jobMatch");
+  if (!container || typeof JobMatchPanel === "undefined") {
+    console.warn("[Init] JobMatchPanel not available, job matching disabled");
+    return;
+  }
+
+  jobMatchPanel = new JobMatchPanel(container, {
+    onChange: handleJobDescriptionChange,
+    onHighlight: handleJobHighlight,
+  });
+  console.log("[Init] ✅ Target job panel attached");
+}
+
+function initializeAtsReport() {
+  const container = document.getElementById("atsReport");
+  if (!container || typeof AtsReportPanel === "undefined") {
+    console.warn("[Init] AtsReportPanel not available, ATS check disabled");
+    return;
+  }
+
+  atsReportPanel = new AtsReportPanel(container, {
+    onCompare: updateAtsComparison,
+    onSelectTemplate: selectTemplate,
+  });
+  console.log("[Init] ✅ ATS report attached");
 }
 
 // Show a sample preview on page load so the resume container isn't blank
@@ -149,10 +302,11 @@ function renderSamplePreview() {
   STATE.currentTemplate = defaultTemplate;
 
   // mark the default card active
-  const defaultCard = document.querySelector(
-    `.template-card[data-template="${defaultTemplate}"]`
-  );
-  if (defaultCard) defaultCard.classList.add("active");
+  templateGallery.setActive(defaultTemplate);
+  updatePaperSizes(defaultTemplate);
+  if (customizerPanel) {
+    customizerPanel.load(STATE.templateOptions, TemplateRenderer.get(defaultTemplate).colors);
+  }
 
   // Render sample data into the preview area
   renderCurrentTemplate();
@@ -178,9 +332,12 @@ function handleFileSelect(e) {
     file.type
   );
 
-  if (!file.type.includes("pdf")) {
-    console.error("[File Upload] Not a PDF file, type is:", file.type);
-    alert("Please upload a PDF file.");
+  const isJson =
+    file.type.includes("json") || file.name.toLowerCase().endsWith(".json");
+
+  if (!file.type.includes("pdf") && !isJson) {
+    console.error("[File Upload] Not a PDF or JSON file, type is:", file.type);
+    alert("Please upload a PDF or JSON Resume file.");
     return;
   }
 
@@ -190,7 +347,15 @@ function handleFileSelect(e) {
     return;
   }
 
+  if (isJson) {
+    handleJsonFile(file);
+    return;
+  }
+
   STATE.pdfFile = file;
+  STATE.fileName = file.name;
+  // A new file is a new resume in the library
+  STATE.libraryId = null;
   console.log("[File Upload] File saved to STATE");
 
   // Read file as ArrayBuffer
@@ -216,14 +381,97 @@ function handleFileSelect(e) {
   console.log("[File Upload] Started reading file as ArrayBuffer");
 }
 
+// JSON Resume files skip parsing and load straight into STATE.resumeData
+function handleJsonFile(file) {
+  const reader = new FileReader();
+
+  reader.onload = function (event) {
+    if (typeof JsonResumeImporter === "undefined") {
+      alert("JSON import is not available.");
+      return;
+    }
+
+    const result = new JsonResumeImporter().parse(event.target.result);
+    if (!result.valid) {
+      console.error("[File Upload] Invalid JSON Resume:", result.errors);
+      alert("This JSON file is not a valid resume:\n\n" + result.errors.join("\n"));
+      return;
+    }
+    if (result.warnings.length > 0) {
+      console.warn("[File Upload] JSON Resume warnings:", result.warnings);
+    }
+
+    STATE.pdfFile = null;
+    STATE.pdfArrayBuffer = null;
+    STATE.fileName = file.name;
+    STATE.libraryId = null;
+    STATE.rawText = "";
+    STATE.pdfLayout = null;
+    STATE.ocrResult = null;
+    STATE.resumeData = result.data;
+    STATE.parseReport = null;
+
+    // Template and customization saved by a previous "Download JSON"
+    const saved = TemplateCustomizer.fromResume(result.data);
+    if (saved) {
+      STATE.templateOptions = saved.options;
+      console.log("[File Upload] Restored template settings:", saved);
+    }
+
+    showFileInfo(file.name);
+    // Nothing to parse: the data is already structured
+    document.getElementById("parseBtn").disabled = true;
+
+    updateDataSection();
+    enableTemplates();
+    selectTemplate(
+      (saved && TemplateRenderer.has(saved.template) && saved.template) ||
+        STATE.currentTemplate ||
+        "classic"
+    );
+    scheduleLibrarySave("import");
+    console.log("[File Upload] ✅ JSON Resume loaded");
+  };
+
+  reader.onerror = function (error) {
+    console.error("[File Upload] FileReader error:", error);
+    alert("Failed to read file: " + error);
+  };
+
+  reader.readAsText(file);
+}
+
 function handleRemoveFile() {
   STATE = {
     pdfFile: null,
     pdfArrayBuffer: null,
+    fileName: null,
     rawText: "",
+    pdfLayout: null,
+    ocrResult: null,
     resumeData: null,
+    parseReport: null,
     currentTemplate: null,
+    templateOptions: null,
+    libraryId: null,
+    jobDescription: "",
+    jobMatch: null,
   };
+  if (jobMatchPanel) {
+    jobMatchPanel.setText("");
+    jobMatchPanel.showResult(null);
+  }
+
+  // Start empty after a reload too; the resume stays in the library
+  clearTimeout(librarySaveTimer);
+  librarySaveTimer = null;
+  if (historyPanel) historyPanel.render([]);
+  if (resumeLibrary) {
+    resumeLibrary
+      .setLastSession(null)
+      .then(refreshLibraryPanel)
+      .catch((error) => console.error("[Library]", error));
+  }
 
   document.getElementById("pdfInput").value = "";
   document.getElementById("fileInfo").classList.add("is-hidden");
@@ -290,7 +538,7 @@ async function handleParsePDF() {
     );
     console.log("[PDF Parsing] window.pdfjsLib =", typeof window.pdfjsLib);
 
-    if (!window.PDFTextExtractor || !PDFTextExtractor.extractText) {
+    if (!window.PDFTextExtractor || !PDFTextExtractor.extractLayout) {
       throw new Error(
         "PDFTextExtractor module not available. window.PDFTextExtractor=" +
           typeof window.PDFTextExtractor
@@ -298,13 +546,55 @@ async function handleParsePDF() {
     }
 
     console.log("[PDF Parsing] Extracting text from PDF...");
-    const extracted = await PDFTextExtractor.extractText(STATE.pdfArrayBuffer);
-    STATE.rawText = extracted || "";
+    // pdf.js detaches the buffer it is given; keep the original for OCR
+    const extracted = await PDFTextExtractor.extractLayout(STATE.pdfArrayBuffer.slice(0));
+    STATE.rawText = extracted.text || "";
+    STATE.pdfLayout = extracted.layout;
+    STATE.ocrResult = null;
     console.log("[PDF Parsing] Text extracted. Length:", STATE.rawText.length);
+    console.log("[PDF Parsing] Layout:", PdfLayoutAnalyzer.describe(STATE.pdfLayout));
+
+    // Scanned pages have no text layer to parse: recognize them, each page
+    // on its own so a text cover page does not hide scans after it
+    const scannedPages = findScannedPages(STATE.pdfLayout);
+    if (scannedPages.length > 0) {
+      console.log("[PDF Parsing] Running OCR on scanned page(s):", scannedPages.join(", "));
+      STATE.ocrResult = await extractTextWithOcr(STATE.pdfArrayBuffer.slice(0), scannedPages);
+      STATE.rawText = mergeOcrText(STATE.pdfLayout, STATE.ocrResult);
+      STATE.pdfLayout = null;
+      console.log(
+        `[PDF Parsing] OCR recognized ${STATE.ocrResult.ocrPages} page(s), ` +
+          `confidence ${Math.round(STATE.ocrResult.confidence * 100)}%, ` +
+          `${STATE.ocrResult.lowConfidenceWords.length} low-confidence word(s)`
+      );
+      if (!STATE.rawText.trim()) {
+        const failed = STATE.ocrResult.failedPages;
+        throw new Error(
+          failed.length > 0
+            ? `No text could be recognized in this PDF: OCR failed on page(s) ${failed.join(", ")}.`
+            : "No text could be recognized in this PDF."
+        );
+      }
+    }
 
     // Parse text into structured data
     console.log("[PDF Parsing] Parsing resume text...");
-    STATE.resumeData = parseResumeText(STATE.rawText);
+    const parsed = parseResumeText(STATE.rawText, {
+      layout: STATE.pdfLayout,
+      ocr: STATE.ocrResult,
+    });
+    STATE.resumeData = parsed.resumeData;
+    STATE.parseReport = parsed.confidence;
+
+    // Render templates in the resume's language when there are labels for
+    // it, unless a language was already chosen in the customization panel
+    if (parsed.language !== "en" && TemplateTranslations.get(parsed.language)) {
+      const settings = TemplateCustomizer.normalize(STATE.templateOptions);
+      if (!settings.locale) {
+        STATE.templateOptions = { ...settings, locale: parsed.language };
+        console.log("[PDF Parsing] Template language:", parsed.language);
+      }
+    }
     console.log("[PDF Parsing] Resume data parsed:");
     console.log(
       "[PDF Parsing]   - Work entries:",
@@ -326,14 +616,8 @@ async function handleParsePDF() {
 
     // Auto-select first template
     console.log("[PDF Parsing] Clicking classic template...");
-    const classicBtn = document.querySelector(
-      '.template-card[data-template="classic"]'
-    );
-    if (classicBtn) {
-      classicBtn.click();
-    } else {
-      console.warn("[PDF Parsing] Classic template button not found");
-    }
+    selectTemplate("classic");
+    scheduleLibrarySave("parse");
   } catch (error) {
     console.error("[PDF Parsing] ❌ ERROR:", error);
     console.error("[PDF Parsing] Stack:", error.stack);
@@ -347,6 +631,7 @@ function showLoading(show) {
   const parseBtn = document.getElementById("parseBtn");
 
   if (show) {
+    setLoadingMessage("Extracting data from PDF...");
     loading.classList.remove("is-hidden");
     parseBtn.disabled = true;
   } else {
@@ -355,1087 +640,332 @@ function showLoading(show) {
   }
 }
 
-// ==================== TEXT PARSING ====================
-function parseResumeText(text) {
-  // CRITICAL: Clean text FIRST to handle malformed PDF spacing
-  const cleanedText = cleanAndNormalizeText(text);
-
-  console.log("parseResumeText - Raw text length:", text.length);
-  console.log("parseResumeText - Cleaned text length:", cleanedText.length);
-  console.log(
-    "parseResumeText - First 500 chars:",
-    cleanedText.substring(0, 500)
-  );
-
-  // CRITICAL DEBUG: Show full cleaned text in console for inspection
-  console.log("=== FULL CLEANED TEXT ===");
-  console.log(cleanedText);
-  console.log("=== END CLEANED TEXT ===");
+function setLoadingMessage(message) {
+  const text = document.querySelector("#loadingIndicator p");
+  if (text) text.textContent = message;
+}
 
-  // USE ROBUST PARSER AS PRIMARY if enabled
-  if (USE_ROBUST_AS_PRIMARY && robustParser) {
-    console.log('[Parser] Using RobustResumeParser as PRIMARY');
-    try {
-      const resumeData = robustParser.parseResume(cleanedText);
-      console.log('[Parser] ✅ Robust parser results:', resumeData);
-      return resumeData;
-    } catch (error) {
-      console.error('[Parser] ❌ Robust parser failed, falling back to current parser:', error);
-    }
-  }
+// ==================== OCR ====================
+// Pages with fewer text-layer characters than this are treated as scanned
+const OCR_MIN_TEXT_LENGTH = 20;
+let ocrFeatures = null;
+
+/**
+ * Page numbers whose own text layer holds fewer than OCR_MIN_TEXT_LENGTH
+ * characters
+ */
+function findScannedPages(layout) {
+  const pages = (layout && layout.pages) || [];
+  return pages
+    .filter(
+      (page) =>
+        PdfLayoutAnalyzer.toText([page]).replace(/\s+/g, "").length < OCR_MIN_TEXT_LENGTH
+    )
+    .map((page) => page.pageNumber);
+}
 
-  // Fallback: Try current parsing method
-  console.log('[Parser] Using current parser');
-  let resumeData = parseResumeTextCurrent(cleanedText);
-  
-  // Check if parsing was successful (at least some data extracted)
-  const hasData = (
-    (resumeData.work && resumeData.work.length > 0) ||
-    (resumeData.education && resumeData.education.length > 0) ||
-    (resumeData.skills && resumeData.skills.length > 0) ||
-    (resumeData.projects && resumeData.projects.length > 0)
-  );
+/**
+ * Document text in page order: recognized text for the OCR pages, the
+ * text layer (in reading order) for the others
+ */
+function mergeOcrText(layout, ocrResult) {
+  const recognized = new Map(ocrResult.pages.map((page) => [page.pageNumber, page.text]));
+  return layout.pages
+    .map((page) =>
+      recognized.has(page.pageNumber)
+        ? recognized.get(page.pageNumber)
+        : PdfLayoutAnalyzer.toText([page])
+    )
+    .filter((text) => text.trim())
+    .join("\n\n");
+}
 
-  // If current parser failed and robust parser is available as fallback, use it
-  if (!hasData && robustParser && USE_ROBUST_PARSER && !USE_ROBUST_AS_PRIMARY) {
-    console.warn('[Parser] Current parser returned empty data. Trying robust parser...');
-    try {
-      resumeData = robustParser.parseResume(cleanedText);
-      console.log('[Parser] ✅ Robust parser extracted data successfully');
-      console.log('[Parser] Robust results:', resumeData);
-    } catch (error) {
-      console.error('[Parser] ❌ Robust parser also failed:', error);
-      // Fall back to current parser results (even if empty)
-    }
+/**
+ * Render the given pages and recognize their text with OcrEngine (offline
+ * tesseract.js)
+ */
+async function extractTextWithOcr(arrayBuffer, pages) {
+  if (typeof PdfAdvancedFeatures === "undefined" || typeof OcrEngine === "undefined") {
+    throw new Error("OCR modules not available (PdfAdvancedFeatures, OcrEngine)");
   }
 
-  console.log("parseResumeText - Final resumeData:", resumeData);
-  return resumeData;
-}
-
-function parseResumeTextCurrent(cleanedText) {
-  // Original parsing logic (now as a separate function)
-  // Fallback: local/robust parsing (primary method)
-  const lines = cleanedText
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-
-  console.log("parseResumeText - Total lines after split:", lines.length);
-
-  // Extract basic info - handle pipe-separated contact info
-  let name = lines[0] || "Resume";
-  // Extract name from first line before pipe
-  if (name.includes("|")) {
-    let namePart = name.split("|")[0].trim();
-    // Remove phone/numbers: "Shanmuga Priya Kannan 872 - 330 - 3203" → "Shanmuga Priya Kannan"
-    namePart = namePart
-      .replace(/\s+\d+\s*[-–—]\s*\d+\s*[-–—]\s*\d+\s*$/, "")
-      .trim();
-    name = namePart;
+  if (!ocrFeatures) {
+    const api = new PdfMasterApi();
+    await api.initialize();
+    ocrFeatures = new PdfAdvancedFeatures(api);
   }
 
-  const email = extractEmail(cleanedText);
-  const phone = extractPhone(cleanedText);
-  const url = extractURL(cleanedText);
-  const location = extractLocation(cleanedText);
-
-  // Extract job title/label - skip lines that contain contact info
-  let label = "";
-  for (let i = 1; i < Math.min(5, lines.length); i++) {
-    const line = lines[i];
-    // Skip if line contains contact info (phone, email, or location patterns)
-    const hasContactInfo = 
-      line.includes('@') || 
-      /\+?\d{1,3}[-\s]?\d{3}[-\s]?\d{3}[-\s]?\d{4}/.test(line) ||
-      /\d{3}[-\s]?\d{3}[-\s]?\d{4}/.test(line) ||
-      line.includes('linkedin.com') ||
-      line.includes('github.com') ||
-      /[A-Z][a-z]+,\s*[A-Z]{2}/.test(line); // City, ST pattern
-    
-    if (!hasContactInfo && line.length > 0 && line.length < 100) {
-      label = line;
-      break;
-    }
+  const pdfDoc = await ocrFeatures.api.openDocument(arrayBuffer);
+  try {
+    return await ocrFeatures.extractTextWithOcr(pdfDoc, {
+      useOcr: "always",
+      pages: pages,
+      languages: OCR_LANGUAGES,
+      onProgress: ({ pageNumber, numPages, source }) => {
+        if (source === "ocr") {
+          setLoadingMessage(`Recognizing scanned page ${pageNumber} of ${numPages}...`);
+        }
+      },
+    });
+  } finally {
+    ocrFeatures.api.closeDocument(pdfDoc);
   }
+}
 
-  // Extract sections
-  const sections = identifySections(cleanedText);
-  console.log(
-    "parseResumeText - Sections found:",
-    Object.keys(sections),
-    sections
-  );
-  
-  // DEBUG: Log section content lengths
-  console.log("=== SECTION EXTRACTION DEBUG ===");
-  for (const [sectionName, content] of Object.entries(sections)) {
-    console.log(`${sectionName}: ${content.length} chars`);
-    console.log(`First 200 chars: ${content.substring(0, 200)}`);
+// ==================== TEXT PARSING ====================
+// options.layout: PdfLayoutAnalyzer layout of the text (PDF text layer)
+// options.ocr: extractTextWithOcr result when the text was recognized
+function parseResumeText(text, { layout = null, ocr = null } = {}) {
+  if (!resumeParser) {
+    throw new Error("Resume parser pipeline not available");
   }
-  console.log("=== END SECTION DEBUG ===");
-
-  // Build resume data object
-  const resumeData = {
-    basics: {
-      name: name,
-      label: label,
-      email: email,
-      phone: phone,
-      url: url,
-      location: location,
-      summary: sections.summary || sections.about || "",
-    },
-    work: parseWorkExperience(sections.experience || sections.work || ""),
-    education: parseEducation(sections.education || ""),
-    skills: parseSkills(sections.skills || sections["technical skills"] || ""),
-    projects: parseProjects(sections.projects || ""),
-  };
 
-  console.log("parseResumeText - Final resumeData:", resumeData);
-
-  // Clean up common formatting issues
-  const cleanedData = cleanupResumeData(resumeData);
-
-  return cleanedData;
-}
-
-function extractEmail(text) {
-  const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
-  const match = text.match(emailRegex);
-  return match ? match[0] : "";
-}
-
-function extractPhone(text) {
-  // Try multiple phone patterns to handle various formats
-  const phonePatterns = [
-    // International with spaces (e.g., "+ 1 979 721 2039")
-    /\+\s*\d{1,3}\s+\d{3}\s+\d{3}\s+\d{4}/,
-    // International with dashes/dots
-    /\+\d{1,3}[-.\s]?\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/,
-    // US format with country code
-    /\+?1[-.\s]?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
-    // Standard US format
-    /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
-    // Spaced format
-    /\d{3}\s+\d{3}\s+\d{4}/,
-  ];
-  
-  for (const pattern of phonePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      // Clean up extra spaces but preserve format
-      return match[0].replace(/\s+/g, ' ').trim();
-    }
-  }
-  
-  return "";
-}
+  console.log("parseResumeText - Raw text length:", text.length);
 
-function extractURL(text) {
-  const urlRegex = /(https?:\/\/[^\s]+)|(linkedin\.com\/[^\s]+)/i;
-  const match = text.match(urlRegex);
-  return match ? match[0] : "";
-}
+  // CRITICAL DEBUG: Show cleaned text in console for inspection
+  console.log("=== FULL CLEANED TEXT ===");
+  console.log(ResumeParserPipeline.normalizeText(text));
+  console.log("=== END CLEANED TEXT ===");
 
-function extractLocation(text) {
-  // Look for location in the FIRST 10 lines only (header section)
-  // This avoids matching locations from education/work experience sections
-  const lines = text.split("\n").slice(0, 10).join("\n");
+  const strategies = PARSER_STRATEGIES.filter((name) => resumeParser.has(name));
+  // layout tells strategies which block is the sidebar (context.layout)
+  const result = resumeParser.parseDetailed(text, { strategies, layout });
+
+  // Score every extracted field so weak parses show up in "Needs review"
+  // OCR: fields holding words the engine was unsure of are flagged too
+  const confidence =
+    typeof ParseConfidence !== "undefined"
+      ? ParseConfidence.assess(result, {
+          ocr: ocr && {
+            confidence: ocr.confidence,
+            pages: ocr.ocrPages,
+            lowConfidenceWords: ocr.lowConfidenceWords,
+          },
+        })
+      : null;
+
+  console.log("[Parser] Resume language:", result.language);
+  console.log("parseResumeText - Final resumeData:", result.data);
+  if (confidence) {
+    console.log(
+      `[Parser] Confidence ${Math.round(confidence.score * 100)}%, ${confidence.needsReview.length} field(s) need review`
+    );
+  }
 
-  // Look for city, state/country patterns
-  // But exclude patterns like "Computer Science Chicago" (degree field with city)
-  // We're looking for just "City, State" patterns in contact info
-  const locationRegex =
-    /(?<![\s\w])([A-Z][a-z]+),\s*([A-Z]{2}|[A-Z][a-z]+)(?![a-z])/;
-  const match = lines.match(locationRegex);
-  return match ? match[0] : "";
+  return { resumeData: result.data, confidence: confidence, language: result.language };
 }
 
-function identifySections(text) {
-  const sections = {};
-
-  // Flexible section detection - handles variations and compound headers
-  // Pattern matches any word(s) followed by section keywords
-  const sectionPatterns = [
-    {
-      sectionName: "education",
-      pattern:
-        /(?:^|\n)\s*(?:E\s*D\s*U\s*C\s*A\s*T\s*I\s*O\s*N|EDUCATION|ACADEMIC(?:\s+\w+)*)\s*(?:\n|$)/gi,
-    },
-    {
-      sectionName: "experience",
-      // Matches: EXPERIENCE, PROFESSIONAL EXPERIENCE, WORK EXPERIENCE, VOLUNTEERING EXPERIENCE, etc.
-      // Using \w+ to match all-caps headers like "PROFESSIONAL EXPERIENCE"
-      pattern:
-        /(?:^|\n)\s*(?:\w+\s+)*?(?:EXPERIENCE|EMPLOYMENT|WORK\s+HISTORY|CAREER|VOLUNTEERING|E\s*X\s*P\s*E\s*R\s*I\s*E\s*N\s*C\s*E)\s*(?:\n|$)/gi,
-    },
-    {
-      sectionName: "projects",
-      pattern:
-        /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:PROJECTS?|PORTFOLIO|P\s*R\s*O\s*J\s*E\s*C\s*T\s*S)\s*(?:\n|$)/gi,
-    },
-    {
-      sectionName: "skills",
-      pattern:
-        /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:SKILLS?|COMPETENCIES|TECHNICAL\s+SKILLS|T\s*E\s*C\s*H\s*N\s*I\s*C\s*A\s*L\s+S\s*K\s*I\s*L\s*L\s*S)\s*(?:\n|$)/gi,
-    },
-    {
-      sectionName: "summary",
-      pattern: /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:SUMMARY|PROFILE|OBJECTIVE)\s*(?:\n|$)/gi,
-    },
-    {
-      sectionName: "certifications",
-      pattern: /(?:^|\n)\s*(?:CERTIFICATIONS|LICENSES|AWARDS)\s*(?:\n|$)/gi,
-    },
-    { sectionName: "languages", pattern: /(?:^|\n)\s*LANGUAGES\s*(?:\n|$)/gi },
-  ];
-
-  const headerMatches = [];
-
-  // Find all section headers
-  for (const { sectionName, pattern } of sectionPatterns) {
-    let match;
-    pattern.lastIndex = 0;
-    while ((match = pattern.exec(text)) !== null) {
-      headerMatches.push({
-        sectionName: sectionName,
-        headerText: match[0],
-        index: match.index,
-        length: match[0].length,
-      });
-    }
-  }
-
-  // Sort by position in text
-  headerMatches.sort((a, b) => a.index - b.index);
+// ==================== UI UPDATES ====================
+function updateDataSection() {
+  // Update raw text
+  document.getElementById("rawOutput").value = STATE.rawText;
 
-  // Group sections - allow multiple instances of same section type (e.g., multiple experience sections)
-  const sectionGroups = {};
-  
-  for (const match of headerMatches) {
-    // Skip LANGUAGES if we already have SKILLS
-    if (match.sectionName === "languages" && sectionGroups["skills"]) {
-      continue;
-    }
+  // Update JSON
+  document.getElementById("jsonOutput").value = JSON.stringify(
+    STATE.resumeData,
+    null,
+    2
+  );
 
-    if (!sectionGroups[match.sectionName]) {
-      sectionGroups[match.sectionName] = [];
-    }
-    sectionGroups[match.sectionName].push(match);
-  }
+  // Update preview
+  updateDataPreview();
+  updateTextExport();
 
-  console.log(
-    "Section groups:",
-    Object.entries(sectionGroups).map(([name, matches]) => `${name}(${matches.length})`)
-  );
+  // Update editor
+  if (resumeEditor) resumeEditor.load(STATE.resumeData);
+  updateJobMatch();
+}
 
-  // Create flat list preserving order but marking duplicates
-  const orderedMatches = [];
-  const seenPositions = new Set();
-  
-  for (const match of headerMatches) {
-    if (!seenPositions.has(match.index)) {
-      seenPositions.add(match.index);
-      orderedMatches.push(match);
-    }
+// Called by the editor on every change: refresh everything except the
+// editor itself so the focused input keeps its cursor.
+function handleEditorChange() {
+  if (STATE.parseReport) {
+    STATE.parseReport = ParseConfidence.reassess(STATE.parseReport, STATE.resumeData);
   }
 
-  console.log(
-    "Headers found:",
-    orderedMatches.map((h) => `${h.sectionName}@${h.index}`)
+  document.getElementById("jsonOutput").value = JSON.stringify(
+    STATE.resumeData,
+    null,
+    2
   );
+  updateDataPreview();
+  updateTextExport();
+  updateJobMatch();
 
-  // Log the index positions to help debug section boundaries
-  for (let i = 0; i < orderedMatches.length; i++) {
-    const current = orderedMatches[i];
-    const next = orderedMatches[i + 1];
-    const startIdx = current.index + current.length;
-    const endIdx = next ? next.index : text.length;
-    const headerText = text
-      .substring(current.index, Math.min(current.index + 30, text.length))
-      .replace(/\n/g, " ");
-    console.log(
-      `[Section: ${current.sectionName}] Header: "${headerText}..." at index ${current.index}`
-    );
-    console.log(
-      `  Content from ${startIdx} to ${endIdx} (${endIdx - startIdx} chars)`
-    );
+  if (STATE.currentTemplate) {
+    renderCurrentTemplate();
   }
+  scheduleLibrarySave();
+}
 
-  // Extract content between section headers - merge multiple instances of same section
-  for (let i = 0; i < orderedMatches.length; i++) {
-    const current = orderedMatches[i];
-    const next = orderedMatches[i + 1];
+function updateDataPreview() {
+  const preview = document.getElementById("dataPreview");
+  const data = STATE.resumeData;
+  const report = STATE.parseReport;
 
-    // Start after the header
-    let startIndex = current.index + current.length;
+  const needsReview = (path) => {
+    const scored = ParseConfidence.field(report, path);
+    return scored && scored.confidence < report.threshold ? scored : null;
+  };
 
-    // End at the next header (or end of text)
-    const endIndex = next ? next.index : text.length;
+  // One "Label: value" line, highlighted when the parser was unsure about it
+  const fieldLine = (label, path, value) => {
+    const flagged = report ? needsReview(path) : null;
+    if (!flagged) {
+      return `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`;
+    }
+    return `<p class="needs-review" title="${escapeHtml(flagged.note)}"><strong>${label}:</strong> ${escapeHtml(value)} ${confidenceBadge(flagged.confidence)}</p>`;
+  };
 
-    let content = text.substring(startIndex, endIndex).trim();
+  // Count of flagged fields in a section, e.g. "work"
+  const reviewCount = (prefix) => {
+    if (!report) return "";
+    const count = report.needsReview.filter((f) => f.path.startsWith(prefix)).length;
+    return count ? ` · <span class="review-count">${count} field(s) need review</span>` : "";
+  };
 
-    // Remove leading newlines/spaces
-    content = content.replace(/^\s+/, "");
+  let html = "";
 
-    if (content.length > 0) {
-      // Merge content if section already exists (e.g., multiple experience sections)
-      if (sections[current.sectionName]) {
-        sections[current.sectionName] += "\n\n" + content;
-        console.log(`✓ ${current.sectionName} (merged): ${content.substring(0, 80)}...`);
-      } else {
-        sections[current.sectionName] = content;
-        console.log(`✓ ${current.sectionName}: ${content.substring(0, 80)}...`);
+  // Needs review summary
+  if (report) {
+    html += '<div class="info-group review-summary">';
+    if (report.ocr) {
+      html += `<p class="review-hint">📷 Text recognized by OCR from ${report.ocr.pages} scanned page(s) (${Math.round(report.ocr.confidence * 100)}% confidence). Check names, numbers and dates.</p>`;
+    }
+    const locale = report.language && report.language !== "en" ? ResumeLocales.get(report.language) : null;
+    if (locale) {
+      html += `<p class="review-hint">🌐 Parsed as ${escapeHtml(locale.name)}: section headers, dates and degrees in that language were recognized.</p>`;
+    }
+    if (report.needsReview.length > 0) {
+      html += `<h3>⚠️ Needs review (${report.needsReview.length})</h3>`;
+      html += `<p class="review-hint">Overall confidence ${Math.round(report.score * 100)}%. Fix these fields in the Edit tab.</p>`;
+      html += '<ul class="review-list">';
+      for (const item of report.needsReview) {
+        html += `<li class="review-item">${confidenceBadge(item.confidence)} <strong>${escapeHtml(item.label)}:</strong> ${escapeHtml(item.value) || "<em>missing</em>"}<span class="review-note">${escapeHtml(item.note)} · ${escapeHtml(item.rule)}</span></li>`;
       }
+      html += "</ul>";
+    } else {
+      html += `<h3>✅ Parsed fields look good</h3>`;
+      html += `<p class="review-hint">Overall confidence ${Math.round(report.score * 100)}%.</p>`;
     }
+    html += "</div>";
   }
 
-  console.log("Sections extracted:", Object.keys(sections));
-  return sections;
-}
-
-function parseWorkExperience(text) {
-  if (!text) return [];
-
-  console.log("=== PARSE WORK EXPERIENCE ===");
-  console.log("Input text length:", text.length);
-  console.log("First 800 chars:", text.substring(0, 800));
-
-  const jobs = [];
-
-  // Find jobs by looking for date patterns: "Month Year - Month Year" or "Month Year - Present"
-  // Support both 2-digit (21) and 4-digit (2021) years
-  const datePattern =
-    /(\w+\.?\s+\d{2,4})\s*[-–—]\s*((?:\w+\.?\s+\d{2,4})|present|current)/gi;
-
-  const dateMatches = [];
-  let match;
-  while ((match = datePattern.exec(text)) !== null) {
-    dateMatches.push({
-      fullDate: match[0],
-      startDate: match[1],
-      endDate: match[2],
-      index: match.index,
-      endIndex: match.index + match[0].length,
-    });
+  // Writing suggestions
+  // Parsed dates are stored as "2023-09": check them as the PDF wrote them
+  const findings = ResumeLinter.lint(data, { text: STATE.rawText });
+  if (findings.length > 0) {
+    html += '<div class="info-group lint-summary">';
+    html += `<h3>✍️ Writing suggestions (${findings.length})</h3>`;
+    html += '<p class="review-hint">Click a suggestion to edit that text.</p>';
+    html += '<ul class="review-list">';
+    for (const finding of findings) {
+      html += `<li class="review-item"><button type="button" class="lint-finding is-${finding.severity}" data-path="${escapeHtml(finding.path)}"><strong>${escapeHtml(finding.label)}:</strong> ${escapeHtml(finding.message)}<span class="review-note">${escapeHtml(finding.text)}</span></button></li>`;
+    }
+    html += "</ul>";
+    html += "</div>";
   }
 
-  console.log("Date matches found:", dateMatches.length);
-  dateMatches.forEach((d, i) => console.log(`  ${i+1}. "${d.fullDate}"`));
+  // Basics
+  html += '<div class="info-group">';
+  html += "<h3>Basic Information</h3>";
+  html += fieldLine("Name", "basics.name", data.basics.name);
+  if (data.basics.label) html += fieldLine("Title", "basics.label", data.basics.label);
+  if (data.basics.email || report) html += fieldLine("Email", "basics.email", data.basics.email);
+  if (data.basics.phone) html += fieldLine("Phone", "basics.phone", data.basics.phone);
+  if (data.basics.location)
+    html += fieldLine("Location", "basics.location", data.basics.location);
+  html += "</div>";
 
-  if (dateMatches.length === 0) {
-    console.log("❌ No work experience dates found");
-    return [];
+  // Summary
+  if (data.basics.summary) {
+    html += '<div class="info-group">';
+    html += "<h3>Summary</h3>";
+    html += `<p>${escapeHtml(data.basics.summary)}</p>`;
+    html += "</div>";
   }
 
-  // Extract job info for each date
-  for (let i = 0; i < dateMatches.length; i++) {
-    const dateInfo = dateMatches[i];
-    const nextDateInfo = dateMatches[i + 1];
-
-    // Get the full line containing the date (might have position on same line)
-    const textBeforeDate = text.substring(0, dateInfo.index);
-    const lines = textBeforeDate.split('\n');
-    const dateLineStart = textBeforeDate.lastIndexOf('\n') + 1;
-    const fullDateLine = text.substring(dateLineStart, dateInfo.endIndex + 50).split('\n')[0];
-
-    let position = "";
-    let company = "";
-
-    // Check if position is on the same line as date (volunteering format: "● Position text    Date")
-    const beforeDateOnSameLine = fullDateLine.substring(0, fullDateLine.indexOf(dateInfo.fullDate)).trim();
-    
-    if (beforeDateOnSameLine.length > 0) {
-      // Position is on same line as date (volunteering format)
-      position = beforeDateOnSameLine.replace(/^[●•]\s*/, '').trim();
-      company = ""; // No separate company line
-    } else {
-      // Position/company are on lines BEFORE the date (professional experience format)
-      const headerLines = lines
-        .slice(-3) // Get last 3 lines before date
-        .map(l => l.trim())
-        .filter(l => l.length > 0 && !l.startsWith('●') && !l.startsWith('•'));
-
-      if (headerLines.length >= 1) {
-        // Last non-empty line before date is usually "Position, Company, Location"
-        const lastLine = headerLines[headerLines.length - 1];
-        
-        // Try to split position and company if comma-separated
-        if (lastLine.includes(',')) {
-          const parts = lastLine.split(',').map(p => p.trim());
-          position = parts[0];
-          company = parts.slice(1).join(', ');
-        } else {
-          position = lastLine;
-          company = headerLines.length >= 2 ? headerLines[headerLines.length - 2] : '';
-        }
-      }
+  // Work
+  if (data.work && data.work.length > 0) {
+    html += '<div class="info-group">';
+    html += "<h3>Experience</h3>";
+    html += `<p>${data.work.length} position(s) found${reviewCount("work")}</p>`;
+    const experience = ExperienceAnalytics.analyze(data.work);
+    if (experience.totalMonths > 0) {
+      html += `<p>${ExperienceAnalytics.formatDuration(experience.totalMonths)} of experience (overlapping roles counted once)</p>`;
+      html += '<ul class="tenure-list">';
+      data.work.forEach((job, index) => {
+        const tenure = experience.roles[index];
+        const title = [job.position, job.name || job.company].filter(Boolean).join(" at ");
+        html += `<li>${escapeHtml(title || "Untitled role")}: ${
+          tenure.months ? ExperienceAnalytics.formatDuration(tenure.months) : "<em>dates unclear</em>"
+        }${tenure.isCurrent ? " (current)" : ""}</li>`;
+      });
+      html += "</ul>";
     }
+    html += "</div>";
+  }
 
-    // Get text AFTER the date (description)
-    let descStart = dateInfo.endIndex;
-    let descEnd = nextDateInfo ? nextDateInfo.index : text.length;
-    let description = text.substring(descStart, descEnd).trim();
-
-    // Remove the next job's header from this job's description
-    if (nextDateInfo) {
-      const beforeNextDate = text.substring(0, nextDateInfo.index);
-      const allLines = beforeNextDate.split('\n');
-      
-      // Find non-bullet lines at the end (these are next job's header)
-      const nextJobHeaderLines = [];
-      for (let j = allLines.length - 1; j >= 0; j--) {
-        const line = allLines[j].trim();
-        if (line.length === 0) {
-          if (nextJobHeaderLines.length > 0) break;
-        } else if (!line.startsWith('●') && !line.startsWith('•')) {
-          nextJobHeaderLines.unshift(line);
-          if (nextJobHeaderLines.length >= 2) break;
-        } else {
-          break; // Hit a bullet point, stop
-        }
-      }
+  // Education
+  if (data.education && data.education.length > 0) {
+    html += '<div class="info-group">';
+    html += "<h3>Education</h3>";
+    html += `<p>${data.education.length} degree(s) found${reviewCount("education")}</p>`;
+    html += "</div>";
+  }
 
-      // Remove these lines from description
-      if (nextJobHeaderLines.length > 0) {
-        for (const headerLine of nextJobHeaderLines) {
-          description = description.replace(headerLine, '');
-        }
-        description = description.trim();
-      }
-    }
+  // Skills
+  if (data.skills && data.skills.length > 0) {
+    html += '<div class="info-group">';
+    html += "<h3>Skills</h3>";
+    html += `<p>${data.skills.length} skill category/ies found${reviewCount("skills")}</p>`;
+    html += "</div>";
+  }
 
-    // Convert 2-digit years to 4-digit (21 -> 2021, 23 -> 2023)
-    const convertYear = (dateStr) => {
-      return dateStr.replace(/(\w+)\s+(\d{2})$/i, (match, month, year) => {
-        const numYear = parseInt(year);
-        // If year is 00-50, assume 2000-2050, otherwise 1950-1999
-        const fullYear = numYear <= 50 ? 2000 + numYear : 1900 + numYear;
-        return `${month} ${fullYear}`;
-      });
-    };
-
-    const startDate = convertYear(dateInfo.startDate);
-    const endDate = dateInfo.endDate.toLowerCase() === 'present' || dateInfo.endDate.toLowerCase() === 'current' 
-      ? 'Present' 
-      : convertYear(dateInfo.endDate);
-
-    jobs.push({
-      position: position,
-      company: company,
-      startDate: startDate,
-      endDate: endDate,
-      summary: description,
-    });
+  // Projects
+  if (data.projects && data.projects.length > 0) {
+    html += '<div class="info-group">';
+    html += "<h3>Projects</h3>";
+    html += `<p>${data.projects.length} project(s) found${reviewCount("projects")}</p>`;
+    html += "</div>";
   }
 
-  return jobs;
+  preview.innerHTML = html;
 }
 
-function parseEducation(text) {
-  if (!text) return [];
+function confidenceBadge(confidence) {
+  const level = confidence < 0.4 ? "is-low" : "is-medium";
+  return `<span class="confidence-badge ${level}">${Math.round(confidence * 100)}%</span>`;
+}
 
-  console.log("=== PARSE EDUCATION ===");
-  console.log("Input text length:", text.length);
-  console.log("First 500 chars:", text.substring(0, 500));
+function handleLintFindingClick(e) {
+  const finding = e.target.closest ? e.target.closest(".lint-finding") : null;
+  if (!finding || !resumeEditor) return;
+  document.querySelector('.tab-btn[data-tab="edit"]').click();
+  resumeEditor.focusField(finding.dataset.path);
+}
 
-  const education = [];
-
-  // Debug: log the actual text being parsed
-  if (text && text.length > 0) {
-    console.log(
-      "[parseEducation] Received text:",
-      text.substring(0, 150),
-      "... (length:",
-      text.length,
-      ")"
-    );
-  }
-
-  // Strategy: Find all date ranges first (these are our anchors)
-  // Then extract institution/degree/location around each date
-  // Format: [Institution] [StartDate - EndDate] [Degree] [Location]
-
-  // Support both 2-digit (21) and 4-digit (2021) years
-  const dateRangePattern =
-    /(\w+\.?\s+\d{2,4})\s*[-–—]\s*((?:\w+\.?\s+\d{2,4})|present|current)/gi;
-  let dateMatch;
-  const dateMatches = [];
-
-  while ((dateMatch = dateRangePattern.exec(text)) !== null) {
-    dateMatches.push({
-      fullMatch: dateMatch[0],
-      startDate: dateMatch[1],
-      endDate: dateMatch[2],
-      index: dateMatch.index,
-    });
-  }
-
-  console.log(`[parseEducation] Found ${dateMatches.length} date ranges`);
-  dateMatches.forEach((dm, i) => {
-    console.log(`  Date ${i + 1}: "${dm.fullMatch}" at index ${dm.index}`);
-  });
-
-  if (dateMatches.length === 0) {
-    console.log("❌ No education dates found");
-    return [];
-  }
-
-  // Process each date range found
-  for (let i = 0; i < dateMatches.length; i++) {
-    const current = dateMatches[i];
-    const next = dateMatches[i + 1];
-
-    // Extract institution: look backward from date for institution keywords
-    // Strategy: Find the line containing institution before the date
-    let institution = "";
-    const beforeDateText = text.substring(
-      Math.max(0, current.index - 300),
-      current.index
-    );
-    
-    // Split into lines and find the one with institution keywords
-    const linesBeforeDate = beforeDateText.split('\n').reverse();
-    
-    const institutionKeywords = [
-      "University",
-      "College",
-      "Institute",
-      "School",
-      "Academy",
-    ];
-    
-    for (const line of linesBeforeDate) {
-      const trimmedLine = line.trim();
-      // Check if this line contains an institution keyword
-      for (const keyword of institutionKeywords) {
-        if (trimmedLine.toLowerCase().includes(keyword.toLowerCase())) {
-          // Take the full line as institution, removing leading bullets
-          institution = trimmedLine.replace(/^[●•]\s*/, '').trim();
-          // Extract just the institution part (before comma or location)
-          const commaIndex = institution.indexOf(',');
-          if (commaIndex > 0) {
-            institution = institution.substring(0, commaIndex).trim();
-          }
-          break;
-        }
-      }
-      if (institution) break;
-    }
-
-    // Extract degree and area: look forward from date end for degree keywords
-    let studyType = "Degree";
-    let area = "";
-    const afterDateStart = current.index + current.fullMatch.length;
-    let afterDateText;
-
-    // Determine end point for extracting text after date
-    // Use next date as boundary if available
-    if (next) {
-      afterDateText = text.substring(afterDateStart, next.index);
-    } else {
-      afterDateText = text.substring(afterDateStart, afterDateStart + 200);
-    }
-
-    // BRUTE FORCE: Look for degree keywords directly in the text
-    console.log(
-      `[Entry ${i + 1}] afterDateText (${
-        afterDateText.length
-      }): "${afterDateText.substring(0, 150).replace(/\n/g, "\\n")}"`
-    );
-
-    let degreeFound = false;
-    let degreeType = "";
-    let fieldOfStudy = "";
-    let location = "";
-
-    // Look for each degree keyword
-    const degrees = [
-      { keyword: "Master's", type: "Master's" },
-      { keyword: "Master", type: "Master's" },
-      { keyword: "MSDS", type: "Master's" },
-      { keyword: "MS", type: "Master's" },
-      { keyword: "M.S.", type: "Master's" },
-      { keyword: "MBA", type: "Master's" },
-      { keyword: "M.A.", type: "Master's" },
-      { keyword: "Bachelor's", type: "Bachelor's" },
-      { keyword: "Bachelor", type: "Bachelor's" },
-      { keyword: "BTech", type: "Bachelor's" },
-      { keyword: "B.Tech", type: "Bachelor's" },
-      { keyword: "BS", type: "Bachelor's" },
-      { keyword: "B.S.", type: "Bachelor's" },
-      { keyword: "BA", type: "Bachelor's" },
-      { keyword: "B.A.", type: "Bachelor's" },
-      { keyword: "PhD", type: "PhD" },
-      { keyword: "Ph.D.", type: "PhD" },
-      { keyword: "Doctorate", type: "PhD" },
-      { keyword: "Certificate", type: "Certificate" },
-      { keyword: "Cert.", type: "Certificate" },
-      { keyword: "Diploma", type: "Diploma" },
-    ];
-
-    for (const degreeInfo of degrees) {
-      // Case-insensitive search
-      const upperText = afterDateText.toUpperCase();
-      const upperKeyword = degreeInfo.keyword.toUpperCase();
-      const idx = upperText.indexOf(upperKeyword);
-
-      if (idx !== -1) {
-        degreeType = degreeInfo.type;
-        console.log(
-          `[Entry ${i + 1}] Found degree: "${
-            degreeInfo.keyword
-          }" at position ${idx}`
-        );
-
-        // Extract field: Look for "in/of [field]" after the degree keyword
-        const afterKeyword = afterDateText.substring(
-          idx + degreeInfo.keyword.length
-        );
-
-        // Look for "in/of [field]" - stop at location (City, Country) or end of line
-        // Location indicators: Capital City, Capital Country/State
-        let fieldMatch = afterKeyword.match(
-          /\s*(?:in|of)\s+([A-Za-z\s&(),-]+?)(?=\s+[A-Z][a-z]+,\s*[A-Z]|,|\n|$)/i
-        );
-
-        if (fieldMatch && fieldMatch[1]) {
-          // Clean the field - remove location part if present
-          let field = fieldMatch[1].trim();
-          // Remove anything after "City," pattern
-          field = field.replace(/\s+[A-Z][a-z]+,.*$/, "").trim();
-          fieldOfStudy = field;
-          console.log(`[Entry ${i + 1}] Found field: "${fieldOfStudy}"`);
-        }
-
-        // Extract location (City, Country) - look for comma-separated location pattern
-        const locationMatch = afterKeyword.match(
-          /\s+([A-Z][a-z]+),\s*([A-Z][A-Za-z]{1,10})/
-        );
-        if (locationMatch) {
-          location = `${locationMatch[1]}, ${locationMatch[2]}`;
-          console.log(`[Entry ${i + 1}] Found location: "${location}"`);
-        }
-
-        degreeFound = true;
-        break;
-      }
-    }
-
-    if (degreeFound) {
-      studyType = degreeType;
-      area = fieldOfStudy || degreeType;
-      console.log(
-        `[Entry ${
-          i + 1
-        }] ✓ Degree matched: type="${studyType}", field="${area}"`
-      );
-    } else {
-      console.log(`[Entry ${i + 1}] ✗ NO DEGREE FOUND`);
-    }
-
-    // Only add if we found at least institution and dates
-    // Accept any degree-related keywords, not just Master's/Bachelor's/PhD
-    const isDegreeType =
-      studyType === "Master's" ||
-      studyType === "Bachelor's" ||
-      studyType === "PhD" ||
-      studyType === "Certificate" ||
-      studyType === "Diploma" ||
-      studyType.toLowerCase().includes('ms') ||
-      studyType.toLowerCase().includes('bs') ||
-      studyType.toLowerCase().includes('ba') ||
-      studyType.toLowerCase().includes('ma') ||
-      studyType.toLowerCase().includes('mba') ||
-      studyType.toLowerCase().includes('btech') ||
-      studyType.toLowerCase().includes('cert') ||
-      studyType.toLowerCase().includes('diploma') ||
-      studyType.toLowerCase().includes('degree') ||
-      degreeFound; // If we found ANY degree keyword, accept it
-    
-    // Convert 2-digit years to 4-digit (21 -> 2021, 23 -> 2023)
-    const convertYear = (dateStr) => {
-      if (!dateStr) return dateStr;
-      return dateStr.replace(/(\w+)\s+(\d{2})$/i, (match, month, year) => {
-        const numYear = parseInt(year);
-        const fullYear = numYear <= 50 ? 2000 + numYear : 1900 + numYear;
-        return `${month} ${fullYear}`;
-      });
-    };
-
-    const startDate = convertYear(current.startDate);
-    const endDate = current.endDate.toLowerCase() === 'present' || current.endDate.toLowerCase() === 'current'
-      ? 'Present'
-      : convertYear(current.endDate);
-
-    if (institution && current.startDate && current.endDate && isDegreeType) {
-      education.push({
-        institution: institution,
-        studyType: studyType,
-        area: area || institution,
-        startDate: startDate,
-        endDate: endDate,
-        location: location,
-      });
-      console.log(
-        `[parseEducation] Added entry: ${institution} (${studyType})`
-      );
-    } else {
-      console.log(
-        `[parseEducation] SKIPPED entry - institution:${!!institution}, startDate:${!!current.startDate}, endDate:${!!current.endDate}, isDegreeType:${isDegreeType}, studyType:${studyType}`
-      );
-    }
-  }
-
-  console.log(
-    `[parseEducation] Returning ${education.length} education entries`
-  );
-
-  return education;
-}
-
-function parseSkills(text) {
-  if (!text) return [];
-
-  const skills = [];
-  const lines = text
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-
-  for (const line of lines) {
-    // Check if line has a category (e.g., "Programming Languages: Java, Python")
-    const colonIndex = line.indexOf(":");
-    if (colonIndex > 0) {
-      const name = line.substring(0, colonIndex).trim();
-      const keywordsStr = line.substring(colonIndex + 1).trim();
-
-      // Split keywords while preserving content in parentheses
-      const keywords = [];
-      let current = "";
-      let parenDepth = 0;
-
-      for (let i = 0; i < keywordsStr.length; i++) {
-        const char = keywordsStr[i];
-        if (char === "(") {
-          parenDepth++;
-          current += char;
-        } else if (char === ")") {
-          parenDepth--;
-          current += char;
-        } else if (
-          (char === "," || char === ";" || char === "•" || char === "|") &&
-          parenDepth === 0
-        ) {
-          // This is a separator and we're not inside parentheses
-          if (current.trim().length > 0) {
-            keywords.push(current.trim());
-          }
-          current = "";
-        } else {
-          current += char;
-        }
-      }
-
-      // Add the last keyword
-      if (current.trim().length > 0) {
-        keywords.push(current.trim());
-      }
-
-      if (keywords.length > 0) {
-        skills.push({
-          name: name,
-          keywords: keywords,
-        });
-      }
-    } else {
-      // Just a list of skills
-      const keywords = line
-        .split(/[,;•|]/)
-        .map((s) => s.trim())
-        .filter((s) => s.length > 0);
-      if (keywords.length > 0) {
-        skills.push({
-          name: "Skills",
-          keywords: keywords,
-        });
-      }
-    }
-  }
-
-  return skills;
-}
-
-function parseProjects(text) {
-  if (!text) return [];
-
-  console.log("=== PARSE PROJECTS ===");
-  console.log("Input text length:", text.length);
-  console.log("First 500 chars:", text.substring(0, 500));
-
-  const projects = [];
-
-  // Strategy: Split text into sections by finding project headers
-  // Project header format: "Project Name | tech1, tech2"
-  // The key is to ONLY capture techs on the SAME line as the pipe, not beyond first newline
-  // Don't use ^ anchor - projects might not start at beginning of line in PDF text
-
-  const headerPattern = /([A-Z][A-Za-z0-9\s\-&()]+?)\s*\|\s*([^\n]*)(?=\n|$)/g;
-
-  let headerMatch;
-  const headers = [];
-
-  while ((headerMatch = headerPattern.exec(text)) !== null) {
-    headers.push({
-      name: headerMatch[1].trim(),
-      techsRaw: headerMatch[2].trim(),
-      index: headerMatch.index,
-      matchLength: headerMatch[0].length,
-    });
-  }
-
-  console.log(`[parseProjects] Found ${headers.length} project headers`);
-
-  // For each header, extract techs and description
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i];
-
-    // Extract techs from the header line (between | and end of line, or until bullet)
-    let techs = header.techsRaw;
-    let description = ""; // IMPORTANT: techs might contain bullet on same line OR newline separates techs from description
-    // Handle bullet on same line first
-    if (techs.includes("•")) {
-      const bulletIndex = techs.indexOf("•");
-      // Text before bullet = techs, after = description start
-      techs = techs.substring(0, bulletIndex).trim();
-      // Description starts after the bullet
-      let restOfDescription = header.techsRaw.substring(bulletIndex);
-
-      // Get text from end of header line to start of next project or end
-      const headerEnd = header.index + header.matchLength;
-      const nextHeaderIndex =
-        i + 1 < headers.length ? headers[i + 1].index : text.length;
-      const fullDescription = text.substring(headerEnd, nextHeaderIndex).trim();
-
-      description =
-        restOfDescription + (fullDescription ? "\n" + fullDescription : "");
-    } else {
-      // No bullet in header line - description is everything after this header until next project
-      const headerEnd = header.index + header.matchLength;
-      const nextHeaderIndex =
-        i + 1 < headers.length ? headers[i + 1].index : text.length;
-      description = text.substring(headerEnd, nextHeaderIndex).trim();
-    }
-
-    // Parse techs into keywords array - split by comma/semicolon, filter out descriptions
-    const keywords = techs
-      .split(/[,;]/)
-      .map((s) => s.trim())
-      .filter((s) => {
-        // Filter: non-empty, no bullets, no newlines, not just whitespace
-        if (!s || s === "•" || /[\n]/.test(s) || /^[\s]*$/.test(s))
-          return false;
-        return true;
-      });
-
-    // Clean description - remove bullets, collapse whitespace
-    description = description
-      .split("\n")
-      .map((line) => line.replace(/^•\s*/, "").trim())
-      .filter((line) => line.length > 0)
-      .join(" ")
-      .replace(/\s+/g, " ")
-      .trim();
-
-    // Add project
-    if (header.name && (keywords.length > 0 || description.length > 0)) {
-      projects.push({
-        name: header.name,
-        keywords: keywords,
-        summary: description,
-      });
-    }
-  }
-
-  return projects;
-}
-
-// ==================== DATA CLEANUP ====================
-function cleanupResumeData(resumeData) {
-  // Clean common formatting issues from extracted data
-  const cleaned = JSON.parse(JSON.stringify(resumeData)); // Deep copy
-
-  // Fix common company name issues
-  const companyFixes = {
-    "Service - now": "ServiceNow",
-    "service - now": "ServiceNow",
-    "Service -": "Service",
-  };
-
-  // Apply company fixes
-  if (cleaned.work && Array.isArray(cleaned.work)) {
-    cleaned.work.forEach((job) => {
-      // Fix company name
-      for (const [bad, good] of Object.entries(companyFixes)) {
-        if (job.company && job.company.includes(bad)) {
-          job.company = job.company.replace(bad, good);
-        }
-      }
-      // Also fix position field
-      for (const [bad, good] of Object.entries(companyFixes)) {
-        if (job.position && job.position.includes(bad)) {
-          job.position = job.position.replace(bad, good);
-        }
-      }
-      // Remove extra spaces
-      if (job.company) job.company = job.company.replace(/\s+/g, " ").trim();
-      if (job.position) job.position = job.position.replace(/\s+/g, " ").trim();
-    });
-  }
-
-  // Clean education data
-  if (cleaned.education && Array.isArray(cleaned.education)) {
-    cleaned.education.forEach((edu) => {
-      if (edu.institution)
-        edu.institution = edu.institution.replace(/\s+/g, " ").trim();
-      if (edu.area) edu.area = edu.area.replace(/\s+/g, " ").trim();
-      if (edu.location) edu.location = edu.location.replace(/\s+/g, " ").trim();
-    });
-  }
-
-  // Clean projects
-  if (cleaned.projects && Array.isArray(cleaned.projects)) {
-    cleaned.projects.forEach((project) => {
-      if (project.name) project.name = project.name.replace(/\s+/g, " ").trim();
-      if (project.summary)
-        project.summary = project.summary.replace(/\s+/g, " ").trim();
-      if (project.keywords && Array.isArray(project.keywords)) {
-        project.keywords = project.keywords.map((k) =>
-          k.replace(/\s+/g, " ").trim()
-        );
-      }
-    });
-  }
-
-  // Clean skills
-  if (cleaned.skills && Array.isArray(cleaned.skills)) {
-    cleaned.skills.forEach((skillGroup) => {
-      if (skillGroup.name)
-        skillGroup.name = skillGroup.name.replace(/\s+/g, " ").trim();
-      if (skillGroup.keywords && Array.isArray(skillGroup.keywords)) {
-        skillGroup.keywords = skillGroup.keywords.map((k) =>
-          k.replace(/\s+/g, " ").trim()
-        );
-      }
-    });
-  }
-
-  return cleaned;
-}
-
-// ==================== UI UPDATES ====================
-function updateDataSection() {
-  // Update raw text
-  document.getElementById("rawOutput").value = STATE.rawText;
-
-  // Update JSON
-  document.getElementById("jsonOutput").value = JSON.stringify(
-    STATE.resumeData,
-    null,
-    2
-  );
-
-  // Update preview
-  updateDataPreview();
-}
-
-function updateDataPreview() {
-  const preview = document.getElementById("dataPreview");
-  const data = STATE.resumeData;
-
-  let html = "";
-
-  // Basics
-  html += '<div class="info-group">';
-  html += "<h3>Basic Information</h3>";
-  html += `<p><strong>Name:</strong> ${data.basics.name}</p>`;
-  if (data.basics.label)
-    html += `<p><strong>Title:</strong> ${data.basics.label}</p>`;
-  if (data.basics.email)
-    html += `<p><strong>Email:</strong> ${data.basics.email}</p>`;
-  if (data.basics.phone)
-    html += `<p><strong>Phone:</strong> ${data.basics.phone}</p>`;
-  if (data.basics.location)
-    html += `<p><strong>Location:</strong> ${data.basics.location}</p>`;
-  html += "</div>";
-
-  // Summary
-  if (data.basics.summary) {
-    html += '<div class="info-group">';
-    html += "<h3>Summary</h3>";
-    html += `<p>${data.basics.summary}</p>`;
-    html += "</div>";
-  }
-
-  // Work
-  if (data.work && data.work.length > 0) {
-    html += '<div class="info-group">';
-    html += "<h3>Experience</h3>";
-    html += `<p>${data.work.length} position(s) found</p>`;
-    html += "</div>";
-  }
-
-  // Education
-  if (data.education && data.education.length > 0) {
-    html += '<div class="info-group">';
-    html += "<h3>Education</h3>";
-    html += `<p>${data.education.length} degree(s) found</p>`;
-    html += "</div>";
-  }
-
-  // Skills
-  if (data.skills && data.skills.length > 0) {
-    html += '<div class="info-group">';
-    html += "<h3>Skills</h3>";
-    html += `<p>${data.skills.length} skill category/ies found</p>`;
-    html += "</div>";
-  }
-
-  // Projects
-  if (data.projects && data.projects.length > 0) {
-    html += '<div class="info-group">';
-    html += "<h3>Projects</h3>";
-    html += `<p>${data.projects.length} project(s) found</p>`;
-    html += "</div>";
-  }
-
-  preview.innerHTML = html;
-}
-
-function resetDataSection() {
-  document.getElementById("rawOutput").value = "";
-  document.getElementById("jsonOutput").value = "";
-  document.getElementById("dataPreview").innerHTML =
-    '<div class="empty-state"><p>📋 Upload and parse a PDF to see structured data</p></div>';
-}
+function resetDataSection() {
+  document.getElementById("rawOutput").value = "";
+  document.getElementById("jsonOutput").value = "";
+  document.getElementById("textOutput").value = "";
+  document.getElementById("downloadTextBtn").disabled = true;
+  document.getElementById("dataPreview").innerHTML =
+    '<div class="empty-state"><p>📋 Upload and parse a PDF to see structured data</p></div>';
+  if (resumeEditor) resumeEditor.load(null);
+}
 
 function enableTemplates() {
-  const templateCards = document.querySelectorAll(".template-card");
-  templateCards.forEach((card) => {
-    card.disabled = false;
-  });
+  templateGallery.setEnabled(true);
 }
 
 function disableTemplates() {
-  const templateCards = document.querySelectorAll(".template-card");
-  templateCards.forEach((card) => {
-    card.disabled = true;
-    card.classList.remove("active");
-  });
+  templateGallery.setEnabled(false);
 
   document.getElementById("exportBtn").disabled = true;
   document.getElementById("downloadJsonBtn").disabled = true;
+  document.getElementById("docxBtn").disabled = true;
+  document.getElementById("pdfBtn").disabled = true;
   document.getElementById("printBtn").disabled = true;
 }
 
@@ -1467,42 +997,71 @@ function handleTabSwitch(e) {
 
   const contentMap = {
     preview: "previewTab",
+    edit: "editTab",
     json: "jsonTab",
     raw: "rawTab",
+    text: "textTab",
+    history: "historyTab",
   };
 
   document.getElementById(contentMap[targetTab]).classList.add("active");
 }
 
 // ==================== TEMPLATE SELECTION ====================
-function handleTemplateSelect(e) {
-  const card = e.currentTarget;
-  const templateName = card.dataset.template;
-
+function handleTemplateSelect(templateName) {
   // Allow selecting templates even when no resume is parsed so users can preview styles.
 
   // Update active state
-  document.querySelectorAll(".template-card").forEach((c) => {
-    c.classList.remove("active");
-  });
-  card.classList.add("active");
+  templateGallery.setActive(templateName);
+  updatePaperSizes(templateName);
 
   // Render template
   STATE.currentTemplate = templateName;
+  if (customizerPanel) {
+    customizerPanel.load(STATE.templateOptions, TemplateRenderer.get(templateName).colors);
+  }
+  saveCustomization();
   renderCurrentTemplate();
+  scheduleLibrarySave();
 
   // Enable export buttons only if we have parsed resume data
   const hasData = !!STATE.resumeData;
   document.getElementById("exportBtn").disabled = !hasData;
   document.getElementById("downloadJsonBtn").disabled = !hasData;
+  document.getElementById("docxBtn").disabled = !hasData;
+  document.getElementById("pdfBtn").disabled = !hasData;
   document.getElementById("printBtn").disabled = !hasData;
 }
 
+function selectTemplate(templateName) {
+  if (TemplateRenderer.has(templateName)) {
+    handleTemplateSelect(templateName);
+  } else {
+    console.warn(`[Templates] Template "${templateName}" not registered`);
+  }
+}
+
+// Only offer the paper sizes the template declares in its metadata
+function updatePaperSizes(templateName) {
+  const select = document.getElementById("pdfPageSize");
+  const sizes = TemplateRenderer.get(templateName).paperSizes;
+  Array.from(select.options).forEach((option) => {
+    option.disabled = !sizes.includes(option.value);
+  });
+  if (!sizes.includes(select.value) && sizes.length > 0) {
+    select.value = sizes[0];
+  }
+}
+
 function renderCurrentTemplate() {
   const container = document.getElementById("resumeContainer");
   // Use real parsed data when available; otherwise render a friendly sample so the user sees the design
   const dataToRender = STATE.resumeData || SAMPLE_DATA;
-  const result = renderTemplate(STATE.currentTemplate, dataToRender);
+  const result = renderTemplate(
+    STATE.currentTemplate,
+    dataToRender,
+    STATE.templateOptions
+  );
   // result is { html, css }
 
   // Inject HTML
@@ -1518,6 +1077,301 @@ function renderCurrentTemplate() {
   styleTag.textContent = result.css || "";
 
   STATE.lastRender = result;
+  highlightJobMatches(container);
+  updateAtsReport(dataToRender);
+}
+
+// ==================== TEMPLATE CUSTOMIZATION ====================
+function handleCustomizationChange(settings) {
+  STATE.templateOptions = settings;
+  saveCustomization();
+
+  if (STATE.currentTemplate) {
+    renderCurrentTemplate();
+  }
+  scheduleLibrarySave();
+}
+
+// Keep template and settings in the resume (meta) so "Download JSON" saves them
+function saveCustomization() {
+  if (!STATE.resumeData || !STATE.currentTemplate) return;
+  TemplateCustomizer.toResume(
+    STATE.resumeData,
+    STATE.currentTemplate,
+    STATE.templateOptions
+  );
+  document.getElementById("jsonOutput").value = JSON.stringify(
+    STATE.resumeData,
+    null,
+    2
+  );
+}
+
+// ==================== TARGET JOB ====================
+function handleJobDescriptionChange(text) {
+  STATE.jobDescription = text;
+  updateJobMatch();
+  if (STATE.currentTemplate) {
+    renderCurrentTemplate();
+  }
+  scheduleLibrarySave();
+}
+
+function handleJobHighlight(enabled) {
+  jobHighlight = enabled;
+  if (STATE.currentTemplate) {
+    renderCurrentTemplate();
+  }
+}
+
+// Compare the resume with the pasted job description and show the result
+function updateJobMatch() {
+  STATE.jobMatch = STATE.jobDescription.trim()
+    ? JobMatcher.match(STATE.resumeData, STATE.jobDescription)
+    : null;
+  if (jobMatchPanel) {
+    jobMatchPanel.showResult(STATE.jobMatch, !!STATE.resumeData);
+  }
+}
+
+// Mark matched keywords in the preview. Exports render the template again,
+// so the marks never leave the page.
+function highlightJobMatches(container) {
+  if (!jobHighlight || !STATE.jobMatch || !STATE.resumeData) return;
+  const terms = STATE.jobMatch.matched.map((keyword) => JobMatcher.termFor(keyword));
+  JobMatchPanel.highlight(container, terms);
+}
+
+// ==================== ATS CHECK ====================
+// Check the template just rendered; the comparison of all templates is
+// only rebuilt while it is open
+function updateAtsReport(data) {
+  if (!atsReportPanel || !STATE.lastRender) return;
+  const name = TemplateRenderer.get(STATE.currentTemplate).name;
+  atsReportPanel.showResult(name, AtsChecker.check(STATE.lastRender, data));
+  if (atsReportPanel.comparing) updateAtsComparison();
+}
+
+function updateAtsComparison() {
+  const results = AtsChecker.checkTemplates(STATE.resumeData || SAMPLE_DATA, STATE.templateOptions);
+  atsReportPanel.showComparison(results, STATE.currentTemplate);
+}
+
+// ==================== RESUME LIBRARY ====================
+// Every parsed, imported or edited resume is saved in IndexedDB after a
+// short delay. Saves run one after another so a new resume is created once
+// and later edits update it. `source` ("parse", "import", "edit") is what
+// the version history shows for the save.
+function scheduleLibrarySave(source = "edit") {
+  if (!resumeLibrary || !STATE.resumeData) return;
+  // Edits right after a parse or import are part of that version
+  if (source !== "edit" || !librarySaveTimer) librarySaveSource = source;
+  clearTimeout(librarySaveTimer);
+  librarySaveTimer = setTimeout(() => {
+    librarySaveTimer = null;
+    queueLibrarySave(librarySaveSource);
+  }, LIBRARY_SAVE_DELAY);
+}
+
+function queueLibrarySave(source) {
+  librarySaveQueue = librarySaveQueue
+    .then(() => saveToLibrary(source))
+    .catch((error) => console.error("[Library] Save failed:", error));
+  return librarySaveQueue;
+}
+
+// Save now instead of waiting for the delay; resolves when all saves are done
+function flushLibrarySave() {
+  if (librarySaveTimer) {
+    clearTimeout(librarySaveTimer);
+    librarySaveTimer = null;
+    queueLibrarySave(librarySaveSource);
+  }
+  return librarySaveQueue;
+}
+
+async function saveToLibrary(source = "edit") {
+  const state = STATE;
+  const id = state.libraryId;
+  if (!resumeLibrary || !state.resumeData) return;
+
+  const entry = {
+    resumeData: state.resumeData,
+    rawText: state.rawText,
+    fileName: state.fileName,
+    template: state.currentTemplate,
+    templateOptions: state.templateOptions,
+    jobDescription: state.jobDescription,
+    source,
+  };
+  if (id) {
+    entry.id = id;
+  } else {
+    // The PDF never changes, so its bytes are only stored once
+    entry.pdfBytes = state.pdfArrayBuffer;
+  }
+
+  const saved = await resumeLibrary.save(entry);
+  // Another resume may have been opened or uploaded while saving
+  if (state === STATE && state.libraryId === id) {
+    STATE.libraryId = saved.id;
+    await resumeLibrary.setLastSession(saved.id);
+  }
+  console.log(`[Library] Saved "${saved.name}"`);
+  await refreshLibraryPanel();
+  await refreshHistoryPanel();
+}
+
+async function refreshLibraryPanel() {
+  if (!resumeLibrary || !libraryPanel) return;
+  libraryPanel.render(await resumeLibrary.list(), STATE.libraryId);
+}
+
+async function refreshHistoryPanel() {
+  if (!resumeLibrary || !historyPanel) return;
+  const id = STATE.libraryId;
+  const versions = id ? await resumeLibrary.versions(id) : [];
+  // Another resume may have been opened meanwhile
+  if (id === STATE.libraryId) historyPanel.render(versions);
+}
+
+// Put a saved resume back into STATE and the UI, as if it was just parsed
+async function openSavedResume(id) {
+  await flushLibrarySave();
+  const saved = await resumeLibrary.get(id);
+  if (!saved) throw new Error("This resume is no longer in the library.");
+
+  STATE = {
+    pdfFile: null,
+    pdfArrayBuffer: saved.pdfBytes,
+    fileName: saved.fileName,
+    rawText: saved.rawText || "",
+    pdfLayout: null,
+    ocrResult: null,
+    resumeData: saved.resumeData,
+    parseReport: null,
+    currentTemplate: STATE.currentTemplate,
+    templateOptions: saved.templateOptions,
+    libraryId: saved.id,
+    jobDescription: saved.jobDescription || "",
+    jobMatch: null,
+  };
+  if (jobMatchPanel) jobMatchPanel.setText(STATE.jobDescription);
+
+  document.getElementById("pdfInput").value = "";
+  showFileInfo(saved.fileName || saved.name);
+  // The original PDF can be parsed again; JSON imports have none
+  document.getElementById("parseBtn").disabled = !saved.pdfBytes;
+
+  updateDataSection();
+  enableTemplates();
+  selectSavedTemplate(saved.template);
+  // Opening is not an edit
+  clearTimeout(librarySaveTimer);
+  librarySaveTimer = null;
+
+  await resumeLibrary.setLastSession(saved.id);
+  await refreshLibraryPanel();
+  await refreshHistoryPanel();
+  console.log(`[Library] Opened "${saved.name}"`);
+}
+
+// Plugin and folder templates may still be loading when the page restores
+// the last session: show the current template until it is registered
+function selectSavedTemplate(templateName) {
+  if (!templateName || TemplateRenderer.has(templateName)) {
+    selectTemplate(templateName || STATE.currentTemplate || "classic");
+    return;
+  }
+
+  selectTemplate(STATE.currentTemplate || "classic");
+  const state = STATE;
+  window.addEventListener("template-registered", function onRegistered(e) {
+    if (e.detail.id !== templateName) return;
+    window.removeEventListener("template-registered", onRegistered);
+    if (state === STATE) selectTemplate(templateName);
+  });
+}
+
+async function restoreLastSession() {
+  const id = await resumeLibrary.getLastSession();
+  // Don't replace a file the user picked while the library was opening
+  if (!id || STATE.resumeData || STATE.pdfFile) return;
+  await openSavedResume(id);
+}
+
+function libraryEntry(id) {
+  return libraryPanel.entries.find((entry) => entry.id === id);
+}
+
+async function handleLibraryOpen(id) {
+  try {
+    await openSavedResume(id);
+  } catch (error) {
+    console.error("[Library]", error);
+    alert("Failed to open saved resume:\n\n" + error.message);
+  }
+}
+
+// Restoring saves the old data as a new version, then reloads the resume
+async function handleVersionRestore(versionId) {
+  const id = STATE.libraryId;
+  if (!id) return;
+
+  try {
+    await flushLibrarySave();
+    await resumeLibrary.restoreVersion(id, versionId);
+    await openSavedResume(id);
+  } catch (error) {
+    console.error("[Library]", error);
+    alert("Failed to restore version:\n\n" + error.message);
+  }
+}
+
+async function handleLibraryRename(id) {
+  const entry = libraryEntry(id);
+  const name = prompt("Rename saved resume:", entry ? entry.name : "");
+  if (name === null) return;
+
+  try {
+    await flushLibrarySave();
+    await resumeLibrary.rename(id, name);
+    await refreshLibraryPanel();
+  } catch (error) {
+    console.error("[Library]", error);
+    alert("Failed to rename saved resume:\n\n" + error.message);
+  }
+}
+
+async function handleLibraryDuplicate(id) {
+  try {
+    // Copy the latest edits of the open resume
+    await flushLibrarySave();
+    const copy = await resumeLibrary.duplicate(id);
+    console.log(`[Library] Duplicated as "${copy.name}"`);
+    await refreshLibraryPanel();
+  } catch (error) {
+    console.error("[Library]", error);
+    alert("Failed to duplicate saved resume:\n\n" + error.message);
+  }
+}
+
+async function handleLibraryDelete(id) {
+  const entry = libraryEntry(id);
+  if (!confirm(`Delete "${entry ? entry.name : "this resume"}" from your saved resumes?`)) return;
+
+  try {
+    await flushLibrarySave();
+    await resumeLibrary.delete(id);
+    if (id === STATE.libraryId) {
+      handleRemoveFile();
+    } else {
+      await refreshLibraryPanel();
+    }
+  } catch (error) {
+    console.error("[Library]", error);
+    alert("Failed to delete saved resume:\n\n" + error.message);
+  }
 }
 
 // ==================== EXPORT & PRINT ====================
@@ -1526,32 +1380,11 @@ function handleExport() {
     alert("Please select a template first.");
     return;
   }
-  const renderResult = renderTemplate(STATE.currentTemplate, STATE.resumeData);
-  const resumeHTML = renderResult.html || "";
-  const resumeCSS = renderResult.css || "";
-
-  const fullHTML = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${STATE.resumeData.basics.name} - Resume</title>
-  <style>
-    body {
-      margin: 0;
-      padding: 20px;
-      font-family: Arial, sans-serif;
-    }
-    @media print { body { padding: 0; } }
-    ${resumeCSS}
-  </style>
-</head>
-<body>
-  ${resumeHTML}
-</body>
-</html>
-  `;
+  const fullHTML = renderDocument(
+    STATE.currentTemplate,
+    STATE.resumeData,
+    STATE.templateOptions
+  );
 
   // Create download
   const blob = new Blob([fullHTML], { type: "text/html" });
@@ -1567,6 +1400,101 @@ function handleExport() {
   URL.revokeObjectURL(url);
 }
 
+async function handleDownloadPDF() {
+  if (!STATE.resumeData || !STATE.currentTemplate) {
+    alert("Please select a template first.");
+    return;
+  }
+  if (typeof PdfExporter === "undefined") {
+    alert("PDF export is not available.");
+    return;
+  }
+
+  const pdfBtn = document.getElementById("pdfBtn");
+  pdfBtn.disabled = true;
+
+  try {
+    const renderResult = renderTemplate(
+      STATE.currentTemplate,
+      STATE.resumeData,
+      STATE.templateOptions
+    );
+    const blob = await PdfExporter.export(renderResult, {
+      pageSize: document.getElementById("pdfPageSize").value,
+      margin: Number(document.getElementById("pdfMargin").value),
+      avoidBreaks: document.getElementById("pdfAvoidBreaks").checked,
+      title: `${STATE.resumeData.basics.name} - Resume`,
+    });
+
+    downloadBlob(
+      blob,
+      `${STATE.resumeData.basics.name.replace(/\s+/g, "_")}_${
+        STATE.currentTemplate
+      }_resume.pdf`
+    );
+  } catch (error) {
+    console.error("[PDF Export] ❌ ERROR:", error);
+    alert("Failed to export PDF:\n\n" + error.message);
+  } finally {
+    pdfBtn.disabled = false;
+  }
+}
+
+function handleDownloadDOCX() {
+  if (!STATE.resumeData || !STATE.currentTemplate) {
+    alert("Please select a template first.");
+    return;
+  }
+  if (typeof DocxExporter === "undefined") {
+    alert("DOCX export is not available.");
+    return;
+  }
+
+  const blob = DocxExporter.export(STATE.resumeData, {
+    template: STATE.currentTemplate,
+    pageSize: document.getElementById("pdfPageSize").value,
+  });
+  downloadBlob(
+    blob,
+    `${STATE.resumeData.basics.name.replace(/\s+/g, "_")}_${
+      STATE.currentTemplate
+    }_resume.docx`
+  );
+}
+
+// Plain text / Markdown serialization shown in the "Text / Markdown" tab
+function updateTextExport() {
+  const output = document.getElementById("textOutput");
+  const downloadBtn = document.getElementById("downloadTextBtn");
+
+  if (!STATE.resumeData || typeof TextExporter === "undefined") {
+    output.value = "";
+    downloadBtn.disabled = true;
+    return;
+  }
+
+  const format = document.getElementById("textFormat").value;
+  output.value = TextExporter.export(STATE.resumeData, format);
+  downloadBtn.disabled = false;
+}
+
+function handleDownloadText() {
+  if (!STATE.resumeData) {
+    alert("No resume data to download. Please parse a resume first.");
+    return;
+  }
+
+  const format = document.getElementById("textFormat").value;
+  const { extension, mimeType } = TextExporter.formats[format];
+  const blob = new Blob([TextExporter.export(STATE.resumeData, format)], {
+    type: mimeType,
+  });
+  downloadBlob(
+    blob,
+    `${STATE.resumeData.basics.name.replace(/\s+/g, "_")}_resume.${extension}`
+  );
+}
+
 function handlePrint() {
   if (!STATE.resumeData || !STATE.currentTemplate) {
     alert("Please select a template first.");
@@ -1598,6 +1526,21 @@ function handleDownloadJSON() {
 }
 
 // ==================== UTILITY FUNCTIONS ====================
+function escapeHtml(text) {
+  return HtmlSanitizer.escape(text);
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function copyToClipboard(elementId, btn) {
   const element = document.getElementById(elementId);
   if (!element) return;
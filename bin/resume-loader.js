@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * resume-loader command-line tool
+ *
+ * Parse, render and export resumes without a browser, for scripts and
+ * build pipelines (see src/node/ResumeToolkit.js):
+ *
+ *   node bin/resume-loader.js parse resume.pdf -o resume.json
+ *   node bin/resume-loader.js render resume.json --template tech -o out.html
+ *   node bin/resume-loader.js list-templates
+ *   node bin/resume-loader.js export resume.json --format md -o resume.md
+ *
+ * Results go to stdout unless -o is given; "-" reads the input from stdin.
+ * Messages go to stderr. Exit code 0 on success, 1 on errors, 2 on usage
+ * errors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const USAGE = `Usage: resume-loader <command> [options]
+
+Commands:
+  parse <resume.pdf>       Parse a PDF resume into JSON Resume
+  render <resume.json>     Render a resume as a standalone HTML page
+  list-templates           List the available templates
+  export <resume.json>     Export a resume as plain text or Markdown
+
+Options:
+  -o, --output <file>      Write to a file instead of stdout
+  -t, --template <id>      Template for render (default: the one saved in
+                           the resume, else classic)
+  -f, --format <txt|md>    Format for export (default: txt)
+      --json               Print list-templates as JSON
+  -v, --verbose            Show parser logs on stderr
+  -h, --help               Show this help`;
+
+// Options that take a value, by every name they go by
+const VALUE_OPTIONS = {
+  "-o": "output",
+  "--output": "output",
+  "-t": "template",
+  "--template": "template",
+  "-f": "format",
+  "--format": "format",
+};
+
+const FLAG_OPTIONS = {
+  "--json": "json",
+  "-v": "verbose",
+  "--verbose": "verbose",
+  "-h": "help",
+  "--help": "help",
+};
+
+class UsageError extends Error {}
+
+/**
+ * { command, input, options } from the arguments after the script name.
+ * "--option=value" works as well as "--option value".
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, inline] = argv[i].startsWith("--") ? argv[i].split(/=(.*)/s) : [argv[i]];
+    if (VALUE_OPTIONS[arg]) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new UsageError(`${arg} needs a value`);
+      options[VALUE_OPTIONS[arg]] = value;
+    } else if (FLAG_OPTIONS[arg]) {
+      options[FLAG_OPTIONS[arg]] = true;
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  const [command = null, input = null, ...extra] = positional;
+  if (extra.length > 0) throw new UsageError(`Unexpected argument ${extra[0]}`);
+  return { command, input, options };
+}
+
+// ==================== COMMANDS ====================
+
+const COMMANDS = {
+  async parse(toolkit, input) {
+    const result = await toolkit.parsePdf(await readInput(input));
+    const data = result.resumeData;
+    const report = result.confidence;
+    console.error(
+      `Parsed ${input === "-" ? "stdin" : path.basename(input)}: ` +
+        `${data.work.length} position(s), ${data.education.length} degree(s), ` +
+        `${data.skills.length} skill categories; confidence ${Math.round(report.score * 100)}%, ` +
+        `${report.needsReview.length} field(s) need review`
+    );
+    for (const field of report.needsReview) {
+      console.error(`  review ${field.label}: ${field.note}`);
+    }
+    return `${JSON.stringify(data, null, 2)}\n`;
+  },
+
+  async render(toolkit, input, options) {
+    const resume = toolkit.readResume((await readInput(input)).toString("utf8"));
+    return toolkit.renderPage(resume, options.template || null);
+  },
+
+  async "list-templates"(toolkit, input, options) {
+    const templates = await toolkit.listTemplates();
+    if (options.json) return `${JSON.stringify(templates, null, 2)}\n`;
+
+    const width = Math.max(...templates.map((template) => template.id.length));
+    return templates
+      .map((template) => {
+        const ats = template.atsSafe ? " [ATS-safe]" : "";
+        return `${template.id.padEnd(width)}  ${template.name} - ${template.description || ""}${ats}\n`;
+      })
+      .join("");
+  },
+
+  async export(toolkit, input, options) {
+    const resume = toolkit.readResume((await readInput(input)).toString("utf8"));
+    const text = toolkit.exportText(resume, options.format || "txt");
+    return text.endsWith("\n") ? text : `${text}\n`;
+  },
+};
+
+// Commands that read an input file
+const NEEDS_INPUT = ["parse", "render", "export"];
+
+async function readInput(input) {
+  if (input !== "-") return fs.promises.readFile(input);
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// ==================== MAIN ====================
+
+/**
+ * Run the tool; resolves with the exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.options.help || !args.command) {
+      console.error(USAGE);
+      return args.options.help ? 0 : 2;
+    }
+    if (!COMMANDS[args.command]) {
+      throw new UsageError(`Unknown command "${args.command}"`);
+    }
+    if (NEEDS_INPUT.includes(args.command) && !args.input) {
+      throw new UsageError(`${args.command} needs an input file`);
+    }
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`resume-loader: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  // The parsers and templates log their progress with console.log; keep
+  // stdout for the result
+  const log = console.log;
+  console.log = args.options.verbose ? console.error : () => {};
+  try {
+    const toolkit = require("../src/node/ResumeToolkit.js");
+    const output = await COMMANDS[args.command](toolkit, args.input, args.options);
+    if (args.options.output) {
+      await fs.promises.writeFile(args.options.output, output);
+      console.error(`Wrote ${args.options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`resume-loader: ${error.message}`);
+    if (args.options.verbose) console.error(error.stack);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
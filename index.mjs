@@ -0,0 +1,81 @@
+/**
+ * Resume Loader library
+ *
+ * ES module entry for apps that embed parsing and rendering, in browser
+ * bundles or in Node (see docs/LIBRARY_API.md):
+ *
+ *   import { parseResumeText, render } from "./resume-loader/index.mjs";
+ *
+ *   const { resumeData } = parseResumeText(text);
+ *   const { html, css } = await render("tech", resumeData);
+ *
+ * Wraps ResumeApi (src/core/ResumeApi.js). The standalone page does not
+ * use this file: it keeps loading the scripts from index.html. In Node,
+ * node.mjs adds pdf.js from pdfjs-dist and the templates/ folders.
+ */
+
+import ResumeApi from "./src/core/ResumeApi.js";
+import TemplateRenderer from "./src/core/TemplateRenderer.js";
+import TemplateEngine from "./src/core/TemplateEngine.js";
+
+/**
+ * Parse a PDF resume (ArrayBuffer, Uint8Array or Buffer):
+ * { resumeData, confidence, language, text, layout }.
+ * options.pdfjs is the pdf.js module; without it the pdfjsLib global is used.
+ */
+export function parseResumePdf(data, options = {}) {
+  return ResumeApi.parsePdf(data, options);
+}
+
+/**
+ * Parse resume text: { resumeData, confidence, language }
+ */
+export function parseResumeText(text, options = {}) {
+  return ResumeApi.parseText(text, options);
+}
+
+/**
+ * { html, css, template } of a resume. Without a template id or options,
+ * those saved in resumeData.meta are used, else the classic template.
+ */
+export function render(template, resumeData, options = null) {
+  return ResumeApi.render(resumeData, template, options);
+}
+
+/**
+ * Standalone HTML page of a resume, as "Export HTML" saves it
+ */
+export function renderPage(template, resumeData, options = null) {
+  return ResumeApi.renderPage(resumeData, template, options);
+}
+
+/**
+ * Registered templates: [{ id, name, description, category, atsSafe }]
+ */
+export function listTemplates() {
+  return ResumeApi.listTemplates();
+}
+
+/**
+ * Register a declarative template folder (template.json/.html/.css).
+ * Files are fetched unless a readFile(path) -> Promise<string> is given.
+ */
+export function loadTemplate(folder, readFile) {
+  return TemplateEngine.load(folder, readFile);
+}
+
+/**
+ * Validated resume data from JSON Resume text or an object
+ */
+export function readResume(json) {
+  return ResumeApi.readResume(json);
+}
+
+/**
+ * Plain text ("txt") or Markdown ("md") version of a resume
+ */
+export function exportText(resumeData, format = "txt") {
+  return ResumeApi.exportText(resumeData, format);
+}
+
+export { ResumeApi, TemplateRenderer };
@@ -0,0 +1,37 @@
+/**
+ * Resume Loader library for Node
+ *
+ * The index.mjs API, backed by ResumeToolkit (src/node/ResumeToolkit.js):
+ * - parseResumePdf(buffer) loads pdf.js from pdfjs-dist itself
+ *     npm install   (pdfjs-dist is in package.json)
+ * - listTemplates(), render() and renderPage() include the template
+ *   folders under templates/
+ *
+ *   import { readFile } from "node:fs/promises";
+ *   import { parseResumePdf, renderPage } from "./resume-loader/node.mjs";
+ *
+ *   const { resumeData } = await parseResumePdf(await readFile("resume.pdf"));
+ *   const html = await renderPage("tech", resumeData);
+ */
+
+import ResumeToolkit from "./src/node/ResumeToolkit.js";
+
+export * from "./index.mjs";
+
+export function parseResumePdf(data, options = {}) {
+  return ResumeToolkit.parsePdf(data, options);
+}
+
+export function render(template, resumeData, options = null) {
+  return ResumeToolkit.render(resumeData, template, options);
+}
+
+export function renderPage(template, resumeData, options = null) {
+  return ResumeToolkit.renderPage(resumeData, template, options);
+}
+
+export function listTemplates() {
+  return ResumeToolkit.listTemplates();
+}
+
+export { ResumeToolkit };
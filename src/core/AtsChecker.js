@@ -0,0 +1,391 @@
+/**
+ * AtsChecker
+ *
+ * Checks a renderTemplate result ({ html, css }) for what applicant
+ * tracking systems read badly, and scores it out of 100:
+ * - Multi-column layouts (sidebars, grid or CSS columns) that ATS read in
+ *   the wrong order
+ * - Text they cannot see: images, SVG text, CSS ::before/::after content
+ *   and text drawn with box-drawing characters
+ * - Icons in place of labels ("📧 jane@example.com" instead of "Email:")
+ * - Section headings an ATS does not recognize, or sections without one
+ * - Tables
+ * - Missing contact fields (email, phone)
+ * Each warning has a severity (high, medium, low) that lowers the score.
+ *
+ * checkTemplates(resumeData) renders and checks every registered template.
+ * Works on the HTML and CSS text, so it runs in Node as well as the browser.
+ */
+
+class AtsChecker {
+  static penalties = { high: 25, medium: 10, low: 3 };
+
+  // Score levels, highest first
+  static levels = [
+    [80, "good"],
+    [60, "fair"],
+    [0, "poor"],
+  ];
+
+  // Resume sections: the heading an ATS looks for, and the entry field
+  // that shows whether the template renders the section at all
+  static sections = {
+    work: { section: "experience", title: "Experience", field: "position" },
+    education: { section: "education", title: "Education", field: "institution" },
+    skills: { section: "skills", title: "Skills", field: "name" },
+    projects: { section: "projects", title: "Projects", field: "name" },
+  };
+
+  /**
+   * { score, level, warnings: [{ code, severity, message }] }. With the
+   * resume data, sections and contact fields the template leaves out are
+   * reported too.
+   */
+  static check(render, resumeData = null) {
+    const html = (render && render.html) || "";
+    const css = (render && render.css) || "";
+    const text = this.visibleText(html);
+
+    const warnings = [
+      ...this.checkLayout(html, css),
+      ...this.checkHiddenText(html, css),
+      ...this.checkIcons(text),
+      ...this.checkHeadings(html, text, resumeData),
+      ...this.checkTables(html, css),
+      ...this.checkContact(text, resumeData),
+    ];
+
+    const penalty = warnings.reduce((sum, warning) => sum + this.penalties[warning.severity], 0);
+    const score = Math.max(0, 100 - penalty);
+    return { score, level: this.level(score), warnings };
+  }
+
+  /**
+   * Check every registered template with the same resume and options:
+   * [{ id, name, score, level, warnings }], best score first
+   */
+  static checkTemplates(resumeData, options = null) {
+    const Renderer = this._renderer();
+    const render = this._renderTemplate();
+    return Renderer.list()
+      .map((id) => {
+        const result = this.check(render(id, resumeData, options), resumeData);
+        return { id, name: Renderer.get(id).name, ...result };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  static level(score) {
+    return this.levels.find(([min]) => score >= min)[1];
+  }
+
+  // ==================== LAYOUT ====================
+
+  static checkLayout(html, css) {
+    const warnings = [];
+    const sidebar = (html.match(/class="([^"]*\bsidebar\b|[^"]*-sidebar\b)[^"]*"/) || [])[1];
+    const grids = this.rules(css).filter((rule) => this._columnCount(rule.declarations["grid-template-columns"]) > 1);
+    // Grids on the page itself are the layout, not a list of items
+    const isPage = (rule) => /resume-content|template-|layout/.test(rule.selector);
+    const pageGrid = grids.find(isPage);
+
+    if (sidebar || /<aside\b/i.test(html) || pageGrid) {
+      const where = sidebar ? `.${sidebar.trim().split(/\s+/).pop()}` : pageGrid ? pageGrid.selector : "<aside>";
+      warnings.push({
+        code: "multi-column",
+        severity: "high",
+        message: `Two-column layout (${where}): ATS read the columns in the wrong order or mix their lines`,
+      });
+    }
+
+    for (const rule of grids.filter((grid) => !isPage(grid))) {
+      warnings.push({
+        code: "grid",
+        severity: "low",
+        message: `Grid in ${rule.selector}: items are read across rows, not down the columns`,
+      });
+    }
+
+    for (const { declarations, selector } of this.rules(css)) {
+      const columns = parseInt(declarations["column-count"] || declarations.columns, 10);
+      if (columns > 1) {
+        warnings.push({
+          code: "multi-column",
+          severity: "high",
+          message: `Text in ${columns} CSS columns (${selector}): ATS read it line by line across the columns`,
+        });
+      }
+      if (/^(left|right)$/.test(declarations.float || "")) {
+        warnings.push({
+          code: "float",
+          severity: "medium",
+          message: `Floated block (${selector}): it may be read before or after the text around it`,
+        });
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Tracks in a grid-template-columns value ("280px 1fr" -> 2,
+   * "repeat(2, 1fr)" -> 2, auto-fit -> 2)
+   */
+  static _columnCount(value) {
+    if (!value) return 0;
+    const repeat = value.match(/repeat\(\s*(\d+|auto-fit|auto-fill)/);
+    if (repeat) return /auto/.test(repeat[1]) ? 2 : parseInt(repeat[1], 10);
+    return value.replace(/\([^)]*\)/g, "").trim().split(/\s+/).filter(Boolean).length;
+  }
+
+  // ==================== HIDDEN TEXT ====================
+
+  static checkHiddenText(html, css) {
+    const warnings = [];
+
+    const images = (html.match(/<img\b/gi) || []).length;
+    if (images > 0) {
+      warnings.push({
+        code: "image",
+        severity: "medium",
+        message: `${images} image(s): text inside an image cannot be read`,
+      });
+    }
+    if (/<svg\b[\s\S]*?<text\b/i.test(html) || /<canvas\b/i.test(html)) {
+      warnings.push({
+        code: "graphic-text",
+        severity: "high",
+        message: "Text drawn in SVG or canvas graphics cannot be read",
+      });
+    }
+
+    for (const rule of this.rules(css)) {
+      const content = rule.declarations.content;
+      if (!content || !/::?(before|after)/.test(rule.selector)) continue;
+      const shown = content.replace(/attr\([^)]*\)|counter\([^)]*\)/g, "").replace(/["']/g, "");
+      if (/[\p{L}\p{N}]/u.test(shown)) {
+        warnings.push({
+          code: "pseudo-text",
+          severity: "medium",
+          message: `Text in CSS (${rule.selector} { content: ${content} }) is not part of the document text`,
+        });
+      }
+    }
+
+    const boxes = this.visibleText(html).match(/[─-▟]/g);
+    if (boxes && boxes.length >= 5) {
+      warnings.push({
+        code: "box-drawing",
+        severity: "medium",
+        message: `Text framed with box-drawing characters (${Array.from(new Set(boxes)).slice(0, 4).join("")}): they come through as noise around the words`,
+      });
+    }
+    return warnings;
+  }
+
+  // ==================== ICONS ====================
+
+  static checkIcons(text) {
+    const unlabeled = new Set();
+    const decorative = new Set();
+    const icon = /[\p{Extended_Pictographic}←-⇿■-◿✀-➿]️?/gu;
+
+    for (const match of text.matchAll(icon)) {
+      const before = text.slice(Math.max(0, match.index - 20), match.index);
+      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 40);
+      // "📧 Email: ..." and "Email ► ..." keep their label; "📧 jane@example.com" does not
+      if (/^\s*[\p{L}][\p{L} ]{0,20}:/u.test(after) || /\b(e-?mail|phone|mobile|tel|location|address|web\w*|linkedin|github)\s*$/i.test(before)) {
+        continue;
+      }
+      const contact = /^\s*(\S+@\S+|\+?[\d(][\d\s().-]{6,}|https?:\/\/|www\.|[\p{L} ]+,\s*\p{L})/u.test(after);
+      (contact ? unlabeled : decorative).add(match[0]);
+    }
+
+    const warnings = [];
+    if (unlabeled.size > 0) {
+      warnings.push({
+        code: "icon-label",
+        severity: "medium",
+        message: `Icons instead of labels (${Array.from(unlabeled).join(" ")}): write "Email", "Phone" or "Location" so the fields are recognized`,
+      });
+    }
+    if (decorative.size > 0) {
+      warnings.push({
+        code: "symbols",
+        severity: "low",
+        message: `Decorative symbols (${Array.from(decorative).slice(0, 6).join(" ")}) may be dropped or garbled`,
+      });
+    }
+    return warnings;
+  }
+
+  // ==================== HEADINGS ====================
+
+  static checkHeadings(html, text, resumeData = null) {
+    const Detector = this._detector();
+    const warnings = [];
+    const headings = this.headings(html);
+
+    const unusual = headings.filter(
+      (heading) => heading.section && (!this._plain(heading.text) || !Detector.classify(heading.text))
+    );
+    if (unusual.length > 0) {
+      warnings.push({
+        code: "heading",
+        severity: "medium",
+        message: `Non-standard section headings (${unusual.map((h) => `"${h.text}"`).join(", ")}): use plain titles like "Experience" or "Skills"`,
+      });
+    }
+
+    // Sections with content need a heading an ATS recognizes
+    const found = new Set(
+      headings.filter((heading) => this._plain(heading.text)).map((heading) => Detector.classify(heading.text))
+    );
+    const data = resumeData || {};
+    for (const [key, { section, title, field }] of Object.entries(this.sections)) {
+      const entries = Array.isArray(data[key]) ? data[key] : [];
+      if (entries.length === 0 || found.has(section)) continue;
+
+      const shown = entries.some((entry) => entry[field] && text.includes(String(entry[field]).trim()));
+      warnings.push({
+        code: "missing-heading",
+        severity: "medium",
+        message: shown
+          ? `No standard "${title}" heading: ATS may not find this section`
+          : `Your ${title.toLowerCase()} section is not shown in this template`,
+      });
+    }
+    return warnings;
+  }
+
+  /**
+   * Headings in the HTML: h2-h6 and elements with a heading/title/header
+   * class, { text, section } where section marks section headings (h2 and
+   * header classes) as opposed to entry titles (h3 "Engineer")
+   */
+  static headings(html) {
+    const headings = [];
+    for (const [, level, inner] of html.matchAll(/<h([2-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+      headings.push({ text: this.visibleText(inner).trim(), section: level === "2" });
+    }
+    const classed = /<(div|span|p)\b[^>]*class="[^"]*\b(?:section|block)-(?:header|heading|title)\b[^"]*"[^>]*>([\s\S]*?)<\/\1>/gi;
+    for (const [, , inner] of html.matchAll(classed)) {
+      headings.push({ text: this.visibleText(inner).trim(), section: true });
+    }
+    return headings.filter((heading) => heading.text && heading.text.length <= 60);
+  }
+
+  // Words, spaces and "&", "/", ",", "-" only: no symbols, brackets or
+  // underscores ("▸ EXPERIENCE_LOGS [1/3]")
+  static _plain(text) {
+    return /^[\p{L}\p{N}][\p{L}\p{N} &/,'’-]*$/u.test(text);
+  }
+
+  // ==================== TABLES ====================
+
+  static checkTables(html, css) {
+    const warnings = [];
+    const tables = (html.match(/<table\b/gi) || []).length;
+    if (tables > 0) {
+      warnings.push({
+        code: "table",
+        severity: "high",
+        message: `${tables} table(s): cells are often read out of order or skipped`,
+      });
+    }
+    const tableRule = this.rules(css).find((rule) => /^(inline-)?table$/.test(rule.declarations.display || ""));
+    if (tableRule) {
+      warnings.push({
+        code: "table",
+        severity: "medium",
+        message: `Table layout in CSS (${tableRule.selector}): cells may be read out of order`,
+      });
+    }
+    return warnings;
+  }
+
+  // ==================== CONTACT ====================
+
+  static checkContact(text, resumeData = null) {
+    const basics = (resumeData && resumeData.basics) || {};
+    const fields = [
+      ["email", "email address", "high", /[^\s@<>]+@[^\s@<>]+\.[a-z]{2,}/i],
+      ["phone", "phone number", "medium", /\+?\d[\d\s().-]{6,}\d/],
+    ];
+
+    const warnings = [];
+    for (const [key, label, severity, pattern] of fields) {
+      const value = basics[key] && String(basics[key]).trim();
+      if (value ? text.includes(value) : pattern.test(text)) continue;
+      warnings.push({
+        code: "contact",
+        severity,
+        message: value
+          ? `Your ${label} is not shown in this template`
+          : `No ${label}: ATS use it to create your candidate profile`,
+      });
+    }
+    return warnings;
+  }
+
+  // ==================== HTML & CSS ====================
+
+  /**
+   * Text a reader (or ATS) sees: no tags, styles, scripts or comments
+   */
+  static visibleText(html) {
+    return String(html)
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&#x27;/g, "'")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ");
+  }
+
+  /**
+   * CSS rules as { selector, declarations: { property: value } }; at-rule
+   * wrappers such as @media are skipped, their rules are kept
+   */
+  static rules(css) {
+    const rules = [];
+    const source = String(css).replace(/\/\*[\s\S]*?\*\//g, "");
+    for (const [, selector, body] of source.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      const declarations = {};
+      for (const declaration of body.split(";")) {
+        const colon = declaration.indexOf(":");
+        if (colon < 0) continue;
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        declarations[property] = declaration.slice(colon + 1).replace(/!important/, "").trim();
+      }
+      rules.push({ selector: selector.trim().replace(/\s+/g, " "), declarations });
+    }
+    return rules;
+  }
+
+  static _detector() {
+    return typeof SectionHeaderDetector !== "undefined"
+      ? SectionHeaderDetector
+      : require("../parsers/section-headers.js");
+  }
+
+  static _renderer() {
+    return typeof TemplateRenderer !== "undefined" ? TemplateRenderer : require("./TemplateRenderer.js");
+  }
+
+  static _renderTemplate() {
+    return typeof renderTemplate !== "undefined" ? renderTemplate : require("../../templates.js").renderTemplate;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.AtsChecker = AtsChecker;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AtsChecker;
+}
@@ -210,24 +210,13 @@ class EnhancedPdfProcessor {
     const metadata = processingResult.metadata;
     const forms = processingResult.forms;
 
-    // Enhanced section parsing with better accuracy
-    const sections = this._identifySections(fullText);
-    const contact = this._extractContact(fullText);
-
-    // Parse with precision extraction methods
-    const experience = this._parseExperiencePrecise(
-      sections.experience || "",
-      fullText
-    );
-    const education = this._parseEducationPrecise(
-      sections.education || "",
-      fullText
-    );
-    const skills = this._parseSkillsPrecise(sections.skills || "", fullText);
-    const projects = this._parseProjectsPrecise(
-      sections.projects || "",
-      fullText
+    // Section detection and precision extraction run as a pipeline strategy
+    const { sections, data: parsed } = ResumeParserPipeline.execute(
+      EnhancedPdfProcessor.strategy,
+      fullText,
+      { parser: this }
     );
+    const contact = parsed.contact;
 
     // Extract from form fields if available
     const formData = forms?.fieldValues || {};
@@ -260,13 +249,13 @@ class EnhancedPdfProcessor {
         },
         profiles: this._extractProfiles(fullText),
       },
-      work: experience,
-      education: education,
-      skills: skills,
-      projects: projects,
-      languages: this._parseLanguagesPrecise(fullText),
-      certifications: this._parseCertificationsPrecise(fullText),
-      references: this._parseReferencesPrecise(fullText),
+      work: parsed.work,
+      education: parsed.education,
+      skills: parsed.skills,
+      projects: parsed.projects,
+      languages: parsed.languages,
+      certifications: parsed.certifications,
+      references: parsed.references,
       rawData: {
         fullText: fullText,
         annotations: processingResult.annotations,
@@ -277,8 +266,37 @@ class EnhancedPdfProcessor {
   }
 
   /**
-   * Identify resume sections with enhanced pattern matching
+   * Stages run by ResumeParserPipeline (see src/parsers/pipeline.js)
    */
+  static strategy = {
+    name: "precise",
+    label: "PDF processor (precise extraction)",
+    create: () => new EnhancedPdfProcessor(),
+    // Enhanced section parsing with better accuracy
+    detectSections: (text, { parser }) => parser._identifySections(text),
+    extractors: {
+      contact: (sections, { parser, text }) => parser._extractContact(text),
+      work: (sections, { parser, text }) =>
+        parser._parseExperiencePrecise(sections.experience || "", text),
+      education: (sections, { parser, text }) =>
+        parser._parseEducationPrecise(sections.education || "", text),
+      skills: (sections, { parser, text }) =>
+        parser._parseSkillsPrecise(sections.skills || "", text),
+      projects: (sections, { parser, text }) =>
+        parser._parseProjectsPrecise(sections.projects || "", text),
+      languages: (sections, { parser, text }) => parser._parseLanguagesPrecise(text),
+      certifications: (sections, { parser, text }) =>
+        parser._parseCertificationsPrecise(text),
+      references: (sections, { parser, text }) => parser._parseReferencesPrecise(text),
+    },
+    sources: {
+      work: "experience",
+      education: "education",
+      skills: "skills",
+      projects: "projects",
+    },
+  };
+
   /**
    * CRITICAL FIX: Clean and normalize PDF text with malformed spacing
    * This handles irregular spacing from PDF extraction like "S h a n m u g a   P r i y a"
@@ -47,26 +47,66 @@ class EnhancedResumeNormalizer {
    * Main normalization method
    */
   normalize() {
-    const lines = this.rawText.split("\n").filter((line) => line.trim());
-
-    // Phase 1: Extract contact info
-    this._extractContactInfo(lines);
-
-    // Phase 2: Extract name (usually first line)
-    this._extractName(lines);
-
-    // Phase 3: Identify and extract sections
-    const sections = this._identifySections(lines);
-
-    // Phase 4: Parse identified sections
-    for (const [sectionType, sectionLines] of Object.entries(sections)) {
-      this._parseSection(sectionType, sectionLines);
-    }
+    const Pipeline =
+      typeof ResumeParserPipeline !== "undefined"
+        ? ResumeParserPipeline
+        : require("../parsers/pipeline.js");
+    return Pipeline.execute(EnhancedResumeNormalizer.strategy, this.rawText, {
+      parser: this,
+    }).data;
+  }
 
-    // Phase 5: Post-process and clean
-    this._postProcess();
+  /**
+   * Stages run by ResumeParserPipeline (see src/parsers/pipeline.js).
+   * Section parsers fill this.data, so extractors return the filled field.
+   */
+  static strategy = {
+    name: "structured",
+    label: "Structured normalizer",
+    create: (text, options) =>
+      new EnhancedResumeNormalizer({ text: text, structured: options.structured }),
+    // Identify sections by detecting common headers
+    detectSections: (text, { parser }) =>
+      parser._identifySections(text.split("\n").filter((line) => line.trim())),
+    extractors: {
+      basics: (sections, { parser, text }) => {
+        const lines = text.split("\n").filter((line) => line.trim());
+        parser._extractContactInfo(lines);
+        parser._extractName(lines);
+        parser._parseSection("summary", sections.summary);
+        return parser.data.basics;
+      },
+      work: this._sectionExtractor("experience", "work"),
+      education: this._sectionExtractor("education", "education"),
+      skills: this._sectionExtractor("skills", "skills"),
+      projects: this._sectionExtractor("projects", "projects"),
+      languages: this._sectionExtractor("languages", "languages"),
+      certifications: this._sectionExtractor("certifications", "certifications"),
+      references: this._sectionExtractor("references", "references"),
+    },
+    sources: {
+      work: "experience",
+      education: "education",
+      skills: "skills",
+      projects: "projects",
+      languages: "languages",
+      certifications: "certifications",
+      references: "references",
+    },
+    // Post-process and clean
+    postProcess: [
+      (data, { parser }) => {
+        parser._postProcess();
+        return parser.data;
+      },
+    ],
+  };
 
-    return this.data;
+  static _sectionExtractor(sectionType, field) {
+    return (sections, { parser }) => {
+      parser._parseSection(sectionType, sections[sectionType] || []);
+      return parser.data[field];
+    };
   }
 
   /**
@@ -612,4 +652,10 @@ class EnhancedResumeNormalizer {
 }
 
 // Export for use
-window.EnhancedResumeNormalizer = EnhancedResumeNormalizer;
+if (typeof window !== "undefined") {
+  window.EnhancedResumeNormalizer = EnhancedResumeNormalizer;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EnhancedResumeNormalizer;
+}
@@ -0,0 +1,101 @@
+/**
+ * ExperienceAnalytics
+ *
+ * Years of experience and per-role tenure from the normalized `work` dates,
+ * for templates and the data preview:
+ * - analyze(work) -> { totalMonths, roles: [{ months, isCurrent }, ...] }
+ *   Overlapping roles are merged, so two jobs held at the same time count
+ *   once in the total. Roles without a readable start date get months: null.
+ * - formatDuration(41) -> "3 yrs 5 mos"; other languages pass their units
+ *   (TemplateTranslations.durationUnits)
+ *
+ * Month ranges are inclusive ("Jan 2020 - Dec 2020" is 12 months). A role
+ * with a start date and no end date is current, like the dateRange template
+ * helper; "Present" runs through the current month. A year-only start
+ * counts from January and a year-only end through December, so
+ * "2020 - 2020" is 12 months and "2019-06 - 2020" is 19.
+ */
+
+class ExperienceAnalytics {
+  static units = { year: "yr", years: "yrs", month: "mo", months: "mos" };
+
+  /**
+   * Tenure for each work entry (same order as `work`) and the total with
+   * overlaps merged. Options: now (default new Date()), for "Present".
+   */
+  static analyze(work, { now = new Date() } = {}) {
+    const roles = (Array.isArray(work) ? work : []).map((job) => this.tenure(job, { now }));
+
+    const intervals = roles
+      .filter((role) => role.months !== null)
+      .map((role) => [role.start, role.end])
+      .sort((a, b) => a[0] - b[0]);
+
+    let totalMonths = 0;
+    let current = null;
+    for (const [start, end] of intervals) {
+      if (current && start <= current[1]) {
+        current[1] = Math.max(current[1], end);
+        continue;
+      }
+      if (current) totalMonths += current[1] - current[0];
+      current = [start, end];
+    }
+    if (current) totalMonths += current[1] - current[0];
+
+    return {
+      totalMonths,
+      years: Math.floor(totalMonths / 12),
+      roles: roles.map(({ months, isCurrent }) => ({ months, isCurrent })),
+    };
+  }
+
+  /**
+   * Tenure of one work entry: { months, isCurrent, start, end } where start
+   * and end are month indexes (end exclusive), or months: null when the
+   * dates can't be read or end before they start
+   */
+  static tenure(job, { now = new Date() } = {}) {
+    const Dates = this._dates();
+    const unknown = { months: null, isCurrent: false, start: null, end: null };
+    const startDate = Dates.parse(job && job.startDate);
+    if (!startDate || !startDate.year) return unknown;
+
+    const endDate = Dates.parse(job.endDate) || Dates.parse("present");
+    const start = Dates.toMonthIndex(startDate, now);
+    const last = Dates.toMonthIndex(endDate, now);
+    if (last === null) return unknown;
+
+    // A year-only end date runs through December of that year
+    const end = endDate.precision === "year" ? last + 12 : last + 1;
+    if (end <= start) return unknown;
+
+    return { months: end - start, isCurrent: endDate.isPresent, start, end };
+  }
+
+  /**
+   * "3 yrs 5 mos", "1 yr", "7 mos"; "" for null or 0 months
+   */
+  static formatDuration(months, units = this.units) {
+    if (!months) return "";
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    if (years) parts.push(`${years} ${years === 1 ? units.year : units.years}`);
+    if (rest) parts.push(`${rest} ${rest === 1 ? units.month : units.months}`);
+    return parts.join(" ");
+  }
+
+  static _dates() {
+    return typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ExperienceAnalytics = ExperienceAnalytics;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ExperienceAnalytics;
+}
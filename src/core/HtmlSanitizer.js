@@ -0,0 +1,93 @@
+/**
+ * HtmlSanitizer
+ *
+ * The escaping layer between resume data and template HTML. Resume data
+ * comes from PDFs and imported JSON files, so any string may hold markup:
+ * - escape: HTML-escape text for element content and quoted attributes
+ * - sanitizeUrl: keep http(s), mailto and tel links (and data: images for
+ *   photos); anything else, e.g. javascript: URLs, becomes ""
+ * - sanitizeData: a copy of the resume with every string escaped and every
+ *   URL field sanitized, at any depth and in arrays (profiles[].url, a
+ *   project's urls list). TemplateRenderer.render passes templates only
+ *   this copy, so template code can interpolate fields directly.
+ */
+
+class HtmlSanitizer {
+  // Fields holding links or images, checked with sanitizeUrl. Keys ending
+  // in "url" or "urls" (githubUrl, imageUrl) are URL fields too.
+  static urlFields = [
+    "url", "urls", "website", "websites", "homepage", "link", "links", "href",
+    "image", "picture", "photo", "avatar",
+  ];
+  static imageFields = ["image", "picture", "photo", "avatar", "imageurl", "pictureurl", "photourl", "avatarurl"];
+
+  static safeSchemes = ["http", "https", "mailto", "tel"];
+
+  static escape(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * The URL if its scheme is safe, else "". URLs without a scheme
+   * ("linkedin.com/in/jane") are kept: browsers treat them as relative.
+   */
+  static sanitizeUrl(url, { image = false } = {}) {
+    if (typeof url !== "string") return "";
+    const trimmed = url.trim();
+    // Browsers ignore tabs, newlines and control characters in the scheme
+    // ("java\tscript:"), so check a copy without them
+    const compact = trimmed.replace(/[\u0000- \u007f]/g, "").toLowerCase();
+
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return trimmed;
+    if (this.safeSchemes.includes(scheme[1])) return trimmed;
+    if (image && /^data:image\/(png|jpe?g|gif|webp);base64,/.test(compact)) return trimmed;
+    return "";
+  }
+
+  static isUrlField(key) {
+    if (typeof key !== "string") return false;
+    const name = key.toLowerCase();
+    return this.urlFields.includes(name) || /urls?$/.test(name);
+  }
+
+  /**
+   * Escaped copy of resume data. Numbers and booleans are kept as they are;
+   * the original data is not modified. Strings in an array take the array's
+   * key, so every entry of a URL list is sanitized.
+   */
+  static sanitizeData(value, key = null) {
+    if (typeof value === "string") {
+      if (this.isUrlField(key)) {
+        const image = this.imageFields.includes(key.toLowerCase());
+        return this.escape(this.sanitizeUrl(value, { image: image }));
+      }
+      return this.escape(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.sanitizeData(item, key));
+    }
+    if (value && typeof value === "object") {
+      const copy = {};
+      for (const [field, item] of Object.entries(value)) {
+        copy[field] = this.sanitizeData(item, field);
+      }
+      return copy;
+    }
+    return value;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.HtmlSanitizer = HtmlSanitizer;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HtmlSanitizer;
+}
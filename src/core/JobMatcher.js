@@ -0,0 +1,337 @@
+/**
+ * JobMatcher
+ *
+ * Compares a resume with a pasted job description:
+ * - extractKeywords(text): skills and keywords the posting asks for, from a
+ *   vocabulary of common skills (with aliases like "k8s" or "Postgres") plus
+ *   acronyms such as "HIPAA" where they read as skills: on a line that
+ *   names a vocabulary term, or in a list ("HIPAA or SOC2"). Degrees,
+ *   places, quarters and pay terms are never keywords. Keywords under
+ *   "Nice to have" / "Preferred"
+ *   headings, or on a line saying "a plus", are optional; the rest count as
+ *   required and weigh twice as much in the score.
+ * - match(resumeData, text): match score (0-100), where each keyword was
+ *   found (skill keywords, work summaries and highlights), and for missing
+ *   keywords where they could go
+ * - findAll(text, terms): keyword positions in any text, used to highlight
+ *   matched terms in the preview
+ */
+
+class JobMatcher {
+  // Skills recognized in job descriptions, by kind. The kind decides where
+  // a missing keyword is suggested: tools and technologies in the skills,
+  // practices and soft skills in the work highlights.
+  static vocabulary = {
+    languages: [
+      "JavaScript", "TypeScript", "Python", "Java", "C#", "C++", "Go", "Rust", "Ruby", "PHP",
+      "Kotlin", "Swift", "Scala", "SQL", "Bash", "HTML", "CSS",
+    ],
+    frameworks: [
+      "React", "Angular", "Vue", "Svelte", "Next.js", "Node.js", "Express", "Django", "Flask",
+      "FastAPI", "Spring", "Rails", "Laravel", ".NET", "GraphQL", "REST", "jQuery", "Redux",
+      "TensorFlow", "PyTorch", "Pandas",
+    ],
+    cloud: [
+      "AWS", "Azure", "GCP", "Docker", "Kubernetes", "Terraform", "Ansible", "Linux", "CI/CD",
+      "Jenkins", "GitHub Actions", "Serverless", "Microservices",
+    ],
+    data: [
+      "PostgreSQL", "MySQL", "MongoDB", "Redis", "Elasticsearch", "Kafka", "Spark", "Hadoop",
+      "Snowflake", "BigQuery", "Tableau", "Power BI", "Excel", "ETL", "Machine Learning",
+      "Data Analysis", "Statistics",
+    ],
+    tools: ["Git", "Jira", "Confluence", "Figma", "Salesforce", "SAP", "Webpack"],
+    practices: [
+      "Agile", "Scrum", "Kanban", "TDD", "Unit Testing", "Code Review", "System Design",
+      "DevOps", "Security", "Accessibility", "SEO", "API Design",
+    ],
+    soft: [
+      "Leadership", "Communication", "Mentoring", "Stakeholder Management",
+      "Project Management", "Product Management", "Problem Solving", "Collaboration",
+    ],
+  };
+
+  // Other spellings, matched as the vocabulary term
+  static aliases = {
+    JavaScript: ["JS", "ECMAScript"],
+    TypeScript: ["TS"],
+    Go: ["Golang"],
+    "C#": ["C Sharp"],
+    React: ["React.js", "ReactJS"],
+    Vue: ["Vue.js", "VueJS"],
+    "Node.js": ["Node", "NodeJS"],
+    "Next.js": ["NextJS"],
+    AWS: ["Amazon Web Services"],
+    GCP: ["Google Cloud", "Google Cloud Platform"],
+    Kubernetes: ["K8s"],
+    "CI/CD": ["Continuous Integration", "Continuous Delivery", "Continuous Deployment"],
+    PostgreSQL: ["Postgres"],
+    MongoDB: ["Mongo"],
+    "Machine Learning": ["ML"],
+    TDD: ["Test-Driven Development", "Test Driven Development"],
+    "Unit Testing": ["Unit Tests"],
+    "Code Review": ["Code Reviews"],
+    Mentoring: ["Mentorship", "Mentor", "Mentored"],
+    Collaboration: ["Collaborate", "Collaborative"],
+    Communication: ["Communicator", "Communication Skills"],
+    "Stakeholder Management": ["Stakeholders"],
+  };
+
+  // Terms that are ordinary words in other cases ("go", "express", "rest")
+  static caseSensitive = [
+    "Go", "Swift", "Spring", "Express", "Rust", "Rails", "REST", "Spark", "Excel", "SAP", "Node",
+    "JS", "TS", "ML",
+  ];
+
+  // Capitalized words that are not skills
+  static acronymStopWords = [
+    "US", "USA", "EU", "UK", "CV", "HR", "IT", "OR", "AND", "WE", "YOU", "EEO", "EOE", "PTO",
+    "CEO", "CTO", "CFO", "VP", "FAQ", "ID", "OK", "AM", "PM", "ASAP", "TBD", "TL", "DR",
+    // Degrees
+    "BS", "BSC", "BA", "MS", "MSC", "MA", "MBA", "PHD", "BE", "BTECH", "MTECH", "GED",
+    // US states, cities and time zones
+    "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI", "IA", "IL", "IN",
+    "KS", "KY", "LA", "MD", "ME", "MI", "MN", "MO", "MT", "NC", "ND", "NE", "NH", "NJ", "NM",
+    "NV", "NY", "OH", "PA", "RI", "SC", "SD", "TN", "TX", "UT", "VA", "VT", "WA", "WI", "WV",
+    "WY", "NYC", "SF", "SFO", "ATL", "CHI", "BOS", "SEA", "EST", "EDT", "CST", "PST", "PDT",
+    "CET", "GMT", "UTC",
+    // Quarters and pay
+    "Q1", "Q2", "Q3", "Q4", "H1", "H2", "FY", "RSU", "RSUS", "ESPP", "401K", "OTE", "USD",
+    "EUR", "GBP", "HSA", "FSA",
+  ];
+
+  static requiredWeight = 2;
+  static optionalWeight = 1;
+
+  // ==================== JOB DESCRIPTION ====================
+
+  /**
+   * Keywords in a job description: { term, kind, required, count }, in the
+   * order they first appear
+   */
+  static extractKeywords(text) {
+    const keywords = new Map();
+    let optionalSection = false;
+
+    for (const line of String(text || "").split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      if (this._isHeading(trimmed)) {
+        optionalSection = /nice to have|preferred|bonus|plus|desirable|optional/i.test(trimmed);
+      }
+      const optional = optionalSection || /\b(a plus|nice to have|preferred|bonus)\b/i.test(trimmed);
+
+      for (const found of this.findAll(trimmed, this._candidates(trimmed))) {
+        const existing = keywords.get(found.term);
+        if (existing) {
+          existing.count++;
+          existing.required = existing.required || !optional;
+        } else {
+          keywords.set(found.term, { term: found.term, kind: found.kind, required: !optional, count: 1 });
+        }
+      }
+    }
+    return Array.from(keywords.values());
+  }
+
+  static _isHeading(line) {
+    return line.length < 60 && (/:$/.test(line) || /^#+\s/.test(line) || line === line.toUpperCase());
+  }
+
+  /**
+   * Vocabulary terms plus the acronyms in this text that read as skills
+   * ("HIPAA", "S3"): the line names a vocabulary term, or the acronym is a
+   * list item. Lines in capitals are headings, not acronyms.
+   */
+  static _candidates(text) {
+    const terms = this.terms();
+    if (text === text.toUpperCase()) return terms;
+
+    const known = new Set(terms.flatMap((term) => term.forms.map((form) => form.toLowerCase())));
+    const skillLine = this.findAll(text, terms).length > 0;
+    for (const match of text.matchAll(/\b[A-Z][A-Z0-9]{1,5}\b/g)) {
+      const acronym = match[0];
+      if (known.has(acronym.toLowerCase()) || this.acronymStopWords.includes(acronym)) continue;
+      if (!skillLine && !this._inList(text, match.index, match.index + acronym.length)) continue;
+      known.add(acronym.toLowerCase());
+      terms.push({ term: acronym, kind: "other", forms: [acronym] });
+    }
+    return terms;
+  }
+
+  // Whether text[start, end) is an item of a list: a comma, slash, "and" or
+  // "or" right before or after it
+  static _inList(text, start, end) {
+    return /(?:[,/]|\b(?:and|or))\s*$/.test(text.slice(0, start)) || /^\s*(?:[,/]|(?:and|or)\b)/.test(text.slice(end));
+  }
+
+  /**
+   * Vocabulary as { term, kind, forms } (forms: the term and its aliases)
+   */
+  static terms() {
+    const terms = [];
+    for (const [kind, list] of Object.entries(this.vocabulary)) {
+      for (const term of list) {
+        terms.push({ term, kind, forms: [term].concat(this.aliases[term] || []) });
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Non-overlapping occurrences of the terms in a text, in order:
+   * { start, end, term, kind }. Longer forms win ("Google Cloud Platform"
+   * over "Google Cloud").
+   */
+  static findAll(text, terms = this.terms()) {
+    const found = [];
+    for (const term of terms) {
+      for (const form of term.forms) {
+        for (const match of String(text).matchAll(this._pattern(form))) {
+          const start = match.index + match[1].length;
+          const end = match.index + match[0].length;
+          found.push({ start, end, term: term.term, kind: term.kind });
+        }
+      }
+    }
+
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const result = [];
+    for (const item of found) {
+      const last = result[result.length - 1];
+      if (!last || item.start >= last.end) result.push(item);
+    }
+    return result;
+  }
+
+  // Whole words only: "Java" is not found in "JavaScript", "Go" not in
+  // "Google"; symbols count as part of a term ("C++", ".NET", "Node.js")
+  static _pattern(form) {
+    const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    const flags = this.caseSensitive.includes(form) ? "g" : "gi";
+    return new RegExp(`(^|[^A-Za-z0-9+#])${escaped}(?![A-Za-z0-9+#]|\\.[A-Za-z])`, flags);
+  }
+
+  // ==================== RESUME ====================
+
+  /**
+   * Compare a resume with a job description (text or extractKeywords
+   * result): { score, keywords, matched, missing }. score is null when the
+   * posting has no recognized keywords.
+   */
+  static match(resumeData, job) {
+    const keywords = typeof job === "string" ? this.extractKeywords(job) : job || [];
+    const sources = this.resumeSources(resumeData);
+    const matched = [];
+    const missing = [];
+    let total = 0;
+    let earned = 0;
+
+    for (const keyword of keywords) {
+      const weight = keyword.required ? this.requiredWeight : this.optionalWeight;
+      const terms = [this.termFor(keyword)];
+      const foundIn = sources
+        .filter((source) => this.findAll(source.text, terms).length > 0)
+        .map((source) => source.label);
+
+      total += weight;
+      if (foundIn.length > 0) {
+        earned += weight;
+        matched.push({ ...keyword, foundIn: Array.from(new Set(foundIn)) });
+      } else {
+        missing.push({ ...keyword, suggestion: this.suggest(keyword, resumeData) });
+      }
+    }
+
+    return {
+      score: total > 0 ? Math.round((earned / total) * 100) : null,
+      keywords,
+      matched,
+      missing,
+    };
+  }
+
+  /**
+   * Resume text searched for keywords: { label, text } for the skills and
+   * each job's summary and highlights
+   */
+  static resumeSources(resumeData) {
+    const data = resumeData || {};
+    const sources = [];
+    for (const skill of data.skills || []) {
+      sources.push({
+        label: skill.name ? `Skills: ${skill.name}` : "Skills",
+        text: [skill.name].concat(skill.keywords || []).filter(Boolean).join(", "),
+      });
+    }
+    for (const job of data.work || []) {
+      const title = this._jobTitle(job);
+      if (job.summary) sources.push({ label: `${title} summary`, text: job.summary });
+      if (job.highlights && job.highlights.length > 0) {
+        sources.push({ label: `${title} highlights`, text: job.highlights.join("\n") });
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Where a missing keyword could go: { section, index, text }.
+   * Technologies go into the skills category of the same kind if there is
+   * one, practices and soft skills into the latest job's highlights.
+   */
+  static suggest(keyword, resumeData) {
+    const data = resumeData || {};
+    const work = data.work || [];
+    const skills = data.skills || [];
+
+    if ((keyword.kind === "practices" || keyword.kind === "soft") && work.length > 0) {
+      return {
+        section: "work",
+        index: 0,
+        text: `Show it in a highlight for ${this._jobTitle(work[0])}`,
+      };
+    }
+
+    const category = this.categoryPatterns[keyword.kind];
+    const index = category ? skills.findIndex((skill) => category.test(skill.name || "")) : -1;
+    if (index >= 0) {
+      return { section: "skills", index, text: `Add it to your "${skills[index].name}" skills` };
+    }
+    if (skills.length > 0) {
+      return { section: "skills", index: null, text: "Add it to your skills" };
+    }
+    return { section: "skills", index: null, text: "Add a skills section that lists it" };
+  }
+
+  // Skill category names that fit each kind of keyword
+  static categoryPatterns = {
+    languages: /language|programming/i,
+    frameworks: /framework|librar|frontend|front-end|backend|back-end|web/i,
+    cloud: /cloud|devops|infra|platform/i,
+    data: /data|database|analytics/i,
+    tools: /tool/i,
+  };
+
+  /**
+   * A keyword as findAll terms: vocabulary keywords with their aliases
+   */
+  static termFor(keyword) {
+    const known = this.terms().find((term) => term.term === keyword.term);
+    return known || { term: keyword.term, kind: keyword.kind, forms: [keyword.term] };
+  }
+
+  static _jobTitle(job) {
+    const company = job.company || job.name;
+    return [job.position, company].filter(Boolean).join(" at ") || "your latest role";
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.JobMatcher = JobMatcher;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JobMatcher;
+}
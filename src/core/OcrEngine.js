@@ -0,0 +1,143 @@
+/**
+ * OcrEngine
+ *
+ * OFFLINE TEXT RECOGNITION FOR SCANNED PAGES
+ * Wraps tesseract.js loaded from vendor/tesseract/ (never a CDN), the same
+ * way pdf.js is served from vendor/:
+ * - Lazy-loads the engine script and one worker per language set
+ * - Recognizes a canvas (e.g. from PdfMasterApi.renderPageToCanvas)
+ * - Returns text with per-word and per-line confidence (0-1) and boxes
+ *
+ * See vendor/tesseract/README.md for the files to copy.
+ */
+
+class OcrEngine {
+  constructor(options = {}) {
+    this.basePath = options.basePath || "vendor/tesseract/";
+    this.languages = OcrEngine.toTesseractLanguages(options.languages || ["en"]);
+    this.logger = options.logger || null;
+    this.worker = null;
+  }
+
+  /**
+   * ISO 639-1 codes used across the app -> tesseract traineddata names
+   */
+  static get languageCodes() {
+    return {
+      en: "eng",
+      de: "deu",
+      fr: "fra",
+      es: "spa",
+      it: "ita",
+      pt: "por",
+      nl: "nld",
+    };
+  }
+
+  static toTesseractLanguages(languages) {
+    return languages.map((code) => OcrEngine.languageCodes[code] || code);
+  }
+
+  // ==================== ENGINE ====================
+
+  /**
+   * Load tesseract.js and start a worker with local engine and language files
+   */
+  async load() {
+    if (this.worker) return this;
+
+    const Tesseract = await this._ensureTesseract();
+    // Absolute URLs: the worker resolves paths against its own location
+    const base = new URL(this.basePath, document.baseURI).href;
+    this.worker = await Tesseract.createWorker(this.languages, 1, {
+      workerPath: base + "worker.min.js",
+      corePath: base + "core/",
+      langPath: base + "lang/",
+      gzip: true,
+      workerBlobURL: false,
+      logger: this.logger || undefined,
+    });
+    return this;
+  }
+
+  async _ensureTesseract() {
+    if (window.Tesseract) return window.Tesseract;
+
+    await new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = this.basePath + "tesseract.min.js";
+      script.onload = resolve;
+      script.onerror = () =>
+        reject(
+          new Error(
+            `OCR engine not found in ${this.basePath}. See vendor/tesseract/README.md to add it.`
+          )
+        );
+      document.head.appendChild(script);
+    });
+
+    if (!window.Tesseract) {
+      throw new Error("tesseract.min.js loaded but window.Tesseract is missing");
+    }
+    return window.Tesseract;
+  }
+
+  /**
+   * Recognize text in a canvas, image or image URL
+   * Returns { text, confidence, words: [{ text, confidence, bbox }], lines }
+   */
+  async recognize(image) {
+    await this.load();
+    const { data } = await this.worker.recognize(image, {}, { text: true, blocks: true });
+    return OcrEngine.fromTesseract(data);
+  }
+
+  async terminate() {
+    if (this.worker) {
+      await this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  // ==================== RESULTS ====================
+
+  /**
+   * Normalize tesseract.js output (flat `words` in v5, a blocks tree in
+   * v6+) and its 0-100 confidences to 0-1
+   */
+  static fromTesseract(data) {
+    const lines = Array.isArray(data.lines)
+      ? data.lines
+      : (data.blocks || []).flatMap((block) =>
+          (block.paragraphs || []).flatMap((paragraph) => paragraph.lines || [])
+        );
+    const words = Array.isArray(data.words) ? data.words : lines.flatMap((line) => line.words || []);
+
+    const toResult = (entry) => ({
+      text: (entry.text || "").trim(),
+      confidence: OcrEngine._unit(entry.confidence),
+      bbox: entry.bbox || null,
+    });
+
+    return {
+      text: (data.text || "").trim(),
+      confidence: OcrEngine._unit(data.confidence),
+      words: words.map(toResult).filter((word) => word.text),
+      lines: lines.map(toResult).filter((line) => line.text),
+    };
+  }
+
+  static _unit(confidence) {
+    const value = Number(confidence) || 0;
+    return Math.round(Math.min(Math.max(value / 100, 0), 1) * 100) / 100;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.OcrEngine = OcrEngine;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = OcrEngine;
+}
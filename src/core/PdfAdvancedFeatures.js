@@ -4,7 +4,7 @@
  * ADVANCED PDF.JS FEATURES MODULE
  * - Parallel PDF processing with worker pool
  * - Batch operations
- * - OCR-like text recognition
+ * - OCR for scanned pages (OcrEngine, offline tesseract.js)
  * - Advanced rendering options
  * - Performance optimization
  * - Caching strategies
@@ -85,39 +85,141 @@ class PdfAdvancedFeatures {
   }
 
   /**
-   * Multi-page text extraction with OCR-like processing
+   * Multi-page text extraction with OCR for pages without a text layer.
+   * Options:
+   * - useOcr: false (text layer only), true (OCR pages whose text layer is
+   *   empty) or "always" (OCR every page)
+   * - pages: page numbers to extract (default: all)
+   * - languages: ISO codes for the OCR engine (default ["en"])
+   * - confidence: words the engine is less sure of are flagged lowConfidence
+   * - scale: render scale for OCR (2 = 144 dpi)
+   * - engine: OcrEngine instance to reuse (default: a new one, terminated after)
+   * - onProgress({ pageNumber, numPages, source })
+   * A page that cannot be read or recognized is listed in failedPages; an
+   * OCR engine that fails to load rejects the whole call.
    */
   async extractTextWithOcr(pdfDoc, options = {}) {
-    const { useOcr = false, languages = ["en"], confidence = 0.7 } = options;
+    const {
+      useOcr = false,
+      pages = null,
+      languages = ["en"],
+      confidence = 0.7,
+      scale = 2,
+      minTextLength = 20,
+      engine = null,
+      onProgress = null,
+    } = options;
 
     const results = {
       pages: [],
       fullText: "",
       confidence: 1.0,
       detectedLanguages: [],
+      lowConfidenceWords: [],
+      ocrPages: 0,
+      failedPages: [],
     };
 
-    for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
-      try {
-        const page = await this.api.getPage(pdfDoc, pageNum);
-        const textData = await this.api.extractPageText(page, {
-          includeLayout: true,
-          includeFontInfo: true,
-        });
+    const pageNumbers = pages || Array.from({ length: pdfDoc.numPages }, (_, i) => i + 1);
+    let ocr = engine;
+    try {
+      for (const pageNum of pageNumbers) {
+        let page;
+        let textData;
+        try {
+          page = await this.api.getPage(pdfDoc, pageNum);
+          textData = await this.api.extractPageText(page, {
+            includeLayout: true,
+            includeFontInfo: true,
+          });
+        } catch (error) {
+          results.failedPages.push(pageNum);
+          continue;
+        }
+
+        // Scanned pages have no (or only stray) text layer characters
+        const hasTextLayer = textData.fullText.replace(/\s+/g, "").length >= minTextLength;
+        const runOcr = useOcr === "always" || (useOcr && !hasTextLayer);
+
+        if (onProgress) {
+          onProgress({
+            pageNumber: pageNum,
+            numPages: pdfDoc.numPages,
+            source: runOcr ? "ocr" : "text",
+          });
+        }
+
+        if (!runOcr) {
+          results.pages.push({
+            pageNumber: pageNum,
+            text: textData.fullText,
+            confidence: 1.0,
+            lines: textData.lines,
+            source: "text",
+          });
+          results.fullText += textData.fullText + "\n---PAGE BREAK---\n";
+          continue;
+        }
 
+        if (!ocr) {
+          const Engine = typeof OcrEngine !== "undefined" ? OcrEngine : require("./OcrEngine.js");
+          ocr = new Engine({ languages });
+        }
+        // Outside the page's try: a missing or broken engine fails every page
+        await ocr.load();
+
+        let recognized;
+        try {
+          const canvas = document.createElement("canvas");
+          await this.api.renderPageToCanvas(page, canvas, {
+            scale,
+            renderText: false,
+          });
+          recognized = await ocr.recognize(canvas);
+        } catch (error) {
+          results.failedPages.push(pageNum);
+          continue;
+        }
+
+        const words = recognized.words.map((word) => ({
+          ...word,
+          pageNumber: pageNum,
+          lowConfidence: word.confidence < confidence,
+        }));
         results.pages.push({
           pageNumber: pageNum,
-          text: textData.fullText,
-          confidence: confidence,
-          lines: textData.lines,
+          text: recognized.text,
+          confidence: recognized.confidence,
+          lines: recognized.lines,
+          words: words,
+          source: "ocr",
         });
-
-        results.fullText += textData.fullText + "\n---PAGE BREAK---\n";
-      } catch (error) {
-        console.warn(`OCR extraction failed for page ${pageNum}:`, error);
+        results.lowConfidenceWords.push(...words.filter((w) => w.lowConfidence));
+        results.fullText += recognized.text + "\n---PAGE BREAK---\n";
+        results.ocrPages++;
+      }
+    } finally {
+      // Only release workers this call started
+      if (ocr && !engine) {
+        await ocr.terminate();
       }
     }
 
+    if (results.ocrPages > 0) {
+      results.detectedLanguages = languages;
+    }
+
+    // Overall confidence, weighted by how much text each page holds
+    const weights = results.pages.map((page) => Math.max(page.text.length, 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total > 0) {
+      results.confidence =
+        Math.round(
+          (results.pages.reduce((sum, page, i) => sum + page.confidence * weights[i], 0) / total) *
+            100
+        ) / 100;
+    }
+
     return results;
   }
 
@@ -492,3 +594,7 @@ class PdfAdvancedFeatures {
 if (typeof window !== "undefined") {
   window.PdfAdvancedFeatures = PdfAdvancedFeatures;
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PdfAdvancedFeatures;
+}
@@ -360,11 +360,18 @@ class PdfMasterApi {
 
       // Organize text by layout
       if (includeLayout) {
+        // Font names (and so bold weight) resolve with the operator list
+        const fonts =
+          includeFontInfo && typeof PdfLayoutAnalyzer !== "undefined"
+            ? await PdfLayoutAnalyzer.resolveFonts(page, textContent.items)
+            : {};
+
         return this._analyzeTextLayout(
           textContent,
           page,
           includeFontInfo,
-          normalizeSpacing
+          normalizeSpacing,
+          fonts
         );
       }
 
@@ -380,9 +387,11 @@ class PdfMasterApi {
   }
 
   /**
-   * Analyze text layout and positioning
+   * Analyze text layout and positioning.
+   * With includeFontInfo each line gets its dominant fontSize, fontName and
+   * bold weight, and the result lists the lines styled as section headers.
    */
-  _analyzeTextLayout(textContent, page, includeFontInfo, normalize) {
+  _analyzeTextLayout(textContent, page, includeFontInfo, normalize, fonts = {}) {
     const viewport = page.getViewport({ scale: 1 });
     const lines = [];
     let currentLine = {
@@ -442,7 +451,7 @@ class PdfMasterApi {
       lines.push(currentLine);
     }
 
-    return {
+    const result = {
       lines: normalize
         ? lines.map((line) => ({
             ...line,
@@ -453,6 +462,32 @@ class PdfMasterApi {
       pageHeight: viewport.height,
       pageWidth: viewport.width,
     };
+
+    if (includeFontInfo && typeof PdfLayoutAnalyzer !== "undefined") {
+      const styled = result.lines.map((line) => {
+        const items = line.items.map((item) => ({
+          str: item.text || "",
+          transform: [1, 0, 0, 1, item.x, item.y],
+          width: item.width,
+          height: item.height,
+          fontName: item.fontName,
+        }));
+        const style = PdfLayoutAnalyzer.lineStyle(items, fonts);
+        line.fontSize = style.fontSize;
+        line.fontName = style.fontName;
+        line.bold = style.bold;
+
+        // Gap-aware join keeps split small caps ("E DUCATION") together
+        return { ...style, text: PdfLayoutAnalyzer.joinItems(items) };
+      });
+
+      if (typeof SectionHeaderDetector !== "undefined") {
+        const analysis = SectionHeaderDetector.analyze(styled);
+        result.headers = analysis ? analysis.headers : [];
+      }
+    }
+
+    return result;
   }
 
   /**
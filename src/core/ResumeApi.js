@@ -0,0 +1,216 @@
+/**
+ * ResumeApi
+ *
+ * Parsing and rendering without the page: the steps behind "Parse",
+ * the preview and "Export HTML", for code that embeds them (index.mjs,
+ * src/node/ResumeToolkit.js):
+ * - parsePdf(data, { pdfjs }): pdf.js text and layout extraction
+ *   (PdfLayoutAnalyzer) plus the parser pipeline and confidence report
+ * - parseText(text): the same for text that is already extracted
+ * - readResume(json): JSON Resume import with validation
+ * - listTemplates(): the TemplateRenderer registry
+ * - render(resumeData, templateId, options): { html, css } of a template
+ * - renderPage(...): a standalone HTML page, as "Export HTML" saves it
+ * - exportText(resumeData, format): plain text or Markdown
+ *
+ * Uses no DOM and no Node modules, so it runs in browser bundles and in
+ * Node. pdf.js is passed in, or taken from the pdfjsLib global the page
+ * sets; ResumeToolkit finds it (and the templates/ folders) on disk.
+ */
+
+class ResumeApi {
+  // Same strategies as the app (PARSER_STRATEGIES in app.js)
+  static strategies = ["robust", "heuristic"];
+
+  // Fewer characters than this means the PDF has no text layer
+  static MIN_TEXT_LENGTH = 50;
+
+  static _parser = null;
+
+  // ==================== PARSING ====================
+
+  /**
+   * Parse a PDF (ArrayBuffer, Uint8Array or Buffer):
+   * { resumeData, confidence, language, text, layout }
+   */
+  static async parsePdf(data, { pdfjs = null } = {}) {
+    const { text, layout } = await this.extractPdf(data, pdfjs);
+    if (text.replace(/\s+/g, "").length < this.MIN_TEXT_LENGTH) {
+      throw new Error("No text layer found in this PDF. Scanned resumes need OCR: open them in the app.");
+    }
+    return { ...this.parseText(text, { layout }), text, layout };
+  }
+
+  /**
+   * Reading-order text and page layout of a PDF
+   */
+  static async extractPdf(data, pdfjs = null) {
+    const lib = pdfjs || (await this.loadPdfjs());
+    const task = lib.getDocument({
+      data: new Uint8Array(data),
+      isEvalSupported: false,
+      verbosity: 0,
+    });
+    const pdf = await task.promise;
+    try {
+      return await this._layoutAnalyzer().extractDocument(pdf);
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * pdf.js when none is passed: the pdfjsLib global index.html sets
+   */
+  static async loadPdfjs() {
+    if (typeof pdfjsLib !== "undefined") return pdfjsLib;
+    throw new Error('pdf.js is not loaded. Pass it in: parsePdf(data, { pdfjs: await import("pdfjs-dist") }).');
+  }
+
+  /**
+   * Parse extracted text: { resumeData, confidence, language }
+   */
+  static parseText(text, { layout = null } = {}) {
+    const parser = this.parser();
+    const strategies = this.strategies.filter((name) => parser.has(name));
+    const result = parser.parseDetailed(String(text || ""), { strategies, layout });
+    return {
+      resumeData: result.data,
+      confidence: this._confidence().assess(result),
+      language: result.language,
+    };
+  }
+
+  static parser() {
+    if (!this._parser) this._parser = this._pipeline().createDefault();
+    return this._parser;
+  }
+
+  // ==================== JSON RESUME ====================
+
+  /**
+   * Validated resume data from JSON Resume text or an object; throws with
+   * the validation errors
+   */
+  static readResume(json) {
+    const importer = new (this._importer())();
+    const result = typeof json === "string" ? importer.parse(json) : importer.validate(json);
+    if (!result.valid) {
+      throw new Error(`Not a valid resume:\n${result.errors.join("\n")}`);
+    }
+    return result.data;
+  }
+
+  // ==================== TEMPLATES ====================
+
+  /**
+   * Templates to register before listing or rendering. The built-in ones
+   * are registered by templates.js; ResumeToolkit adds templates/.
+   */
+  static async loadTemplates() {
+    this._templates();
+  }
+
+  /**
+   * Registered templates: [{ id, name, description, category, atsSafe }]
+   */
+  static async listTemplates() {
+    await this.loadTemplates();
+    const registry = this._registry();
+    return registry.list().map((id) => {
+      const { name, description, category, atsSafe } = registry.get(id);
+      return { id, name, description, category, atsSafe };
+    });
+  }
+
+  /**
+   * { html, css, template } of a resume. Without a template id or options,
+   * the template and settings saved in the resume's `meta` are used
+   * ("Download JSON" keeps them), else the classic template.
+   */
+  static async render(resumeData, templateId = null, options = null) {
+    const { id, settings } = await this._resolve(resumeData, templateId, options);
+    const { html = "", css = "" } = this._templates().renderTemplate(id, resumeData, settings);
+    return { html, css, template: id };
+  }
+
+  /**
+   * Standalone HTML page of a resume (same defaults as render)
+   */
+  static async renderPage(resumeData, templateId = null, options = null) {
+    const { id, settings } = await this._resolve(resumeData, templateId, options);
+    return this._templates().renderDocument(id, resumeData, settings);
+  }
+
+  static async _resolve(resumeData, templateId, options) {
+    await this.loadTemplates();
+    const saved = this._customizer().fromResume(resumeData);
+    const id = templateId || (saved && saved.template) || "classic";
+    if (!this._registry().has(id)) {
+      throw new Error(`Unknown template "${id}". Run list-templates to see the available ones.`);
+    }
+    return { id, settings: options || (saved && saved.options) || {} };
+  }
+
+  // ==================== TEXT EXPORT ====================
+
+  static exportText(resumeData, format) {
+    const exporter = this._textExporter();
+    if (!exporter.formats[format]) {
+      throw new Error(`Unknown format "${format}". Use ${Object.keys(exporter.formats).join(" or ")}.`);
+    }
+    return exporter.export(resumeData, format);
+  }
+
+  // ==================== MODULES ====================
+
+  static _pipeline() {
+    return typeof ResumeParserPipeline !== "undefined"
+      ? ResumeParserPipeline
+      : require("../parsers/pipeline.js");
+  }
+
+  static _confidence() {
+    return typeof ParseConfidence !== "undefined" ? ParseConfidence : require("../parsers/confidence.js");
+  }
+
+  static _layoutAnalyzer() {
+    return typeof PdfLayoutAnalyzer !== "undefined"
+      ? PdfLayoutAnalyzer
+      : require("../parsers/pdf-layout.js");
+  }
+
+  static _importer() {
+    return typeof JsonResumeImporter !== "undefined"
+      ? JsonResumeImporter
+      : require("../parsers/json-resume.js");
+  }
+
+  static _registry() {
+    return typeof TemplateRenderer !== "undefined" ? TemplateRenderer : require("./TemplateRenderer.js");
+  }
+
+  static _customizer() {
+    return typeof TemplateCustomizer !== "undefined" ? TemplateCustomizer : require("./TemplateCustomizer.js");
+  }
+
+  // templates.js: registers the built-in templates and renders them
+  static _templates() {
+    return typeof renderDocument !== "undefined"
+      ? { renderTemplate, renderDocument }
+      : require("../../templates.js");
+  }
+
+  static _textExporter() {
+    return typeof TextExporter !== "undefined" ? TextExporter : require("../exporters/TextExporter.js");
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeApi = ResumeApi;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeApi;
+}
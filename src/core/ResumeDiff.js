@@ -0,0 +1,182 @@
+/**
+ * ResumeDiff
+ *
+ * Field-level comparison of two versions of a resume's work, education and
+ * skills entries, for the version history:
+ * - Entries are matched by what identifies them (company and position,
+ *   institution and degree, skill category), then by company, institution
+ *   or category alone so an edited job title is a change, not a new job
+ * - Each entry is "added", "removed", "changed" or "unchanged"; changed
+ *   entries list their fields with the old and new value, and list fields
+ *   (highlights, keywords) the items that were added and removed
+ */
+
+class ResumeDiff {
+  static sections = {
+    work: {
+      title: "Experience",
+      fields: [
+        ["position", "Position"],
+        ["company", "Company"],
+        ["location", "Location"],
+        ["startDate", "Start Date"],
+        ["endDate", "End Date"],
+        ["url", "Website"],
+        ["summary", "Summary"],
+        ["highlights", "Highlights"],
+      ],
+      keys: ["company", "position"],
+    },
+    education: {
+      title: "Education",
+      fields: [
+        ["institution", "Institution"],
+        ["studyType", "Degree"],
+        ["area", "Field of Study"],
+        ["location", "Location"],
+        ["startDate", "Start Date"],
+        ["endDate", "End Date"],
+        ["score", "GPA / Score"],
+        ["courses", "Courses"],
+      ],
+      keys: ["institution", "studyType", "area"],
+    },
+    skills: {
+      title: "Skills",
+      fields: [
+        ["name", "Category"],
+        ["level", "Level"],
+        ["keywords", "Keywords"],
+      ],
+      keys: ["name"],
+    },
+  };
+
+  /**
+   * Compare two resumes: { work, education, skills } entry lists plus the
+   * number of added, removed and changed entries
+   */
+  static compare(before, after) {
+    const result = { changes: 0 };
+    for (const section of Object.keys(this.sections)) {
+      result[section] = this.compareSection(
+        section,
+        (before && before[section]) || [],
+        (after && after[section]) || []
+      );
+      result.changes += result[section].filter((entry) => entry.status !== "unchanged").length;
+    }
+    return result;
+  }
+
+  /**
+   * Entries in the newer version's order, with removed entries at the end
+   */
+  static compareSection(section, beforeEntries, afterEntries) {
+    const config = this.sections[section];
+    const unmatched = beforeEntries.map((entry, index) => index);
+    const pairs = afterEntries.map(() => null);
+
+    // Full identity first, then the first key alone
+    for (const keys of [config.keys, config.keys.slice(0, 1)]) {
+      afterEntries.forEach((entry, i) => {
+        if (pairs[i] !== null) return;
+        const id = this._identity(section, entry, keys);
+        if (!id) return;
+        const found = unmatched.find((j) => this._identity(section, beforeEntries[j], keys) === id);
+        if (found === undefined) return;
+        pairs[i] = found;
+        unmatched.splice(unmatched.indexOf(found), 1);
+      });
+    }
+
+    const entries = afterEntries.map((entry, i) => {
+      if (pairs[i] === null) {
+        return this._entry(section, "added", null, entry, []);
+      }
+      const previous = beforeEntries[pairs[i]];
+      const fields = this.compareEntries(section, previous, entry);
+      return this._entry(section, fields.length > 0 ? "changed" : "unchanged", previous, entry, fields);
+    });
+    for (const j of unmatched) {
+      entries.push(this._entry(section, "removed", beforeEntries[j], null, []));
+    }
+    return entries;
+  }
+
+  /**
+   * Changed fields of two entries: { key, label, before, after } and, for
+   * list fields, the added and removed items
+   */
+  static compareEntries(section, before, after) {
+    const changes = [];
+    for (const [key, label] of this.sections[section].fields) {
+      const a = this.value(before, key);
+      const b = this.value(after, key);
+      if (JSON.stringify(a) === JSON.stringify(b)) continue;
+
+      const change = { key, label, before: a, after: b };
+      if (Array.isArray(a) || Array.isArray(b)) {
+        const oldItems = [].concat(a || []);
+        const newItems = [].concat(b || []);
+        change.added = newItems.filter((item) => !oldItems.includes(item));
+        change.removed = oldItems.filter((item) => !newItems.includes(item));
+      }
+      changes.push(change);
+    }
+    return changes;
+  }
+
+  /**
+   * Comparable field value: empty strings and lists are null, and work
+   * entries read `company` or the JSON Resume `name`
+   */
+  static value(entry, key) {
+    if (!entry) return null;
+    let value = entry[key];
+    // Parsers fill `company`, JSON Resume files only `name`
+    if (key === "company" && !value) value = entry.name;
+
+    if (Array.isArray(value)) {
+      const items = value.map((item) => String(item).trim()).filter(Boolean);
+      return items.length > 0 ? items : null;
+    }
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === "" ? null : text;
+  }
+
+  /**
+   * "Engineer at Acme Corp", "Master's in Physics, MIT", "Languages"
+   */
+  static entryTitle(section, entry) {
+    if (!entry) return "";
+    const get = (key) => this.value(entry, key) || "";
+    if (section === "work") {
+      return [get("position"), get("company")].filter(Boolean).join(" at ") || "Untitled position";
+    }
+    if (section === "education") {
+      const degree = [get("studyType"), get("area")].filter(Boolean).join(" in ");
+      return [degree, get("institution")].filter(Boolean).join(", ") || "Untitled degree";
+    }
+    return get("name") || "Skills";
+  }
+
+  static _entry(section, status, before, after, fields) {
+    return { status, title: this.entryTitle(section, after || before), before, after, fields };
+  }
+
+  static _identity(section, entry, keys) {
+    const parts = keys.map((key) => (this.value(entry, key) || "").toLowerCase());
+    return parts.some(Boolean) ? parts.join("|") : null;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeDiff = ResumeDiff;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeDiff;
+}
@@ -0,0 +1,391 @@
+/**
+ * ResumeLibrary
+ *
+ * Saved resumes in the browser's IndexedDB, so a refresh or a closed tab
+ * does not lose the parsed data, the edits or the template choice:
+ * - save(entry): create or update a resume. An entry holds resumeData,
+ *   rawText, the original PDF bytes (pdfBytes), fileName, template,
+ *   templateOptions and the target jobDescription; a missing name comes
+ *   from the resume or the file
+ * - list(): summaries for the library panel, most recently saved first
+ * - get, rename, duplicate, delete by id
+ * - getLastSession / setLastSession: the resume to reopen on page load
+ * - versions(id) / restoreVersion(id, versionId): version history. Every
+ *   save that changes the resume data adds a version (entry.source says
+ *   why: "parse", "import", "edit", "restore", "duplicate"); edits within
+ *   VERSION_MERGE_WINDOW of the last edit update that version instead, so
+ *   typing does not add one per keystroke pause
+ *
+ * PDF bytes are kept in their own store so listing stays fast, and are only
+ * written when an entry includes `pdfBytes`. Nothing leaves the device.
+ */
+
+class ResumeLibrary {
+  static DB_NAME = "resume-library";
+  static DB_VERSION = 2;
+
+  static stores = {
+    resumes: "resumes", // { id, name, resumeData, rawText, fileName, template, templateOptions, ... }
+    files: "files", // { id, bytes }: original PDF, same id as the resume
+    session: "session", // { key: "last", id }
+    versions: "versions", // { id, resumeId, number, source, createdAt, updatedAt, resumeData }
+  };
+
+  // Oldest versions beyond this are dropped
+  static VERSION_LIMIT = 50;
+  // Edits this close to the last edit version are merged into it (ms)
+  static VERSION_MERGE_WINDOW = 60 * 1000;
+
+  constructor(options = {}) {
+    this.dbName = options.dbName || ResumeLibrary.DB_NAME;
+    this.indexedDB =
+      options.indexedDB || (typeof indexedDB !== "undefined" ? indexedDB : null);
+    this.db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  // ==================== DATABASE ====================
+
+  async open() {
+    if (this.db) return this;
+    if (!this.indexedDB) {
+      throw new Error("IndexedDB is not available, resumes cannot be saved in this browser");
+    }
+
+    const request = this.indexedDB.open(this.dbName, ResumeLibrary.DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const { resumes, files, session, versions } = ResumeLibrary.stores;
+      if (!db.objectStoreNames.contains(resumes)) db.createObjectStore(resumes, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(files)) db.createObjectStore(files, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(session)) db.createObjectStore(session, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(versions)) {
+        db.createObjectStore(versions, { keyPath: "id" }).createIndex("resumeId", "resumeId");
+      }
+    };
+    this.db = await ResumeLibrary._request(request);
+    return this;
+  }
+
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+
+  /**
+   * Run fn(stores) in one transaction; resolves with fn's result once the
+   * transaction has committed
+   */
+  async _transaction(names, mode, fn) {
+    await this.open();
+    const transaction = this.db.transaction(names, mode);
+    const stores = {};
+    for (const name of names) stores[name] = transaction.objectStore(name);
+
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error("Resume library transaction aborted"));
+    });
+    const result = await fn(stores);
+    await done;
+    return result;
+  }
+
+  static _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ==================== RESUMES ====================
+
+  /**
+   * Create (no id) or update a resume; resolves with its summary
+   */
+  async save(entry) {
+    const { resumes, files, versions } = ResumeLibrary.stores;
+    const existing = entry.id ? await this._getRecord(entry.id) : null;
+    if (entry.id && !existing) {
+      throw new Error(`Saved resume "${entry.id}" not found`);
+    }
+
+    const now = new Date();
+    const record = ResumeLibrary.createRecord(entry, existing, now);
+    await this._transaction([resumes, files, versions], "readwrite", async (stores) => {
+      stores[resumes].put(record);
+      if ("pdfBytes" in entry) {
+        if (entry.pdfBytes) stores[files].put({ id: record.id, bytes: entry.pdfBytes });
+        else stores[files].delete(record.id);
+      }
+      if (!("resumeData" in entry) || !entry.resumeData) return;
+
+      const history = await ResumeLibrary._request(
+        stores[versions].index("resumeId").getAll(record.id)
+      );
+      history.sort((a, b) => b.number - a.number);
+      const version = ResumeLibrary.createVersion(record.id, entry, history[0], now);
+      if (!version) return;
+
+      stores[versions].put(version);
+      const kept = version.id === (history[0] && history[0].id) ? history : [version].concat(history);
+      for (const old of kept.slice(ResumeLibrary.VERSION_LIMIT)) {
+        stores[versions].delete(old.id);
+      }
+    });
+    return ResumeLibrary.summary(record);
+  }
+
+  /**
+   * Full saved resume with its PDF bytes (pdfBytes, or null), or null
+   */
+  async get(id) {
+    const { resumes, files } = ResumeLibrary.stores;
+    return this._transaction([resumes, files], "readonly", async (stores) => {
+      const [record, file] = await Promise.all([
+        ResumeLibrary._request(stores[resumes].get(id)),
+        ResumeLibrary._request(stores[files].get(id)),
+      ]);
+      return record ? { ...record, pdfBytes: file ? file.bytes : null } : null;
+    });
+  }
+
+  async list() {
+    const { resumes } = ResumeLibrary.stores;
+    const records = await this._transaction([resumes], "readonly", (stores) =>
+      ResumeLibrary._request(stores[resumes].getAll())
+    );
+    return records
+      .map((record) => ResumeLibrary.summary(record))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async rename(id, name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new Error("A saved resume needs a name");
+    return this.save({ id, name: trimmed });
+  }
+
+  /**
+   * Copy a resume, PDF included, as "Name (copy)"; resolves with the copy's
+   * summary. The copy starts its own version history.
+   */
+  async duplicate(id) {
+    const original = await this.get(id);
+    if (!original) throw new Error(`Saved resume "${id}" not found`);
+
+    const names = (await this.list()).map((entry) => entry.name);
+    const copy = {
+      ...original,
+      name: ResumeLibrary.copyName(original.name, names),
+      source: "duplicate",
+    };
+    delete copy.id;
+    delete copy.createdAt;
+    delete copy.updatedAt;
+    return this.save(copy);
+  }
+
+  async delete(id) {
+    const { resumes, files, session, versions } = ResumeLibrary.stores;
+    await this._transaction([resumes, files, session, versions], "readwrite", async (stores) => {
+      stores[resumes].delete(id);
+      stores[files].delete(id);
+      const keys = await ResumeLibrary._request(stores[versions].index("resumeId").getAllKeys(id));
+      for (const key of keys) stores[versions].delete(key);
+      const last = await ResumeLibrary._request(stores[session].get("last"));
+      if (last && last.id === id) stores[session].delete("last");
+    });
+  }
+
+  async _getRecord(id) {
+    const { resumes } = ResumeLibrary.stores;
+    return this._transaction([resumes], "readonly", (stores) =>
+      ResumeLibrary._request(stores[resumes].get(id))
+    );
+  }
+
+  // ==================== VERSIONS ====================
+
+  /**
+   * A resume's versions with their data, newest first
+   */
+  async versions(id) {
+    const { versions } = ResumeLibrary.stores;
+    const history = await this._transaction([versions], "readonly", (stores) =>
+      ResumeLibrary._request(stores[versions].index("resumeId").getAll(id))
+    );
+    return history.sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Make an earlier version the resume's data again. The restore is saved
+   * as a new version, so it can be undone the same way.
+   */
+  async restoreVersion(id, versionId) {
+    const { versions } = ResumeLibrary.stores;
+    const version = await this._transaction([versions], "readonly", (stores) =>
+      ResumeLibrary._request(stores[versions].get(versionId))
+    );
+    if (!version || version.resumeId !== id) {
+      throw new Error(`Version "${versionId}" not found`);
+    }
+    return this.save({
+      id,
+      resumeData: version.resumeData,
+      source: "restore",
+      restoredFrom: version.number,
+    });
+  }
+
+  // ==================== SESSION ====================
+
+  /**
+   * Id of the resume open when the page was last used, or null
+   */
+  async getLastSession() {
+    const { session } = ResumeLibrary.stores;
+    const last = await this._transaction([session], "readonly", (stores) =>
+      ResumeLibrary._request(stores[session].get("last"))
+    );
+    return last ? last.id : null;
+  }
+
+  async setLastSession(id) {
+    const { session } = ResumeLibrary.stores;
+    await this._transaction([session], "readwrite", (stores) => {
+      if (id) stores[session].put({ key: "last", id });
+      else stores[session].delete("last");
+    });
+  }
+
+  // ==================== RECORDS ====================
+
+  /**
+   * Stored record for an entry, merged over the existing record on update.
+   * PDF bytes are not part of it (see save).
+   */
+  static createRecord(entry, existing = null, now = new Date()) {
+    const fields = ["resumeData", "rawText", "fileName", "template", "templateOptions", "jobDescription"];
+    const record = existing
+      ? { ...existing }
+      : {
+          id: entry.id || this.newId(),
+          createdAt: now.toISOString(),
+          resumeData: null,
+          rawText: "",
+          fileName: null,
+          template: null,
+          templateOptions: null,
+          jobDescription: "",
+        };
+
+    for (const field of fields) {
+      if (field in entry) record[field] = entry[field];
+    }
+    if ("pdfBytes" in entry) record.hasPdf = !!entry.pdfBytes;
+    record.hasPdf = !!record.hasPdf;
+    record.name = String(entry.name || record.name || this.defaultName(record)).trim();
+    record.updatedAt = now.toISOString();
+    return record;
+  }
+
+  /**
+   * Version to store for a save, or null when the resume data is the same
+   * as the latest version's. Edits soon after an edit version replace it
+   * (same id and number).
+   */
+  static createVersion(resumeId, entry, latest = null, now = new Date()) {
+    const resumeData = JSON.parse(JSON.stringify(entry.resumeData));
+    if (latest && this.sameContent(latest.resumeData, resumeData)) return null;
+
+    const source = entry.source || "edit";
+    const merge =
+      latest &&
+      source === "edit" &&
+      latest.source === "edit" &&
+      now - new Date(latest.updatedAt) < this.VERSION_MERGE_WINDOW;
+    if (merge) {
+      return { ...latest, resumeData, updatedAt: now.toISOString() };
+    }
+
+    const version = {
+      id: this.newId(),
+      resumeId,
+      number: latest ? latest.number + 1 : 1,
+      source,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      resumeData,
+    };
+    if (entry.restoredFrom) version.restoredFrom = entry.restoredFrom;
+    return version;
+  }
+
+  /**
+   * Same resume apart from `meta` (template and customization, which have
+   * their own fields and do not make a version)
+   */
+  static sameContent(a, b) {
+    const content = (data) => JSON.stringify({ ...data, meta: undefined });
+    return content(a) === content(b);
+  }
+
+  /**
+   * What the library panel lists: no resume data, text or bytes
+   */
+  static summary(record) {
+    const basics = (record.resumeData && record.resumeData.basics) || {};
+    return {
+      id: record.id,
+      name: record.name,
+      label: basics.label || "",
+      fileName: record.fileName,
+      template: record.template,
+      hasPdf: !!record.hasPdf,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+    };
+  }
+
+  /**
+   * Name for a new resume: the person's name, else the file name without
+   * its extension
+   */
+  static defaultName(entry) {
+    const basics = (entry.resumeData && entry.resumeData.basics) || {};
+    if (basics.name && String(basics.name).trim()) return String(basics.name).trim();
+    if (entry.fileName) return entry.fileName.replace(/\.(pdf|json)$/i, "");
+    return "Untitled resume";
+  }
+
+  /**
+   * "Jane Doe (copy)", then "Jane Doe (copy 2)", ... whichever is free
+   */
+  static copyName(name, existingNames = []) {
+    const base = String(name).replace(/ \(copy(?: \d+)?\)$/, "");
+    let candidate = `${base} (copy)`;
+    for (let n = 2; existingNames.includes(candidate); n++) {
+      candidate = `${base} (copy ${n})`;
+    }
+    return candidate;
+  }
+
+  static newId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+    return `resume-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeLibrary = ResumeLibrary;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeLibrary;
+}
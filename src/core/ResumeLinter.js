@@ -0,0 +1,416 @@
+/**
+ * ResumeLinter
+ *
+ * Writing feedback on the resume text: work highlights and summaries,
+ * project summaries and the profile summary.
+ * - Weak openers ("Responsible for", "Worked on") and opening verbs used
+ *   over and over
+ * - Highlights without a number, percentage or amount
+ * - First-person pronouns and passive voice
+ * - Highlights that run too long
+ * - Past roles written in present tense, and current roles that mix tenses
+ * - Dates written in more than one format ("2023-09" next to "Sep 2023").
+ *   Parsed resumes store every date as "2023-09", so pass the extracted
+ *   text as options.text to check the dates as the PDF wrote them.
+ *
+ * lint(resumeData, options) returns findings { rule, severity, path, label, message,
+ * text }. `path` uses the ParseConfidence form ("work[0].highlights[2]",
+ * "basics.summary") so the app can open the field in the editor.
+ * Rules are for English text.
+ */
+
+class ResumeLinter {
+  // Openers that describe duties instead of results, with stronger verbs
+  static weakOpeners = {
+    "responsible for": ["Led", "Owned", "Managed"],
+    "worked on": ["Built", "Developed", "Delivered"],
+    "worked with": ["Partnered with", "Collaborated with"],
+    "helped": ["Supported", "Enabled", "Contributed to"],
+    "assisted": ["Supported", "Coordinated"],
+    "participated in": ["Contributed to", "Drove"],
+    "involved in": ["Contributed to", "Drove"],
+    "tasked with": ["Led", "Delivered"],
+    "duties included": ["Led", "Managed"],
+    "in charge of": ["Led", "Directed"],
+    "handled": ["Managed", "Resolved"],
+    "did": ["Completed", "Delivered"],
+    "tried": ["Tested", "Piloted"],
+  };
+
+  // Action verbs (base form) recognized as openers for the tense check
+  static actionVerbs = [
+    "achieve", "analyze", "architect", "automate", "boost", "build", "coach", "collaborate",
+    "create", "cut", "define", "deliver", "deploy", "design", "develop", "direct", "drive",
+    "establish", "evaluate", "expand", "grow", "implement", "improve", "increase", "launch",
+    "lead", "maintain", "manage", "mentor", "migrate", "optimize", "organize", "own", "partner",
+    "plan", "present", "produce", "reduce", "redesign", "refactor", "research", "resolve",
+    "run", "save", "scale", "ship", "spearhead", "streamline", "support", "teach", "test",
+    "train", "write",
+  ];
+
+  // Irregular past tenses; verbs that are the same in both ("cut", "set")
+  // are left out
+  static irregularPast = {
+    build: "built", drive: "drove", grow: "grew", lead: "led", run: "ran", teach: "taught",
+    write: "wrote", win: "won", make: "made", take: "took", bring: "brought", sell: "sold",
+    give: "gave", oversee: "oversaw", begin: "began", hold: "held", keep: "kept", speak: "spoke",
+  };
+
+  // Verbs that double their last letter ("plan" -> "planned")
+  static doubled = ["plan", "ship", "drop", "scrap", "commit", "control", "stop"];
+
+  static pronouns = /\bI\b(?![/-])|\b(?:[Mm]e|[Mm]y|[Mm]ine|[Mm]yself|[Ww]e|[Oo]ur|[Oo]urs|us)\b/;
+
+  // "was built", "were significantly reduced"
+  static passive =
+    /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(\w+ed|built|led|made|given|taken|written|done|chosen|shown|sold|run|driven|grown|brought|taught|held|kept|won|paid|sent|spent)\b/i;
+
+  // Participles that read as adjectives ("was based in", "is skilled")
+  static adjectives = ["based", "located", "interested", "excited", "skilled", "experienced", "dedicated", "motivated", "detailed"];
+
+  static metric =
+    /\d|[%$€£¥]|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|twelve|dozens?|hundreds?|thousands?|millions?|billions?|doubled|tripled|halved|double|triple|half)\b/i;
+
+  static LONG_BULLET_WORDS = 30;
+
+  // An opening verb used more often than this is flagged
+  static REPEAT_LIMIT = 2;
+
+  /**
+   * All findings for a resume, in resume order with the date findings last.
+   * Options: text, the text the resume was parsed from.
+   */
+  static lint(resumeData, options = {}) {
+    const data = resumeData || {};
+    const findings = [];
+    const texts = this.texts(data);
+
+    for (const item of texts) {
+      findings.push(...this.lintText(item));
+    }
+    findings.push(...this.checkRepeatedOpeners(texts));
+    findings.push(...this.checkTense(texts));
+    findings.push(...this.checkDateFormats(data, options.text));
+
+    const order = texts.map((item) => item.path);
+    return findings.sort((a, b) => this._position(order, a.path) - this._position(order, b.path));
+  }
+
+  /**
+   * The text the linter reads: { path, label, text, bullet, role, current }
+   * where role is the work entry index for work highlights and summaries
+   */
+  static texts(data) {
+    const Dates = this._dates();
+    const texts = [];
+    const add = (path, label, text, bullet, role = null, current = false) => {
+      if (typeof text === "string" && text.trim()) {
+        texts.push({ path, label, text: text.trim(), bullet, role, current });
+      }
+    };
+
+    add("basics.summary", "Summary", (data.basics || {}).summary, false);
+    (data.work || []).forEach((job, i) => {
+      // No end date means the role is current, as in ExperienceAnalytics
+      const end = Dates.parse(job.endDate);
+      const current = !end || end.isPresent;
+      add(`work[${i}].summary`, `Experience ${i + 1} · Summary`, job.summary, false, i, current);
+      (job.highlights || []).forEach((highlight, j) => {
+        add(`work[${i}].highlights[${j}]`, `Experience ${i + 1} · Highlight ${j + 1}`, highlight, true, i, current);
+      });
+    });
+    (data.projects || []).forEach((project, i) => {
+      add(`projects[${i}].summary`, `Project ${i + 1} · Summary`, project.summary, false);
+    });
+    return texts;
+  }
+
+  // ==================== SINGLE TEXTS ====================
+
+  static lintText(item) {
+    const findings = [];
+    const add = (rule, severity, message) =>
+      findings.push({ rule, severity, path: item.path, label: item.label, message, text: item.text });
+
+    const weak = this.weakOpener(item.text);
+    if (weak) {
+      const alternatives = weak.alternatives.map((verb) => `"${verb}"`).join(", ");
+      add("weak-verb", "medium", `Starts with "${weak.phrase}": lead with what you did, e.g. ${alternatives}`);
+    }
+
+    const pronoun = item.text.match(this.pronouns);
+    if (pronoun) {
+      add("pronoun", "medium", `First-person "${pronoun[0]}": resumes leave out I, my and we`);
+    }
+
+    const passive = item.text.match(this.passive);
+    if (passive && !this.adjectives.includes(passive[1].toLowerCase())) {
+      add("passive", "medium", `Passive voice ("${passive[0]}"): say who did it, starting with the verb`);
+    }
+
+    if (item.bullet) {
+      const words = this._words(item.text).length;
+      if (words > this.LONG_BULLET_WORDS) {
+        add("long-bullet", "medium", `${words} words: keep highlights under ${this.LONG_BULLET_WORDS} words, one result each`);
+      }
+      if (!this.metric.test(item.text)) {
+        add("no-metric", "low", "No number: quantify the result (%, $, time saved, users, team size)");
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * { phrase, alternatives } when the text opens with a weak phrase
+   */
+  static weakOpener(text) {
+    const opening = this._words(text).slice(0, 3).join(" ").toLowerCase();
+    const phrase = Object.keys(this.weakOpeners).find(
+      (weak) => opening === weak || opening.startsWith(`${weak} `)
+    );
+    if (!phrase) return null;
+    // As written: "Responsible for", "worked on"
+    const written = this._words(text).slice(0, phrase.split(" ").length).join(" ");
+    return { phrase: written, alternatives: this.weakOpeners[phrase] };
+  }
+
+  // ==================== ACROSS TEXTS ====================
+
+  /**
+   * Highlights after the REPEAT_LIMIT-th that open with the same verb
+   */
+  static checkRepeatedOpeners(texts) {
+    const findings = [];
+    const seen = new Map();
+    for (const item of texts.filter((text) => text.bullet)) {
+      const first = this._words(item.text)[0];
+      if (!first || this.tense(first) === null) continue;
+
+      const key = first.toLowerCase();
+      const count = (seen.get(key) || 0) + 1;
+      seen.set(key, count);
+      if (count > this.REPEAT_LIMIT) {
+        findings.push({
+          rule: "repeated-verb",
+          severity: "low",
+          path: item.path,
+          label: item.label,
+          message: `"${first}" already starts ${count - 1} highlights: vary your opening verbs`,
+          text: item.text,
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Past roles should read in past tense; a current role in one tense
+   * (the one most of its lines use)
+   */
+  static checkTense(texts) {
+    const findings = [];
+    const roles = new Map();
+    for (const item of texts) {
+      if (item.role === null) continue;
+      const first = this._words(item.text)[0];
+      const tense = first ? this.tense(first) : null;
+      if (!tense) continue;
+      if (!roles.has(item.role)) roles.set(item.role, []);
+      roles.get(item.role).push({ item, first, tense });
+    }
+
+    for (const lines of roles.values()) {
+      const current = lines[0].item.current;
+      let expected = "past";
+      if (current) {
+        const present = lines.filter((line) => line.tense === "present").length;
+        expected = present * 2 >= lines.length ? "present" : "past";
+      }
+
+      for (const { item, first, tense } of lines) {
+        if (tense === expected) continue;
+        findings.push({
+          rule: "tense",
+          severity: "medium",
+          path: item.path,
+          label: item.label,
+          message: current
+            ? `"${first}" mixes tenses in your current role: write it as "${this.inTense(first, expected)}" like its other lines`
+            : `"${first}" is present tense in a past role: write "${this.inTense(first, "past")}"`,
+          text: item.text,
+        });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * "past", "present" (base form or "-s") or null when the word is not a
+   * recognized verb
+   */
+  static tense(word) {
+    const lower = word.toLowerCase();
+    if (Object.values(this.irregularPast).includes(lower)) return "past";
+    if (this._base(lower)) return "present";
+    if (/[a-z]{2,}ed$/.test(lower) && !/(eed)$/.test(lower)) return "past";
+    return null;
+  }
+
+  /**
+   * A verb in the given tense, keeping its capitalization
+   */
+  static inTense(word, tense) {
+    const lower = word.toLowerCase();
+    let base = this._base(lower);
+    if (!base) {
+      base = Object.keys(this.irregularPast).find((verb) => this.irregularPast[verb] === lower);
+    }
+    if (!base) {
+      base = this.actionVerbs.find((verb) => this._regularPast(verb) === lower) || lower.replace(/e?d$/, "");
+    }
+
+    let result = base;
+    if (tense === "past") result = this.irregularPast[base] || this._regularPast(base);
+    return /^[A-Z]/.test(word) ? result.charAt(0).toUpperCase() + result.slice(1) : result;
+  }
+
+  // Base form of a present-tense action verb ("leads" -> "lead")
+  static _base(word) {
+    const verbs = this.actionVerbs.concat(Object.keys(this.irregularPast));
+    if (verbs.includes(word)) return word;
+    const candidates = [word.replace(/s$/, ""), word.replace(/es$/, ""), word.replace(/ies$/, "y")];
+    return candidates.find((candidate) => candidate !== word && verbs.includes(candidate)) || null;
+  }
+
+  static _regularPast(verb) {
+    if (this.doubled.includes(verb)) return `${verb}${verb.slice(-1)}ed`;
+    if (verb.endsWith("e")) return `${verb}d`;
+    if (/[^aeiou]y$/.test(verb)) return `${verb.slice(0, -1)}ied`;
+    return `${verb}ed`;
+  }
+
+  // ==================== DATES ====================
+
+  // Ways of writing a date, labeled by example
+  static dateFormats = {
+    iso: "2023-09",
+    numeric: "09/2023",
+    short: "Sep 2023",
+    long: "September 2023",
+  };
+
+  /**
+   * Dates written differently from most of the others. Years alone,
+   * seasons and "Present" fit any format. With the source text, each date
+   * is checked as it is written there.
+   */
+  static checkDateFormats(data, text = "") {
+    const Dates = this._dates();
+    const sections = { work: "Experience", education: "Education", projects: "Project" };
+    const labels = { startDate: "Start Date", endDate: "End Date" };
+    const written = this.writtenDates(text, Dates);
+    const dates = [];
+
+    for (const [section, title] of Object.entries(sections)) {
+      (data[section] || []).forEach((entry, i) => {
+        for (const field of ["startDate", "endDate"]) {
+          if (typeof entry[field] !== "string" || !entry[field].trim()) continue;
+          // The next occurrence of this date in the text, in reading order
+          const source = (written.get(Dates.toString(entry[field])) || []).shift();
+          const value = source || entry[field].trim();
+          const format = this.dateFormat(value, Dates);
+          if (!format) continue;
+          dates.push({
+            path: `${section}[${i}].${field}`,
+            label: `${title} ${i + 1} · ${labels[field]}`,
+            text: value,
+            format,
+          });
+        }
+      });
+    }
+
+    const counts = {};
+    for (const date of dates) counts[date.format] = (counts[date.format] || 0) + 1;
+    const formats = Object.keys(counts);
+    if (formats.length < 2) return [];
+
+    // Most common format first; ties keep the one used first
+    const main = formats.sort((a, b) => counts[b] - counts[a])[0];
+    return dates
+      .filter((date) => date.format !== main)
+      .map((date) => ({
+        rule: "date-format",
+        severity: "medium",
+        path: date.path,
+        label: date.label,
+        message: `"${date.text}" is written like ${this.dateFormats[date.format]}; most of your dates look like ${this.dateFormats[main]}`,
+        text: date.text,
+      }));
+  }
+
+  /**
+   * Month dates in a text as written, by stored form:
+   * Map { "2020-01" => ["Jan 2020", "01/2020"] } in reading order
+   */
+  static writtenDates(text, Dates = this._dates()) {
+    const written = new Map();
+    const tokens = String(text || "").matchAll(
+      /\b(?:\d{4}[-/.]\d{1,2}|\d{1,2}[-/.]\d{4}|[\p{L}]{3,}\.?,?\s+'?\d{2}(?:\d{2})?)(?![\p{L}\p{N}])/gu
+    );
+    for (const [token] of tokens) {
+      const model = Dates.parse(token);
+      if (!model || model.precision !== "month") continue;
+      const stored = Dates.toString(model);
+      if (!written.has(stored)) written.set(stored, []);
+      written.get(stored).push(token);
+    }
+    return written;
+  }
+
+  /**
+   * Key of dateFormats for a date string, or null when any format fits
+   */
+  static dateFormat(value, Dates = this._dates()) {
+    const model = Dates.parse(value);
+    if (!model || model.isPresent || !model.month || model.precision === "season") return null;
+
+    const raw = model.raw.trim();
+    if (/^\d{4}[-/.]\d{1,2}/.test(raw)) return "iso";
+    if (/^\d/.test(raw)) return "numeric";
+
+    const word = raw.match(/^[\p{L}]+/u)[0].toLowerCase();
+    const longNames = Object.values(Dates.monthNames).flat();
+    // "May" and "June" are as short as month names get
+    if (longNames.includes(word)) return word.length <= 4 ? null : "long";
+    return word.length <= 4 ? "short" : null;
+  }
+
+  // ==================== HELPERS ====================
+
+  static _words(text) {
+    return String(text)
+      .replace(/^[\s•\-–—*·▸]+/, "")
+      .split(/\s+/)
+      .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+      .filter(Boolean);
+  }
+
+  static _position(order, path) {
+    const index = order.indexOf(path);
+    return index === -1 ? order.length : index;
+  }
+
+  static _dates() {
+    return typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeLinter = ResumeLinter;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeLinter;
+}
@@ -0,0 +1,283 @@
+/**
+ * TemplateCustomizer
+ *
+ * Customization settings shared by every template in templates.js:
+ * - Accent and secondary colors (each template declares its own in `colors`)
+ * - Font pairing: heading and body font stacks
+ * - Density: spacing and line height, applied to the rendered CSS
+ * - Margin: padding around the resume content
+ * - Section order
+ * - Date style ("Sep 2023", "09/2023", ...; see ResumeDates.format)
+ * - Language: section labels from TemplateTranslations, dates in that
+ *   locale; right-to-left languages get dir="rtl" and mirrored CSS
+ *
+ * A null setting keeps the template's own design. Settings are saved in the
+ * resume's JSON Resume `meta` block, so "Download JSON" keeps them and a
+ * JSON import restores them.
+ */
+
+class TemplateCustomizer {
+  static defaults = {
+    accentColor: null,
+    secondaryColor: null,
+    fontPairing: "template",
+    density: "normal",
+    margin: null,
+    sectionOrder: null,
+    dateStyle: "short",
+    locale: null,
+  };
+
+  // System font stacks only: the app works offline, no web fonts are loaded
+  static fontPairings = {
+    template: { label: "Template default" },
+    "modern-sans": {
+      label: "Modern sans",
+      heading: "'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+      body: "'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+    },
+    "classic-serif": {
+      label: "Classic serif",
+      heading: "Georgia, 'Times New Roman', serif",
+      body: "Georgia, 'Times New Roman', serif",
+    },
+    "serif-sans": {
+      label: "Serif headings, sans body",
+      heading: "Georgia, 'Times New Roman', serif",
+      body: "'Helvetica Neue', Arial, sans-serif",
+    },
+    "sans-serif": {
+      label: "Sans headings, serif body",
+      heading: "'Helvetica Neue', Arial, sans-serif",
+      body: "Georgia, 'Times New Roman', serif",
+    },
+    "mono-sans": {
+      label: "Monospace headings",
+      heading: "'Fira Code', Menlo, Consolas, monospace",
+      body: "'Segoe UI', Roboto, Arial, sans-serif",
+    },
+  };
+
+  // Multipliers for margin/padding/gap and unitless line-height values
+  static densities = {
+    compact: { label: "Compact", spacing: 0.7, lineHeight: 0.9 },
+    normal: { label: "Normal", spacing: 1, lineHeight: 1 },
+    relaxed: { label: "Relaxed", spacing: 1.3, lineHeight: 1.1 },
+  };
+
+  // Padding around the content in px (null: the template's own)
+  static margins = [
+    { value: null, label: "Template default" },
+    { value: 0, label: "None" },
+    { value: 16, label: "Narrow" },
+    { value: 32, label: "Normal" },
+    { value: 48, label: "Wide" },
+  ];
+
+  // Sections templates can reorder, in their usual order
+  static sections = {
+    work: "Experience",
+    education: "Education",
+    skills: "Skills",
+    projects: "Projects",
+    certifications: "Certifications",
+  };
+
+  /**
+   * Validated copy of the settings. Unknown or malformed values fall back to
+   * the defaults, so settings from an imported file cannot inject CSS.
+   */
+  static normalize(settings = {}) {
+    const source = settings || {};
+    const color = (value) =>
+      typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+
+    const margin = source.margin === null || source.margin === "" ? NaN : Number(source.margin);
+    const order = Array.isArray(source.sectionOrder)
+      ? source.sectionOrder.filter(
+          (key, index, keys) => key in this.sections && keys.indexOf(key) === index
+        )
+      : [];
+
+    const Dates =
+      typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+    const Translations = this._translations();
+
+    return {
+      accentColor: color(source.accentColor),
+      secondaryColor: color(source.secondaryColor),
+      fontPairing: source.fontPairing in this.fontPairings ? source.fontPairing : this.defaults.fontPairing,
+      density: source.density in this.densities ? source.density : this.defaults.density,
+      margin: Number.isFinite(margin) && margin >= 0 && margin <= 96 ? margin : null,
+      sectionOrder: order.length > 0 ? order : null,
+      dateStyle: source.dateStyle in Dates.styles ? source.dateStyle : this.defaults.dateStyle,
+      locale: Translations.get(source.locale) ? source.locale : null,
+    };
+  }
+
+  /**
+   * Options a template's render function reads itself. Unset settings are
+   * left out so the template's own values apply.
+   */
+  static toRenderOptions(settings) {
+    const options = {};
+    if (settings.accentColor) options.accentColor = settings.accentColor;
+    if (settings.secondaryColor) options.secondaryColor = settings.secondaryColor;
+
+    const pairing = this.fontPairings[settings.fontPairing];
+    if (pairing && pairing.body) options.fontFamily = pairing.body;
+
+    if (settings.sectionOrder) options.sectionOrder = settings.sectionOrder;
+    if (settings.dateStyle !== this.defaults.dateStyle) options.dateStyle = settings.dateStyle;
+    if (settings.locale) options.locale = settings.locale;
+    return options;
+  }
+
+  /**
+   * Apply density, heading font, margin and language direction to a
+   * rendered { html, css }
+   */
+  static apply(result, settings) {
+    const density = this.densities[settings.density] || this.densities.normal;
+    let css = this.scaleSpacing(result.css || "", density.spacing);
+    css = this.scaleLineHeight(css, density.lineHeight);
+
+    let html = result.html;
+    if (settings.locale) {
+      const dir = this._translations().direction(settings.locale);
+      html = this.markLanguage(html || "", settings.locale, dir);
+      if (dir === "rtl") css = this.mirrorCss(css);
+    }
+
+    const overrides = this.overrideCss(settings);
+    return { ...result, html, css: overrides ? `${css}\n${overrides}` : css };
+  }
+
+  /**
+   * Add lang and dir to the resume's root element. Flex and grid layouts
+   * follow dir on their own; mirrorCss handles the rest.
+   */
+  static markLanguage(html, locale, dir = "ltr") {
+    return html.replace(/<div class="resume-content/, `<div lang="${locale}" dir="${dir}" class="resume-content`);
+  }
+
+  /**
+   * Swap left and right in CSS declarations for right-to-left languages:
+   * margin/padding/border sides, left/right offsets, text-align, float,
+   * four-value margin/padding/border-radius shorthands and gradients
+   */
+  static mirrorCss(css) {
+    const swap = (text) =>
+      text.replace(/\b(left|right)\b/g, (side) => (side === "left" ? "right" : "left"));
+
+    return css.replace(/(^|[{;]\s*)([a-z-]+)(\s*:\s*)([^;{}]+)/g, (match, before, property, colon, value) => {
+      let name = property;
+      let mirrored = value;
+      if (/^(margin|padding|border)-(left|right)\b|^(left|right)$|^border-(top|bottom)-(left|right)-radius$/.test(property)) {
+        name = swap(property);
+      } else if (/^(text-align|float|clear)$/.test(property)) {
+        mirrored = swap(value);
+      } else if (/^(margin|padding)$/.test(property)) {
+        const parts = value.trim().split(/\s+/);
+        if (parts.length === 4) mirrored = [parts[0], parts[3], parts[2], parts[1]].join(" ");
+      } else if (property === "border-radius") {
+        const parts = value.trim().split(/\s+/);
+        if (parts.length === 4) mirrored = [parts[1], parts[0], parts[3], parts[2]].join(" ");
+      } else if (/^background(-image)?$/.test(property)) {
+        mirrored = value
+          .replace(/\bto (left|right)\b/g, (to) => swap(to))
+          .replace(/(linear-gradient\(\s*)(-?\d*\.?\d+)deg/g, (m, start, deg) => `${start}${this._round((360 - Number(deg)) % 360)}deg`);
+      }
+      return before + name + colon + mirrored;
+    });
+  }
+
+  /**
+   * Multiply the px values of margin, padding and gap declarations
+   */
+  static scaleSpacing(css, factor) {
+    if (factor === 1) return css;
+    return css.replace(
+      /((?:margin|padding)(?:-(?:top|right|bottom|left))?|(?:row-|column-)?gap)(\s*:\s*)([^;{}]+)/g,
+      (match, property, colon, value) =>
+        property + colon + value.replace(/(-?\d*\.?\d+)px/g, (px, n) => `${this._round(Number(n) * factor)}px`)
+    );
+  }
+
+  /**
+   * Multiply unitless line-height values
+   */
+  static scaleLineHeight(css, factor) {
+    if (factor === 1) return css;
+    return css.replace(
+      /(line-height\s*:\s*)(\d*\.?\d+)(\s*[;}])/g,
+      (match, property, n, end) => property + this._round(Number(n) * factor) + end
+    );
+  }
+
+  static overrideCss(settings) {
+    const rules = [];
+
+    const pairing = this.fontPairings[settings.fontPairing];
+    if (pairing && pairing.heading) {
+      rules.push(
+        `.resume-content h1, .resume-content h2, .resume-content h3, .resume-content h4 { font-family: ${pairing.heading}; }`
+      );
+    }
+
+    if (settings.margin !== null) {
+      // Doubled class outranks the template's own `.resume-content.x` rule
+      rules.push(`.resume-content.resume-content { padding: ${settings.margin}px; }`);
+    }
+
+    return rules.join("\n");
+  }
+
+  static _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  static _translations() {
+    return typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./TemplateTranslations.js");
+  }
+
+  // ==================== PERSISTENCE ====================
+
+  /**
+   * Template and settings saved in a resume, or null
+   */
+  static fromResume(data) {
+    const meta = data && data.meta;
+    if (!meta || typeof meta !== "object" || (!meta.template && !meta.templateOptions)) {
+      return null;
+    }
+    return {
+      template: typeof meta.template === "string" ? meta.template : null,
+      options: this.normalize(meta.templateOptions),
+    };
+  }
+
+  /**
+   * Save the template and settings in the resume's `meta` block
+   */
+  static toResume(data, templateName, settings) {
+    if (!data) return data;
+    data.meta = {
+      ...(data.meta && typeof data.meta === "object" ? data.meta : {}),
+      template: templateName,
+      templateOptions: this.normalize(settings),
+    };
+    return data;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TemplateCustomizer = TemplateCustomizer;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateCustomizer;
+}
@@ -0,0 +1,396 @@
+/**
+ * TemplateEngine
+ *
+ * Declarative resume templates: an HTML file in a small Handlebars-style
+ * language plus a CSS file, compiled here and registered with
+ * TemplateRenderer like any other template. Designers never write JS:
+ * - {{basics.name}} inserts a value, HTML-escaped; {{{raw}}} does not escape
+ * - {{#each work}}...{{else}}...{{/each}} loops, with {{this}}, {{@index}},
+ *   {{@first}}, {{@last}} and the item's own fields inside
+ * - {{#if path}}...{{else}}...{{/if}}, {{#unless path}}, {{#with path}}
+ * - {{#sections}}{{#section work}}...{{/section}}...{{/sections}} lets the
+ *   customization panel reorder sections
+ * - Helpers: {{formatDate startDate}}, {{dateRange startDate endDate}},
+ *   {{tenure startDate endDate}}, {{totalExperience work}},
+ *   {{join keywords ", "}}, {{translate "work" "Experience"}} (the heading in
+ *   the render options' language, see TemplateTranslations)
+ * - {{! comments }} are dropped
+ *
+ * The CSS file uses the same {{...}} syntax over the render options
+ * ({{accentColor}}, {{secondaryColor}}, {{fontFamily}}), without escaping.
+ * See docs/TEMPLATE_FORMAT.md.
+ */
+
+class TemplateEngine {
+  // Helpers are called with `this.options` set to the render options
+  static helpers = {
+    formatDate(date) {
+      return TemplateEngine._dates().format(date, TemplateEngine._dateOptions(this.options));
+    },
+    // An entry without an end date is current: "Mar 2021 - Present"
+    dateRange(start, end) {
+      return TemplateEngine._dates().formatRange(
+        start,
+        start && !end ? "present" : end,
+        TemplateEngine._dateOptions(this.options)
+      );
+    },
+    // "3 yrs 5 mos" for one role, and for all of them with overlaps merged
+    tenure(start, end) {
+      const Experience = TemplateEngine._experience();
+      return Experience.formatDuration(
+        Experience.tenure({ startDate: start, endDate: end }).months,
+        TemplateEngine._translations().durationUnits(this.options.locale)
+      );
+    },
+    totalExperience(work) {
+      const Experience = TemplateEngine._experience();
+      return Experience.formatDuration(
+        Experience.analyze(work).totalMonths,
+        TemplateEngine._translations().durationUnits(this.options.locale)
+      );
+    },
+    // {{translate "work" "Work History"}}: English keeps the template's wording
+    translate(key, text) {
+      return TemplateEngine._translations().label(key, this.options.locale, text);
+    },
+    join(list, separator = ", ") {
+      return Array.isArray(list)
+        ? list.filter((item) => item !== null && item !== "").join(separator)
+        : list || "";
+    },
+  };
+
+  static registerHelper(name, fn) {
+    this.helpers[name] = fn;
+  }
+
+  static _dates() {
+    return typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+  }
+
+  static _experience() {
+    return typeof ExperienceAnalytics !== "undefined"
+      ? ExperienceAnalytics
+      : require("./ExperienceAnalytics.js");
+  }
+
+  static _translations() {
+    return typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./TemplateTranslations.js");
+  }
+
+  static _dateOptions(options = {}) {
+    return {
+      locale: options.locale,
+      style: options.dateStyle,
+      presentLabel: this._translations().label("present", options.locale, "Present"),
+    };
+  }
+
+  static escape(value) {
+    const Sanitizer =
+      typeof HtmlSanitizer !== "undefined" ? HtmlSanitizer : require("./HtmlSanitizer.js");
+    return Sanitizer.escape(value);
+  }
+
+  // ==================== COMPILER ====================
+
+  /**
+   * Compile template source into render(context, options) => string.
+   * Syntax errors throw with the line number of the offending tag.
+   */
+  static compile(source, { escape = true } = {}) {
+    const tree = this.parse(source);
+    return (context, options = {}) => {
+      const scope = { frames: [{ value: context, vars: {} }], root: context, options, escape };
+      return this._renderNodes(tree, scope);
+    };
+  }
+
+  static parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+    let last = 0;
+    let match;
+
+    const lineOf = (index) => source.slice(0, index).split("\n").length;
+    const current = () => stack[stack.length - 1];
+    const append = (node) => (current().inElse ? current().inverse : current().children).push(node);
+
+    while ((match = tagPattern.exec(source))) {
+      if (match.index > last) append({ type: "text", value: source.slice(last, match.index) });
+      last = tagPattern.lastIndex;
+
+      const line = lineOf(match.index);
+      if (match[1] !== undefined) {
+        append({ type: "value", args: this._parseArgs(match[1], line), raw: true });
+        continue;
+      }
+
+      const tag = match[2].trim();
+      if (tag.startsWith("!")) continue;
+
+      if (tag.startsWith("#")) {
+        const [name, ...args] = this._parseArgs(tag.slice(1), line);
+        const block = { type: "block", name: name.path, args, children: [], inverse: [], line };
+        if (!(name.path in this.blocks)) {
+          throw new Error(`Unknown block {{#${name.path}}} on line ${line}`);
+        }
+        append(block);
+        stack.push(block);
+      } else if (tag.startsWith("/")) {
+        const name = tag.slice(1).trim();
+        const block = current();
+        if (block === root || block.name !== name) {
+          throw new Error(`Unexpected {{/${name}}} on line ${line}`);
+        }
+        stack.pop();
+      } else if (tag === "else") {
+        if (current() === root) throw new Error(`{{else}} outside a block on line ${line}`);
+        current().inElse = true;
+      } else {
+        append({ type: "value", args: this._parseArgs(tag, line), raw: false });
+      }
+    }
+
+    if (last < source.length) append({ type: "text", value: source.slice(last) });
+    if (stack.length > 1) {
+      const block = current();
+      throw new Error(`Unclosed {{#${block.name}}} from line ${block.line}`);
+    }
+    return root.children;
+  }
+
+  // Tag arguments: paths, "quoted strings", numbers, true/false
+  static _parseArgs(text, line) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match[1] !== undefined || match[2] !== undefined) {
+        args.push({ literal: match[1] !== undefined ? match[1] : match[2] });
+      } else if (/^-?\d+(\.\d+)?$/.test(match[3])) {
+        args.push({ literal: Number(match[3]) });
+      } else if (match[3] === "true" || match[3] === "false") {
+        args.push({ literal: match[3] === "true" });
+      } else {
+        args.push({ path: match[3] });
+      }
+    }
+    if (args.length === 0) throw new Error(`Empty tag on line ${line}`);
+    return args;
+  }
+
+  // ==================== RENDERING ====================
+
+  static _renderNodes(nodes, scope) {
+    let out = "";
+    for (const node of nodes) {
+      if (node.type === "text") {
+        out += node.value;
+      } else if (node.type === "value") {
+        const value = this._evaluate(node.args, scope);
+        if (value === undefined || value === null || value === false) continue;
+        out += node.raw || !scope.escape ? String(value) : this.escape(value);
+      } else {
+        out += this.blocks[node.name].call(this, node, scope);
+      }
+    }
+    return out;
+  }
+
+  // A helper call ({{join keywords ", "}}) or a single path/literal
+  static _evaluate(args, scope) {
+    const [first, ...rest] = args;
+    if (first.path && first.path in this.helpers) {
+      return this.helpers[first.path].apply(
+        { options: scope.options },
+        rest.map((arg) => this._resolve(arg, scope))
+      );
+    }
+    return this._resolve(first, scope);
+  }
+
+  static _resolve(arg, scope) {
+    if ("literal" in arg) return arg.literal;
+
+    let frames = scope.frames;
+    let path = arg.path;
+    while (path.startsWith("../")) {
+      frames = frames.length > 1 ? frames.slice(0, -1) : frames;
+      path = path.slice(3);
+    }
+
+    const [head, ...rest] = path.split(".");
+    let value;
+    if (head === "this") {
+      value = frames[frames.length - 1].value;
+    } else if (head === "@root") {
+      value = scope.root;
+    } else if (head === "@options") {
+      value = scope.options;
+    } else if (head.startsWith("@")) {
+      const frame = [...frames].reverse().find((f) => head in f.vars);
+      value = frame ? frame.vars[head] : undefined;
+    } else {
+      // Innermost frame that has the name, like Mustache
+      const frame = [...frames]
+        .reverse()
+        .find((f) => f.value !== null && typeof f.value === "object" && head in f.value);
+      value = frame ? frame.value[head] : undefined;
+    }
+
+    for (const key of rest) {
+      if (value === null || value === undefined) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  static _truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  static _push(scope, value, vars = {}) {
+    return { ...scope, frames: scope.frames.concat({ value, vars }) };
+  }
+
+  static blocks = {
+    if(node, scope) {
+      const value = this._evaluate(node.args, scope);
+      return this._renderNodes(this._truthy(value) ? node.children : node.inverse, scope);
+    },
+
+    unless(node, scope) {
+      const value = this._evaluate(node.args, scope);
+      return this._renderNodes(this._truthy(value) ? node.inverse : node.children, scope);
+    },
+
+    with(node, scope) {
+      const value = this._evaluate(node.args, scope);
+      if (!this._truthy(value)) return this._renderNodes(node.inverse, scope);
+      return this._renderNodes(node.children, this._push(scope, value));
+    },
+
+    each(node, scope) {
+      const value = this._evaluate(node.args, scope);
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : value && typeof value === "object"
+          ? Object.entries(value)
+          : [];
+      if (entries.length === 0) return this._renderNodes(node.inverse, scope);
+
+      return entries
+        .map(([key, item], index) =>
+          this._renderNodes(
+            node.children,
+            this._push(scope, item, {
+              "@index": index,
+              "@key": key,
+              "@first": index === 0,
+              "@last": index === entries.length - 1,
+            })
+          )
+        )
+        .join("");
+    },
+
+    // Named sections, output in the customization panel's order
+    sections(node, scope) {
+      const sections = {};
+      const order = [];
+      for (const child of node.children) {
+        if (child.type === "text" && !child.value.trim()) continue;
+        if (child.type !== "block" || child.name !== "section") {
+          throw new Error(`{{#sections}} on line ${node.line} may only contain {{#section}} blocks`);
+        }
+        const name = child.args[0].path || child.args[0].literal;
+        sections[name] = this._renderNodes(child.children, scope);
+        order.push(name);
+      }
+
+      const chosen = (scope.options.sectionOrder || []).filter((name) => order.includes(name));
+      return chosen
+        .concat(order.filter((name) => !chosen.includes(name)))
+        .map((name) => sections[name])
+        .join("");
+    },
+
+    section(node, scope) {
+      return this._renderNodes(node.children, scope);
+    },
+  };
+
+  // ==================== TEMPLATE DEFINITIONS ====================
+
+  /**
+   * Turn { ...metadata, html, css } into a TemplateRenderer definition.
+   * Both files are compiled once, here, so syntax errors surface when the
+   * template is registered rather than when it is first selected.
+   */
+  static define(definition) {
+    const { html, css = "", fontFamily = "inherit", ...metadata } = definition;
+    // TemplateRenderer.render escapes the data before it gets here, so
+    // escaping again would show "&amp;" for "&"
+    const renderHtml = this.compile(html, { escape: false });
+    const renderCss = this.compile(css, { escape: false });
+
+    return {
+      ...metadata,
+      render: (data, options = {}) => {
+        const settings = { fontFamily, ...options };
+        return {
+          html: renderHtml(data || {}, settings),
+          css: renderCss(settings, settings),
+        };
+      },
+    };
+  }
+
+  static register(id, definition) {
+    const Templates =
+      typeof TemplateRenderer !== "undefined"
+        ? TemplateRenderer
+        : require("./TemplateRenderer.js");
+    return Templates.register(id, this.define(definition));
+  }
+
+  /**
+   * Load a template folder (template.json, template.html, template.css) and
+   * register it. readFile defaults to fetch in the browser; Node callers
+   * pass a file reader. Resolves with the registered template.
+   */
+  static async load(folder, readFile = TemplateEngine.fetchText) {
+    const base = folder.replace(/\/+$/, "");
+    const [json, html, css] = await Promise.all([
+      readFile(`${base}/template.json`),
+      readFile(`${base}/template.html`),
+      readFile(`${base}/template.css`).catch(() => ""),
+    ]);
+
+    const metadata = JSON.parse(json);
+    const id = metadata.id || base.split("/").pop();
+    return this.register(id, { ...metadata, html, css });
+  }
+
+  static async fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Template file "${url}" could not be loaded (${response.status})`);
+    }
+    return response.text();
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TemplateEngine = TemplateEngine;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateEngine;
+}
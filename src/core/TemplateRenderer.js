@@ -1,18 +1,100 @@
 /**
  * TemplateRenderer
  *
- * Advanced template rendering system with:
- * - Multiple layout engines
- * - Responsive design support
- * - CSS-in-JS styling
- * - Print-optimized output
+ * The template registry. Every template (the built-ins in templates.js, the
+ * two below and external plugin files) registers here with its metadata and
+ * a render function:
+ * - Metadata drives the template gallery (name, description, category,
+ *   ATS-safe badge, thumbnail) and the export options (paper sizes)
+ * - render(data, options) returns { html, css }; options carry the
+ *   customization settings, with the template's own `colors` as defaults
+ * - Templates only ever see escaped data: render() passes every template
+ *   an HtmlSanitizer copy with markup escaped and unsafe URLs removed
+ * - Plugins call TemplateRenderer.register from their own script, or are
+ *   loaded at runtime with TemplateRenderer.loadScript(url)
+ *
+ * See docs/TEMPLATE_PLUGINS.md.
  */
 
 class TemplateRenderer {
   static templates = {};
 
-  static register(name, renderer) {
-    this.templates[name] = renderer;
+  static categories = {
+    professional: "Professional",
+    modern: "Modern",
+    creative: "Creative",
+    technical: "Technical",
+    academic: "Academic",
+    ats: "ATS",
+  };
+
+  static get defaults() {
+    return {
+      name: "",
+      description: "",
+      category: "professional",
+      atsSafe: false, // single column, plain headings, no text in graphics
+      sections: ["work", "education", "skills", "projects"],
+      paperSizes: ["letter", "a4"],
+      colors: {}, // { accentColor, secondaryColor } defaults for the customizer
+      preview: null, // { className, html } gallery thumbnail
+    };
+  }
+
+  /**
+   * Register a template. `definition` is the metadata above plus
+   * render(data, options), or just a render function. Registering an
+   * existing id replaces that template.
+   */
+  static register(id, definition) {
+    const template = typeof definition === "function" ? { render: definition } : { ...definition };
+    if (!id || typeof id !== "string") {
+      throw new Error("Template id must be a non-empty string");
+    }
+    if (typeof template.render !== "function") {
+      throw new Error(`Template "${id}" has no render function`);
+    }
+
+    this.templates[id] = {
+      ...this.defaults,
+      ...template,
+      id: id,
+      name: template.name || id,
+    };
+
+    // Lets the gallery pick up templates registered after page load
+    if (typeof window !== "undefined" && typeof CustomEvent !== "undefined") {
+      window.dispatchEvent(new CustomEvent("template-registered", { detail: { id } }));
+    }
+    return this.templates[id];
+  }
+
+  static unregister(id) {
+    delete this.templates[id];
+  }
+
+  static get(id) {
+    return this.templates[id] || null;
+  }
+
+  static has(id) {
+    return id in this.templates;
+  }
+
+  static list() {
+    return Object.keys(this.templates);
+  }
+
+  /**
+   * Registered templates in registration order, optionally filtered:
+   * { category: "creative" } or { atsSafe: true }
+   */
+  static all(filter = {}) {
+    return Object.values(this.templates).filter(
+      (template) =>
+        (filter.category === undefined || template.category === filter.category) &&
+        (filter.atsSafe === undefined || template.atsSafe === filter.atsSafe)
+    );
   }
 
   static render(templateName, data, options = {}) {
@@ -20,662 +102,736 @@ class TemplateRenderer {
     if (!template) {
       throw new Error(`Template "${templateName}" not found`);
     }
-    return template(data, options);
+    const Sanitizer =
+      typeof HtmlSanitizer !== "undefined" ? HtmlSanitizer : require("./HtmlSanitizer.js");
+    return template.render(Sanitizer.sanitizeData(data || {}), { ...template.colors, ...options });
   }
 
-  static list() {
-    return Object.keys(this.templates);
+  /**
+   * Load an external template file that registers itself. Resolves with
+   * the ids it registered.
+   */
+  static loadScript(url) {
+    const before = new Set(this.list());
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = url;
+      script.onload = () => resolve(this.list().filter((id) => !before.has(id)));
+      script.onerror = () => reject(new Error(`Template plugin "${url}" could not be loaded`));
+      document.head.appendChild(script);
+    });
   }
 }
 
 /**
  * Elegant template with rich styling and typography
  */
-TemplateRenderer.register("elegant", (data, options = {}) => {
-  const { accentColor = "#2c3e50", fontFamily = "Georgia, serif" } = options;
-
-  const html = `
-    <div class="template-elegant">
-      <div class="elegant-sidebar">
-        <div class="elegant-profile">
-          ${
-            data.basics?.image
-              ? `<img src="${data.basics.image}" alt="${data.basics.name}" class="profile-image">`
-              : ""
-          }
-          <h1 class="profile-name">${data.basics?.name || "Your Name"}</h1>
-          <p class="profile-title">${data.basics?.label || "Professional"}</p>
-          ${
-            data.basics?.summary
-              ? `<p class="profile-bio">${data.basics.summary}</p>`
-              : ""
-          }
-        </div>
-
-        ${
-          data.basics?.email ||
-          data.basics?.phone ||
-          data.basics?.location?.city
-            ? `
-          <div class="elegant-contact">
-            <h3>Contact</h3>
-            ${
-              data.basics?.email
-                ? `<div class="contact-item"><strong>Email:</strong> ${data.basics.email}</div>`
-                : ""
-            }
-            ${
-              data.basics?.phone
-                ? `<div class="contact-item"><strong>Phone:</strong> ${data.basics.phone}</div>`
-                : ""
-            }
+TemplateRenderer.register("elegant", {
+  name: "Elegant",
+  description: "Refined Sidebar",
+  category: "professional",
+  sections: ["work", "education", "skills", "certifications", "languages"],
+  colors: { accentColor: "#2c3e50", secondaryColor: "#f8f8f8" },
+  preview: {
+    className: "elegant-preview",
+    html: '<div class="prev-sidebar"></div><div class="prev-main"><div class="prev-header"></div><div class="prev-line"></div><div class="prev-line short"></div></div>',
+  },
+  render: (data, options = {}) => {
+    const {
+      accentColor = "#2c3e50",
+      secondaryColor = "#f8f8f8",
+      fontFamily = "Georgia, serif",
+    } = options;
+
+    // Sections in the order chosen in the customization panel
+    const sections = {
+      work:
+        data.work && data.work.length
+          ? `
+        <section class="elegant-section">
+          <h2>${TemplateRenderer.label("work", "Professional Experience", options)}</h2>
+          ${data.work
+            .map(
+              (job) => `
+            <div class="elegant-entry">
+              <div class="entry-header">
+                <h3>${job.position || "Position"}</h3>
+                <span class="entry-date">${TemplateRenderer.formatDate(
+                  job.startDate,
+                  options
+                )} - ${TemplateRenderer.formatDate(job.endDate, options)}</span>
+              </div>
+              <p class="entry-company">${job.name || "Company"}</p>
+              ${
+                job.summary
+                  ? `<p class="entry-description">${job.summary}</p>`
+                  : ""
+              }
+              ${
+                job.highlights && job.highlights.length
+                  ? `
+                <ul class="entry-highlights">
+                  ${job.highlights
+                    .slice(0, 3)
+                    .map((h) => `<li>${h}</li>`)
+                    .join("")}
+                </ul>
+              `
+                  : ""
+              }
+            </div>
+          `
+            )
+            .join("")}
+        </section>
+      `
+          : "",
+      education:
+        data.education && data.education.length
+          ? `
+        <section class="elegant-section">
+          <h2>${TemplateRenderer.label("education", "Education", options)}</h2>
+          ${data.education
+            .map(
+              (edu) => `
+            <div class="elegant-entry">
+              <div class="entry-header">
+                <h3>${edu.studyType} ${TemplateRenderer.label("in", "in", options)} ${edu.area}</h3>
+                <span class="entry-date">${TemplateRenderer.formatDate(
+                  edu.startDate,
+                  options
+                )}</span>
+              </div>
+              <p class="entry-institution">${edu.institution}</p>
+            </div>
+          `
+            )
+            .join("")}
+        </section>
+      `
+          : "",
+      certifications:
+        data.certifications && data.certifications.length
+          ? `
+        <section class="elegant-section">
+          <h2>${TemplateRenderer.label("certifications", "Certifications", options)}</h2>
+          <ul class="cert-list">
+            ${data.certifications
+              .map((cert) => `<li>${cert.name}</li>`)
+              .join("")}
+          </ul>
+        </section>
+      `
+          : "",
+    };
+
+    const html = `
+      <div class="resume-content template-elegant">
+        <div class="elegant-sidebar">
+          <div class="elegant-profile">
             ${
-              data.basics?.url
-                ? `<div class="contact-item"><strong>Website:</strong> <a href="${data.basics.url}">${data.basics.url}</a></div>`
+              data.basics?.image
+                ? `<img src="${data.basics.image}" alt="${data.basics.name}" class="profile-image">`
                 : ""
             }
+            <h1 class="profile-name">${data.basics?.name || "Your Name"}</h1>
+            <p class="profile-title">${data.basics?.label || "Professional"}</p>
             ${
-              data.basics?.location?.city
-                ? `<div class="contact-item"><strong>Location:</strong> ${
-                    data.basics.location.city
-                  }${
-                    data.basics.location.region
-                      ? ", " + data.basics.location.region
-                      : ""
-                  }</div>`
+              data.basics?.summary
+                ? `<p class="profile-bio">${data.basics.summary}</p>`
                 : ""
             }
           </div>
-        `
-            : ""
-        }
-
-        ${
-          data.skills && data.skills.length
-            ? `
-          <div class="elegant-skills">
-            <h3>Skills</h3>
-            ${data.skills
-              .map(
-                (skill) => `
-              <div class="skill-category">
-                <h4>${skill.name}</h4>
-                <p class="skill-list">${
-                  Array.isArray(skill.keywords)
-                    ? skill.keywords.join(", ")
-                    : skill.keywords || ""
-                }</p>
-              </div>
-            `
-              )
-              .join("")}
-          </div>
-        `
-            : ""
-        }
-
-        ${
-          data.languages && data.languages.length
-            ? `
-          <div class="elegant-languages">
-            <h3>Languages</h3>
-            ${data.languages
-              .map(
-                (lang) => `
-              <div class="language-item">
-                <strong>${lang.language}</strong>
-                <span class="fluency">${lang.fluency}</span>
-              </div>
-            `
-              )
-              .join("")}
-          </div>
-        `
-            : ""
-        }
-      </div>
 
-      <div class="elegant-main">
-        ${
-          data.basics?.summary && !data.work?.length
-            ? `
-          <section class="elegant-section">
-            <h2>Professional Summary</h2>
-            <p>${data.basics.summary}</p>
-          </section>
-        `
-            : ""
-        }
+          ${
+            data.basics?.email ||
+            data.basics?.phone ||
+            data.basics?.location?.city
+              ? `
+            <div class="elegant-contact">
+              <h3>${TemplateRenderer.label("contact", "Contact", options)}</h3>
+              ${
+                data.basics?.email
+                  ? `<div class="contact-item"><strong>${TemplateRenderer.label("email", "Email", options)}:</strong> ${data.basics.email}</div>`
+                  : ""
+              }
+              ${
+                data.basics?.phone
+                  ? `<div class="contact-item"><strong>${TemplateRenderer.label("phone", "Phone", options)}:</strong> ${data.basics.phone}</div>`
+                  : ""
+              }
+              ${
+                data.basics?.url
+                  ? `<div class="contact-item"><strong>${TemplateRenderer.label("website", "Website", options)}:</strong> <a href="${data.basics.url}">${data.basics.url}</a></div>`
+                  : ""
+              }
+              ${
+                data.basics?.location?.city
+                  ? `<div class="contact-item"><strong>${TemplateRenderer.label("location", "Location", options)}:</strong> ${
+                      data.basics.location.city
+                    }${
+                      data.basics.location.region
+                        ? ", " + data.basics.location.region
+                        : ""
+                    }</div>`
+                  : ""
+              }
+            </div>
+          `
+              : ""
+          }
 
-        ${
-          data.work && data.work.length
-            ? `
-          <section class="elegant-section">
-            <h2>Professional Experience</h2>
-            ${data.work
-              .map(
-                (job) => `
-              <div class="elegant-entry">
-                <div class="entry-header">
-                  <h3>${job.position || "Position"}</h3>
-                  <span class="entry-date">${TemplateRenderer.formatDate(
-                    job.startDate
-                  )} - ${TemplateRenderer.formatDate(job.endDate)}</span>
+          ${
+            data.skills && data.skills.length
+              ? `
+            <div class="elegant-skills">
+              <h3>${TemplateRenderer.label("skills", "Skills", options)}</h3>
+              ${data.skills
+                .map(
+                  (skill) => `
+                <div class="skill-category">
+                  <h4>${skill.name}</h4>
+                  <p class="skill-list">${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords.join(", ")
+                      : skill.keywords || ""
+                  }</p>
                 </div>
-                <p class="entry-company">${job.name || "Company"}</p>
-                ${
-                  job.summary
-                    ? `<p class="entry-description">${job.summary}</p>`
-                    : ""
-                }
-                ${
-                  job.highlights && job.highlights.length
-                    ? `
-                  <ul class="entry-highlights">
-                    ${job.highlights
-                      .slice(0, 3)
-                      .map((h) => `<li>${h}</li>`)
-                      .join("")}
-                  </ul>
-                `
-                    : ""
-                }
-              </div>
-            `
-              )
-              .join("")}
-          </section>
-        `
-            : ""
-        }
+              `
+                )
+                .join("")}
+            </div>
+          `
+              : ""
+          }
 
-        ${
-          data.education && data.education.length
-            ? `
-          <section class="elegant-section">
-            <h2>Education</h2>
-            ${data.education
-              .map(
-                (edu) => `
-              <div class="elegant-entry">
-                <div class="entry-header">
-                  <h3>${edu.studyType} in ${edu.area}</h3>
-                  <span class="entry-date">${TemplateRenderer.formatDate(
-                    edu.startDate
-                  )}</span>
+          ${
+            data.languages && data.languages.length
+              ? `
+            <div class="elegant-languages">
+              <h3>${TemplateRenderer.label("languages", "Languages", options)}</h3>
+              ${data.languages
+                .map(
+                  (lang) => `
+                <div class="language-item">
+                  <strong>${lang.language}</strong>
+                  <span class="fluency">${lang.fluency}</span>
                 </div>
-                <p class="entry-institution">${edu.institution}</p>
-              </div>
-            `
-              )
-              .join("")}
-          </section>
-        `
-            : ""
-        }
-
-        ${
-          data.certifications && data.certifications.length
-            ? `
-          <section class="elegant-section">
-            <h2>Certifications</h2>
-            <ul class="cert-list">
-              ${data.certifications
-                .map((cert) => `<li>${cert.name}</li>`)
+              `
+                )
                 .join("")}
-            </ul>
-          </section>
-        `
-            : ""
-        }
+            </div>
+          `
+              : ""
+          }
+        </div>
+
+        <div class="elegant-main">
+          ${
+            data.basics?.summary && !data.work?.length
+              ? `
+            <section class="elegant-section">
+              <h2>${TemplateRenderer.label("summary", "Professional Summary", options)}</h2>
+              <p>${data.basics.summary}</p>
+            </section>
+          `
+              : ""
+          }
+
+          ${TemplateRenderer.orderSections(sections, options.sectionOrder)}
+        </div>
       </div>
-    </div>
-  `;
-
-  const css = `
-    .template-elegant {
-      display: grid;
-      grid-template-columns: 300px 1fr;
-      gap: 40px;
-      font-family: ${fontFamily};
-      color: #333;
-      line-height: 1.6;
-    }
+    `;
 
-    .elegant-sidebar {
-      background: #f8f8f8;
-      padding: 30px;
-      border-radius: 8px;
-    }
+    const css = `
+      .template-elegant {
+        display: grid;
+        grid-template-columns: 300px 1fr;
+        gap: 40px;
+        font-family: ${fontFamily};
+        color: #333;
+        line-height: 1.6;
+      }
 
-    .profile-image {
-      width: 150px;
-      height: 150px;
-      border-radius: 50%;
-      margin: 0 auto 20px;
-      display: block;
-      border: 4px solid ${accentColor};
-    }
+      .elegant-sidebar {
+        background: ${secondaryColor};
+        padding: 30px;
+        border-radius: 8px;
+      }
 
-    .profile-name {
-      font-size: 24px;
-      margin: 0 0 10px 0;
-      font-weight: 700;
-      color: ${accentColor};
-    }
+      .profile-image {
+        width: 150px;
+        height: 150px;
+        border-radius: 50%;
+        margin: 0 auto 20px;
+        display: block;
+        border: 4px solid ${accentColor};
+      }
 
-    .profile-title {
-      font-size: 14px;
-      color: #666;
-      margin: 0 0 15px 0;
-      font-style: italic;
-    }
+      .profile-name {
+        font-size: 24px;
+        margin: 0 0 10px 0;
+        font-weight: 700;
+        color: ${accentColor};
+      }
 
-    .profile-bio {
-      font-size: 13px;
-      line-height: 1.5;
-      margin: 15px 0;
-    }
+      .profile-title {
+        font-size: 14px;
+        color: #666;
+        margin: 0 0 15px 0;
+        font-style: italic;
+      }
 
-    .elegant-contact,
-    .elegant-skills,
-    .elegant-languages {
-      margin-top: 25px;
-      padding-top: 20px;
-      border-top: 2px solid #ddd;
-    }
+      .profile-bio {
+        font-size: 13px;
+        line-height: 1.5;
+        margin: 15px 0;
+      }
 
-    .elegant-contact h3,
-    .elegant-skills h3,
-    .elegant-languages h3 {
-      font-size: 13px;
-      text-transform: uppercase;
-      letter-spacing: 1px;
-      margin: 0 0 15px 0;
-      color: ${accentColor};
-      font-weight: 700;
-    }
+      .elegant-contact,
+      .elegant-skills,
+      .elegant-languages {
+        margin-top: 25px;
+        padding-top: 20px;
+        border-top: 2px solid #ddd;
+      }
 
-    .contact-item {
-      font-size: 12px;
-      margin-bottom: 8px;
-    }
+      .elegant-contact h3,
+      .elegant-skills h3,
+      .elegant-languages h3 {
+        font-size: 13px;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+        margin: 0 0 15px 0;
+        color: ${accentColor};
+        font-weight: 700;
+      }
 
-    .contact-item strong {
-      display: block;
-      font-weight: 700;
-    }
+      .contact-item {
+        font-size: 12px;
+        margin-bottom: 8px;
+      }
 
-    .contact-item a {
-      color: ${accentColor};
-      text-decoration: none;
-    }
+      .contact-item strong {
+        display: block;
+        font-weight: 700;
+      }
 
-    .skill-category {
-      margin-bottom: 12px;
-    }
+      .contact-item a {
+        color: ${accentColor};
+        text-decoration: none;
+      }
 
-    .skill-category h4 {
-      font-size: 12px;
-      margin: 0 0 5px 0;
-      font-weight: 700;
-    }
+      .skill-category {
+        margin-bottom: 12px;
+      }
 
-    .skill-list {
-      font-size: 11px;
-      margin: 0;
-      color: #666;
-    }
+      .skill-category h4 {
+        font-size: 12px;
+        margin: 0 0 5px 0;
+        font-weight: 700;
+      }
 
-    .language-item {
-      display: flex;
-      justify-content: space-between;
-      font-size: 12px;
-      margin-bottom: 8px;
-    }
+      .skill-list {
+        font-size: 11px;
+        margin: 0;
+        color: #666;
+      }
 
-    .fluency {
-      font-size: 11px;
-      color: #999;
-    }
+      .language-item {
+        display: flex;
+        justify-content: space-between;
+        font-size: 12px;
+        margin-bottom: 8px;
+      }
 
-    .elegant-main {
-      padding: 20px 0;
-    }
+      .fluency {
+        font-size: 11px;
+        color: #999;
+      }
 
-    .elegant-section {
-      margin-bottom: 30px;
-    }
+      .elegant-main {
+        padding: 20px 0;
+      }
 
-    .elegant-section h2 {
-      font-size: 16px;
-      font-weight: 700;
-      margin: 0 0 20px 0;
-      padding-bottom: 10px;
-      border-bottom: 3px solid ${accentColor};
-      color: ${accentColor};
-    }
+      .elegant-section {
+        margin-bottom: 30px;
+      }
 
-    .elegant-entry {
-      margin-bottom: 20px;
-    }
+      .elegant-section h2 {
+        font-size: 16px;
+        font-weight: 700;
+        margin: 0 0 20px 0;
+        padding-bottom: 10px;
+        border-bottom: 3px solid ${accentColor};
+        color: ${accentColor};
+      }
 
-    .entry-header {
-      display: flex;
-      justify-content: space-between;
-      align-items: flex-start;
-      gap: 15px;
-      margin-bottom: 5px;
-    }
+      .elegant-entry {
+        margin-bottom: 20px;
+      }
 
-    .elegant-entry h3 {
-      font-size: 14px;
-      margin: 0;
-      font-weight: 700;
-    }
+      .entry-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        gap: 15px;
+        margin-bottom: 5px;
+      }
 
-    .entry-date {
-      font-size: 12px;
-      color: #999;
-      flex-shrink: 0;
-    }
+      .elegant-entry h3 {
+        font-size: 14px;
+        margin: 0;
+        font-weight: 700;
+      }
 
-    .entry-company,
-    .entry-institution {
-      font-size: 13px;
-      color: ${accentColor};
-      margin: 0 0 8px 0;
-      font-weight: 600;
-    }
+      .entry-date {
+        font-size: 12px;
+        color: #999;
+        flex-shrink: 0;
+      }
 
-    .entry-description {
-      font-size: 12px;
-      margin: 8px 0;
-      line-height: 1.5;
-    }
+      .entry-company,
+      .entry-institution {
+        font-size: 13px;
+        color: ${accentColor};
+        margin: 0 0 8px 0;
+        font-weight: 600;
+      }
 
-    .entry-highlights {
-      list-style: none;
-      padding: 0;
-      margin: 8px 0 0 0;
-      font-size: 12px;
-    }
+      .entry-description {
+        font-size: 12px;
+        margin: 8px 0;
+        line-height: 1.5;
+      }
 
-    .entry-highlights li {
-      padding-left: 15px;
-      margin-bottom: 4px;
-      position: relative;
-    }
+      .entry-highlights {
+        list-style: none;
+        padding: 0;
+        margin: 8px 0 0 0;
+        font-size: 12px;
+      }
 
-    .entry-highlights li:before {
-      content: "•";
-      position: absolute;
-      left: 0;
-      color: ${accentColor};
-      font-weight: bold;
-    }
+      .entry-highlights li {
+        padding-left: 15px;
+        margin-bottom: 4px;
+        position: relative;
+      }
 
-    .cert-list {
-      list-style: none;
-      padding: 0;
-      margin: 0;
-    }
+      .entry-highlights li:before {
+        content: "•";
+        position: absolute;
+        left: 0;
+        color: ${accentColor};
+        font-weight: bold;
+      }
 
-    .cert-list li {
-      font-size: 12px;
-      padding: 6px 0;
-      padding-left: 15px;
-      position: relative;
-    }
+      .cert-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
 
-    .cert-list li:before {
-      content: "✓";
-      position: absolute;
-      left: 0;
-      color: ${accentColor};
-      font-weight: bold;
-    }
+      .cert-list li {
+        font-size: 12px;
+        padding: 6px 0;
+        padding-left: 15px;
+        position: relative;
+      }
 
-    @media print {
-      .template-elegant {
-        display: grid;
-        grid-template-columns: 280px 1fr;
-        gap: 30px;
-        font-size: 11px;
+      .cert-list li:before {
+        content: "✓";
+        position: absolute;
+        left: 0;
+        color: ${accentColor};
+        font-weight: bold;
       }
-    }
-  `;
 
-  return { html, css };
+      @media print {
+        .template-elegant {
+          display: grid;
+          grid-template-columns: 280px 1fr;
+          gap: 30px;
+          font-size: 11px;
+        }
+      }
+    `;
+
+    return { html, css };
+  },
 });
 
 /**
  * Modern template with clean design
  */
-TemplateRenderer.register("modern-pro", (data, options = {}) => {
-  const { primaryColor = "#00bcd4", secondaryColor = "#f5f5f5" } = options;
-
-  const html = `
-    <div class="template-modern-pro">
-      <div class="modern-header" style="background-color: ${primaryColor}">
-        <h1>${data.basics?.name || "Your Name"}</h1>
-        <p class="header-subtitle">${data.basics?.label || "Professional"}</p>
-        <div class="header-contact">
-          ${data.basics?.email ? `<span>${data.basics.email}</span>` : ""}
-          ${
-            data.basics?.phone
-              ? `<span>•</span><span>${data.basics.phone}</span>`
-              : ""
-          }
-          ${
-            data.basics?.location?.city
-              ? `<span>•</span><span>${data.basics.location.city}</span>`
-              : ""
-          }
-        </div>
-      </div>
-
-      <div class="modern-body">
-        ${
-          data.work && data.work.length
-            ? `
-          <section>
-            <h2>Experience</h2>
-            ${data.work
-              .map(
-                (job) => `
-              <div class="modern-card">
-                <div class="card-header">
-                  <h3>${job.position}</h3>
-                  <span class="card-date">${TemplateRenderer.formatDate(
-                    job.startDate
-                  )} - ${TemplateRenderer.formatDate(job.endDate)}</span>
-                </div>
-                <p class="card-subtitle">${job.name}</p>
-                ${job.summary ? `<p>${job.summary}</p>` : ""}
+TemplateRenderer.register("modern-pro", {
+  name: "Modern Pro",
+  description: "Bold Header Band",
+  category: "modern",
+  atsSafe: true,
+  sections: ["work", "education", "skills"],
+  colors: { accentColor: "#00bcd4", secondaryColor: "#f5f5f5" },
+  preview: {
+    className: "modern-pro-preview",
+    html: '<div class="prev-accent"></div><div class="prev-line"></div><div class="prev-line"></div><div class="prev-line short"></div>',
+  },
+  render: (data, options = {}) => {
+    const {
+      accentColor = "#00bcd4",
+      secondaryColor = "#f5f5f5",
+      fontFamily = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    } = options;
+
+    // Sections in the order chosen in the customization panel
+    const sections = {
+      work:
+        data.work && data.work.length
+          ? `
+        <section>
+          <h2>${TemplateRenderer.label("work", "Experience", options)}</h2>
+          ${data.work
+            .map(
+              (job) => `
+            <div class="modern-card">
+              <div class="card-header">
+                <h3>${job.position}</h3>
+                <span class="card-date">${TemplateRenderer.formatDate(
+                  job.startDate,
+                  options
+                )} - ${TemplateRenderer.formatDate(job.endDate, options)}</span>
               </div>
-            `
-              )
-              .join("")}
-          </section>
-        `
-            : ""
-        }
-
-        ${
-          data.education && data.education.length
-            ? `
-          <section>
-            <h2>Education</h2>
-            ${data.education
+              <p class="card-subtitle">${job.name}</p>
+              ${job.summary ? `<p>${job.summary}</p>` : ""}
+            </div>
+          `
+            )
+            .join("")}
+        </section>
+      `
+          : "",
+      education:
+        data.education && data.education.length
+          ? `
+        <section>
+          <h2>${TemplateRenderer.label("education", "Education", options)}</h2>
+          ${data.education
+            .map(
+              (edu) => `
+            <div class="modern-card">
+              <h3>${edu.studyType} ${TemplateRenderer.label("in", "in", options)} ${edu.area}</h3>
+              <p class="card-subtitle">${edu.institution}</p>
+            </div>
+          `
+            )
+            .join("")}
+        </section>
+      `
+          : "",
+      skills:
+        data.skills && data.skills.length
+          ? `
+        <section>
+          <h2>${TemplateRenderer.label("skills", "Skills", options)}</h2>
+          <div class="skills-grid">
+            ${data.skills
               .map(
-                (edu) => `
-              <div class="modern-card">
-                <h3>${edu.studyType} in ${edu.area}</h3>
-                <p class="card-subtitle">${edu.institution}</p>
+                (skill) => `
+              <div class="skill-chip">
+                <strong>${skill.name}</strong>
+                ${
+                  Array.isArray(skill.keywords)
+                    ? `<p>${skill.keywords.slice(0, 3).join(", ")}</p>`
+                    : ""
+                }
               </div>
             `
               )
               .join("")}
-          </section>
-        `
-            : ""
-        }
+          </div>
+        </section>
+      `
+          : "",
+    };
+
+    const html = `
+      <div class="resume-content template-modern-pro">
+        <div class="modern-header" style="background-color: ${accentColor}">
+          <h1>${data.basics?.name || "Your Name"}</h1>
+          <p class="header-subtitle">${data.basics?.label || "Professional"}</p>
+          <div class="header-contact">
+            ${data.basics?.email ? `<span>${data.basics.email}</span>` : ""}
+            ${
+              data.basics?.phone
+                ? `<span>•</span><span>${data.basics.phone}</span>`
+                : ""
+            }
+            ${
+              data.basics?.location?.city
+                ? `<span>•</span><span>${data.basics.location.city}</span>`
+                : ""
+            }
+          </div>
+        </div>
 
-        ${
-          data.skills && data.skills.length
-            ? `
-          <section>
-            <h2>Skills</h2>
-            <div class="skills-grid">
-              ${data.skills
-                .map(
-                  (skill) => `
-                <div class="skill-chip">
-                  <strong>${skill.name}</strong>
-                  ${
-                    Array.isArray(skill.keywords)
-                      ? `<p>${skill.keywords.slice(0, 3).join(", ")}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </div>
-          </section>
-        `
-            : ""
-        }
+        <div class="modern-body">
+          ${TemplateRenderer.orderSections(sections, options.sectionOrder)}
+        </div>
       </div>
-    </div>
-  `;
+    `;
 
-  const css = `
-    .template-modern-pro {
-      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-    }
+    const css = `
+      .template-modern-pro {
+        font-family: ${fontFamily};
+      }
 
-    .modern-header {
-      color: white;
-      padding: 40px;
-      text-align: center;
-    }
+      .modern-header {
+        color: white;
+        padding: 40px;
+        text-align: center;
+      }
 
-    .modern-header h1 {
-      font-size: 32px;
-      margin: 0 0 10px 0;
-      font-weight: 700;
-    }
+      .modern-header h1 {
+        font-size: 32px;
+        margin: 0 0 10px 0;
+        font-weight: 700;
+      }
 
-    .header-subtitle {
-      font-size: 18px;
-      margin: 0 0 15px 0;
-      opacity: 0.95;
-    }
+      .header-subtitle {
+        font-size: 18px;
+        margin: 0 0 15px 0;
+        opacity: 0.95;
+      }
 
-    .header-contact {
-      font-size: 13px;
-      opacity: 0.9;
-    }
+      .header-contact {
+        font-size: 13px;
+        opacity: 0.9;
+      }
 
-    .modern-body {
-      padding: 40px;
-    }
+      .modern-body {
+        padding: 40px;
+      }
 
-    .modern-body section {
-      margin-bottom: 35px;
-    }
+      .modern-body section {
+        margin-bottom: 35px;
+      }
 
-    .modern-body h2 {
-      font-size: 16px;
-      font-weight: 700;
-      margin: 0 0 20px 0;
-      text-transform: uppercase;
-      letter-spacing: 1px;
-    }
+      .modern-body h2 {
+        font-size: 16px;
+        font-weight: 700;
+        margin: 0 0 20px 0;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+      }
 
-    .modern-card {
-      margin-bottom: 20px;
-      padding: 15px;
-      background: ${secondaryColor};
-      border-radius: 6px;
-    }
+      .modern-card {
+        margin-bottom: 20px;
+        padding: 15px;
+        background: ${secondaryColor};
+        border-radius: 6px;
+      }
 
-    .card-header {
-      display: flex;
-      justify-content: space-between;
-      margin-bottom: 8px;
-    }
+      .card-header {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 8px;
+      }
 
-    .modern-card h3 {
-      font-size: 14px;
-      margin: 0;
-      font-weight: 700;
-    }
+      .modern-card h3 {
+        font-size: 14px;
+        margin: 0;
+        font-weight: 700;
+      }
 
-    .card-date {
-      font-size: 12px;
-      color: #999;
-    }
+      .card-date {
+        font-size: 12px;
+        color: #999;
+      }
 
-    .card-subtitle {
-      font-size: 12px;
-      color: #666;
-      margin: 0 0 8px 0;
-    }
+      .card-subtitle {
+        font-size: 12px;
+        color: #666;
+        margin: 0 0 8px 0;
+      }
 
-    .modern-card p {
-      font-size: 12px;
-      line-height: 1.5;
-      margin: 5px 0 0 0;
-    }
+      .modern-card p {
+        font-size: 12px;
+        line-height: 1.5;
+        margin: 5px 0 0 0;
+      }
 
-    .skills-grid {
-      display: grid;
-      grid-template-columns: repeat(2, 1fr);
-      gap: 12px;
-    }
+      .skills-grid {
+        display: grid;
+        grid-template-columns: repeat(2, 1fr);
+        gap: 12px;
+      }
 
-    .skill-chip {
-      background: ${secondaryColor};
-      padding: 12px;
-      border-radius: 6px;
-    }
+      .skill-chip {
+        background: ${secondaryColor};
+        padding: 12px;
+        border-radius: 6px;
+      }
 
-    .skill-chip strong {
-      display: block;
-      font-size: 12px;
-      margin-bottom: 4px;
-    }
+      .skill-chip strong {
+        display: block;
+        font-size: 12px;
+        margin-bottom: 4px;
+      }
 
-    .skill-chip p {
-      font-size: 11px;
-      color: #666;
-      margin: 0;
-    }
-  `;
+      .skill-chip p {
+        font-size: 11px;
+        color: #666;
+        margin: 0;
+      }
+    `;
 
-  return { html, css };
+    return { html, css };
+  },
 });
 
 /**
- * Helper method to format dates
+ * Helper method to format dates (see ResumeDates.format)
  */
-TemplateRenderer.formatDate = (dateStr) => {
-  if (!dateStr) return "";
-  if (dateStr.toLowerCase() === "present") return "Present";
-
-  try {
-    const date = new Date(dateStr);
-    return date.toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-    });
-  } catch {
-    return dateStr;
-  }
+TemplateRenderer.formatDate = (dateStr, options = {}) => {
+  const Dates =
+    typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+  return Dates.format(dateStr, {
+    locale: options.locale,
+    style: options.dateStyle,
+    presentLabel: TemplateRenderer.label("present", "Present", options),
+  });
+};
+
+/**
+ * Section heading or label in the language from the render options, else
+ * the template's own wording (see TemplateTranslations.label)
+ */
+TemplateRenderer.label = (key, text, options = {}) => {
+  const Translations =
+    typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./TemplateTranslations.js");
+  return Translations.label(key, options.locale, text);
+};
+
+/**
+ * Join a template's rendered sections ({ work, education, ... }) in the
+ * order from the render options; sections missing from it keep the
+ * template's own order after the ordered ones
+ */
+TemplateRenderer.orderSections = (sections, order) => {
+  const keys = Object.keys(sections);
+  const ordered = (order || []).filter((key) => keys.includes(key));
+  return ordered
+    .concat(keys.filter((key) => !ordered.includes(key)))
+    .map((key) => sections[key])
+    .join("");
 };
 
 // Export
-window.TemplateRenderer = TemplateRenderer;
+if (typeof window !== "undefined") {
+  window.TemplateRenderer = TemplateRenderer;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateRenderer;
+}
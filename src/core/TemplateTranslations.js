@@ -0,0 +1,129 @@
+/**
+ * TemplateTranslations
+ *
+ * Translation catalogs for template output, so a resume can be rendered in
+ * the candidate's language:
+ * - label(key, locale, text): section heading or field label ("work",
+ *   "education", "present", ...) in that language. In English, or for a
+ *   language without a catalog, templates keep their own wording (`text`),
+ *   so "Featured Projects" stays "Featured Projects".
+ * - direction(locale) -> "rtl" for right-to-left scripts (Arabic, Hebrew).
+ *   TemplateCustomizer marks the rendered resume with lang and dir and
+ *   mirrors the template's left/right CSS for them.
+ * - register(code, catalog): add a language
+ *
+ * Locales are BCP 47 tags ("de", "fr-CA"); a regional tag uses its
+ * language's catalog, and the full tag still formats dates. Catalogs for
+ * German, French, Spanish, Arabic and Hebrew are in src/core/translations/;
+ * in Node this module requires them.
+ */
+
+class TemplateTranslations {
+  static catalogs = {
+    en: {
+      code: "en",
+      name: "English",
+      dir: "ltr",
+      labels: {
+        work: "Experience",
+        education: "Education",
+        skills: "Skills",
+        projects: "Projects",
+        certifications: "Certifications",
+        languages: "Languages",
+        summary: "Summary",
+        contact: "Contact",
+        technologies: "Technologies",
+        email: "Email",
+        phone: "Phone",
+        website: "Web",
+        location: "Location",
+        in: "in", // "Bachelor's in Computer Science"
+        present: "Present",
+      },
+      // ExperienceAnalytics.formatDuration units
+      duration: { year: "yr", years: "yrs", month: "mo", months: "mos" },
+    },
+  };
+
+  // ==================== CATALOGS ====================
+
+  static register(code, catalog) {
+    if (typeof code !== "string" || !/^[a-z]{2,3}$/.test(code)) {
+      throw new Error(`Catalog code must be a 2-3 letter language code, got "${code}"`);
+    }
+    if (catalog.dir && catalog.dir !== "ltr" && catalog.dir !== "rtl") {
+      throw new Error(`Catalog "${code}" has dir "${catalog.dir}"; use "ltr" or "rtl"`);
+    }
+
+    this.catalogs[code] = {
+      code,
+      name: catalog.name || code,
+      dir: catalog.dir || "ltr",
+      labels: { ...catalog.labels },
+      duration: { ...this.catalogs.en.duration, ...catalog.duration },
+    };
+    return this.catalogs[code];
+  }
+
+  /**
+   * Catalog for a locale tag ("fr-CA" uses "fr"), or null
+   */
+  static get(locale) {
+    if (!this.isLocale(locale)) return null;
+    return this.catalogs[locale.split("-")[0].toLowerCase()] || null;
+  }
+
+  static list() {
+    return Object.values(this.catalogs).map(({ code, name, dir }) => ({ code, name, dir }));
+  }
+
+  /**
+   * Whether a value is a well-formed locale tag. Tags end up in the
+   * rendered HTML (lang attribute), so anything else is rejected.
+   */
+  static isLocale(locale) {
+    return typeof locale === "string" && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(locale);
+  }
+
+  // ==================== LABELS ====================
+
+  /**
+   * Label for `key` in the locale. `text` is the template's own English
+   * wording: used as is for English and unknown keys or languages, and its
+   * capitals are kept ("PROFESSIONAL HISTORY" -> "BERUFSERFAHRUNG").
+   */
+  static label(key, locale, text) {
+    const catalog = this.get(locale);
+    const fallback = text === undefined ? this.catalogs.en.labels[key] || key : text;
+    if (!catalog || catalog.code === "en" || !catalog.labels[key]) return fallback;
+
+    const label = catalog.labels[key];
+    const capitals = /[A-Z]/.test(fallback) && fallback === fallback.toUpperCase();
+    return capitals ? label.toLocaleUpperCase(locale) : label;
+  }
+
+  /**
+   * Duration units for ExperienceAnalytics.formatDuration
+   */
+  static durationUnits(locale) {
+    const catalog = this.get(locale) || this.catalogs.en;
+    return catalog.duration;
+  }
+
+  static direction(locale) {
+    const catalog = this.get(locale);
+    return catalog ? catalog.dir : "ltr";
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TemplateTranslations = TemplateTranslations;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateTranslations;
+  // Browsers load the catalogs with their own script tags
+  for (const code of ["de", "fr", "es", "ar", "he"]) require(`./translations/${code}.js`);
+}
@@ -0,0 +1,30 @@
+/**
+ * Arabic template labels (see ../TemplateTranslations.js). Right to left.
+ */
+(function () {
+  const Translations =
+    typeof TemplateTranslations !== "undefined" ? TemplateTranslations : require("../TemplateTranslations.js");
+
+  Translations.register("ar", {
+    name: "العربية",
+    dir: "rtl",
+    labels: {
+      work: "الخبرة المهنية",
+      education: "التعليم",
+      skills: "المهارات",
+      projects: "المشاريع",
+      certifications: "الشهادات",
+      languages: "اللغات",
+      summary: "نبذة",
+      contact: "التواصل",
+      technologies: "التقنيات",
+      email: "البريد الإلكتروني",
+      phone: "الهاتف",
+      website: "الموقع",
+      location: "الموقع الجغرافي",
+      in: "في",
+      present: "حتى الآن",
+    },
+    duration: { year: "سنة", years: "سنوات", month: "شهر", months: "أشهر" },
+  });
+})();
@@ -0,0 +1,29 @@
+/**
+ * German template labels (see ../TemplateTranslations.js)
+ */
+(function () {
+  const Translations =
+    typeof TemplateTranslations !== "undefined" ? TemplateTranslations : require("../TemplateTranslations.js");
+
+  Translations.register("de", {
+    name: "Deutsch",
+    labels: {
+      work: "Berufserfahrung",
+      education: "Ausbildung",
+      skills: "Kenntnisse",
+      projects: "Projekte",
+      certifications: "Zertifikate",
+      languages: "Sprachen",
+      summary: "Profil",
+      contact: "Kontakt",
+      technologies: "Technologien",
+      email: "E-Mail",
+      phone: "Telefon",
+      website: "Web",
+      location: "Ort",
+      in: "in",
+      present: "heute",
+    },
+    duration: { year: "J.", years: "J.", month: "Mon.", months: "Mon." },
+  });
+})();
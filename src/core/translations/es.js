@@ -0,0 +1,29 @@
+/**
+ * Spanish template labels (see ../TemplateTranslations.js)
+ */
+(function () {
+  const Translations =
+    typeof TemplateTranslations !== "undefined" ? TemplateTranslations : require("../TemplateTranslations.js");
+
+  Translations.register("es", {
+    name: "Español",
+    labels: {
+      work: "Experiencia laboral",
+      education: "Formación",
+      skills: "Habilidades",
+      projects: "Proyectos",
+      certifications: "Certificaciones",
+      languages: "Idiomas",
+      summary: "Perfil",
+      contact: "Contacto",
+      technologies: "Tecnologías",
+      email: "Correo",
+      phone: "Teléfono",
+      website: "Web",
+      location: "Ubicación",
+      in: "en",
+      present: "actualidad",
+    },
+    duration: { year: "año", years: "años", month: "mes", months: "meses" },
+  });
+})();
@@ -0,0 +1,29 @@
+/**
+ * French template labels (see ../TemplateTranslations.js)
+ */
+(function () {
+  const Translations =
+    typeof TemplateTranslations !== "undefined" ? TemplateTranslations : require("../TemplateTranslations.js");
+
+  Translations.register("fr", {
+    name: "Français",
+    labels: {
+      work: "Expérience professionnelle",
+      education: "Formation",
+      skills: "Compétences",
+      projects: "Projets",
+      certifications: "Certifications",
+      languages: "Langues",
+      summary: "Profil",
+      contact: "Contact",
+      technologies: "Technologies",
+      email: "E-mail",
+      phone: "Téléphone",
+      website: "Web",
+      location: "Lieu",
+      in: "en",
+      present: "aujourd'hui",
+    },
+    duration: { year: "an", years: "ans", month: "mois", months: "mois" },
+  });
+})();
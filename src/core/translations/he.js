@@ -0,0 +1,30 @@
+/**
+ * Hebrew template labels (see ../TemplateTranslations.js). Right to left.
+ */
+(function () {
+  const Translations =
+    typeof TemplateTranslations !== "undefined" ? TemplateTranslations : require("../TemplateTranslations.js");
+
+  Translations.register("he", {
+    name: "עברית",
+    dir: "rtl",
+    labels: {
+      work: "ניסיון תעסוקתי",
+      education: "השכלה",
+      skills: "כישורים",
+      projects: "פרויקטים",
+      certifications: "תעודות",
+      languages: "שפות",
+      summary: "תקציר",
+      contact: "פרטי קשר",
+      technologies: "טכנולוגיות",
+      email: "דוא״ל",
+      phone: "טלפון",
+      website: "אתר",
+      location: "מיקום",
+      in: "בתחום",
+      present: "היום",
+    },
+    duration: { year: "שנה", years: "שנים", month: "חודש", months: "חודשים" },
+  });
+})();
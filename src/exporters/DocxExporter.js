@@ -0,0 +1,620 @@
+/**
+ * DocxExporter
+ *
+ * Writes resume data as a Word (.docx) document:
+ * - Real Word headings, bullet lists and tables (not an HTML blob)
+ * - Layout profiles that follow the chosen template's structure
+ *   (classic, ats and corporate; other templates use classic)
+ * - Packaged with a small built-in ZIP writer, no dependencies
+ */
+
+class DocxExporter {
+  /**
+   * Layout profiles keyed by template name.
+   * - layout: "single" column or "sidebar" (two-column table)
+   * - skillsAs: "table" (category/keywords grid), "lines" or "list"
+   * - headings: section titles as the template prints them
+   */
+  static profiles = {
+    classic: {
+      layout: "single",
+      font: "Segoe UI",
+      accent: "5D4E37",
+      headingBorder: true,
+      contactSeparator: "  •  ",
+      summaryHeading: null,
+      skillsAs: "table",
+      order: ["work", "education", "skills", "projects", "certifications"],
+      headings: {
+        work: "Experience",
+        education: "Education",
+        skills: "Skills",
+        projects: "Projects",
+        certifications: "Certifications",
+      },
+    },
+    ats: {
+      layout: "single",
+      font: "Times New Roman",
+      accent: "000000",
+      headingBorder: false,
+      contactSeparator: " | ",
+      summaryHeading: "PROFESSIONAL SUMMARY",
+      skillsAs: "lines",
+      order: ["work", "education", "skills", "projects", "certifications"],
+      headings: {
+        work: "PROFESSIONAL EXPERIENCE",
+        education: "EDUCATION",
+        skills: "SKILLS",
+        projects: "PROJECTS",
+        certifications: "CERTIFICATIONS",
+      },
+    },
+    corporate: {
+      layout: "sidebar",
+      font: "Segoe UI",
+      accent: "003366",
+      headingBorder: true,
+      sidebarShade: "F8F9FA",
+      summaryHeading: "Executive Profile",
+      skillsAs: "list",
+      order: ["work", "education", "projects", "certifications"],
+      headings: {
+        contact: "Contact",
+        skills: "Core Competencies",
+        work: "Professional Experience",
+        education: "Education & Certifications",
+        projects: "Projects",
+        certifications: "Certifications",
+      },
+    },
+  };
+
+  // Page sizes in twentieths of a point
+  static pageSizes = {
+    letter: { width: 12240, height: 15840 },
+    a4: { width: 11906, height: 16838 },
+  };
+
+  static MIME_TYPE =
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+  /**
+   * Export resume data to a .docx Blob
+   */
+  static export(data, options = {}) {
+    return new Blob([this.build(data, options)], { type: this.MIME_TYPE });
+  }
+
+  /**
+   * Build the .docx file bytes
+   */
+  static build(data, options = {}) {
+    const { template = "classic", pageSize = "letter", margin = 720 } = options;
+    const profile = this.profiles[template] || this.profiles.classic;
+    const page = this.pageSizes[pageSize] || this.pageSizes.letter;
+    const name = data.basics?.name || "Resume";
+
+    const files = [
+      { name: "[Content_Types].xml", content: this._contentTypes() },
+      { name: "_rels/.rels", content: this._rootRels() },
+      { name: "docProps/core.xml", content: this._coreProps(name) },
+      { name: "word/_rels/document.xml.rels", content: this._documentRels() },
+      { name: "word/styles.xml", content: this._styles(profile) },
+      { name: "word/numbering.xml", content: this._numbering() },
+      {
+        name: "word/document.xml",
+        content: this.buildDocumentXml(data, profile, page, margin),
+      },
+    ];
+
+    return this.zip(files);
+  }
+
+  // ==================== DOCUMENT BODY ====================
+
+  static buildDocumentXml(data, profile, page, margin) {
+    const body =
+      profile.layout === "sidebar"
+        ? this._sidebarBody(data, profile, page.width - margin * 2)
+        : this._singleColumnBody(data, profile, page.width - margin * 2);
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${body}` +
+      `<w:sectPr><w:pgSz w:w="${page.width}" w:h="${page.height}"/>` +
+      `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="0" w:footer="0" w:gutter="0"/>` +
+      "</w:sectPr></w:body></w:document>"
+    );
+  }
+
+  static _singleColumnBody(data, profile, contentWidth) {
+    const basics = data.basics || {};
+    let xml = this._header(basics, profile);
+
+    if (basics.summary) {
+      if (profile.summaryHeading) {
+        xml += this._heading(profile.summaryHeading);
+      }
+      xml += this._paragraph([this._run(basics.summary)]);
+    }
+
+    for (const section of profile.order) {
+      xml += this._section(section, data, profile, contentWidth);
+    }
+
+    return xml;
+  }
+
+  static _sidebarBody(data, profile, contentWidth) {
+    const basics = data.basics || {};
+    const sidebarWidth = Math.round(contentWidth * 0.32);
+    const mainWidth = contentWidth - sidebarWidth;
+
+    let sidebar = this._paragraph([this._run(basics.name || "Your Name")], {
+      style: "Title",
+    });
+    if (basics.label) {
+      sidebar += this._paragraph([this._run(basics.label, { italic: true })]);
+    }
+
+    const contact = [basics.email, basics.phone, basics.url, basics.location].filter(Boolean);
+    if (contact.length) {
+      sidebar += this._heading(profile.headings.contact);
+      sidebar += contact.map((c) => this._paragraph([this._run(c)])).join("");
+    }
+
+    if (data.skills && data.skills.length) {
+      sidebar += this._heading(profile.headings.skills);
+      sidebar += this._skills(data.skills, "list", sidebarWidth);
+    }
+
+    let main = "";
+    if (basics.summary) {
+      main += this._heading(profile.summaryHeading);
+      main += this._paragraph([this._run(basics.summary)]);
+    }
+    // Usable width inside the main cell, after its left and right padding
+    const mainTextWidth = mainWidth - 400;
+    for (const section of profile.order) {
+      main += this._section(section, data, profile, mainTextWidth);
+    }
+    // A table cell must end with a paragraph
+    main += this._paragraph([]);
+    sidebar += this._paragraph([]);
+
+    return (
+      "<w:tbl>" +
+      // Schema order: tblW, tblBorders, tblLayout
+      `<w:tblPr><w:tblW w:w="${contentWidth}" w:type="dxa"/>` +
+      this._tableBorders("nil") +
+      '<w:tblLayout w:type="fixed"/>' +
+      "</w:tblPr>" +
+      `<w:tblGrid><w:gridCol w:w="${sidebarWidth}"/><w:gridCol w:w="${mainWidth}"/></w:tblGrid>` +
+      "<w:tr>" +
+      `<w:tc><w:tcPr><w:tcW w:w="${sidebarWidth}" w:type="dxa"/><w:shd w:val="clear" w:color="auto" w:fill="${profile.sidebarShade}"/>` +
+      '<w:tcMar><w:left w:w="160" w:type="dxa"/><w:right w:w="160" w:type="dxa"/></w:tcMar></w:tcPr>' +
+      `${sidebar}</w:tc>` +
+      `<w:tc><w:tcPr><w:tcW w:w="${mainWidth}" w:type="dxa"/>` +
+      '<w:tcMar><w:left w:w="280" w:type="dxa"/></w:tcMar></w:tcPr>' +
+      `${main}</w:tc>` +
+      "</w:tr></w:tbl>"
+    );
+  }
+
+  static _header(basics, profile) {
+    let xml = this._paragraph([this._run(basics.name || "Your Name")], {
+      style: "Title",
+    });
+    if (basics.label) {
+      xml += this._paragraph([this._run(basics.label, { italic: true })]);
+    }
+
+    const contact = [basics.email, basics.phone, basics.url, basics.location].filter(Boolean);
+    if (contact.length) {
+      xml += this._paragraph([this._run(contact.join(profile.contactSeparator))]);
+    }
+    return xml;
+  }
+
+  static _section(section, data, profile, width) {
+    const entries = data[section];
+    if (!Array.isArray(entries) || entries.length === 0) return "";
+
+    let xml = this._heading(profile.headings[section]);
+
+    switch (section) {
+      case "work":
+        xml += entries.map((job) => this._workEntry(job, width)).join("");
+        break;
+      case "education":
+        xml += entries.map((edu) => this._educationEntry(edu, width)).join("");
+        break;
+      case "skills":
+        xml += this._skills(entries, profile.skillsAs, width);
+        break;
+      case "projects":
+        xml += entries.map((proj) => this._projectEntry(proj)).join("");
+        break;
+      case "certifications":
+        xml += entries
+          .map((cert) =>
+            this._paragraph([
+              this._run(cert.name || "Certification", { bold: true }),
+              this._run(
+                `${cert.issuer ? ` - ${cert.issuer}` : ""}${cert.date ? ` (${cert.date})` : ""}`
+              ),
+            ])
+          )
+          .join("");
+        break;
+    }
+
+    return xml;
+  }
+
+  static _workEntry(job, width) {
+    const company = job.name || job.company || "";
+    const dates = this._dateRange(job.startDate, job.endDate);
+
+    let xml = this._paragraph(
+      [
+        this._run(job.position || "Position", { bold: true }),
+        dates ? this._tab() + this._run(dates) : "",
+      ],
+      { style: "Heading2", rightTab: width }
+    );
+
+    const subtitle = [company, job.location].filter(Boolean).join(", ");
+    if (subtitle) {
+      xml += this._paragraph([this._run(subtitle, { italic: true })], { keepNext: true });
+    }
+
+    if (job.summary) {
+      xml += this._paragraph([this._run(job.summary)]);
+    }
+
+    if (Array.isArray(job.highlights)) {
+      xml += job.highlights.map((h) => this._bullet(h)).join("");
+    }
+
+    return xml;
+  }
+
+  static _educationEntry(edu, width) {
+    const degree = [edu.studyType, edu.area].filter(Boolean).join(" in ") || "Degree";
+    const dates = this._dateRange(edu.startDate, edu.endDate);
+
+    let xml = this._paragraph(
+      [this._run(degree, { bold: true }), dates ? this._tab() + this._run(dates) : ""],
+      { style: "Heading2", rightTab: width }
+    );
+
+    const subtitle = [edu.institution, edu.location].filter(Boolean).join(", ");
+    if (subtitle) {
+      xml += this._paragraph([this._run(subtitle, { italic: true })]);
+    }
+    if (edu.score) {
+      xml += this._paragraph([this._run(`GPA: ${edu.score}`)]);
+    }
+    return xml;
+  }
+
+  static _projectEntry(proj) {
+    let xml = this._paragraph([this._run(proj.name || "Project", { bold: true })], {
+      style: "Heading2",
+    });
+    if (proj.summary) {
+      xml += this._paragraph([this._run(proj.summary)]);
+    }
+    if (Array.isArray(proj.highlights)) {
+      xml += proj.highlights.map((h) => this._bullet(h)).join("");
+    }
+    if (Array.isArray(proj.keywords) && proj.keywords.length) {
+      xml += this._paragraph([
+        this._run("Technologies: ", { bold: true }),
+        this._run(proj.keywords.join(", ")),
+      ]);
+    }
+    return xml;
+  }
+
+  static _skills(skills, mode, width) {
+    const keywordsOf = (skill) =>
+      Array.isArray(skill.keywords) ? skill.keywords.join(", ") : skill.keywords || "";
+
+    if (mode === "list") {
+      return skills.map((skill) => this._bullet(skill.name || keywordsOf(skill))).join("");
+    }
+
+    if (mode === "lines") {
+      return skills
+        .map((skill) =>
+          this._paragraph([
+            this._run(`${skill.name || "Skills"}: `, { bold: true }),
+            this._run(keywordsOf(skill)),
+          ])
+        )
+        .join("");
+    }
+
+    // Skills grid: category | keywords
+    const labelWidth = Math.round(width * 0.3);
+    const rows = skills
+      .map(
+        (skill) =>
+          "<w:tr>" +
+          this._cell(labelWidth, this._paragraph([this._run(skill.name || "Skills", { bold: true })])) +
+          this._cell(width - labelWidth, this._paragraph([this._run(keywordsOf(skill))])) +
+          "</w:tr>"
+      )
+      .join("");
+
+    return (
+      "<w:tbl>" +
+      `<w:tblPr><w:tblW w:w="${width}" w:type="dxa"/>` +
+      this._tableBorders("single") +
+      '<w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar>' +
+      "</w:tblPr>" +
+      `<w:tblGrid><w:gridCol w:w="${labelWidth}"/><w:gridCol w:w="${width - labelWidth}"/></w:tblGrid>` +
+      rows +
+      "</w:tbl>" +
+      this._paragraph([])
+    );
+  }
+
+  // ==================== XML HELPERS ====================
+
+  static _dateRange(start, end) {
+    const Dates =
+      typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+    return Dates.formatRange(start, end);
+  }
+
+  static _heading(text) {
+    return this._paragraph([this._run(text)], { style: "Heading1" });
+  }
+
+  static _bullet(text) {
+    return this._paragraph([this._run(text)], { style: "ListBullet", bullet: true });
+  }
+
+  static _paragraph(runs, options = {}) {
+    let props = "";
+    if (options.style) props += `<w:pStyle w:val="${options.style}"/>`;
+    if (options.keepNext) props += "<w:keepNext/>";
+    if (options.bullet) props += '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>';
+    // Right-aligned tab stop (at the given width) so dates line up on the right
+    if (options.rightTab) {
+      props += `<w:tabs><w:tab w:val="right" w:pos="${options.rightTab}"/></w:tabs>`;
+    }
+
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${runs.join("")}</w:p>`;
+  }
+
+  static _run(text, options = {}) {
+    let props = "";
+    if (options.bold) props += "<w:b/>";
+    if (options.italic) props += "<w:i/>";
+    return (
+      `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}` +
+      `<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`
+    );
+  }
+
+  static _tab() {
+    return "<w:r><w:tab/></w:r>";
+  }
+
+  static _cell(width, content) {
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${content}</w:tc>`;
+  }
+
+  static _tableBorders(val) {
+    const color = val === "nil" ? "" : ' w:sz="4" w:space="0" w:color="BFBFBF"';
+    const sides = ["top", "left", "bottom", "right", "insideH", "insideV"];
+    return `<w:tblBorders>${sides.map((s) => `<w:${s} w:val="${val}"${color}/>`).join("")}</w:tblBorders>`;
+  }
+
+  /**
+   * Escape text for XML and drop characters XML 1.0 does not allow
+   */
+  static escapeXml(text) {
+    return String(text ?? "")
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // ==================== PACKAGE PARTS ====================
+
+  static _contentTypes() {
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+      '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+      '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      "</Types>"
+    );
+  }
+
+  static _rootRels() {
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+      "</Relationships>"
+    );
+  }
+
+  static _documentRels() {
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+      "</Relationships>"
+    );
+  }
+
+  static _coreProps(name) {
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+      `<dc:title>${this.escapeXml(name)} - Resume</dc:title>` +
+      `<dc:creator>${this.escapeXml(name)}</dc:creator>` +
+      "</cp:coreProperties>"
+    );
+  }
+
+  static _styles(profile) {
+    const font = this.escapeXml(profile.font);
+    const border = profile.headingBorder
+      ? `<w:pBdr><w:bottom w:val="single" w:sz="8" w:space="1" w:color="${profile.accent}"/></w:pBdr>`
+      : "";
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      "<w:docDefaults>" +
+      `<w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>` +
+      '<w:pPrDefault><w:pPr><w:spacing w:after="60" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+      "</w:docDefaults>" +
+      '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+      '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>' +
+      `<w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:color w:val="${profile.accent}"/><w:sz w:val="40"/></w:rPr></w:style>` +
+      '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+      `<w:pPr><w:keepNext/>${border}<w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr>` +
+      `<w:rPr><w:b/><w:color w:val="${profile.accent}"/><w:sz w:val="26"/></w:rPr></w:style>` +
+      '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+      '<w:pPr><w:keepNext/><w:spacing w:before="120" w:after="20"/><w:outlineLvl w:val="1"/></w:pPr>' +
+      '<w:rPr><w:b/><w:sz w:val="22"/></w:rPr></w:style>' +
+      '<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>' +
+      '<w:pPr><w:spacing w:after="20"/><w:ind w:left="360" w:hanging="360"/></w:pPr></w:style>' +
+      "</w:styles>"
+    );
+  }
+
+  static _numbering() {
+    return (
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>' +
+      '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>' +
+      '<w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr></w:lvl>' +
+      "</w:abstractNum>" +
+      '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+      "</w:numbering>"
+    );
+  }
+
+  // ==================== ZIP WRITER ====================
+
+  /**
+   * Write files into an uncompressed (stored) ZIP archive.
+   * files: [{ name, content: string | Uint8Array }]
+   */
+  static zip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const data =
+        typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+      const crc = this.crc32(data);
+
+      const local = new Uint8Array(30 + nameBytes.length);
+      const lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034b50, true); // local file header signature
+      lv.setUint16(4, 20, true); // version needed
+      lv.setUint16(6, 0x0800, true); // UTF-8 names
+      lv.setUint16(8, 0, true); // stored
+      lv.setUint16(10, 0, true); // time
+      lv.setUint16(12, 0x21, true); // date: 1980-01-01
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, data.length, true);
+      lv.setUint32(22, data.length, true);
+      lv.setUint16(26, nameBytes.length, true);
+      lv.setUint16(28, 0, true);
+      local.set(nameBytes, 30);
+
+      const central = new Uint8Array(46 + nameBytes.length);
+      const cv = new DataView(central.buffer);
+      cv.setUint32(0, 0x02014b50, true); // central directory signature
+      cv.setUint16(4, 20, true); // version made by
+      cv.setUint16(6, 20, true); // version needed
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(10, 0, true);
+      cv.setUint16(12, 0, true);
+      cv.setUint16(14, 0x21, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, data.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, nameBytes.length, true);
+      cv.setUint32(42, offset, true); // local header offset
+      central.set(nameBytes, 46);
+
+      localParts.push(local, data);
+      centralParts.push(central);
+      offset += local.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true); // end of central directory signature
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const out = new Uint8Array(offset + centralSize + end.length);
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  static crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.DocxExporter = DocxExporter;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DocxExporter;
+}
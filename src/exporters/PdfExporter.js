@@ -0,0 +1,454 @@
+/**
+ * PdfExporter
+ *
+ * Turns a rendered template ({ html, css }) into a paginated PDF file
+ * without the browser print dialog:
+ * - Lays the resume out offscreen at the page's content width
+ * - Pushes "break-avoid" elements (entries, headings, list items) onto
+ *   the next page instead of slicing them in half
+ * - Rasterizes each page through an SVG foreignObject snapshot
+ * - Writes a minimal PDF with one JPEG image per page, plus an invisible
+ *   text layer (as OCR'd scans have) so ATS, search and copy can read it
+ *
+ * The text layer uses the standard Helvetica font (WinAnsi encoding):
+ * characters outside Latin-1 are left out of it. Web fonts and images
+ * from other origins do not survive the SVG snapshot; "Print / Save PDF"
+ * keeps them.
+ */
+
+class PdfExporter {
+  // Page sizes in PDF points (1pt = 1/72in)
+  static pageSizes = {
+    letter: { width: 612, height: 792, label: "US Letter" },
+    a4: { width: 595.28, height: 841.89, label: "A4" },
+  };
+
+  // Elements that should not be split across pages
+  static breakAvoidSelector = [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "li",
+    "p",
+    "tr",
+    "[class*='entry']",
+    "[class*='item']",
+    "[class*='card']",
+    "[class*='job']",
+    "[class*='project']",
+    "[class*='edu']",
+  ].join(", ");
+
+  static CSS_PX_PER_PT = 96 / 72;
+
+  // Baseline above the bottom of a text box, in ems (Helvetica descent)
+  static DESCENT = 0.21;
+
+  // WinAnsiEncoding bytes 0x80-0x9F; 0xA0-0xFF are Latin-1 as is
+  static winAnsi = {
+    "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88,
+    "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93,
+    "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b,
+    "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+  };
+
+  /**
+   * Export a render result to a PDF Blob
+   *
+   * Options:
+   * - pageSize: "letter" | "a4"
+   * - margin: page margin in points (default 36 = 0.5in)
+   * - avoidBreaks: keep entries and headings on one page (default true)
+   * - scale: raster resolution multiplier (default 2)
+   * - quality: JPEG quality 0-1 (default 0.92)
+   * - title: PDF document title
+   */
+  static async export(renderResult, options = {}) {
+    const {
+      pageSize = "letter",
+      margin = 36,
+      avoidBreaks = true,
+      scale = 2,
+      quality = 0.92,
+      title = "Resume",
+    } = options;
+
+    const page = this.pageSizes[pageSize];
+    if (!page) {
+      throw new Error(`Unknown page size "${pageSize}"`);
+    }
+    if (margin < 0 || margin * 2 >= Math.min(page.width, page.height)) {
+      throw new Error(`Margin ${margin}pt does not fit on ${page.label}`);
+    }
+
+    const contentWidth = Math.round((page.width - margin * 2) * this.CSS_PX_PER_PT);
+    const contentHeight = Math.floor((page.height - margin * 2) * this.CSS_PX_PER_PT);
+
+    const frame = await this._createLayoutFrame(renderResult, contentWidth);
+    try {
+      const doc = frame.contentDocument;
+
+      if (avoidBreaks) {
+        this.applyBreakAvoidance(doc, contentHeight);
+      }
+
+      const totalHeight = Math.ceil(doc.documentElement.scrollHeight);
+      const textRuns = this.collectText(doc);
+      const snapshot = await this._snapshot(doc, contentWidth, totalHeight);
+
+      const pages = [];
+      for (let top = 0; top < totalHeight; top += contentHeight) {
+        const sliceHeight = Math.min(contentHeight, totalHeight - top);
+        const slice = this._rasterizeSlice(snapshot, contentWidth, top, sliceHeight, scale, quality);
+        slice.text = this.pageText(textRuns, {
+          top: top,
+          height: contentHeight,
+          margin: margin,
+          pageHeight: page.height,
+        });
+        pages.push(slice);
+      }
+
+      const bytes = this.buildPdf(pages, {
+        pageWidth: page.width,
+        pageHeight: page.height,
+        margin: margin,
+        title: title,
+      });
+
+      return new Blob([bytes], { type: "application/pdf" });
+    } finally {
+      frame.remove();
+    }
+  }
+
+  /**
+   * Render the template into a hidden iframe so its CSS is isolated from
+   * the app and the layout width matches the PDF page.
+   */
+  static _createLayoutFrame(renderResult, width) {
+    return new Promise((resolve, reject) => {
+      const frame = document.createElement("iframe");
+      frame.setAttribute("aria-hidden", "true");
+      frame.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${width}px; height: 100px; border: 0; visibility: hidden;`;
+
+      frame.onload = () => resolve(frame);
+      frame.onerror = () => reject(new Error("Could not lay out resume for PDF export"));
+
+      frame.srcdoc = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+  html, body { margin: 0; padding: 0; background: #ffffff; }
+  ${renderResult.css || ""}
+</style>
+</head>
+<body>${renderResult.html || ""}</body>
+</html>`;
+
+      document.body.appendChild(frame);
+    });
+  }
+
+  /**
+   * Push elements that would straddle a page boundary down to the next page.
+   * Headings are also kept with the content that follows them.
+   */
+  static applyBreakAvoidance(doc, pageHeight, selector = this.breakAvoidSelector) {
+    const keepWithNext = 48; // px of following content a heading needs
+    const elements = Array.from(doc.body.querySelectorAll(selector));
+    let moved = 0;
+
+    for (const el of elements) {
+      const rect = el.getBoundingClientRect();
+      const top = rect.top + doc.defaultView.scrollY;
+      const height = rect.height;
+
+      // Nothing we can do for elements taller than a page
+      if (height === 0 || height >= pageHeight) continue;
+
+      const isHeading = /^H[1-6]$/.test(el.tagName);
+      const bottom = top + height + (isHeading ? keepWithNext : 0);
+      const pageEnd = (Math.floor(top / pageHeight) + 1) * pageHeight;
+
+      if (bottom > pageEnd && top < pageEnd) {
+        const push = Math.ceil(pageEnd - top);
+        const currentMargin = parseFloat(doc.defaultView.getComputedStyle(el).marginTop) || 0;
+        el.style.marginTop = `${currentMargin + push}px`;
+        moved++;
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Visible text of the laid-out document, one run per word sequence on a
+   * line: [{ text, left, right, top, bottom, fontSize, scale }] in CSS px
+   */
+  static collectText(doc) {
+    const win = doc.defaultView;
+    const range = doc.createRange();
+    const measure = doc.createElement("canvas").getContext("2d");
+    const walker = doc.createTreeWalker(doc.body, win.NodeFilter.SHOW_TEXT);
+    const runs = [];
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const parent = node.parentElement;
+      if (!parent || /^(SCRIPT|STYLE|TEMPLATE)$/.test(parent.tagName)) continue;
+      const style = win.getComputedStyle(parent);
+      if (style.visibility === "hidden" || parseFloat(style.opacity) === 0) continue;
+
+      const fontSize = parseFloat(style.fontSize) || 16;
+      let run = null;
+      for (const match of node.textContent.matchAll(/\S+/g)) {
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        const rect = range.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) continue;
+
+        const top = rect.top + win.scrollY;
+        const word = this._transformText(match[0], style.textTransform);
+        if (run && Math.abs(top - run.top) < fontSize / 2 && rect.left >= run.right - 1) {
+          run.text += ` ${word}`;
+          run.right = rect.right;
+          run.bottom = Math.max(run.bottom, rect.bottom + win.scrollY);
+        } else {
+          if (run) runs.push(run);
+          run = { text: word, left: rect.left, right: rect.right, top, bottom: rect.bottom + win.scrollY, fontSize };
+        }
+      }
+      if (run) runs.push(run);
+    }
+
+    // Stretch each run to the width it takes on screen (Helvetica is not
+    // the template's font)
+    for (const run of runs) {
+      measure.font = `${run.fontSize}px Helvetica, Arial, sans-serif`;
+      const natural = measure.measureText(run.text).width;
+      run.scale = natural > 0 ? Math.min(Math.max(((run.right - run.left) / natural) * 100, 20), 500) : 100;
+    }
+    return runs;
+  }
+
+  static _transformText(text, transform) {
+    if (transform === "uppercase") return text.toUpperCase();
+    if (transform === "lowercase") return text.toLowerCase();
+    return text;
+  }
+
+  /**
+   * Text runs that start on one page, in PDF points from the page's
+   * bottom-left corner: [{ text, x, y, size, scale }]
+   */
+  static pageText(runs, { top, height, margin, pageHeight }) {
+    const k = this.CSS_PX_PER_PT;
+    return runs
+      .filter((run) => run.top >= top && run.top < top + height)
+      .map((run) => ({
+        text: run.text,
+        x: margin + run.left / k,
+        y: pageHeight - margin - (run.bottom - top - run.fontSize * this.DESCENT) / k,
+        size: run.fontSize / k,
+        scale: run.scale || 100,
+      }));
+  }
+
+  /**
+   * Draw the laid-out document into an image via SVG foreignObject
+   */
+  static _snapshot(doc, width, height) {
+    const xhtml = new XMLSerializer().serializeToString(doc.documentElement);
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<foreignObject x="0" y="0" width="100%" height="100%">${xhtml}</foreignObject>` +
+      `</svg>`;
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Could not rasterize resume for PDF export"));
+      img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+    });
+  }
+
+  /**
+   * Cut one page out of the snapshot and encode it as JPEG bytes
+   */
+  static _rasterizeSlice(image, width, top, height, scale, quality) {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, -top);
+
+    const dataUrl = canvas.toDataURL("image/jpeg", quality);
+    const binary = atob(dataUrl.split(",")[1]);
+    const jpeg = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      jpeg[i] = binary.charCodeAt(i);
+    }
+
+    return {
+      jpeg: jpeg,
+      pixelWidth: canvas.width,
+      pixelHeight: canvas.height,
+      cssHeight: height,
+    };
+  }
+
+  /**
+   * Build PDF bytes from JPEG page images.
+   * Each page: { jpeg: Uint8Array, pixelWidth, pixelHeight, cssHeight, text }
+   * The image is placed at the top margin and scaled to the content width;
+   * `text` runs (see pageText) are written over it in invisible mode.
+   */
+  static buildPdf(pages, layout) {
+    const { pageWidth, pageHeight, margin, title = "Resume" } = layout;
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+      const bytes = typeof data === "string" ? encoder.encode(data) : data;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const beginObject = (id) => {
+      offsets[id] = length;
+      write(`${id} 0 obj\n`);
+    };
+
+    const fmt = (n) => Number(n.toFixed(2)).toString();
+    const contentWidth = pageWidth - margin * 2;
+
+    // Object ids: 1 catalog, 2 pages, 3 info, 3 objects per page, then the font
+    const pageIds = pages.map((_, i) => 4 + i * 3);
+    const fontId = 4 + pages.length * 3;
+
+    write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+
+    beginObject(1);
+    write("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+
+    beginObject(2);
+    write(
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>\nendobj\n`
+    );
+
+    beginObject(3);
+    write(`<< /Title (${this._pdfString(title)}) /Producer (Resume Template Generator) >>\nendobj\n`);
+
+    pages.forEach((page, i) => {
+      const pageId = pageIds[i];
+      const contentId = pageId + 1;
+      const imageId = pageId + 2;
+
+      const drawWidth = contentWidth;
+      const drawHeight = page.cssHeight / this.CSS_PX_PER_PT;
+      const x = margin;
+      const y = pageHeight - margin - drawHeight;
+
+      beginObject(pageId);
+      write(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] ` +
+          `/Resources << /XObject << /Im${i} ${imageId} 0 R >> /Font << /F1 ${fontId} 0 R >> >> ` +
+          `/Contents ${contentId} 0 R >>\nendobj\n`
+      );
+
+      let stream = `q ${fmt(drawWidth)} 0 0 ${fmt(drawHeight)} ${fmt(x)} ${fmt(y)} cm /Im${i} Do Q`;
+      const runs = (page.text || []).filter((run) => this._winAnsiString(run.text));
+      if (runs.length > 0) {
+        // Render mode 3: invisible text, readable but not drawn
+        stream += "\nBT 3 Tr";
+        for (const run of runs) {
+          stream +=
+            `\n/F1 ${fmt(run.size)} Tf ${fmt(run.scale || 100)} Tz ` +
+            `1 0 0 1 ${fmt(run.x)} ${fmt(run.y)} Tm (${this._winAnsiString(run.text)}) Tj`;
+        }
+        stream += "\nET";
+      }
+      beginObject(contentId);
+      write(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream\nendobj\n`);
+
+      beginObject(imageId);
+      write(
+        `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`
+      );
+      write(page.jpeg);
+      write("\nendstream\nendobj\n");
+    });
+
+    beginObject(fontId);
+    write("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n");
+
+    const objectCount = fontId;
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+    for (let id = 1; id <= objectCount; id++) {
+      xref += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    }
+    write(xref);
+    write(
+      `trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+    );
+
+    const out = new Uint8Array(length);
+    let pos = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, pos);
+      pos += chunk.length;
+    }
+    return out;
+  }
+
+  /**
+   * Escape a string for a PDF literal; non-ASCII characters are dropped
+   * because the Info dictionary uses PDFDocEncoding.
+   */
+  static _pdfString(text) {
+    return String(text)
+      .replace(/[^\x20-\x7E]/g, "")
+      .replace(/([\\()])/g, "\\$1");
+  }
+
+  /**
+   * Escape a string for a PDF literal in WinAnsiEncoding: Latin-1 and the
+   * WinAnsi punctuation as octal escapes, accented letters outside them
+   * reduced to their base letter, anything else dropped
+   */
+  static _winAnsiString(text) {
+    let out = "";
+    for (const char of String(text)) {
+      let code = this._winAnsiCode(char);
+      if (code === null) code = this._winAnsiCode(char.normalize("NFD")[0]);
+      if (code === null) continue;
+      if (code < 0x20 || code > 0x7e) out += `\\${code.toString(8).padStart(3, "0")}`;
+      else out += /[\\()]/.test(char) ? `\\${char}` : String.fromCharCode(code);
+    }
+    return out;
+  }
+
+  static _winAnsiCode(char) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+    return this.winAnsi[char] || null;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.PdfExporter = PdfExporter;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PdfExporter;
+}
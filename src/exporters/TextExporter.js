@@ -0,0 +1,275 @@
+/**
+ * TextExporter
+ *
+ * Serializes resume data to text formats:
+ * - Plain text for pasting into applicant tracking system portals
+ * - GitHub-flavored Markdown for profile READMEs
+ *
+ * Both follow the section order of the ATS-Friendly template.
+ */
+
+class TextExporter {
+  // Section order and headings of the `ats` template
+  static sections = [
+    { key: "summary", title: "Professional Summary" },
+    { key: "work", title: "Professional Experience" },
+    { key: "education", title: "Education" },
+    { key: "skills", title: "Skills" },
+    { key: "projects", title: "Projects" },
+    { key: "certifications", title: "Certifications" },
+  ];
+
+  static formats = {
+    txt: { label: "Plain Text", extension: "txt", mimeType: "text/plain" },
+    md: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  };
+
+  static export(data, format) {
+    if (format === "txt") return this.toPlainText(data);
+    if (format === "md") return this.toMarkdown(data);
+    throw new Error(`Unknown text format "${format}"`);
+  }
+
+  // ==================== PLAIN TEXT ====================
+
+  static toPlainText(data) {
+    const basics = data.basics || {};
+    const lines = [];
+
+    lines.push((basics.name || "Your Name").toUpperCase());
+    if (basics.label) lines.push(basics.label);
+    const contact = this._contact(basics);
+    if (contact.length) lines.push(contact.join(" | "));
+
+    for (const { key, title } of this.sections) {
+      const body = this._plainSection(key, data);
+      if (body.length === 0) continue;
+
+      const heading = title.toUpperCase();
+      lines.push("", heading, "-".repeat(heading.length), ...body);
+    }
+
+    return lines.join("\n").trim() + "\n";
+  }
+
+  static _plainSection(key, data) {
+    const lines = [];
+
+    switch (key) {
+      case "summary":
+        if (data.basics?.summary) lines.push(data.basics.summary);
+        break;
+
+      case "work":
+        (data.work || []).forEach((job, i) => {
+          if (i > 0) lines.push("");
+          lines.push(job.position || "Position");
+          lines.push(
+            [this._company(job), job.location, this._dates(job)].filter(Boolean).join(" | ")
+          );
+          if (job.summary) lines.push(job.summary);
+          (job.highlights || []).forEach((h) => lines.push(`- ${h}`));
+        });
+        break;
+
+      case "education":
+        (data.education || []).forEach((edu, i) => {
+          if (i > 0) lines.push("");
+          lines.push(this._degree(edu));
+          lines.push(
+            [edu.institution, edu.location, this._dates(edu)].filter(Boolean).join(" | ")
+          );
+          if (edu.score) lines.push(`GPA: ${edu.score}`);
+        });
+        break;
+
+      case "skills":
+        (data.skills || []).forEach((skill) => {
+          const keywords = this._keywords(skill);
+          lines.push(keywords ? `${skill.name || "Skills"}: ${keywords}` : skill.name || "");
+        });
+        break;
+
+      case "projects":
+        (data.projects || []).forEach((proj, i) => {
+          if (i > 0) lines.push("");
+          lines.push(proj.name || "Project");
+          if (proj.summary) lines.push(proj.summary);
+          (proj.highlights || []).forEach((h) => lines.push(`- ${h}`));
+          const keywords = this._keywords(proj);
+          if (keywords) lines.push(`Technologies: ${keywords}`);
+        });
+        break;
+
+      case "certifications":
+        (data.certifications || []).forEach((cert) => {
+          lines.push(
+            `${cert.name || "Certification"}${cert.issuer ? ` - ${cert.issuer}` : ""}${
+              cert.date ? ` (${cert.date})` : ""
+            }`
+          );
+        });
+        break;
+    }
+
+    return lines;
+  }
+
+  // ==================== MARKDOWN ====================
+
+  static toMarkdown(data) {
+    const basics = data.basics || {};
+    const blocks = [];
+
+    blocks.push(`# ${this.escapeMarkdown(basics.name || "Your Name")}`);
+    if (basics.label) blocks.push(`**${this.escapeMarkdown(basics.label)}**`);
+
+    const contact = this._contact(basics).map((item) =>
+      item === basics.url ? this._mdLink(item) : this.escapeMarkdown(item)
+    );
+    if (contact.length) blocks.push(contact.join(" · "));
+
+    for (const { key, title } of this.sections) {
+      const body = this._markdownSection(key, data);
+      if (body.length === 0) continue;
+      blocks.push(`## ${title}`, ...body);
+    }
+
+    return blocks.join("\n\n") + "\n";
+  }
+
+  static _markdownSection(key, data) {
+    const md = (text) => this.escapeMarkdown(text);
+    const blocks = [];
+
+    switch (key) {
+      case "summary":
+        if (data.basics?.summary) blocks.push(md(data.basics.summary));
+        break;
+
+      case "work":
+        (data.work || []).forEach((job) => {
+          const company = this._company(job);
+          blocks.push(
+            `### ${md(job.position || "Position")}${company ? ` — ${md(company)}` : ""}`
+          );
+          const meta = [this._dates(job), job.location].filter(Boolean).map(md);
+          if (meta.length) blocks.push(`*${meta.join(" · ")}*`);
+          if (job.summary) blocks.push(md(job.summary));
+          if (job.highlights && job.highlights.length) {
+            blocks.push(job.highlights.map((h) => `- ${md(h)}`).join("\n"));
+          }
+        });
+        break;
+
+      case "education":
+        (data.education || []).forEach((edu) => {
+          blocks.push(
+            `### ${md(this._degree(edu))}${edu.institution ? ` — ${md(edu.institution)}` : ""}`
+          );
+          const meta = [this._dates(edu), edu.location, edu.score ? `GPA: ${edu.score}` : ""]
+            .filter(Boolean)
+            .map(md);
+          if (meta.length) blocks.push(`*${meta.join(" · ")}*`);
+        });
+        break;
+
+      case "skills":
+        if (data.skills && data.skills.length) {
+          blocks.push(
+            data.skills
+              .map((skill) => {
+                const keywords = this._keywords(skill);
+                return keywords
+                  ? `- **${md(skill.name || "Skills")}:** ${md(keywords)}`
+                  : `- ${md(skill.name || "")}`;
+              })
+              .join("\n")
+          );
+        }
+        break;
+
+      case "projects":
+        (data.projects || []).forEach((proj) => {
+          const name = md(proj.name || "Project");
+          blocks.push(`### ${proj.url && this._isWebUrl(proj.url) ? `[${name}](${proj.url})` : name}`);
+          if (proj.summary) blocks.push(md(proj.summary));
+          if (proj.highlights && proj.highlights.length) {
+            blocks.push(proj.highlights.map((h) => `- ${md(h)}`).join("\n"));
+          }
+          const keywords = this._keywords(proj);
+          if (keywords) blocks.push(`**Technologies:** ${md(keywords)}`);
+        });
+        break;
+
+      case "certifications":
+        if (data.certifications && data.certifications.length) {
+          blocks.push(
+            data.certifications
+              .map(
+                (cert) =>
+                  `- **${md(cert.name || "Certification")}**${
+                    cert.issuer ? ` — ${md(cert.issuer)}` : ""
+                  }${cert.date ? ` (${md(cert.date)})` : ""}`
+              )
+              .join("\n")
+          );
+        }
+        break;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Escape Markdown syntax so resume text renders literally
+   */
+  static escapeMarkdown(text) {
+    return String(text ?? "")
+      .replace(/([\\`*_[\]|])/g, "\\$1")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/^(\s*)([#+-]|\d+\.)(\s)/gm, "$1\\$2$3");
+  }
+
+  static _mdLink(url) {
+    return this._isWebUrl(url) ? `<${url}>` : this.escapeMarkdown(url);
+  }
+
+  static _isWebUrl(url) {
+    return /^https?:\/\/[^\s<>]+$/i.test(url);
+  }
+
+  // ==================== SHARED HELPERS ====================
+
+  static _contact(basics) {
+    return [basics.email, basics.phone, basics.location, basics.url].filter(Boolean);
+  }
+
+  static _company(job) {
+    return job.name || job.company || "";
+  }
+
+  static _degree(edu) {
+    return [edu.studyType, edu.area].filter(Boolean).join(" in ") || "Degree";
+  }
+
+  static _dates(entry) {
+    const Dates =
+      typeof ResumeDates !== "undefined" ? ResumeDates : require("../parsers/dates.js");
+    return Dates.formatRange(entry.startDate, entry.endDate);
+  }
+
+  static _keywords(entry) {
+    return Array.isArray(entry.keywords) ? entry.keywords.join(", ") : entry.keywords || "";
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TextExporter = TextExporter;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TextExporter;
+}
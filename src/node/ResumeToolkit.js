@@ -0,0 +1,86 @@
+/**
+ * ResumeToolkit
+ *
+ * ResumeApi for Node: the app's parse, render and export steps without a
+ * browser, plus what only Node can find on disk:
+ * - loadPdfjs(): pdf.js from the pdfjs-dist package (legacy build, made
+ *   for Node), so parsePdf(data) needs no { pdfjs }
+ *     npm install   (pdfjs-dist is in package.json)
+ * - loadTemplates(): the declarative template folders under templates/,
+ *   so listTemplates() and render() include them
+ * Scanned PDFs without a text layer need OCR, which only runs in the app.
+ *
+ * Used by bin/resume-loader.js and node.mjs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const ResumeApi = require("../core/ResumeApi.js");
+const TemplateEngine = require("../core/TemplateEngine.js");
+
+class ResumeToolkit extends ResumeApi {
+  // Where pdf.js is looked for, in order
+  static pdfjsModules = ["pdfjs-dist/legacy/build/pdf.mjs", "pdfjs-dist/legacy/build/pdf.js"];
+
+  static root = path.resolve(__dirname, "../..");
+
+  static _pdfjs = null;
+  static _templatesLoaded = null;
+
+  /**
+   * pdf.js as an ES module. The legacy build is the one that runs in Node;
+   * vendor/pdf.mjs is tried last.
+   */
+  static async loadPdfjs() {
+    if (this._pdfjs) return this._pdfjs;
+
+    const candidates = [];
+    for (const name of this.pdfjsModules) {
+      try {
+        candidates.push(require.resolve(name, { paths: [process.cwd(), this.root] }));
+      } catch (error) {
+        // not installed
+      }
+    }
+    candidates.push(path.join(this.root, "vendor/pdf.mjs"));
+
+    const errors = [];
+    for (const file of candidates) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        const pdfjs = await import(pathToFileURL(file).href);
+        this._pdfjs = pdfjs.getDocument ? pdfjs : pdfjs.default;
+        return this._pdfjs;
+      } catch (error) {
+        errors.push(`${path.relative(this.root, file)}: ${error.message}`);
+      }
+    }
+    throw new Error(
+      `pdf.js could not be loaded in Node. Run "npm install" in ${this.root}.` +
+        (errors.length > 0 ? `\n${errors.join("\n")}` : "")
+    );
+  }
+
+  /**
+   * Register the declarative templates under templates/ (built-in ones
+   * are registered by templates.js). Runs once.
+   */
+  static loadTemplates() {
+    if (!this._templatesLoaded) {
+      super.loadTemplates();
+      const base = path.join(this.root, "templates");
+      const folders = fs.existsSync(base)
+        ? fs.readdirSync(base).filter((name) => fs.existsSync(path.join(base, name, "template.json")))
+        : [];
+      const readFile = (file) => fs.promises.readFile(path.join(this.root, file), "utf8");
+      this._templatesLoaded = Promise.all(
+        folders.map((folder) => TemplateEngine.load(`templates/${folder}`, readFile))
+      );
+    }
+    return this._templatesLoaded;
+  }
+}
+
+module.exports = ResumeToolkit;
@@ -0,0 +1,378 @@
+/**
+ * ParseConfidence
+ *
+ * Scores every extracted field of a parser pipeline result:
+ * - Confidence 0-1 from validation rules (email syntax, date formats,
+ *   degree and company keywords, ...)
+ * - The parser rule that produced the field (strategy + source section,
+ *   or full-text fallback when the section was not found)
+ * - A short note explaining the score
+ *
+ * Fields below REVIEW_THRESHOLD are collected into `needsReview`. Scores
+ * live in a separate report so resume data stays plain for templates.
+ */
+
+class ParseConfidence {
+  static REVIEW_THRESHOLD = 0.6;
+
+  // Multiplier when an extractor had to search the full text
+  static FALLBACK_PENALTY = 0.7;
+
+  static titleKeywords = [
+    "engineer", "developer", "manager", "analyst", "designer", "consultant",
+    "director", "specialist", "coordinator", "lead", "architect", "administrator",
+    "intern", "scientist", "officer", "assistant", "associate", "president",
+    "head", "programmer", "technician", "researcher", "teacher", "accountant",
+  ];
+
+  static companyIndicators = [
+    "inc", "llc", "ltd", "corp", "corporation", "company", "co", "group",
+    "technologies", "solutions", "systems", "services", "consulting",
+    "partners", "software", "labs", "bank", "university", "gmbh", "plc",
+  ];
+
+  static institutionPattern = /\b(university|college|institute|school|academy|polytechnic|iit|mit)\b/i;
+
+  static degreePattern =
+    /\b(bachelor|master|ph\.?d|doctor|doctorate|associate|diploma|mba|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a\.?|m\.?\s?a\.?|b\.?\s?tech|m\.?\s?tech|b\.?\s?e\.?|m\.?\s?e\.?|high school|certificate)\b/i;
+
+  static datePattern =
+    /^(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s*'?\d{2,4}|(?:spring|summer|fall|autumn|winter)\s+\d{4}|\d{1,2}[/.-]\d{4}|\d{4}(?:[/.-]\d{1,2})?|present|current|now|ongoing)$/i;
+
+  /**
+   * Build a confidence report for a pipeline run result
+   * ({ strategy, trace, data } from ResumeParserPipeline#parseDetailed).
+   *
+   * Options:
+   * - previous: an earlier report; fields whose value changed since then
+   *   are treated as manually reviewed
+   * - threshold: override REVIEW_THRESHOLD
+   * - ocr: { confidence, lowConfidenceWords: [{ text, confidence }] } when the
+   *   text came from OCR; fields containing words the engine was unsure of
+   *   lose confidence accordingly
+   */
+  static assess(result, options = {}) {
+    const { previous = null, threshold = this.REVIEW_THRESHOLD, ocr = null } = options;
+    const data = result.data || {};
+    const trace = result.trace || {};
+    const fields = [];
+    const ocrWords = this._ocrLookup(ocr);
+
+    const add = (path, label, value, check, source) => {
+      const scored = check(value);
+      if (scored === null) return; // optional field that is empty
+
+      const traced = trace[source] || {};
+      let confidence = scored.confidence;
+      let note = scored.note;
+
+      if (traced.sectionFound === false && confidence > 0) {
+        confidence *= this.FALLBACK_PENALTY;
+        note += ` (no ${traced.section} section found)`;
+      }
+
+      const unsure = this._ocrUnsure(value, ocrWords);
+      if (unsure && confidence > 0) {
+        confidence *= unsure.confidence;
+        note += ` (OCR unsure of "${unsure.text}")`;
+      }
+
+      fields.push({
+        path: path,
+        label: label,
+        value: value,
+        confidence: Math.round(confidence * 100) / 100,
+        rule: this._rule(traced, source),
+        note: note,
+      });
+    };
+
+    const basics = data.basics || {};
+    const skillWords = new Set(
+      (data.skills || []).flatMap((s) => (s.keywords || []).map((k) => String(k).toLowerCase()))
+    );
+
+    add("basics.name", "Name", basics.name, (v) => this.checkName(v), "basics");
+    add("basics.label", "Title", basics.label, (v) => this.checkLabel(v), "basics");
+    add("basics.email", "Email", basics.email, (v) => this.checkEmail(v), "basics");
+    add("basics.phone", "Phone", basics.phone, (v) => this.checkPhone(v), "basics");
+    add("basics.url", "Website", basics.url, (v) => this.checkUrl(v), "basics");
+    add("basics.location", "Location", basics.location, (v) => this.checkLocation(v, skillWords), "basics");
+
+    (data.work || []).forEach((job, i) => {
+      const prefix = `Experience ${i + 1}`;
+      add(`work[${i}].position`, `${prefix} · Position`, job.position, (v) => this.checkPosition(v), "work");
+      add(`work[${i}].company`, `${prefix} · Company`, job.company || job.name, (v) => this.checkCompany(v), "work");
+      add(`work[${i}].dates`, `${prefix} · Dates`, this._dateValue(job), () => this.checkDates(job), "work");
+    });
+
+    (data.education || []).forEach((edu, i) => {
+      const prefix = `Education ${i + 1}`;
+      add(`education[${i}].institution`, `${prefix} · Institution`, edu.institution, (v) => this.checkInstitution(v), "education");
+      add(`education[${i}].studyType`, `${prefix} · Degree`, edu.studyType, (v) => this.checkDegree(v), "education");
+      add(`education[${i}].area`, `${prefix} · Field of study`, edu.area, (v) => this.checkArea(v), "education");
+      add(`education[${i}].dates`, `${prefix} · Dates`, this._dateValue(edu), () => this.checkDates(edu), "education");
+    });
+
+    (data.skills || []).forEach((skill, i) => {
+      add(`skills[${i}].keywords`, `Skills · ${skill.name || i + 1}`, (skill.keywords || []).join(", "), () => this.checkKeywords(skill.keywords), "skills");
+    });
+
+    (data.projects || []).forEach((proj, i) => {
+      add(`projects[${i}].name`, `Project ${i + 1} · Name`, proj.name, (v) => this.checkProjectName(v), "projects");
+    });
+
+    if (previous) {
+      this._applyManualEdits(fields, previous);
+    }
+
+    const needsReview = fields
+      .filter((field) => field.confidence < threshold)
+      .sort((a, b) => a.confidence - b.confidence);
+
+    const score = fields.length
+      ? Math.round((fields.reduce((sum, f) => sum + f.confidence, 0) / fields.length) * 100) / 100
+      : 0;
+
+    return {
+      strategy: result.strategy || null,
+      language: result.language || null,
+      trace: trace,
+      threshold: threshold,
+      score: score,
+      fields: fields,
+      needsReview: needsReview,
+      ocr: ocr,
+    };
+  }
+
+  /**
+   * Re-score after the data was edited; changed fields count as reviewed
+   */
+  static reassess(report, data) {
+    return this.assess(
+      { strategy: report.strategy, language: report.language, trace: report.trace, data: data },
+      { previous: report, threshold: report.threshold, ocr: report.ocr }
+    );
+  }
+
+  /**
+   * Look up the report entry for a field path, e.g. "basics.email"
+   */
+  static field(report, path) {
+    return report ? report.fields.find((field) => field.path === path) || null : null;
+  }
+
+  // ==================== FIELD CHECKS ====================
+  // Each returns { confidence, note }, or null for an empty optional field
+
+  static checkName(value) {
+    if (!value) return { confidence: 0, note: "No name found" };
+    if (/[@|\d]/.test(value)) return { confidence: 0.3, note: "Contains contact details" };
+    const words = value.trim().split(/\s+/);
+    if (words.length >= 2 && words.length <= 4 && words.every((w) => /^[A-Z][A-Za-z.'-]*$/.test(w))) {
+      return { confidence: 0.9, note: "2-4 capitalized words" };
+    }
+    return { confidence: 0.5, note: "Unusual name format" };
+  }
+
+  static checkLabel(value) {
+    if (!value) return null;
+    if (value.length > 80) return { confidence: 0.4, note: "Unusually long for a title" };
+    return { confidence: 0.8, note: "Short line below the name" };
+  }
+
+  static checkEmail(value) {
+    if (!value) return { confidence: 0, note: "No email address found" };
+    return /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value)
+      ? { confidence: 0.95, note: "Valid email address" }
+      : { confidence: 0.4, note: "Not a valid email address" };
+  }
+
+  static checkPhone(value) {
+    if (!value) return null;
+    const digits = value.replace(/\D/g, "").length;
+    if (digits >= 10 && digits <= 15) return { confidence: 0.9, note: `${digits} digits` };
+    if (digits >= 7) return { confidence: 0.5, note: `Only ${digits} digits` };
+    return { confidence: 0.3, note: "Too few digits for a phone number" };
+  }
+
+  static checkUrl(value) {
+    if (!value) return null;
+    return /^(https?:\/\/|www\.)|linkedin\.com|github\.com/i.test(value)
+      ? { confidence: 0.9, note: "Web address" }
+      : { confidence: 0.5, note: "Not a recognized web address" };
+  }
+
+  static checkLocation(value, skillWords = new Set()) {
+    if (!value) return null;
+    const parts = value.split(",").map((p) => p.trim().toLowerCase());
+    if (parts.some((part) => skillWords.has(part))) {
+      return { confidence: 0.2, note: "Matches entries in the skills list" };
+    }
+    return /^[A-Z][\w .'-]*,\s*[A-Z][\w .'-]*$/.test(value)
+      ? { confidence: 0.85, note: '"City, Region" pattern' }
+      : { confidence: 0.5, note: "Unusual location format" };
+  }
+
+  static checkPosition(value) {
+    if (!value) return { confidence: 0, note: "No position found" };
+    if (value.length > 80) return { confidence: 0.3, note: "Long text, may include the description" };
+    const lower = value.toLowerCase();
+    return this.titleKeywords.some((kw) => lower.includes(kw))
+      ? { confidence: 0.85, note: "Contains a job-title word" }
+      : { confidence: 0.55, note: "No common job-title word" };
+  }
+
+  static checkCompany(value) {
+    if (!value) return { confidence: 0, note: "No company found" };
+    const words = value.toLowerCase().split(/[^a-z0-9&]+/).filter(Boolean);
+    if (words.some((w) => this.companyIndicators.includes(w))) {
+      return { confidence: 0.9, note: "Contains a company suffix" };
+    }
+    if (this.datePattern.test(value.trim()) || /\d{4}/.test(value)) {
+      return { confidence: 0.3, note: "Looks like a date" };
+    }
+    if (value.split(/\s+/).length <= 6) {
+      return { confidence: 0.7, note: "Short capitalized name" };
+    }
+    return { confidence: 0.45, note: "Long text, may not be a company" };
+  }
+
+  static checkDates(entry) {
+    const start = (entry.startDate || "").trim();
+    const end = (entry.endDate || "").trim();
+    if (!start && !end) return { confidence: 0.2, note: "No dates found" };
+
+    const Dates =
+      typeof ResumeDates !== "undefined" ? ResumeDates : require("./dates.js");
+    const known = [start, end].filter((d) => {
+      const date = Dates.parse(d);
+      return date && (date.precision || date.isPresent);
+    });
+    if (start && end && known.length < 2) {
+      return { confidence: 0.4, note: "Date format not recognized" };
+    }
+    if (!start || !end) {
+      return { confidence: 0.5, note: "Only one date found" };
+    }
+
+    const startYear = Dates.parse(start).year;
+    const endYear = Dates.parse(end).year;
+    if (startYear && endYear && startYear > endYear) {
+      return { confidence: 0.2, note: "Start date is after end date" };
+    }
+    return { confidence: 0.9, note: "Recognized date range" };
+  }
+
+  static checkInstitution(value) {
+    if (!value) return { confidence: 0, note: "No institution found" };
+    if (value.length > 100) return { confidence: 0.3, note: "Long text, may include other fields" };
+    const Locales =
+      typeof ResumeLocales !== "undefined" ? ResumeLocales : require("./locales.js");
+    return this.institutionPattern.test(value) || Locales.mentions("institutions", value)
+      ? { confidence: 0.9, note: "Contains University/College/Institute" }
+      : { confidence: 0.5, note: "No institution keyword" };
+  }
+
+  static checkDegree(value) {
+    if (!value || value === "Degree") return { confidence: 0.3, note: "Degree type not recognized" };
+    return this.degreePattern.test(value)
+      ? { confidence: 0.9, note: "Known degree type" }
+      : { confidence: 0.55, note: "Unusual degree name" };
+  }
+
+  static checkArea(value) {
+    if (!value) return null;
+    return value.length > 80
+      ? { confidence: 0.4, note: "Long text, may include other fields" }
+      : { confidence: 0.8, note: "Field of study" };
+  }
+
+  static checkKeywords(keywords) {
+    if (!keywords || keywords.length === 0) return { confidence: 0.2, note: "No skills listed" };
+    if (keywords.some((k) => String(k).length > 40)) {
+      return { confidence: 0.4, note: "Long entries, may be sentences" };
+    }
+    return { confidence: 0.85, note: `${keywords.length} skill(s)` };
+  }
+
+  static checkProjectName(value) {
+    if (!value) return { confidence: 0, note: "No project name found" };
+    if (value.length > 80) return { confidence: 0.35, note: "Long text, may include the description" };
+    return { confidence: 0.8, note: "Project heading" };
+  }
+
+  // ==================== HELPERS ====================
+
+  static _rule(traced, source) {
+    const parser = traced.label || traced.strategy || "parser";
+    if (source === "basics") return `${parser} · contact header`;
+    if (!traced.section) return `${parser} · ${source} extractor`;
+    return traced.sectionFound
+      ? `${parser} · ${this._title(traced.section)} section`
+      : `${parser} · full-text fallback`;
+  }
+
+  static _title(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  static _dateValue(entry) {
+    return [entry.startDate, entry.endDate].filter(Boolean).join(" - ");
+  }
+
+  static _ocrKey(word) {
+    return String(word).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+  }
+
+  // Lowest OCR confidence per flagged word
+  static _ocrLookup(ocr) {
+    const lookup = new Map();
+    for (const word of (ocr && ocr.lowConfidenceWords) || []) {
+      const key = this._ocrKey(word.text);
+      if (key.length < 2) continue;
+      if (!lookup.has(key) || lookup.get(key).confidence > word.confidence) {
+        lookup.set(key, { text: word.text, confidence: word.confidence });
+      }
+    }
+    return lookup;
+  }
+
+  // The least certain OCR word in a field value, if any
+  static _ocrUnsure(value, lookup) {
+    if (lookup.size === 0 || !value) return null;
+
+    let unsure = null;
+    for (const token of String(value).split(/\s+/)) {
+      const word = lookup.get(this._ocrKey(token));
+      if (word && (!unsure || word.confidence < unsure.confidence)) unsure = word;
+    }
+    return unsure;
+  }
+
+  static _applyManualEdits(fields, previous) {
+    const before = new Map(previous.fields.map((field) => [field.path, field]));
+
+    for (const field of fields) {
+      const old = before.get(field.path);
+      if (!old) continue;
+
+      const edited = old.value !== field.value;
+      if (edited || old.rule === "Edited manually") {
+        field.confidence = 1;
+        field.rule = "Edited manually";
+        field.note = "Reviewed in the editor";
+      }
+    }
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ParseConfidence = ParseConfidence;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ParseConfidence;
+}
@@ -0,0 +1,330 @@
+/**
+ * ResumeDates
+ *
+ * One date model for parsed resumes and one formatter for every template
+ * and exporter:
+ * - parse("Sep. 2023") -> { year: 2023, month: 9, day: null,
+ *   precision: "month", isPresent: false, raw: "Sep. 2023" }
+ *   Precision is "day", "month", "season", "year", or null for "Present"
+ *   and text that is not a date. Quarters ("Q2 2021") become the month
+ *   the quarter starts in.
+ * - toString(model) -> the stored form: "2023-09-15", "2023-09", "2023",
+ *   "Summer 2020", "Present" (ISO 8601 like JSON Resume where possible)
+ * - normalizeResume(data): pipeline post-processor that rewrites every
+ *   startDate/endDate/date/releaseDate in that stored form
+ * - format(value, { locale, style }) -> "Sep 2023", "September 2023",
+ *   "09/2023" or "2023" in the given locale, via Intl.DateTimeFormat
+ *
+ * Month, season and "Present" words are English here; locale packs
+ * (locales.js) add theirs by language code.
+ */
+
+class ResumeDates {
+  // Month names by language, matched on their first 3+ letters ("Sept")
+  static monthNames = {
+    en: ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"],
+  };
+
+  // Season words and the month each starts in
+  static seasons = {
+    en: { spring: 3, summer: 6, fall: 9, autumn: 9, winter: 1 },
+  };
+
+  static presentWords = {
+    en: ["present", "current", "now", "today", "ongoing"],
+  };
+
+  // Words between month and year ("septiembre de 2023"), by language
+  static connectors = {
+    en: [],
+  };
+
+  // Styles offered in the customization panel, labeled by example
+  static styles = {
+    short: "Sep 2023",
+    long: "September 2023",
+    numeric: "09/2023",
+    year: "2023",
+  };
+
+  // Fields holding dates, by resume section
+  static dateFields = {
+    work: ["startDate", "endDate"],
+    volunteer: ["startDate", "endDate"],
+    education: ["startDate", "endDate"],
+    projects: ["startDate", "endDate"],
+    awards: ["date"],
+    certifications: ["date"],
+    publications: ["releaseDate"],
+  };
+
+  // ==================== PARSING ====================
+
+  /**
+   * Date model for a date string, or null for an empty value. Models are
+   * returned as they are, so callers can pass either.
+   */
+  static parse(value) {
+    if (value && typeof value === "object" && "precision" in value) return value;
+    if (value === null || value === undefined) return null;
+
+    const raw = String(value).trim();
+    if (!raw) return null;
+    const text = raw.toLowerCase().replace(/\s+/g, " ").replace(/[’`]/g, "'");
+    const model = (year, month = null, day = null, precision = "month") => ({
+      year,
+      month,
+      day,
+      precision,
+      isPresent: false,
+      raw,
+    });
+
+    if (this._words(this.presentWords).includes(text)) {
+      return { year: null, month: null, day: null, precision: null, isPresent: true, raw };
+    }
+
+    // 2023, 2023-09, 2023-09-15, 2023/09
+    let match = text.match(/^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?$/);
+    if (match) {
+      const [, year, month, day] = match;
+      if (!month) return model(Number(year), null, null, "year");
+      if (!this._validMonth(month)) return this._unknown(raw);
+      return day
+        ? model(Number(year), Number(month), Number(day), "day")
+        : model(Number(year), Number(month));
+    }
+
+    // 15.09.2023 (day first, as written in Europe)
+    match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if (match) {
+      const [, day, month, year] = match;
+      if (!this._validMonth(month) || !this._validDay(day)) return this._unknown(raw);
+      return model(Number(year), Number(month), Number(day), "day");
+    }
+
+    // 09/2023, 9-2023, 09.2023
+    match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+    if (match) {
+      return this._validMonth(match[1]) ? model(Number(match[2]), Number(match[1])) : this._unknown(raw);
+    }
+
+    // Sep 2023, Sep. 2023, September, 2023, Sep '23, Summer 2020,
+    // septiembre de 2023
+    const connectors = this._words(this.connectors)
+      .map((word) => `${word}\\s+`)
+      .join("|");
+    match = text.match(
+      new RegExp(`^([\\p{L}]+)\\.?,?\\s*(?:${connectors})?'?(\\d{2}|\\d{4})$`, "u")
+    );
+    if (match) {
+      const year = this.fullYear(match[2]);
+      const month = this.monthNumber(match[1]);
+      if (month) return model(year, month);
+
+      const season = this._lookup(this.seasons, match[1]);
+      if (season) return model(year, season, null, "season");
+    }
+
+    // 15 Sep 2023, 15th September 2023, 15. September 2023,
+    // 15 de septiembre de 2023
+    match = text.match(
+      new RegExp(
+        `^(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:${connectors})?([\\p{L}]+)\\.?,?\\s*(?:${connectors})?(\\d{4})$`,
+        "u"
+      )
+    );
+    if (match) {
+      const month = this.monthNumber(match[2]);
+      if (month && this._validDay(match[1])) return model(Number(match[3]), month, Number(match[1]), "day");
+    }
+
+    // Sep 15, 2023, September 15th 2023
+    match = text.match(/^([\p{L}]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/u);
+    if (match) {
+      const month = this.monthNumber(match[1]);
+      if (month && this._validDay(match[2])) return model(Number(match[3]), month, Number(match[2]), "day");
+    }
+
+    // Q2 2021, Q2/2021, Q2 '21, 2021 Q2, 2021-Q2
+    match = text.match(/^q([1-4])[\s/-]*'?(\d{2}|\d{4})$/) || text.match(/^(\d{4})[\s/-]*q([1-4])$/);
+    if (match) {
+      const [quarter, year] = match[1].length === 4 ? [match[2], match[1]] : [match[1], match[2]];
+      return model(this.fullYear(year), (Number(quarter) - 1) * 3 + 1);
+    }
+
+    return this._unknown(raw);
+  }
+
+  /**
+   * Month number (1-12) for a month name or abbreviation in any loaded
+   * language, else null
+   */
+  static monthNumber(word) {
+    const name = this._plain(word.replace(/\.$/, ""));
+    if (name.length < 3) return null;
+    for (const months of Object.values(this.monthNames)) {
+      const index = months.findIndex((month) => this._plain(month).startsWith(name));
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  }
+
+  // Lowercase without accents, so "aout" and "Févr" match "août", "février"
+  static _plain(word) {
+    return word.toLowerCase().normalize("NFD").replace(/\p{M}/gu, "");
+  }
+
+  /**
+   * "23" -> 2023, "95" -> 1995 (00-30 is 20xx, like the parsers)
+   */
+  static fullYear(year) {
+    const value = Number(year);
+    if (String(year).length === 4) return value;
+    return value <= 30 ? 2000 + value : 1900 + value;
+  }
+
+  static _validMonth(month) {
+    return Number(month) >= 1 && Number(month) <= 12;
+  }
+
+  static _validDay(day) {
+    return Number(day) >= 1 && Number(day) <= 31;
+  }
+
+  static _unknown(raw) {
+    return { year: null, month: null, day: null, precision: null, isPresent: false, raw };
+  }
+
+  static _words(byLanguage) {
+    return Object.values(byLanguage).flat();
+  }
+
+  static _lookup(byLanguage, word) {
+    const key = word.toLowerCase();
+    for (const words of Object.values(byLanguage)) {
+      if (key in words) return words[key];
+    }
+    return null;
+  }
+
+  // ==================== STORED FORM ====================
+
+  /**
+   * Stored string for a model: ISO 8601 where the precision allows it.
+   * Text that is not a date is kept as written.
+   */
+  static toString(value) {
+    const date = this.parse(value);
+    if (!date) return "";
+    if (date.isPresent) return "Present";
+
+    const pad = (n) => String(n).padStart(2, "0");
+    switch (date.precision) {
+      case "day":
+        return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+      case "month":
+        return `${date.year}-${pad(date.month)}`;
+      case "season":
+        return `${this._seasonName(date.month)} ${date.year}`;
+      case "year":
+        return String(date.year);
+      default:
+        return date.raw;
+    }
+  }
+
+  static normalize(value) {
+    return this.toString(value);
+  }
+
+  /**
+   * Pipeline post-processor: rewrite the dates of every entry in their
+   * stored form, so templates and exports get one format whatever the PDF used
+   */
+  static normalizeResume(data) {
+    if (!data) return data;
+    for (const [section, fields] of Object.entries(ResumeDates.dateFields)) {
+      if (!Array.isArray(data[section])) continue;
+      for (const entry of data[section]) {
+        if (!entry || typeof entry !== "object") continue;
+        for (const field of fields) {
+          if (typeof entry[field] === "string" && entry[field].trim()) {
+            entry[field] = ResumeDates.toString(entry[field]);
+          }
+        }
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Months since year 0, for comparing and subtracting dates. Year-only
+   * dates count as January, "Present" as `now`.
+   */
+  static toMonthIndex(value, now = new Date()) {
+    const date = this.parse(value);
+    if (!date) return null;
+    if (date.isPresent) return now.getFullYear() * 12 + now.getMonth();
+    if (!date.year) return null;
+    return date.year * 12 + (date.month || 1) - 1;
+  }
+
+  // ==================== FORMATTING ====================
+
+  /**
+   * Display string for a date string or model.
+   * Options: locale (default "en-US"), style ("short", "long", "numeric",
+   * "year"), presentLabel (default "Present")
+   */
+  static format(value, options = {}) {
+    const { locale = "en-US", style = "short", presentLabel = "Present" } = options;
+    const date = this.parse(value);
+    if (!date) return "";
+    if (date.isPresent) return presentLabel;
+    if (!date.precision) return date.raw;
+
+    if (style === "year" || date.precision === "year") return String(date.year);
+    if (date.precision === "season") {
+      return style === "numeric" ? String(date.year) : `${this._seasonName(date.month)} ${date.year}`;
+    }
+
+    const month = style === "long" ? "long" : style === "numeric" ? "2-digit" : "short";
+    return this._formatter(locale, month).format(Date.UTC(date.year, date.month - 1, 1));
+  }
+
+  /**
+   * "Sep 2023 - Present"; one side alone when the other is missing
+   */
+  static formatRange(start, end, options = {}) {
+    const { separator = " - " } = options;
+    const from = this.format(start, options);
+    const to = this.format(end, options);
+    if (!from || !to) return from || to;
+    return `${from}${separator}${to}`;
+  }
+
+  static _formatter(locale, month) {
+    const settings = { year: "numeric", month, timeZone: "UTC" };
+    try {
+      return new Intl.DateTimeFormat(locale, settings);
+    } catch {
+      // Unknown locale tag
+      return new Intl.DateTimeFormat("en-US", settings);
+    }
+  }
+
+  static _seasonName(month) {
+    const name = { 3: "Spring", 6: "Summer", 9: "Fall", 1: "Winter" }[month];
+    return name || "";
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeDates = ResumeDates;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeDates;
+}
@@ -0,0 +1,234 @@
+/**
+ * JSON Resume Importer
+ *
+ * Validates JSON Resume documents (including the files written by
+ * "Download JSON") and normalizes them into the shape the templates expect:
+ * - basics fields are strings (location objects are flattened)
+ * - work entries carry both `name` and `company`
+ * - keywords/highlights are arrays of strings
+ * - JSON Resume `certificates` are read as `certifications`
+ */
+
+class JsonResumeImporter {
+  constructor() {
+    this.basicsFields = [
+      'name', 'label', 'email', 'phone', 'url', 'location', 'summary', 'image'
+    ];
+
+    // Array sections and the fields templates read from each entry
+    this.sections = {
+      work: {
+        strings: ['name', 'company', 'position', 'location', 'url', 'startDate', 'endDate', 'summary'],
+        lists: ['highlights']
+      },
+      education: {
+        strings: ['institution', 'studyType', 'area', 'location', 'url', 'startDate', 'endDate', 'score'],
+        lists: ['courses']
+      },
+      skills: {
+        strings: ['name', 'level'],
+        lists: ['keywords']
+      },
+      projects: {
+        strings: ['name', 'url', 'summary', 'description', 'startDate', 'endDate'],
+        lists: ['keywords', 'highlights']
+      },
+      certifications: {
+        strings: ['name', 'issuer', 'date', 'url'],
+        lists: []
+      }
+    };
+  }
+
+  /**
+   * Parse and validate a JSON string
+   * Returns { valid, errors, warnings, data }
+   */
+  parse(jsonText) {
+    let raw;
+    try {
+      raw = JSON.parse(jsonText);
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [`File is not valid JSON: ${error.message}`],
+        warnings: [],
+        data: null
+      };
+    }
+    return this.validate(raw);
+  }
+
+  /**
+   * Validate a parsed object and return a normalized copy
+   */
+  validate(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return {
+        valid: false,
+        errors: ['Resume must be a JSON object'],
+        warnings: warnings,
+        data: null
+      };
+    }
+
+    if (raw.basics !== undefined && !this.isPlainObject(raw.basics)) {
+      errors.push('"basics" must be an object');
+    }
+
+    // JSON Resume calls this section "certificates"
+    const source = Object.assign({}, raw);
+    if (source.certifications === undefined && source.certificates !== undefined) {
+      source.certifications = source.certificates;
+      warnings.push('"certificates" was imported as "certifications"');
+    }
+
+    for (const section of Object.keys(this.sections)) {
+      if (source[section] !== undefined && !Array.isArray(source[section])) {
+        errors.push(`"${section}" must be an array`);
+      }
+    }
+
+    const hasContent =
+      (this.isPlainObject(raw.basics) && Object.keys(raw.basics).length > 0) ||
+      Object.keys(this.sections).some(s => Array.isArray(source[s]) && source[s].length > 0);
+    if (errors.length === 0 && !hasContent) {
+      errors.push('Resume has no "basics" and no entries in work, education, skills, projects or certifications');
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors: errors, warnings: warnings, data: null };
+    }
+
+    const data = {
+      basics: this.normalizeBasics(source.basics || {}, warnings)
+    };
+
+    for (const [section, spec] of Object.entries(this.sections)) {
+      data[section] = (source[section] || [])
+        .map((entry, index) => this.normalizeEntry(section, entry, index, spec, errors, warnings))
+        .filter(entry => entry !== null);
+    }
+
+    // Keep any extra JSON Resume sections (languages, awards, ...) untouched
+    for (const key of Object.keys(source)) {
+      if (data[key] === undefined && key !== 'certificates') {
+        data[key] = source[key];
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+      warnings: warnings,
+      data: errors.length === 0 ? data : null
+    };
+  }
+
+  /**
+   * Normalize the basics object
+   */
+  normalizeBasics(basics, warnings) {
+    const result = Object.assign({}, basics);
+
+    if (this.isPlainObject(basics.location)) {
+      const loc = basics.location;
+      result.location = [loc.city, loc.region, loc.countryCode]
+        .filter(Boolean)
+        .join(', ');
+      warnings.push('basics.location object was flattened to a string');
+    }
+
+    for (const field of this.basicsFields) {
+      result[field] = this.toText(result[field], `basics.${field}`, warnings);
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize one entry of an array section
+   */
+  normalizeEntry(section, entry, index, spec, errors, warnings) {
+    const path = `${section}[${index}]`;
+
+    if (!this.isPlainObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const result = Object.assign({}, entry);
+
+    if (this.isPlainObject(entry.location)) {
+      result.location = [entry.location.city, entry.location.region]
+        .filter(Boolean)
+        .join(', ');
+    }
+
+    for (const field of spec.strings) {
+      if (result[field] !== undefined) {
+        result[field] = this.toText(result[field], `${path}.${field}`, warnings);
+      }
+    }
+
+    for (const field of spec.lists) {
+      if (result[field] !== undefined) {
+        result[field] = this.toList(result[field], `${path}.${field}`, warnings);
+      }
+    }
+
+    if (section === 'work') {
+      // Parsers emit `company`, JSON Resume uses `name`
+      result.name = result.name || result.company || '';
+      result.company = result.company || result.name;
+    }
+
+    if (section === 'skills' && result.keywords === undefined) {
+      result.keywords = [];
+    }
+
+    return result;
+  }
+
+  toText(value, path, warnings) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+    warnings.push(`${path} is not a string and was dropped`);
+    return '';
+  }
+
+  toList(value, path, warnings) {
+    if (Array.isArray(value)) {
+      return value
+        .filter(item => typeof item === 'string' || typeof item === 'number')
+        .map(item => String(item).trim())
+        .filter(item => item.length > 0);
+    }
+    if (typeof value === 'string') {
+      warnings.push(`${path} was a string and was split on commas`);
+      return value.split(',').map(s => s.trim()).filter(s => s.length > 0);
+    }
+    warnings.push(`${path} is not a list and was dropped`);
+    return [];
+  }
+
+  isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.JsonResumeImporter = JsonResumeImporter;
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonResumeImporter;
+}
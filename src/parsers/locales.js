@@ -0,0 +1,219 @@
+/**
+ * ResumeLocales
+ *
+ * Locale packs for parsing resumes beyond English. A pack holds a
+ * language's section headers ("Berufserfahrung"), month names, season and
+ * "Present" words, degree names and school words:
+ * - register(code, pack): add a pack; its month, season and "Present"
+ *   words are added to ResumeDates so dates parse in that language
+ * - detect(text) -> "de": the language whose common words and section
+ *   headers appear most often, "en" when no pack does better than English
+ * - dateSources(code): regex sources the parsers build their date range
+ *   patterns from, or null for English (the parsers' own patterns)
+ *
+ * English is built into the parsers and ResumeDates; its pack only holds
+ * the words language detection counts. German, French and Spanish packs are
+ * in src/parsers/locales/: index.html loads them as scripts, in Node this
+ * module requires them. See src/parsers/README.md for the pack format.
+ */
+
+class ResumeLocales {
+  static packs = {
+    en: {
+      code: "en",
+      name: "English",
+      stopwords: ["the", "and", "with", "for", "from", "to", "of", "in", "at", "on", "by", "as", "an", "led", "developed", "managed"],
+      sections: {},
+      months: null,
+      seasons: {},
+      present: [],
+      dateConnectors: [],
+      institutions: [],
+      degrees: [],
+      degreeConnectors: [],
+      employerConnectors: [],
+    },
+  };
+
+  static get defaults() {
+    return {
+      name: "",
+      stopwords: [], // common words, counted by detect()
+      sections: {}, // { experience: ["berufserfahrung", ...], education: [...], ... }
+      months: null, // 12 month names, January first
+      seasons: {}, // { sommer: 6, ... }: season word -> first month
+      present: [], // words for "Present" in date ranges
+      dateConnectors: [], // words between month and year ("septiembre de 2023")
+      institutions: [], // words in school names ("universität")
+      degrees: [], // [{ keyword: "Diplom", type: "Diploma" }]: type as the parsers name it
+      degreeConnectors: [], // words between degree and field ("Máster en ...")
+      employerConnectors: [], // "Entwickler bei Firma", like "Developer at Company"
+    };
+  }
+
+  // Section headers that count toward a language, per header line
+  static HEADER_WEIGHT = 3;
+
+  // ==================== REGISTRATION ====================
+
+  static register(code, pack) {
+    if (typeof code !== "string" || !/^[a-z]{2,3}$/.test(code)) {
+      throw new Error(`Locale code must be a 2-3 letter language code, got "${code}"`);
+    }
+    if (pack.months && pack.months.length !== 12) {
+      throw new Error(`Locale pack "${code}" needs 12 month names`);
+    }
+
+    const lower = (words) => (words || []).map((word) => word.toLowerCase());
+    const sections = {};
+    for (const [section, headers] of Object.entries(pack.sections || {})) {
+      sections[section] = lower(headers);
+    }
+
+    const registered = {
+      ...this.defaults,
+      ...pack,
+      code,
+      name: pack.name || code,
+      stopwords: lower(pack.stopwords),
+      sections,
+      months: pack.months ? lower(pack.months) : null,
+      present: lower(pack.present),
+      dateConnectors: lower(pack.dateConnectors),
+      institutions: lower(pack.institutions),
+      degreeConnectors: lower(pack.degreeConnectors),
+      employerConnectors: lower(pack.employerConnectors),
+    };
+    this.packs[code] = registered;
+
+    // Dates in this language parse wherever ResumeDates is used
+    const Dates = this._dates();
+    if (registered.months) Dates.monthNames[code] = registered.months;
+    Dates.seasons[code] = registered.seasons;
+    Dates.presentWords[code] = registered.present;
+    Dates.connectors[code] = registered.dateConnectors;
+
+    return registered;
+  }
+
+  static get(code) {
+    return this.packs[code] || null;
+  }
+
+  static list() {
+    return Object.values(this.packs).map(({ code, name }) => ({ code, name }));
+  }
+
+  // ==================== DETECTION ====================
+
+  /**
+   * Language code of the resume text; `fallback` (default "en") when no
+   * pack scores higher than English
+   */
+  static detect(text, { fallback = "en" } = {}) {
+    const scores = this.score(text);
+    let best = fallback;
+    for (const [code, score] of Object.entries(scores)) {
+      if (score > (scores[best] || 0)) best = code;
+    }
+    return best;
+  }
+
+  /**
+   * { code: score } from common words and section header lines
+   */
+  static score(text) {
+    const words = String(text || "").toLowerCase().match(/\p{L}+/gu) || [];
+    const lines = String(text || "")
+      .split("\n")
+      .map((line) => line.trim().toLowerCase().replace(/\s*:$/, ""))
+      .filter(Boolean);
+
+    const scores = {};
+    for (const pack of Object.values(this.packs)) {
+      const stopwords = new Set(pack.stopwords);
+      const headers = new Set(Object.values(pack.sections).flat());
+      scores[pack.code] =
+        words.filter((word) => stopwords.has(word)).length +
+        lines.filter((line) => headers.has(line)).length * this.HEADER_WEIGHT;
+    }
+    return scores;
+  }
+
+  // ==================== PARSER HELPERS ====================
+
+  /**
+   * Regex sources for a pack's dates, for patterns with the "u" flag:
+   *   { monthYear: "März 2021" / "sept. 2023" / "septiembre de 2023",
+   *     present: "actualidad|presente|...|present|current" }
+   * null for English and unknown codes.
+   */
+  static dateSources(code) {
+    const pack = this.get(code);
+    if (!pack || code === "en") return null;
+
+    const connectors = pack.dateConnectors.length
+      ? `(?:(?:${this.alternation(pack.dateConnectors)})\\s+)?`
+      : "";
+    return {
+      monthYear: `\\p{L}+\\.?\\s+${connectors}\\d{2,4}`,
+      present: this.alternation(pack.present.concat(["present", "current"])),
+    };
+  }
+
+  /**
+   * Words before a field of study ("Master en Informatique"), as a regex
+   * source that also eats the space after them; "" when the pack has none
+   */
+  static degreeConnectorSource(code) {
+    const pack = this.get(code);
+    if (!pack || pack.degreeConnectors.length === 0) return "";
+    const words = pack.degreeConnectors
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map((word) => (word.endsWith("'") ? this.escape(word) : `${this.escape(word)}\\s+`));
+    return `(?:${words.join("|")})?`;
+  }
+
+  /**
+   * Whether text contains a word of that kind ("institutions") from any
+   * registered pack
+   */
+  static mentions(kind, text) {
+    const lower = String(text || "").toLowerCase();
+    return Object.values(this.packs).some((pack) =>
+      (pack[kind] || []).some((word) => lower.includes(word))
+    );
+  }
+
+  /**
+   * Words as a regex alternation, longest first so "actualidad" wins over
+   * "actual"
+   */
+  static alternation(words) {
+    return words
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map((word) => this.escape(word))
+      .join("|");
+  }
+
+  static escape(word) {
+    return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  static _dates() {
+    return typeof ResumeDates !== "undefined" ? ResumeDates : require("./dates.js");
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeLocales = ResumeLocales;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeLocales;
+  // Browsers load the packs with their own script tags
+  for (const code of ["de", "fr", "es"]) require(`./locales/${code}.js`);
+}
@@ -0,0 +1,49 @@
+/**
+ * German locale pack (see ../locales.js)
+ */
+(function () {
+  const Locales = typeof ResumeLocales !== "undefined" ? ResumeLocales : require("../locales.js");
+
+  Locales.register("de", {
+    name: "Deutsch",
+    stopwords: [
+      "und", "der", "die", "das", "mit", "für", "von", "bei", "im", "zur", "zum", "auf",
+      "als", "eine", "einer", "sowie", "über", "durch", "ich", "wurde", "entwicklung",
+    ],
+    sections: {
+      experience: [
+        "Berufserfahrung", "Berufliche Erfahrung", "Berufliche Erfahrungen", "Beruflicher Werdegang",
+        "Werdegang", "Erfahrung", "Praxiserfahrung", "Berufspraxis", "Arbeitserfahrung", "Praktika",
+      ],
+      education: [
+        "Ausbildung", "Bildung", "Bildungsweg", "Schulbildung", "Studium", "Akademischer Werdegang",
+        "Aus- und Weiterbildung", "Ausbildung und Studium",
+      ],
+      skills: [
+        "Kenntnisse", "Fähigkeiten", "Kompetenzen", "Fachkenntnisse", "IT-Kenntnisse", "EDV-Kenntnisse",
+        "Technische Kenntnisse", "Fähigkeiten und Kenntnisse", "Qualifikationen",
+      ],
+      projects: ["Projekte", "Projekterfahrung", "Ausgewählte Projekte"],
+      summary: ["Profil", "Zusammenfassung", "Über mich", "Kurzprofil", "Persönliches Profil"],
+      certifications: ["Zertifikate", "Zertifizierungen", "Weiterbildung", "Auszeichnungen", "Fortbildungen"],
+      languages: ["Sprachen", "Sprachkenntnisse"],
+    },
+    months: [
+      "Januar", "Februar", "März", "April", "Mai", "Juni",
+      "Juli", "August", "September", "Oktober", "November", "Dezember",
+    ],
+    seasons: { frühling: 3, frühjahr: 3, sommer: 6, herbst: 9, winter: 1 },
+    present: ["heute", "bis heute", "aktuell", "derzeit", "gegenwärtig", "jetzt"],
+    institutions: ["universität", "hochschule", "fachhochschule", "akademie", "gymnasium", "berufsschule", "institut"],
+    degrees: [
+      { keyword: "Promotion", type: "PhD" },
+      { keyword: "Doktor", type: "PhD" },
+      { keyword: "Magister", type: "Master's" },
+      { keyword: "Staatsexamen", type: "Master's" },
+      { keyword: "Diplom", type: "Diploma" },
+      { keyword: "Abitur", type: "High School" },
+    ],
+    degreeConnectors: ["in", "im", "der", "für"],
+    employerConnectors: ["bei"],
+  });
+})();
@@ -0,0 +1,48 @@
+/**
+ * Spanish locale pack (see ../locales.js)
+ */
+(function () {
+  const Locales = typeof ResumeLocales !== "undefined" ? ResumeLocales : require("../locales.js");
+
+  Locales.register("es", {
+    name: "Español",
+    stopwords: [
+      "y", "el", "los", "las", "del", "para", "con", "una", "por", "como", "sus",
+      "desarrollo", "gestión", "equipo", "empresa",
+    ],
+    sections: {
+      experience: [
+        "Experiencia", "Experiencia laboral", "Experiencia profesional", "Trayectoria profesional",
+        "Historial laboral", "Empleo", "Prácticas",
+      ],
+      education: ["Educación", "Formación", "Formación académica", "Estudios", "Titulación", "Formación complementaria"],
+      skills: [
+        "Habilidades", "Competencias", "Aptitudes", "Conocimientos", "Habilidades técnicas",
+        "Conocimientos técnicos", "Conocimientos informáticos",
+      ],
+      projects: ["Proyectos", "Proyectos personales", "Proyectos destacados"],
+      summary: ["Perfil", "Perfil profesional", "Resumen", "Sobre mí", "Objetivo", "Extracto"],
+      certifications: ["Certificaciones", "Certificados", "Premios", "Reconocimientos", "Cursos"],
+      languages: ["Idiomas", "Lenguas"],
+    },
+    months: [
+      "Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio",
+      "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre",
+    ],
+    seasons: { primavera: 3, verano: 6, otoño: 9, invierno: 1 },
+    present: ["actualidad", "actualmente", "actual", "presente", "hoy", "la fecha"],
+    dateConnectors: ["de", "del"],
+    institutions: ["universidad", "escuela", "instituto", "colegio", "facultad"],
+    degrees: [
+      { keyword: "Doctorado", type: "PhD" },
+      { keyword: "Máster", type: "Master's" },
+      { keyword: "Maestría", type: "Master's" },
+      { keyword: "Licenciatura", type: "Bachelor's" },
+      { keyword: "Grado", type: "Bachelor's" },
+      { keyword: "Técnico Superior", type: "Associate" },
+      { keyword: "Bachillerato", type: "High School" },
+    ],
+    degreeConnectors: ["en", "de"],
+    employerConnectors: ["en"],
+  });
+})();
@@ -0,0 +1,43 @@
+/**
+ * French locale pack (see ../locales.js)
+ */
+(function () {
+  const Locales = typeof ResumeLocales !== "undefined" ? ResumeLocales : require("../locales.js");
+
+  Locales.register("fr", {
+    name: "Français",
+    stopwords: [
+      "et", "le", "les", "du", "pour", "avec", "dans", "une", "au", "aux", "sur", "chez",
+      "mise", "équipe", "développement", "gestion", "projet",
+    ],
+    sections: {
+      experience: [
+        "Expérience professionnelle", "Expériences professionnelles", "Expérience", "Expériences",
+        "Parcours professionnel", "Emplois", "Stages",
+      ],
+      education: ["Formation", "Formations", "Formation académique", "Études", "Parcours académique", "Diplômes", "Cursus"],
+      skills: ["Compétences", "Compétences techniques", "Compétences informatiques", "Savoir-faire", "Aptitudes", "Connaissances"],
+      projects: ["Projets", "Projets personnels", "Réalisations"],
+      summary: ["Profil", "Profil professionnel", "Résumé", "À propos", "Objectif"],
+      certifications: ["Certifications", "Certificats", "Distinctions", "Prix"],
+      languages: ["Langues", "Compétences linguistiques"],
+    },
+    months: [
+      "Janvier", "Février", "Mars", "Avril", "Mai", "Juin",
+      "Juillet", "Août", "Septembre", "Octobre", "Novembre", "Décembre",
+    ],
+    seasons: { printemps: 3, été: 6, automne: 9, hiver: 1 },
+    present: ["aujourd'hui", "présent", "actuel", "actuellement", "en cours", "à ce jour"],
+    institutions: ["université", "école", "institut", "lycée"],
+    degrees: [
+      { keyword: "Doctorat", type: "PhD" },
+      { keyword: "Diplôme d'ingénieur", type: "Master's" },
+      { keyword: "Licence", type: "Bachelor's" },
+      { keyword: "BTS", type: "Associate" },
+      { keyword: "DUT", type: "Associate" },
+      { keyword: "Baccalauréat", type: "High School" },
+    ],
+    degreeConnectors: ["en", "de", "d'", "ès"],
+    employerConnectors: ["chez"],
+  });
+})();
@@ -1,6 +1,7 @@
 /*
-  Resume normalizer
-  Exposes window.ResumeNormalizer.normalizeText(text) -> ResumeJSON
+  Resume normalizer (heuristic parser)
+  Exposes ResumeNormalizer.normalizeText(text) -> ResumeJSON and registers
+  the "heuristic" strategy with ResumeParserPipeline.
   This file contains the parsing heuristics previously embedded in app.js.
 */
 (function () {
@@ -11,160 +12,652 @@
   }
 
   function extractPhone(text) {
-    const phoneRegex =
-      /(\+?\d{1,3}[-.\s]?)?\(?([0-9]{2,4})\)?[-.\s]?([0-9]{3,4})[-.\s]?([0-9]{3,4})/;
-    const match = text.match(phoneRegex);
-    return match ? match[0] : "";
+    // Try multiple phone patterns to handle various formats
+    const phonePatterns = [
+      // International with spaces (e.g., "+ 1 979 721 2039")
+      /\+\s*\d{1,3}\s+\d{3}\s+\d{3}\s+\d{4}/,
+      // International with dashes/dots
+      /\+\d{1,3}[-.\s]?\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/,
+      // US format with country code
+      /\+?1[-.\s]?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
+      // Standard US format
+      /\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/,
+      // Spaced format
+      /\d{3}\s+\d{3}\s+\d{4}/,
+    ];
+
+    for (const pattern of phonePatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        // Clean up extra spaces but preserve format
+        return match[0].replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    return "";
   }
 
   function extractURL(text) {
-    const urlRegex = /(https?:\/\/[^\s]+)|(linkedin\.com\/[^\n+s]+)/i;
+    const urlRegex = /(https?:\/\/[^\s]+)|(linkedin\.com\/[^\s]+)/i;
     const match = text.match(urlRegex);
     return match ? match[0] : "";
   }
 
   function extractLocation(text) {
-    const locationRegex = /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2,})/;
-    const match = text.match(locationRegex);
+    // Look for location in the FIRST 10 lines only (header section)
+    // This avoids matching locations from education/work experience sections
+    const lines = text.split("\n").slice(0, 10).join("\n");
+
+    // Look for city, state/country patterns
+    // But exclude patterns like "Computer Science Chicago" (degree field with city)
+    // We're looking for just "City, State" patterns in contact info
+    const locationRegex =
+      /(?<![\s\w])([A-Z][a-z]+),\s*([A-Z]{2}|[A-Z][a-z]+)(?![a-z])/;
+    const match = lines.match(locationRegex);
     return match ? match[0] : "";
   }
 
-  function identifySections(text) {
+  // ==================== LOCALE PACKS ====================
+  function locales() {
+    return typeof ResumeLocales !== "undefined" ? ResumeLocales : require("./locales.js");
+  }
+
+  // Header patterns from the locale pack of the resume's language (see locales.js)
+  function localeSectionPatterns(language) {
+    const pack = language && language !== "en" ? locales().get(language) : null;
+    if (!pack) return [];
+    return Object.entries(pack.sections).map(([sectionName, headers]) => ({
+      sectionName,
+      pattern: new RegExp(
+        `(?:^|\\n)\\s*(?:${locales().alternation(headers)})\\s*:?\\s*(?:\\n|$)`,
+        "gi"
+      ),
+    }));
+  }
+
+  // "Month Year - Month Year" or "Month Year - Present" in the resume's language
+  function dateRangePattern(language) {
+    const sources = locales().dateSources(language);
+    if (!sources) {
+      return /(\w+\.?\s+\d{2,4})\s*[-–—]\s*((?:\w+\.?\s+\d{2,4})|present|current)/gi;
+    }
+    return new RegExp(
+      `(${sources.monthYear})\\s*[-–—]\\s*((?:${sources.monthYear})|${sources.present})`,
+      "giu"
+    );
+  }
+
+  function isPresentWord(word, language) {
+    const sources = locales().dateSources(language);
+    return new RegExp(`^(?:${sources ? sources.present : "present|current"})$`, "iu").test(word.trim());
+  }
+
+  function identifySections(text, layout = null, language = "en") {
     const sections = {};
-    const sectionHeaders = [
-      "summary",
-      "professional summary",
-      "about",
-      "objective",
-      "experience",
-      "work experience",
-      "employment",
-      "education",
-      "academic background",
-      "skills",
-      "technical skills",
-      "competencies",
-      "projects",
-      "portfolio",
+
+    // Flexible section detection - handles variations and compound headers
+    // Pattern matches any word(s) followed by section keywords
+    const sectionPatterns = [
+      {
+        sectionName: "education",
+        pattern:
+          /(?:^|\n)\s*(?:E\s*D\s*U\s*C\s*A\s*T\s*I\s*O\s*N|EDUCATION|ACADEMIC(?:\s+\w+)*)\s*(?:\n|$)/gi,
+      },
+      {
+        sectionName: "experience",
+        // Matches: EXPERIENCE, PROFESSIONAL EXPERIENCE, WORK EXPERIENCE, VOLUNTEERING EXPERIENCE, etc.
+        // Using \w+ to match all-caps headers like "PROFESSIONAL EXPERIENCE"
+        pattern:
+          /(?:^|\n)\s*(?:\w+\s+)*?(?:EXPERIENCE|EMPLOYMENT|WORK\s+HISTORY|CAREER|VOLUNTEERING|E\s*X\s*P\s*E\s*R\s*I\s*E\s*N\s*C\s*E)\s*(?:\n|$)/gi,
+      },
+      {
+        sectionName: "projects",
+        pattern:
+          /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:PROJECTS?|PORTFOLIO|P\s*R\s*O\s*J\s*E\s*C\s*T\s*S)\s*(?:\n|$)/gi,
+      },
+      {
+        sectionName: "skills",
+        pattern:
+          /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:SKILLS?|COMPETENCIES|TECHNICAL\s+SKILLS|T\s*E\s*C\s*H\s*N\s*I\s*C\s*A\s*L\s+S\s*K\s*I\s*L\s*L\s*S)\s*(?:\n|$)/gi,
+      },
+      {
+        sectionName: "summary",
+        pattern: /(?:^|\n)\s*(?:(?:[A-Z][a-z]+\s+){0,2})?(?:SUMMARY|PROFILE|OBJECTIVE)\s*(?:\n|$)/gi,
+      },
+      {
+        sectionName: "certifications",
+        pattern: /(?:^|\n)\s*(?:CERTIFICATIONS|LICENSES|AWARDS)\s*(?:\n|$)/gi,
+      },
+      { sectionName: "languages", pattern: /(?:^|\n)\s*LANGUAGES\s*(?:\n|$)/gi },
+      ...localeSectionPatterns(language),
     ];
 
-    const lines = text.split("\n").map((l) => l.trim());
-    let currentSection = null;
-    let currentContent = [];
+    let headerMatches = [];
+
+    // Find all section headers
+    for (const { sectionName, pattern } of sectionPatterns) {
+      let match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(text)) !== null) {
+        headerMatches.push({
+          sectionName: sectionName,
+          headerText: match[0],
+          index: match.index,
+          length: match[0].length,
+        });
+      }
+    }
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const lineLower = line.toLowerCase();
+    // Merge with font size/weight/caps from the PDF text layer when known
+    if (layout) {
+      headerMatches = refineHeaders(text, headerMatches, layout);
+    }
 
-      let foundHeader = null;
-      for (const header of sectionHeaders) {
-        if (lineLower === header || lineLower.startsWith(header)) {
-          foundHeader = header;
-          break;
-        }
+    // Sort by position in text
+    headerMatches.sort((a, b) => a.index - b.index);
+
+    // Group sections - allow multiple instances of same section type (e.g., multiple experience sections)
+    const sectionGroups = {};
+
+    for (const match of headerMatches) {
+      // Skip LANGUAGES if we already have SKILLS
+      if (match.sectionName === "languages" && sectionGroups["skills"]) {
+        continue;
       }
 
-      if (foundHeader) {
-        if (currentSection) {
-          sections[currentSection] = currentContent.join("\n").trim();
-        }
-        currentSection = foundHeader;
-        currentContent = [];
-      } else if (currentSection) {
-        currentContent.push(line);
+      if (!sectionGroups[match.sectionName]) {
+        sectionGroups[match.sectionName] = [];
+      }
+      sectionGroups[match.sectionName].push(match);
+    }
+
+    console.log(
+      "Section groups:",
+      Object.entries(sectionGroups).map(([name, matches]) => `${name}(${matches.length})`)
+    );
+
+    // Create flat list preserving order but marking duplicates
+    const orderedMatches = [];
+    const seenPositions = new Set();
+
+    for (const match of headerMatches) {
+      if (!seenPositions.has(match.index)) {
+        seenPositions.add(match.index);
+        orderedMatches.push(match);
       }
     }
 
-    if (currentSection) {
-      sections[currentSection] = currentContent.join("\n").trim();
+    console.log(
+      "Headers found:",
+      orderedMatches.map((h) => `${h.sectionName}@${h.index}`)
+    );
+
+    // Log the index positions to help debug section boundaries
+    for (let i = 0; i < orderedMatches.length; i++) {
+      const current = orderedMatches[i];
+      const next = orderedMatches[i + 1];
+      const startIdx = current.index + current.length;
+      const endIdx = next ? next.index : text.length;
+      const headerText = text
+        .substring(current.index, Math.min(current.index + 30, text.length))
+        .replace(/\n/g, " ");
+      console.log(
+        `[Section: ${current.sectionName}] Header: "${headerText}..." at index ${current.index}`
+      );
+      console.log(
+        `  Content from ${startIdx} to ${endIdx} (${endIdx - startIdx} chars)`
+      );
     }
 
+    // Extract content between section headers - merge multiple instances of same section
+    for (let i = 0; i < orderedMatches.length; i++) {
+      const current = orderedMatches[i];
+      const next = orderedMatches[i + 1];
+
+      // Start after the header
+      let startIndex = current.index + current.length;
+
+      // End at the next header (or end of text)
+      const endIndex = next ? next.index : text.length;
+
+      let content = text.substring(startIndex, endIndex).trim();
+
+      // Remove leading newlines/spaces
+      content = content.replace(/^\s+/, "");
+
+      if (content.length > 0) {
+        // Merge content if section already exists (e.g., multiple experience sections)
+        if (sections[current.sectionName]) {
+          sections[current.sectionName] += "\n\n" + content;
+          console.log(`✓ ${current.sectionName} (merged): ${content.substring(0, 80)}...`);
+        } else {
+          sections[current.sectionName] = content;
+          console.log(`✓ ${current.sectionName}: ${content.substring(0, 80)}...`);
+        }
+      }
+    }
+
+    console.log("Sections extracted:", Object.keys(sections));
     return sections;
   }
 
-  function parseWorkExperience(text) {
+  // SectionHeaderDetector works on { section }, this parser on { sectionName }
+  function refineHeaders(text, headerMatches, layout) {
+    const Headers =
+      typeof SectionHeaderDetector !== "undefined"
+        ? SectionHeaderDetector
+        : require("./section-headers.js");
+
+    const matches = headerMatches.map((match) => ({ ...match, section: match.sectionName }));
+    return Headers.refine(text, matches, layout).map((match) => ({
+      sectionName: match.section,
+      headerText: text.substr(match.index, match.length),
+      index: match.index,
+      length: match.length,
+    }));
+  }
+
+  function parseWorkExperience(text, language = "en") {
     if (!text) return [];
 
+    console.log("=== PARSE WORK EXPERIENCE ===");
+    console.log("Input text length:", text.length);
+    console.log("First 800 chars:", text.substring(0, 800));
+
     const jobs = [];
-    const blocks = text.split(/\n\s*\n/).filter((b) => b.trim().length > 0);
 
-    for (const block of blocks) {
-      const lines = block
-        .split("\n")
-        .map((l) => l.trim())
-        .filter((l) => l.length > 0);
-      if (lines.length === 0) continue;
+    // Find jobs by looking for date patterns: "Month Year - Month Year" or "Month Year - Present"
+    // Support both 2-digit (21) and 4-digit (2021) years
+    const datePattern = dateRangePattern(language);
+
+    const dateMatches = [];
+    let match;
+    while ((match = datePattern.exec(text)) !== null) {
+      dateMatches.push({
+        fullDate: match[0],
+        startDate: match[1],
+        endDate: match[2],
+        index: match.index,
+        endIndex: match.index + match[0].length,
+      });
+    }
+
+    console.log("Date matches found:", dateMatches.length);
+    dateMatches.forEach((d, i) => console.log(`  ${i+1}. "${d.fullDate}"`));
+
+    if (dateMatches.length === 0) {
+      console.log("❌ No work experience dates found");
+      return [];
+    }
 
-      const position = lines[0] || "";
-      const company = lines[1] || "";
+    // Extract job info for each date
+    for (let i = 0; i < dateMatches.length; i++) {
+      const dateInfo = dateMatches[i];
+      const nextDateInfo = dateMatches[i + 1];
 
-      const dateRegex = /(\w+\.?\s+\d{4})\s*[-–—]\s*(\w+\.?\s+\d{4}|Present)/i;
-      const dateMatch = block.match(dateRegex);
-      const startDate = dateMatch ? dateMatch[1] : "";
-      const endDate = dateMatch ? dateMatch[2] : "";
+      // Get the full line containing the date (might have position on same line)
+      const textBeforeDate = text.substring(0, dateInfo.index);
+      const lines = textBeforeDate.split('\n');
+      const dateLineStart = textBeforeDate.lastIndexOf('\n') + 1;
+      const fullDateLine = text.substring(dateLineStart, dateInfo.endIndex + 50).split('\n')[0];
 
-      const summary = lines.slice(2).join(" ");
+      let position = "";
+      let company = "";
+
+      // Check if position is on the same line as date (volunteering format: "● Position text    Date")
+      const beforeDateOnSameLine = fullDateLine.substring(0, fullDateLine.indexOf(dateInfo.fullDate)).trim();
+
+      if (beforeDateOnSameLine.length > 0) {
+        // Position is on same line as date (volunteering format)
+        position = beforeDateOnSameLine.replace(/^[●•]\s*/, '').trim();
+        company = ""; // No separate company line
+      } else {
+        // Position/company are on lines BEFORE the date (professional experience format)
+        const headerLines = lines
+          .slice(-3) // Get last 3 lines before date
+          .map(l => l.trim())
+          .filter(l => l.length > 0 && !l.startsWith('●') && !l.startsWith('•'));
+
+        if (headerLines.length >= 1) {
+          // Last non-empty line before date is usually "Position, Company, Location"
+          const lastLine = headerLines[headerLines.length - 1];
+
+          // Try to split position and company if comma-separated
+          if (lastLine.includes(',')) {
+            const parts = lastLine.split(',').map(p => p.trim());
+            position = parts[0];
+            company = parts.slice(1).join(', ');
+          } else {
+            position = lastLine;
+            company = headerLines.length >= 2 ? headerLines[headerLines.length - 2] : '';
+          }
+        }
+      }
+
+      // Get text AFTER the date (description)
+      let descStart = dateInfo.endIndex;
+      let descEnd = nextDateInfo ? nextDateInfo.index : text.length;
+      let description = text.substring(descStart, descEnd).trim();
+
+      // Remove the next job's header from this job's description
+      if (nextDateInfo) {
+        const beforeNextDate = text.substring(0, nextDateInfo.index);
+        const allLines = beforeNextDate.split('\n');
+
+        // Find non-bullet lines at the end (these are next job's header)
+        const nextJobHeaderLines = [];
+        for (let j = allLines.length - 1; j >= 0; j--) {
+          const line = allLines[j].trim();
+          if (line.length === 0) {
+            if (nextJobHeaderLines.length > 0) break;
+          } else if (!line.startsWith('●') && !line.startsWith('•')) {
+            nextJobHeaderLines.unshift(line);
+            if (nextJobHeaderLines.length >= 2) break;
+          } else {
+            break; // Hit a bullet point, stop
+          }
+        }
+
+        // Remove these lines from description
+        if (nextJobHeaderLines.length > 0) {
+          for (const headerLine of nextJobHeaderLines) {
+            description = description.replace(headerLine, '');
+          }
+          description = description.trim();
+        }
+      }
+
+      // Convert 2-digit years to 4-digit (21 -> 2021, 23 -> 2023)
+      const convertYear = (dateStr) => {
+        return dateStr.replace(/(\w+)\s+(\d{2})$/i, (match, month, year) => {
+          const numYear = parseInt(year);
+          // If year is 00-50, assume 2000-2050, otherwise 1950-1999
+          const fullYear = numYear <= 50 ? 2000 + numYear : 1900 + numYear;
+          return `${month} ${fullYear}`;
+        });
+      };
+
+      const startDate = convertYear(dateInfo.startDate);
+      const endDate = isPresentWord(dateInfo.endDate, language)
+        ? 'Present' 
+        : convertYear(dateInfo.endDate);
 
       jobs.push({
         position: position,
         company: company,
         startDate: startDate,
         endDate: endDate,
-        summary: summary,
+        summary: description,
       });
     }
 
     return jobs;
   }
 
-  function parseEducation(text) {
+  function parseEducation(text, language = "en") {
     if (!text) return [];
 
+    console.log("=== PARSE EDUCATION ===");
+    console.log("Input text length:", text.length);
+    console.log("First 500 chars:", text.substring(0, 500));
+
     const education = [];
-    const blocks = text.split(/\n\s*\n/).filter((b) => b.trim().length > 0);
 
-    for (const block of blocks) {
-      const lines = block
-        .split("\n")
-        .map((l) => l.trim())
-        .filter((l) => l.length > 0);
-      if (lines.length === 0) continue;
+    // Debug: log the actual text being parsed
+    if (text && text.length > 0) {
+      console.log(
+        "[parseEducation] Received text:",
+        text.substring(0, 150),
+        "... (length:",
+        text.length,
+        ")"
+      );
+    }
 
-      const institution = lines[0] || "";
-      const degree = lines[1] || "";
+    // Strategy: Find all date ranges first (these are our anchors)
+    // Then extract institution/degree/location around each date
+    // Format: [Institution] [StartDate - EndDate] [Degree] [Location]
+
+    // Support both 2-digit (21) and 4-digit (2021) years
+    const datePattern = dateRangePattern(language);
+    const pack = language !== "en" ? locales().get(language) : null;
+    let dateMatch;
+    const dateMatches = [];
+
+    while ((dateMatch = datePattern.exec(text)) !== null) {
+      dateMatches.push({
+        fullMatch: dateMatch[0],
+        startDate: dateMatch[1],
+        endDate: dateMatch[2],
+        index: dateMatch.index,
+      });
+    }
 
-      const dateRegex = /(\w+\.?\s+\d{4})\s*[-–—]\s*(\w+\.?\s+\d{4}|Present)/i;
-      const dateMatch = block.match(dateRegex);
-      const startDate = dateMatch ? dateMatch[1] : "";
-      const endDate = dateMatch ? dateMatch[2] : "";
+    console.log(`[parseEducation] Found ${dateMatches.length} date ranges`);
+    dateMatches.forEach((dm, i) => {
+      console.log(`  Date ${i + 1}: "${dm.fullMatch}" at index ${dm.index}`);
+    });
+
+    if (dateMatches.length === 0) {
+      console.log("❌ No education dates found");
+      return [];
+    }
 
+    // Process each date range found
+    for (let i = 0; i < dateMatches.length; i++) {
+      const current = dateMatches[i];
+      const next = dateMatches[i + 1];
+
+      // Extract institution: look backward from date for institution keywords
+      // Strategy: Find the line containing institution before the date
+      let institution = "";
+      const beforeDateText = text.substring(
+        Math.max(0, current.index - 300),
+        current.index
+      );
+
+      // Split into lines and find the one with institution keywords
+      const linesBeforeDate = beforeDateText.split('\n').reverse();
+
+      const institutionKeywords = [
+        "University",
+        "College",
+        "Institute",
+        "School",
+        "Academy",
+      ].concat(pack ? pack.institutions : []);
+
+      for (const line of linesBeforeDate) {
+        const trimmedLine = line.trim();
+        // Check if this line contains an institution keyword
+        for (const keyword of institutionKeywords) {
+          if (trimmedLine.toLowerCase().includes(keyword.toLowerCase())) {
+            // Take the full line as institution, removing leading bullets
+            institution = trimmedLine.replace(/^[●•]\s*/, '').trim();
+            // Extract just the institution part (before comma or location)
+            const commaIndex = institution.indexOf(',');
+            if (commaIndex > 0) {
+              institution = institution.substring(0, commaIndex).trim();
+            }
+            break;
+          }
+        }
+        if (institution) break;
+      }
+
+      // Extract degree and area: look forward from date end for degree keywords
       let studyType = "Degree";
       let area = "";
+      const afterDateStart = current.index + current.fullMatch.length;
+      let afterDateText;
 
-      if (degree.toLowerCase().includes("master")) {
-        studyType = "Master's";
-        area = degree.replace(/master'?s?\s*(in|of)?/i, "").trim();
-      } else if (degree.toLowerCase().includes("bachelor")) {
-        studyType = "Bachelor's";
-        area = degree.replace(/bachelor'?s?\s*(in|of)?/i, "").trim();
+      // Determine end point for extracting text after date
+      // Use next date as boundary if available
+      if (next) {
+        afterDateText = text.substring(afterDateStart, next.index);
       } else {
-        area = degree;
+        afterDateText = text.substring(afterDateStart, afterDateStart + 200);
       }
 
-      const locationRegex = /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2,})/;
-      const locationMatch = block.match(locationRegex);
-      const location = locationMatch ? locationMatch[0] : "";
+      // BRUTE FORCE: Look for degree keywords directly in the text
+      console.log(
+        `[Entry ${i + 1}] afterDateText (${
+          afterDateText.length
+        }): "${afterDateText.substring(0, 150).replace(/\n/g, "\\n")}"`
+      );
+
+      let degreeFound = false;
+      let degreeType = "";
+      let fieldOfStudy = "";
+      let location = "";
+
+      // Look for each degree keyword, the locale pack's ("Diplom") first
+      const degrees = (pack ? pack.degrees : []).concat([
+        { keyword: "Master's", type: "Master's" },
+        { keyword: "Master", type: "Master's" },
+        { keyword: "MSDS", type: "Master's" },
+        { keyword: "MS", type: "Master's" },
+        { keyword: "M.S.", type: "Master's" },
+        { keyword: "MBA", type: "Master's" },
+        { keyword: "M.A.", type: "Master's" },
+        { keyword: "Bachelor's", type: "Bachelor's" },
+        { keyword: "Bachelor", type: "Bachelor's" },
+        { keyword: "BTech", type: "Bachelor's" },
+        { keyword: "B.Tech", type: "Bachelor's" },
+        { keyword: "BS", type: "Bachelor's" },
+        { keyword: "B.S.", type: "Bachelor's" },
+        { keyword: "BA", type: "Bachelor's" },
+        { keyword: "B.A.", type: "Bachelor's" },
+        { keyword: "PhD", type: "PhD" },
+        { keyword: "Ph.D.", type: "PhD" },
+        { keyword: "Doctorate", type: "PhD" },
+        { keyword: "Certificate", type: "Certificate" },
+        { keyword: "Cert.", type: "Certificate" },
+        { keyword: "Diploma", type: "Diploma" },
+      ]);
+
+      for (const degreeInfo of degrees) {
+        // Case-insensitive search
+        const upperText = afterDateText.toUpperCase();
+        const upperKeyword = degreeInfo.keyword.toUpperCase();
+        const idx = upperText.indexOf(upperKeyword);
+
+        if (idx !== -1) {
+          degreeType = degreeInfo.type;
+          console.log(
+            `[Entry ${i + 1}] Found degree: "${
+              degreeInfo.keyword
+            }" at position ${idx}`
+          );
+
+          // Extract field: Look for "in/of [field]" after the degree keyword
+          const afterKeyword = afterDateText.substring(
+            idx + degreeInfo.keyword.length
+          );
+
+          // Look for "in/of [field]" - stop at location (City, Country) or end of line
+          // Location indicators: Capital City, Capital Country/State
+          let fieldMatch = afterKeyword.match(
+            pack
+              ? new RegExp(
+                  `^\\s*(?:(?:in|of)\\s+)?${locales().degreeConnectorSource(language)}([\\p{L}\\s&(),-]+?)(?=\\s+\\p{Lu}\\p{Ll}+,\\s*\\p{Lu}|,|\\n|$)`,
+                  "iu"
+                )
+              : /\s*(?:in|of)\s+([A-Za-z\s&(),-]+?)(?=\s+[A-Z][a-z]+,\s*[A-Z]|,|\n|$)/i
+          );
+
+          if (fieldMatch && fieldMatch[1]) {
+            // Clean the field - remove location part if present
+            let field = fieldMatch[1].trim();
+            // Remove anything after "City," pattern
+            field = field.replace(/\s+[A-Z][a-z]+,.*$/, "").trim();
+            fieldOfStudy = field;
+            console.log(`[Entry ${i + 1}] Found field: "${fieldOfStudy}"`);
+          }
+
+          // Extract location (City, Country) - look for comma-separated location pattern
+          const locationMatch = afterKeyword.match(
+            /\s+([A-Z][a-z]+),\s*([A-Z][A-Za-z]{1,10})/
+          );
+          if (locationMatch) {
+            location = `${locationMatch[1]}, ${locationMatch[2]}`;
+            console.log(`[Entry ${i + 1}] Found location: "${location}"`);
+          }
+
+          degreeFound = true;
+          break;
+        }
+      }
 
-      education.push({
-        institution: institution,
-        studyType: studyType,
-        area: area,
-        startDate: startDate,
-        endDate: endDate,
-        location: location,
-      });
+      if (degreeFound) {
+        studyType = degreeType;
+        area = fieldOfStudy || degreeType;
+        console.log(
+          `[Entry ${
+            i + 1
+          }] ✓ Degree matched: type="${studyType}", field="${area}"`
+        );
+      } else {
+        console.log(`[Entry ${i + 1}] ✗ NO DEGREE FOUND`);
+      }
+
+      // Only add if we found at least institution and dates
+      // Accept any degree-related keywords, not just Master's/Bachelor's/PhD
+      const isDegreeType =
+        studyType === "Master's" ||
+        studyType === "Bachelor's" ||
+        studyType === "PhD" ||
+        studyType === "Certificate" ||
+        studyType === "Diploma" ||
+        studyType.toLowerCase().includes('ms') ||
+        studyType.toLowerCase().includes('bs') ||
+        studyType.toLowerCase().includes('ba') ||
+        studyType.toLowerCase().includes('ma') ||
+        studyType.toLowerCase().includes('mba') ||
+        studyType.toLowerCase().includes('btech') ||
+        studyType.toLowerCase().includes('cert') ||
+        studyType.toLowerCase().includes('diploma') ||
+        studyType.toLowerCase().includes('degree') ||
+        degreeFound; // If we found ANY degree keyword, accept it
+
+      // Convert 2-digit years to 4-digit (21 -> 2021, 23 -> 2023)
+      const convertYear = (dateStr) => {
+        if (!dateStr) return dateStr;
+        return dateStr.replace(/(\w+)\s+(\d{2})$/i, (match, month, year) => {
+          const numYear = parseInt(year);
+          const fullYear = numYear <= 50 ? 2000 + numYear : 1900 + numYear;
+          return `${month} ${fullYear}`;
+        });
+      };
+
+      const startDate = convertYear(current.startDate);
+      const endDate = isPresentWord(current.endDate, language)
+        ? 'Present'
+        : convertYear(current.endDate);
+
+      if (institution && current.startDate && current.endDate && isDegreeType) {
+        education.push({
+          institution: institution,
+          studyType: studyType,
+          area: area || institution,
+          startDate: startDate,
+          endDate: endDate,
+          location: location,
+        });
+        console.log(
+          `[parseEducation] Added entry: ${institution} (${studyType})`
+        );
+      } else {
+        console.log(
+          `[parseEducation] SKIPPED entry - institution:${!!institution}, startDate:${!!current.startDate}, endDate:${!!current.endDate}, isDegreeType:${isDegreeType}, studyType:${studyType}`
+        );
+      }
     }
 
+    console.log(
+      `[parseEducation] Returning ${education.length} education entries`
+    );
+
     return education;
   }
 
@@ -178,23 +671,61 @@
       .filter((l) => l.length > 0);
 
     for (const line of lines) {
+      // Check if line has a category (e.g., "Programming Languages: Java, Python")
       const colonIndex = line.indexOf(":");
       if (colonIndex > 0) {
         const name = line.substring(0, colonIndex).trim();
         const keywordsStr = line.substring(colonIndex + 1).trim();
-        const keywords = keywordsStr
-          .split(/[,;•|]/)
-          .map((s) => s.trim())
-          .filter((s) => s.length > 0);
 
-        skills.push({ name: name, keywords: keywords });
+        // Split keywords while preserving content in parentheses
+        const keywords = [];
+        let current = "";
+        let parenDepth = 0;
+
+        for (let i = 0; i < keywordsStr.length; i++) {
+          const char = keywordsStr[i];
+          if (char === "(") {
+            parenDepth++;
+            current += char;
+          } else if (char === ")") {
+            parenDepth--;
+            current += char;
+          } else if (
+            (char === "," || char === ";" || char === "•" || char === "|") &&
+            parenDepth === 0
+          ) {
+            // This is a separator and we're not inside parentheses
+            if (current.trim().length > 0) {
+              keywords.push(current.trim());
+            }
+            current = "";
+          } else {
+            current += char;
+          }
+        }
+
+        // Add the last keyword
+        if (current.trim().length > 0) {
+          keywords.push(current.trim());
+        }
+
+        if (keywords.length > 0) {
+          skills.push({
+            name: name,
+            keywords: keywords,
+          });
+        }
       } else {
+        // Just a list of skills
         const keywords = line
           .split(/[,;•|]/)
           .map((s) => s.trim())
           .filter((s) => s.length > 0);
         if (keywords.length > 0) {
-          skills.push({ name: "Skills", keywords: keywords });
+          skills.push({
+            name: "Skills",
+            keywords: keywords,
+          });
         }
       }
     }
@@ -205,71 +736,265 @@
   function parseProjects(text) {
     if (!text) return [];
 
+    console.log("=== PARSE PROJECTS ===");
+    console.log("Input text length:", text.length);
+    console.log("First 500 chars:", text.substring(0, 500));
+
     const projects = [];
-    const blocks = text.split(/\n\s*\n/).filter((b) => b.trim().length > 0);
 
-    for (const block of blocks) {
-      const lines = block
+    // Strategy: Split text into sections by finding project headers
+    // Project header format: "Project Name | tech1, tech2"
+    // The key is to ONLY capture techs on the SAME line as the pipe, not beyond first newline
+    // Don't use ^ anchor - projects might not start at beginning of line in PDF text
+
+    const headerPattern = /([A-Z][A-Za-z0-9\s\-&()]+?)\s*\|\s*([^\n]*)(?=\n|$)/g;
+
+    let headerMatch;
+    const headers = [];
+
+    while ((headerMatch = headerPattern.exec(text)) !== null) {
+      headers.push({
+        name: headerMatch[1].trim(),
+        techsRaw: headerMatch[2].trim(),
+        index: headerMatch.index,
+        matchLength: headerMatch[0].length,
+      });
+    }
+
+    console.log(`[parseProjects] Found ${headers.length} project headers`);
+
+    // For each header, extract techs and description
+    for (let i = 0; i < headers.length; i++) {
+      const header = headers[i];
+
+      // Extract techs from the header line (between | and end of line, or until bullet)
+      let techs = header.techsRaw;
+      let description = ""; // IMPORTANT: techs might contain bullet on same line OR newline separates techs from description
+      // Handle bullet on same line first
+      if (techs.includes("•")) {
+        const bulletIndex = techs.indexOf("•");
+        // Text before bullet = techs, after = description start
+        techs = techs.substring(0, bulletIndex).trim();
+        // Description starts after the bullet
+        let restOfDescription = header.techsRaw.substring(bulletIndex);
+
+        // Get text from end of header line to start of next project or end
+        const headerEnd = header.index + header.matchLength;
+        const nextHeaderIndex =
+          i + 1 < headers.length ? headers[i + 1].index : text.length;
+        const fullDescription = text.substring(headerEnd, nextHeaderIndex).trim();
+
+        description =
+          restOfDescription + (fullDescription ? "\n" + fullDescription : "");
+      } else {
+        // No bullet in header line - description is everything after this header until next project
+        const headerEnd = header.index + header.matchLength;
+        const nextHeaderIndex =
+          i + 1 < headers.length ? headers[i + 1].index : text.length;
+        description = text.substring(headerEnd, nextHeaderIndex).trim();
+      }
+
+      // Parse techs into keywords array - split by comma/semicolon, filter out descriptions
+      const keywords = techs
+        .split(/[,;]/)
+        .map((s) => s.trim())
+        .filter((s) => {
+          // Filter: non-empty, no bullets, no newlines, not just whitespace
+          if (!s || s === "•" || /[\n]/.test(s) || /^[\s]*$/.test(s))
+            return false;
+          return true;
+        });
+
+      // Clean description - remove bullets, collapse whitespace
+      description = description
         .split("\n")
-        .map((l) => l.trim())
-        .filter((l) => l.length > 0);
-      if (lines.length === 0) continue;
-
-      const name = lines[0] || "";
-      const keywordsRegex = /\|([^|]+)$/;
-      const keywordsMatch = name.match(keywordsRegex);
-      let keywords = [];
-      let cleanName = name;
-
-      if (keywordsMatch) {
-        keywords = keywordsMatch[1].split(/[,;]/).map((s) => s.trim());
-        cleanName = name.replace(keywordsRegex, "").trim();
+        .map((line) => line.replace(/^•\s*/, "").trim())
+        .filter((line) => line.length > 0)
+        .join(" ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+      // Add project
+      if (header.name && (keywords.length > 0 || description.length > 0)) {
+        projects.push({
+          name: header.name,
+          keywords: keywords,
+          summary: description,
+        });
       }
+    }
+
+    return projects;
+  }
 
-      const summary = lines.slice(1).join(" ");
+  function cleanupResumeData(resumeData) {
+    // Clean common formatting issues from extracted data
+    const cleaned = JSON.parse(JSON.stringify(resumeData)); // Deep copy
 
-      projects.push({ name: cleanName, keywords: keywords, summary: summary });
+    // Fix common company name issues
+    const companyFixes = {
+      "Service - now": "ServiceNow",
+      "service - now": "ServiceNow",
+      "Service -": "Service",
+    };
+
+    // Apply company fixes
+    if (cleaned.work && Array.isArray(cleaned.work)) {
+      cleaned.work.forEach((job) => {
+        // Fix company name
+        for (const [bad, good] of Object.entries(companyFixes)) {
+          if (job.company && job.company.includes(bad)) {
+            job.company = job.company.replace(bad, good);
+          }
+        }
+        // Also fix position field
+        for (const [bad, good] of Object.entries(companyFixes)) {
+          if (job.position && job.position.includes(bad)) {
+            job.position = job.position.replace(bad, good);
+          }
+        }
+        // Remove extra spaces
+        if (job.company) job.company = job.company.replace(/\s+/g, " ").trim();
+        if (job.position) job.position = job.position.replace(/\s+/g, " ").trim();
+      });
     }
 
-    return projects;
+    // Clean education data
+    if (cleaned.education && Array.isArray(cleaned.education)) {
+      cleaned.education.forEach((edu) => {
+        if (edu.institution)
+          edu.institution = edu.institution.replace(/\s+/g, " ").trim();
+        if (edu.area) edu.area = edu.area.replace(/\s+/g, " ").trim();
+        if (edu.location) edu.location = edu.location.replace(/\s+/g, " ").trim();
+      });
+    }
+
+    // Clean projects
+    if (cleaned.projects && Array.isArray(cleaned.projects)) {
+      cleaned.projects.forEach((project) => {
+        if (project.name) project.name = project.name.replace(/\s+/g, " ").trim();
+        if (project.summary)
+          project.summary = project.summary.replace(/\s+/g, " ").trim();
+        if (project.keywords && Array.isArray(project.keywords)) {
+          project.keywords = project.keywords.map((k) =>
+            k.replace(/\s+/g, " ").trim()
+          );
+        }
+      });
+    }
+
+    // Clean skills
+    if (cleaned.skills && Array.isArray(cleaned.skills)) {
+      cleaned.skills.forEach((skillGroup) => {
+        if (skillGroup.name)
+          skillGroup.name = skillGroup.name.replace(/\s+/g, " ").trim();
+        if (skillGroup.keywords && Array.isArray(skillGroup.keywords)) {
+          skillGroup.keywords = skillGroup.keywords.map((k) =>
+            k.replace(/\s+/g, " ").trim()
+          );
+        }
+      });
+    }
+
+    return cleaned;
   }
 
-  function normalizeText(text) {
+  function extractBasics(text, sections) {
     const lines = text
       .split("\n")
       .map((l) => l.trim())
       .filter((l) => l.length > 0);
 
-    const name = lines[0] || "Resume";
-    const email = extractEmail(text);
-    const phone = extractPhone(text);
-    const url = extractURL(text);
-    const location = extractLocation(text);
-
-    const sections = identifySections(text);
-
-    const resumeData = {
-      basics: {
-        name: name,
-        label: lines[1] || "",
-        email: email,
-        phone: phone,
-        url: url,
-        location: location,
-        summary: sections.summary || sections.about || "",
-      },
-      work: parseWorkExperience(sections.experience || sections.work || ""),
-      education: parseEducation(sections.education || ""),
-      skills: parseSkills(
-        sections.skills || sections["technical skills"] || ""
-      ),
-      projects: parseProjects(sections.projects || ""),
+    // Extract basic info - handle pipe-separated contact info
+    let name = lines[0] || "Resume";
+    // Extract name from first line before pipe
+    if (name.includes("|")) {
+      let namePart = name.split("|")[0].trim();
+      // Remove phone/numbers: "Shanmuga Priya Kannan 872 - 330 - 3203" → "Shanmuga Priya Kannan"
+      namePart = namePart
+        .replace(/\s+\d+\s*[-–—]\s*\d+\s*[-–—]\s*\d+\s*$/, "")
+        .trim();
+      name = namePart;
+    }
+
+    // Extract job title/label - skip lines that contain contact info
+    let label = "";
+    for (let i = 1; i < Math.min(5, lines.length); i++) {
+      const line = lines[i];
+      // Skip if line contains contact info (phone, email, or location patterns)
+      const hasContactInfo =
+        line.includes("@") ||
+        /\+?\d{1,3}[-\s]?\d{3}[-\s]?\d{3}[-\s]?\d{4}/.test(line) ||
+        /\d{3}[-\s]?\d{3}[-\s]?\d{4}/.test(line) ||
+        line.includes("linkedin.com") ||
+        line.includes("github.com") ||
+        /[A-Z][a-z]+,\s*[A-Z]{2}/.test(line); // City, ST pattern
+
+      if (!hasContactInfo && line.length > 0 && line.length < 100) {
+        label = line;
+        break;
+      }
+    }
+
+    return {
+      name: name,
+      label: label,
+      email: extractEmail(text),
+      phone: extractPhone(text),
+      url: extractURL(text),
+      location: extractLocation(text),
+      summary: sections.summary || sections.about || "",
     };
+  }
 
-    return resumeData;
+  // ==================== PIPELINE STRATEGY ====================
+  const strategy = {
+    name: "heuristic",
+    label: "Heuristic parser",
+    detectSections: (text, { layout, language }) => identifySections(text, layout, language),
+    extractors: {
+      basics: (sections, { text }) => extractBasics(text, sections),
+      work: (sections, { language }) =>
+        parseWorkExperience(sections.experience || sections.work || "", language),
+      education: (sections, { language }) => parseEducation(sections.education || "", language),
+      skills: (sections) => parseSkills(sections.skills || sections["technical skills"] || ""),
+      projects: (sections) => parseProjects(sections.projects || ""),
+    },
+    sources: {
+      work: "experience",
+      education: "education",
+      skills: "skills",
+      projects: "projects",
+    },
+    // Clean up common formatting issues
+    postProcess: [cleanupResumeData],
+  };
+
+  function normalizeText(text) {
+    const Pipeline =
+      typeof ResumeParserPipeline !== "undefined"
+        ? ResumeParserPipeline
+        : require("./pipeline.js");
+    return Pipeline.execute(strategy, text).data;
   }
 
-  window.ResumeNormalizer = {
+  const ResumeNormalizer = {
     normalizeText,
+    identifySections,
+    extractBasics,
+    parseWorkExperience,
+    parseEducation,
+    parseSkills,
+    parseProjects,
+    cleanupResumeData,
+    strategy,
   };
+
+  if (typeof window !== "undefined") {
+    window.ResumeNormalizer = ResumeNormalizer;
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ResumeNormalizer;
+  }
 })();
@@ -0,0 +1,586 @@
+/**
+ * PdfLayoutAnalyzer
+ *
+ * Rebuilds reading order from pdf.js text items:
+ * - Groups items into rows by Y coordinate
+ * - Splits rows into segments at wide horizontal gaps
+ * - Finds column gutters (X ranges almost no row crosses)
+ * - Emits each column as its own block, so a skills sidebar next to the
+ *   experience list is no longer interleaved line by line
+ *
+ * Single-column pages produce exactly the same text as plain row grouping.
+ *
+ * Layout shape (PDFTextExtractor.extractLayout):
+ *   {
+ *     type: "single-column" | "two-column" | "3-column",
+ *     columns: 2,
+ *     hasSidebar: true,
+ *     pages: [{
+ *       pageNumber, width, height, type,
+ *       gutters: [x],
+ *       blocks: [{ id, page, role, column, x0, x1, top, bottom, lines, styles, text }]
+ *     }],
+ *     text: "reading-order text"
+ *   }
+ *
+ * Block roles: "header" (name and contact rows above the columns), "main",
+ * "sidebar", "column" (columns of similar width) and "full" (full-width rows
+ * between or below the columns). `styles[i]` is the font of `lines[i]`:
+ * { text, fontSize, fontName, bold }, used for section header detection
+ * (section-headers.js).
+ */
+
+class PdfLayoutAnalyzer {
+  static get defaults() {
+    return {
+      minGap: 10, // points between items that starts a new row segment
+      minColumnRows: 3, // rows each side of a gutter needs
+      minColumnWidth: 0.12, // fraction of the page width
+      maxCrossingRatio: 0.15, // rows allowed to run across a gutter
+      sidebarRatio: 1.2, // main column must be this much wider than the sidebar
+      overhang: 0.8, // share of a segment on one side that still counts as inside
+    };
+  }
+
+  // ==================== PAGES ====================
+
+  /**
+   * Analyze one page of pdf.js text items (textContent.items).
+   * page: { pageNumber, width, height, fonts } where fonts comes from
+   * resolveFonts() and marks bold fonts.
+   */
+  static analyzePage(items, page = {}, options = {}) {
+    const settings = { ...PdfLayoutAnalyzer.defaults, ...options, fonts: page.fonts || {} };
+    const rows = PdfLayoutAnalyzer.groupRows(items || [], settings);
+    const width = page.width || PdfLayoutAnalyzer._contentRight(rows);
+    const gutters = PdfLayoutAnalyzer.findGutters(rows, width, settings);
+    const pageNumber = page.pageNumber || 1;
+
+    const blocks =
+      gutters.length > 0
+        ? PdfLayoutAnalyzer._columnBlocks(rows, gutters, pageNumber, settings)
+        : [PdfLayoutAnalyzer._block(pageNumber, 0, "main", null, rows, settings.fonts)];
+
+    return {
+      pageNumber: pageNumber,
+      width: width,
+      height: page.height || null,
+      type: PdfLayoutAnalyzer._typeName(gutters.length + 1),
+      gutters: gutters,
+      blocks: blocks.filter((block) => block.lines.length > 0),
+    };
+  }
+
+  /**
+   * Combine analyzed pages into the document layout and its text
+   */
+  static summarize(pages) {
+    const columns = pages.reduce((max, page) => Math.max(max, page.gutters.length + 1), 1);
+
+    return {
+      type: PdfLayoutAnalyzer._typeName(columns),
+      columns: columns,
+      hasSidebar: pages.some((page) => page.blocks.some((block) => block.role === "sidebar")),
+      pages: pages,
+      text: PdfLayoutAnalyzer.toText(pages),
+    };
+  }
+
+  /**
+   * Analyze every page of a pdf.js document (from getDocument().promise):
+   * { text, layout }. Used by PDFTextExtractor in the browser and by the
+   * Node tools.
+   */
+  static async extractDocument(pdf) {
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      const viewport = page.getViewport({ scale: 1 });
+      // Bold fonts feed section header detection
+      const fonts = await PdfLayoutAnalyzer.resolveFonts(page, textContent.items);
+
+      // Detect columns from X positions before building reading order
+      pages.push(
+        PdfLayoutAnalyzer.analyzePage(textContent.items, {
+          pageNumber: pageNum,
+          width: viewport.width,
+          height: viewport.height,
+          fonts: fonts,
+        })
+      );
+    }
+
+    const layout = PdfLayoutAnalyzer.summarize(pages);
+    return { text: layout.text, layout: layout };
+  }
+
+  /**
+   * Reading-order text: blocks separated by a blank line, pages by two
+   */
+  static toText(pages) {
+    return pages
+      .map((page) => page.blocks.map((block) => block.text).join("\n\n"))
+      .join("\n\n")
+      .trim();
+  }
+
+  /**
+   * All blocks with a role, in reading order (e.g. every "sidebar" block)
+   */
+  static blocksByRole(layout, role) {
+    if (!layout || !layout.pages) return [];
+    return layout.pages.flatMap((page) => page.blocks.filter((block) => block.role === role));
+  }
+
+  static describe(layout) {
+    if (!layout || layout.columns <= 1) return "single column";
+
+    const sidebar = PdfLayoutAnalyzer.blocksByRole(layout, "sidebar")[0];
+    if (!sidebar) return `${layout.columns} columns`;
+
+    const page = layout.pages.find((candidate) => candidate.pageNumber === sidebar.page);
+    const side = sidebar.column === 0 ? "left" : sidebar.column === page.gutters.length ? "right" : "middle";
+    return `${layout.columns} columns (sidebar ${side})`;
+  }
+
+  // ==================== ROWS ====================
+
+  /**
+   * Group items by rounded baseline, top to bottom, items left to right.
+   * Each row keeps every item (for single-column text) and its segments:
+   * runs of non-blank items split wherever the gap is at least minGap.
+   */
+  static groupRows(items, options = {}) {
+    const minGap = options.minGap || PdfLayoutAnalyzer.defaults.minGap;
+    const byY = {};
+
+    for (const item of items) {
+      const y = Math.round((item.transform && item.transform[5]) || 0);
+      if (!byY[y]) {
+        byY[y] = [];
+      }
+      byY[y].push(item);
+    }
+
+    return Object.keys(byY)
+      .map(Number)
+      .sort((a, b) => b - a)
+      .map((y) => {
+        const rowItems = byY[y].sort((a, b) => PdfLayoutAnalyzer._x(a) - PdfLayoutAnalyzer._x(b));
+        const segments = [];
+
+        for (const item of rowItems) {
+          if (!item.str || !item.str.trim()) continue;
+
+          const x0 = PdfLayoutAnalyzer._x(item);
+          const x1 = x0 + PdfLayoutAnalyzer._width(item);
+          const last = segments[segments.length - 1];
+
+          if (last && x0 - last.x1 < minGap) {
+            last.items.push(item);
+            last.x1 = Math.max(last.x1, x1);
+          } else {
+            segments.push({ x0: x0, x1: x1, items: [item] });
+          }
+        }
+
+        return { y: y, items: rowItems, segments: segments };
+      });
+  }
+
+  /**
+   * Join a row's items left to right, adding a space across visible gaps
+   */
+  static joinItems(items) {
+    return items
+      .map((item, idx) => {
+        const str = item.str;
+        // Add space before if not first item and previous item doesn't end with space
+        if (idx > 0 && !items[idx - 1].str.endsWith(" ") && !str.startsWith(" ")) {
+          const prevX = PdfLayoutAnalyzer._x(items[idx - 1]) + (items[idx - 1].width || 0);
+          const currX = PdfLayoutAnalyzer._x(item);
+          // If significant gap, add space
+          if (currX - prevX > 1) {
+            return " " + str;
+          }
+        }
+        return str;
+      })
+      .join("")
+      .trim();
+  }
+
+  // ==================== COLUMNS ====================
+
+  /**
+   * X positions of column gutters, left to right. A gutter is a vertical
+   * strip at least minGap wide that at most maxCrossingRatio of the rows run
+   * across, with minColumnRows rows of text on each side.
+   */
+  static findGutters(rows, pageWidth, options = {}) {
+    const settings = { ...PdfLayoutAnalyzer.defaults, ...options };
+    const segments = rows.flatMap((row) => row.segments);
+    if (rows.length < settings.minColumnRows * 2 || segments.length === 0) return [];
+
+    const left = Math.floor(Math.min(...segments.map((segment) => segment.x0)));
+    const right = Math.ceil(Math.max(...segments.map((segment) => segment.x1)));
+    const allowed = Math.max(1, Math.floor(rows.length * settings.maxCrossingRatio));
+
+    // How many rows have a segment running across each x
+    const crossings = new Array(right - left + 1).fill(0);
+    for (const row of rows) {
+      for (const segment of row.segments) {
+        for (let x = Math.ceil(segment.x0) + 1; x < segment.x1; x++) {
+          crossings[x - left]++;
+        }
+      }
+    }
+
+    // Runs of low-crossing x positions, minus the page margins
+    const valleys = [];
+    let start = null;
+    for (let i = 0; i <= crossings.length; i++) {
+      const open = i < crossings.length && crossings[i] <= allowed;
+      if (open && start === null) start = i;
+      if (!open && start !== null) {
+        if (start > 0 && i < crossings.length && i - start >= settings.minGap) {
+          valleys.push({ start: start, end: i - 1 });
+        }
+        start = null;
+      }
+    }
+
+    const minWidth = (pageWidth || right) * settings.minColumnWidth;
+    const gutters = [];
+    for (const valley of valleys) {
+      // Middle of the least-crossed stretch of the valley
+      const slice = crossings.slice(valley.start, valley.end + 1);
+      const lowest = Math.min(...slice);
+      const first = slice.indexOf(lowest);
+      const last = slice.lastIndexOf(lowest);
+      const x = left + valley.start + Math.round((first + last) / 2);
+
+      const previous = gutters.length > 0 ? gutters[gutters.length - 1] : left;
+      if (x - previous < minWidth || right - x < minWidth) continue;
+      if (!PdfLayoutAnalyzer._splitsColumns(rows, previous, x, right, settings)) continue;
+
+      gutters.push(x);
+    }
+
+    return gutters;
+  }
+
+  /**
+   * Both sides of a candidate gutter need enough rows of their own, and the
+   * right side must not just be right-aligned dates of a single column
+   */
+  static _splitsColumns(rows, from, x, to, settings) {
+    const leftLines = [];
+    const rightLines = [];
+
+    for (const row of rows) {
+      const leftItems = row.segments.filter((s) => s.x0 >= from - 1 && s.x1 <= x);
+      const rightItems = row.segments.filter((s) => s.x0 >= x && s.x1 <= to + 1);
+      if (leftItems.length > 0) leftLines.push(leftItems);
+      if (rightItems.length > 0) {
+        rightLines.push(PdfLayoutAnalyzer.joinItems(rightItems.flatMap((s) => s.items)));
+      }
+    }
+
+    if (leftLines.length < settings.minColumnRows || rightLines.length < settings.minColumnRows) {
+      return false;
+    }
+
+    const dateLines = rightLines.filter((line) => PdfLayoutAnalyzer.datePattern.test(line)).length;
+    return dateLines / rightLines.length < 0.6;
+  }
+
+  static get datePattern() {
+    return /^(?:[A-Za-z]{3,9}\.?\s+)?(?:\d{1,2}\/)?(?:19|20)\d{2}(?:\s*[-–—]\s*(?:(?:[A-Za-z]{3,9}\.?\s+)?(?:\d{1,2}\/)?(?:19|20)\d{2}|present|current|now))?$/i;
+  }
+
+  // ==================== BLOCKS ====================
+
+  /**
+   * Walk rows top to bottom. Rows above the columns that run across a gutter
+   * or sit off the column edges (a centered name) form the "header". After
+   * that, consecutive rows that fit inside the columns form a band whose
+   * columns become separate blocks; rows running across a gutter form
+   * full-width blocks.
+   */
+  static _columnBlocks(rows, gutters, pageNumber, settings) {
+    const placedRows = rows.map((row) => ({
+      row: row,
+      placed: PdfLayoutAnalyzer._placeSegments(row, gutters, settings),
+    }));
+    const headerRows = PdfLayoutAnalyzer._headerRows(placedRows, gutters, settings);
+
+    const bands = [];
+    if (headerRows > 0) {
+      bands.push({ kind: "header", rows: placedRows.slice(0, headerRows) });
+    }
+
+    for (const entry of placedRows.slice(headerRows)) {
+      const kind = entry.placed ? "columns" : "full";
+
+      let band = bands[bands.length - 1];
+      if (!band || band.kind !== kind) {
+        band = { kind: kind, rows: [] };
+        bands.push(band);
+      }
+      band.rows.push(entry);
+    }
+
+    const blocks = [];
+
+    for (const band of bands) {
+      if (band.kind !== "columns") {
+        const bandRows = band.rows.map((r) => r.row);
+        blocks.push(PdfLayoutAnalyzer._block(pageNumber, blocks.length, band.kind, null, bandRows, settings.fonts));
+        continue;
+      }
+
+      const columnRows = gutters.map(() => []).concat([[]]);
+      for (const { row, placed } of band.rows) {
+        placed.forEach((segments, column) => {
+          if (segments.length > 0) {
+            columnRows[column].push({ y: row.y, items: segments.flatMap((s) => s.items) });
+          }
+        });
+      }
+
+      const bandBlocks = columnRows
+        .map((lines, column) => PdfLayoutAnalyzer._block(pageNumber, 0, "column", column, lines, settings.fonts))
+        .filter((block) => block.lines.length > 0);
+      PdfLayoutAnalyzer._assignRoles(bandBlocks, settings);
+
+      for (const block of bandBlocks) {
+        block.id = `p${pageNumber}-b${blocks.length + 1}`;
+        blocks.push(block);
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Number of leading rows that belong to the header: up to the last row,
+   * above the first side-by-side row, that runs across a gutter or does not
+   * start at its column's usual left edge
+   */
+  static _headerRows(placedRows, gutters, settings) {
+    const edges = gutters.map(() => ({})).concat([{}]);
+    for (const { placed } of placedRows) {
+      (placed || []).forEach((segments, column) => {
+        for (const segment of segments) {
+          const x = Math.round(segment.x0);
+          edges[column][x] = (edges[column][x] || 0) + 1;
+        }
+      });
+    }
+    const leftEdges = edges.map((counts) => {
+      const xs = Object.keys(counts).map(Number);
+      return xs.length > 0 ? xs.reduce((best, x) => (counts[x] > counts[best] ? x : best)) : null;
+    });
+
+    let headerRows = 0;
+    for (let i = 0; i < placedRows.length; i++) {
+      const placed = placedRows[i].placed;
+      if (placed && placed.filter((segments) => segments.length > 0).length > 1) break;
+
+      const offEdge =
+        !placed ||
+        placed.some((segments, column) =>
+          segments.some((segment) => Math.abs(segment.x0 - leftEdges[column]) > settings.minGap * 3)
+        );
+      if (offEdge) headerRows = i + 1;
+    }
+
+    return headerRows;
+  }
+
+  /**
+   * Segments of a row per column, or null when one runs across a gutter
+   * (segments mostly on one side count as inside that column)
+   */
+  static _placeSegments(row, gutters, settings) {
+    const placed = gutters.map(() => []).concat([[]]);
+
+    for (const segment of row.segments) {
+      const width = Math.max(segment.x1 - segment.x0, 1);
+      let column = null;
+
+      for (let i = 0; i <= gutters.length; i++) {
+        const from = i === 0 ? -Infinity : gutters[i - 1];
+        const to = i === gutters.length ? Infinity : gutters[i];
+        const inside = Math.min(segment.x1, to) - Math.max(segment.x0, from);
+        if (inside / width >= settings.overhang) {
+          column = i;
+          break;
+        }
+      }
+
+      if (column === null) return null;
+      placed[column].push(segment);
+    }
+
+    return placed;
+  }
+
+  /**
+   * With one clearly widest column, it is "main" and the others "sidebar"
+   */
+  static _assignRoles(blocks, settings) {
+    if (blocks.length < 2) {
+      blocks.forEach((block) => (block.role = "main"));
+      return;
+    }
+
+    const widths = blocks.map((block) => block.x1 - block.x0);
+    const widest = widths.indexOf(Math.max(...widths));
+    const others = widths.filter((_, i) => i !== widest);
+    if (widths[widest] < Math.max(...others) * settings.sidebarRatio) return;
+
+    blocks.forEach((block, i) => (block.role = i === widest ? "main" : "sidebar"));
+  }
+
+  static _block(pageNumber, index, role, column, rows, fonts = {}) {
+    const lines = [];
+    const styles = [];
+    let x0 = Infinity;
+    let x1 = -Infinity;
+
+    for (const row of rows) {
+      const text = PdfLayoutAnalyzer.joinItems(row.items);
+      if (text) {
+        lines.push(text);
+        styles.push({ text: text, ...PdfLayoutAnalyzer.lineStyle(row.items, fonts) });
+      }
+
+      for (const item of row.items) {
+        if (!item.str || !item.str.trim()) continue;
+        x0 = Math.min(x0, PdfLayoutAnalyzer._x(item));
+        x1 = Math.max(x1, PdfLayoutAnalyzer._x(item) + PdfLayoutAnalyzer._width(item));
+      }
+    }
+
+    return {
+      id: `p${pageNumber}-b${index + 1}`,
+      page: pageNumber,
+      role: role,
+      column: column,
+      x0: Number.isFinite(x0) ? x0 : 0,
+      x1: Number.isFinite(x1) ? x1 : 0,
+      top: rows.length > 0 ? rows[0].y : null,
+      bottom: rows.length > 0 ? rows[rows.length - 1].y : null,
+      lines: lines,
+      styles: styles,
+      text: lines.join("\n"),
+    };
+  }
+
+  // ==================== FONTS ====================
+
+  /**
+   * Font of a line: the size and font covering most of its characters
+   */
+  static lineStyle(items, fonts = {}) {
+    const sizes = {};
+    const names = {};
+    let boldChars = 0;
+    let chars = 0;
+
+    for (const item of items) {
+      const length = (item.str || "").trim().length;
+      if (length === 0) continue;
+
+      const size = Math.round(PdfLayoutAnalyzer._fontSize(item) * 2) / 2;
+      sizes[size] = (sizes[size] || 0) + length;
+      names[item.fontName || ""] = (names[item.fontName || ""] || 0) + length;
+      if (fonts[item.fontName] && fonts[item.fontName].bold) boldChars += length;
+      chars += length;
+    }
+
+    const top = (counts) =>
+      Object.keys(counts).reduce((best, key) => (best === null || counts[key] > counts[best] ? key : best), null);
+    const fontName = top(names) || "";
+
+    return {
+      fontSize: chars > 0 ? Number(top(sizes)) : 0,
+      fontName: fonts[fontName] ? fonts[fontName].name : fontName,
+      bold: chars > 0 && boldChars / chars >= 0.5,
+    };
+  }
+
+  /**
+   * Real font names and weights for a page's text items. pdf.js only
+   * resolves fonts once the page's operator list is loaded, so this costs
+   * one extra pass over the page; fonts that fail to resolve are skipped.
+   */
+  static async resolveFonts(page, items) {
+    const fonts = {};
+    try {
+      await page.getOperatorList();
+    } catch (error) {
+      console.warn("[PdfLayout] Could not load fonts:", error.message);
+      return fonts;
+    }
+
+    for (const item of items) {
+      if (!item.fontName || fonts[item.fontName] || !page.commonObjs.has(item.fontName)) continue;
+      const font = page.commonObjs.get(item.fontName);
+      fonts[item.fontName] = {
+        name: font.name || item.fontName,
+        bold: PdfLayoutAnalyzer.isBoldFont(font),
+        italic: Boolean(font.italic) || /italic|oblique/i.test(font.name || ""),
+      };
+    }
+
+    return fonts;
+  }
+
+  static isBoldFont(font) {
+    if (!font) return false;
+    return Boolean(font.bold || font.black) || /bold|black|heavy|semibold|demi/i.test(font.name || "");
+  }
+
+  // ==================== HELPERS ====================
+
+  static _x(item) {
+    return (item.transform && item.transform[4]) || 0;
+  }
+
+  /**
+   * pdf.js reports item widths; estimate from font size when it does not
+   */
+  static _width(item) {
+    if (item.width) return item.width;
+    const size = PdfLayoutAnalyzer._fontSize(item) || 10;
+    return (item.str || "").length * size * 0.5;
+  }
+
+  static _fontSize(item) {
+    return item.height || (item.transform && Math.abs(item.transform[3])) || 0;
+  }
+
+  static _contentRight(rows) {
+    const ends = rows.flatMap((row) => row.segments.map((segment) => segment.x1));
+    return ends.length > 0 ? Math.max(...ends) : 0;
+  }
+
+  static _typeName(columns) {
+    if (columns <= 1) return "single-column";
+    if (columns === 2) return "two-column";
+    return `${columns}-column`;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.PdfLayoutAnalyzer = PdfLayoutAnalyzer;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PdfLayoutAnalyzer;
+}
@@ -2,6 +2,9 @@
   PDFTextExtractor
   Lightweight wrapper around pdf.js to extract text from ArrayBuffer
   Exposes window.PDFTextExtractor.extractText(arrayBuffer) -> Promise<string>
+  and window.PDFTextExtractor.extractLayout(arrayBuffer) -> Promise<{ text, layout }>
+
+  Column detection and reading order live in pdf-layout.js (PdfLayoutAnalyzer).
   
   Waits for pdfjs-ready event if pdfjsLib not yet available.
 */
@@ -45,6 +48,13 @@
 
       window.PDFTextExtractor = {
         extractText: async function (arrayBuffer) {
+          const { text } = await window.PDFTextExtractor.extractLayout(arrayBuffer);
+          return text;
+        },
+
+        // Text in reading order plus the detected page layout
+        // (columns, sidebar/main blocks), see pdf-layout.js
+        extractLayout: async function (arrayBuffer) {
           // Re-ensure pdfjsLib is ready when called
           await ensurePdfjsReady();
 
@@ -53,67 +63,18 @@
               "pdfjsLib is not loaded. Ensure pdf.mjs module was loaded."
             );
           }
+          if (!window.PdfLayoutAnalyzer) {
+            throw new Error(
+              "PdfLayoutAnalyzer is not loaded. Ensure src/parsers/pdf-layout.js is included."
+            );
+          }
 
           const loadingTask = window.pdfjsLib.getDocument({
             data: arrayBuffer,
           });
           const pdf = await loadingTask.promise;
 
-          let fullText = "";
-          for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-            const page = await pdf.getPage(pageNum);
-            const textContent = await page.getTextContent();
-
-            // Use natural PDF text order and group by Y-coordinate (rows)
-            const items = textContent.items;
-            
-            // Group items by Y position (row)
-            const rows = {};
-            for (const item of items) {
-              const y = Math.round((item.transform && item.transform[5]) || 0);
-              if (!rows[y]) {
-                rows[y] = [];
-              }
-              rows[y].push(item);
-            }
-
-            // Sort rows by Y coordinate (descending - top to bottom)
-            const sortedYs = Object.keys(rows).map(Number).sort((a, b) => b - a);
-            
-            const lines = [];
-            for (const y of sortedYs) {
-              // Sort items in this row by X coordinate (left to right)
-              rows[y].sort((a, b) => {
-                const ax = (a.transform && a.transform[4]) || 0;
-                const bx = (b.transform && b.transform[4]) || 0;
-                return ax - bx;
-              });
-
-              // Join text items in this row with smart spacing
-              const lineText = rows[y].map((item, idx) => {
-                const str = item.str;
-                // Add space before if not first item and previous item doesn't end with space
-                if (idx > 0 && !rows[y][idx - 1].str.endsWith(' ') && !str.startsWith(' ')) {
-                  const prevX = rows[y][idx - 1].transform[4] + (rows[y][idx - 1].width || 0);
-                  const currX = item.transform[4];
-                  // If significant gap, add space
-                  if (currX - prevX > 1) {
-                    return ' ' + str;
-                  }
-                }
-                return str;
-              }).join('');
-
-              if (lineText.trim()) {
-                lines.push(lineText.trim());
-              }
-            }
-
-            const pageText = lines.join("\n");
-            fullText += pageText + "\n\n";
-          }
-
-          return fullText.trim();
+          return window.PdfLayoutAnalyzer.extractDocument(pdf);
         },
       };
 
@@ -0,0 +1,307 @@
+/**
+ * ResumeParserPipeline
+ *
+ * One parsing pipeline shared by every resume parser:
+ * - Text normalization (shared by all strategies)
+ * - Language detection (shared): picks the locale pack for section
+ *   headers, month names and degrees (see locales.js)
+ * - Section detection (per strategy)
+ * - Per-section field extractors (per strategy, extendable)
+ * - Post-processing (per strategy, plus pipeline-wide hooks)
+ * - Date normalization (shared): every start/end date in one stored form,
+ *   "2023-09" or "Present" (see ResumeDates)
+ *
+ * Each parser registers itself as a strategy. `parse()` tries strategies in
+ * order and returns the first result that found any resume content.
+ *
+ * Pass `layout` (from PDFTextExtractor.extractLayout) in the options to let
+ * strategies see which text came from the sidebar and which from the main
+ * column: it is available to every stage as context.layout.
+ *
+ * Strategy shape:
+ *   {
+ *     name: "robust",
+ *     label: "Robust parser",
+ *     create(text, options)         -> per-run parser instance (context.parser)
+ *     setLanguage(code, context)    -> use a locale pack (optional)
+ *     clean(text, context)          -> strategy-specific text cleanup (optional)
+ *     detectSections(text, context) -> { sectionName: content }
+ *     extractors: { field: (sections, context) => value }
+ *     sources: { field: sectionName }  -> section each extractor reads (optional)
+ *     postProcess: [(data, context) => data]
+ *   }
+ */
+
+class ResumeParserPipeline {
+  constructor() {
+    this.strategies = new Map();
+    this.postProcessors = [];
+  }
+
+  // ==================== REGISTRATION ====================
+
+  register(strategy) {
+    if (!strategy || !strategy.name) {
+      throw new Error("Parser strategy needs a name");
+    }
+    if (typeof strategy.detectSections !== "function") {
+      throw new Error(`Parser strategy "${strategy.name}" needs a detectSections stage`);
+    }
+    if (!strategy.extractors || Object.keys(strategy.extractors).length === 0) {
+      throw new Error(`Parser strategy "${strategy.name}" needs at least one extractor`);
+    }
+
+    // Copy so per-pipeline extractor overrides don't leak into the parser module
+    this.strategies.set(strategy.name, {
+      ...strategy,
+      extractors: { ...strategy.extractors },
+      postProcess: [...(strategy.postProcess || [])],
+    });
+    return this;
+  }
+
+  unregister(name) {
+    this.strategies.delete(name);
+    return this;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  list() {
+    return Array.from(this.strategies.values()).map((strategy) => ({
+      name: strategy.name,
+      label: strategy.label || strategy.name,
+      fields: Object.keys(strategy.extractors),
+    }));
+  }
+
+  /**
+   * Add or replace the extractor for one field of a strategy
+   */
+  setExtractor(strategyName, field, extractor) {
+    this._get(strategyName).extractors[field] = extractor;
+    return this;
+  }
+
+  /**
+   * Run after every strategy's own post-processing
+   */
+  addPostProcessor(postProcessor) {
+    this.postProcessors.push(postProcessor);
+    return this;
+  }
+
+  // ==================== PARSING ====================
+
+  /**
+   * Parse with the first strategy that extracts any content.
+   * Options:
+   * - strategies: names to try, in order (default: registration order)
+   * - language: locale pack code ("de"); detected from the text by default
+   * - any other keys are passed to the strategies as context.options
+   */
+  parse(text, options = {}) {
+    return this.parseDetailed(text, options).data;
+  }
+
+  /**
+   * Like parse(), but returns the winning strategy's full run result
+   * ({ strategy, language, text, layout, sections, trace, data }) for
+   * confidence scoring
+   */
+  parseDetailed(text, options = {}) {
+    const { strategies = Array.from(this.strategies.keys()), ...strategyOptions } = options;
+    let last = null;
+    let lastError = null;
+
+    for (const name of strategies) {
+      try {
+        last = this.run(name, text, strategyOptions);
+      } catch (error) {
+        console.error(`[Parser] ❌ ${name} strategy failed:`, error);
+        lastError = error;
+        continue;
+      }
+
+      if (ResumeParserPipeline.hasContent(last.data)) {
+        console.log(`[Parser] ✅ ${name} strategy extracted data`);
+        return last;
+      }
+      console.warn(`[Parser] ${name} strategy returned empty data`);
+    }
+
+    if (last) return last;
+    throw lastError || new Error("No parser strategies registered");
+  }
+
+  /**
+   * Run a single strategy and keep the intermediate stages
+   * Returns { strategy, language, text, layout, sections, trace, data }
+   */
+  run(name, text, options = {}) {
+    const result = ResumeParserPipeline.execute(this._get(name), text, options);
+
+    for (const postProcessor of this.postProcessors) {
+      result.data = postProcessor(result.data, result) || result.data;
+    }
+
+    return result;
+  }
+
+  _get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown parser strategy "${name}"`);
+    }
+    return strategy;
+  }
+
+  // ==================== STAGES ====================
+
+  /**
+   * Run a strategy's stages on text. Parsers call this from their own
+   * entry points (e.g. RobustResumeParser#parseResume) with `parser` set to
+   * reuse an existing instance.
+   */
+  static execute(strategy, text, options = {}) {
+    const context = {
+      strategy: strategy.name,
+      options: options,
+      parser: options.parser || (strategy.create ? strategy.create(text, options) : null),
+      text: ResumeParserPipeline.normalizeText(text),
+      layout: options.layout || null,
+      sections: {},
+    };
+    context.language = options.language || ResumeParserPipeline.detectLanguage(context.text);
+
+    if (strategy.setLanguage) {
+      strategy.setLanguage(context.language, context);
+    }
+
+    if (strategy.clean) {
+      context.text = strategy.clean(context.text, context);
+    }
+
+    context.sections = strategy.detectSections(context.text, context) || {};
+
+    // trace records where each field came from, for confidence scoring
+    let data = {};
+    const trace = {};
+    for (const [field, extract] of Object.entries(strategy.extractors)) {
+      data[field] = extract(context.sections, context);
+
+      const section = (strategy.sources || {})[field] || null;
+      trace[field] = {
+        strategy: strategy.name,
+        label: strategy.label || strategy.name,
+        section: section,
+        sectionFound: section ? ResumeParserPipeline._hasText(context.sections[section]) : null,
+      };
+    }
+
+    for (const postProcess of strategy.postProcess || []) {
+      data = postProcess(data, context) || data;
+    }
+    data = ResumeParserPipeline.normalizeDates(data);
+
+    return {
+      strategy: strategy.name,
+      language: context.language,
+      text: context.text,
+      layout: context.layout,
+      sections: context.sections,
+      trace: trace,
+      data: data,
+    };
+  }
+
+  static _hasText(content) {
+    if (Array.isArray(content)) return content.length > 0;
+    return typeof content === "string" && content.trim().length > 0;
+  }
+
+  /**
+   * Shared first stage: fix malformed PDF spacing before any strategy runs
+   */
+  static normalizeText(text) {
+    if (!text) return "";
+
+    return (
+      text
+        // Replace multiple spaces/tabs with single space
+        .replace(/[ \t]+/g, " ")
+        // Normalize common dash characters
+        .replace(/[-–—]/g, "-")
+        // Clean up EXCESSIVE newlines (3+ becomes 2) but preserve structure-defining blank lines
+        .replace(/\n\s*\n\s*\n+/g, "\n\n")
+        // Remove spaces before common punctuation
+        .replace(/\s+([.,;:])/g, "$1")
+        .trim()
+    );
+  }
+
+  /**
+   * Shared stage: language code of the resume text, "en" unless a locale
+   * pack's words and headers outnumber English ones
+   */
+  static detectLanguage(text) {
+    const Locales = typeof ResumeLocales !== "undefined" ? ResumeLocales : require("./locales.js");
+    return Locales.detect(text);
+  }
+
+  /**
+   * Shared last stage: "Sep. 2023" -> "2023-09", "current" -> "Present"
+   */
+  static normalizeDates(data) {
+    const Dates = typeof ResumeDates !== "undefined" ? ResumeDates : require("./dates.js");
+    return Dates.normalizeResume(data);
+  }
+
+  static hasContent(data) {
+    return ["work", "education", "skills", "projects"].some(
+      (key) => Array.isArray(data?.[key]) && data[key].length > 0
+    );
+  }
+
+  // ==================== DEFAULTS ====================
+
+  /**
+   * Pipeline with the built-in text parsers, in priority order. The
+   * "structured" and "precise" strategies emit the full JSON Resume location
+   * object instead of the string templates expect, so they are opt-in:
+   *   pipeline.register(EnhancedResumeNormalizer.strategy)
+   */
+  static createDefault() {
+    const pipeline = new ResumeParserPipeline();
+    for (const strategy of ResumeParserPipeline.builtInStrategies()) {
+      pipeline.register(strategy);
+    }
+    return pipeline;
+  }
+
+  static builtInStrategies() {
+    // Script tags (index.html): the parsers the page loaded. Node and
+    // bundles (index.mjs) have a module system to require them with.
+    if (typeof module === "undefined" || !module.exports) {
+      return [window.RobustResumeParser, window.ResumeNormalizer]
+        .filter((parser) => parser && parser.strategy)
+        .map((parser) => parser.strategy);
+    }
+
+    return [
+      require("./robust-parser.js").strategy,
+      require("./normalize.js").strategy,
+    ];
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeParserPipeline = ResumeParserPipeline;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeParserPipeline;
+}
@@ -72,6 +72,65 @@ class RobustResumeParser {
       'co', 'group', 'technologies', 'solutions', 'systems',
       'services', 'consulting', 'partners', 'software', 'labs'
     ];
+
+    this.setLanguage('en');
+  }
+
+  /**
+   * Parse in a language: the locale pack's section headers, month names,
+   * "Present" words, schools and degrees are used along with the English
+   * ones (see locales.js). Unknown codes fall back to English.
+   */
+  setLanguage(language) {
+    const Locales = typeof ResumeLocales !== 'undefined'
+      ? ResumeLocales
+      : require('./locales.js');
+    this.language = Locales.get(language) ? language : 'en';
+    this.locale = Locales.get(this.language);
+
+    // Sources for the date range patterns; packs need the "u" flag for \p{L}
+    const sources = Locales.dateSources(this.language);
+    this.monthYearSource = sources ? sources.monthYear : '[A-Z][a-z]+\\.?\\s+\\d{2,4}';
+    this.presentSource = sources ? sources.present : 'Present|Current';
+    this.unicodeFlag = sources ? 'u' : '';
+    this.degreeConnectorSource = Locales.degreeConnectorSource(this.language);
+
+    // "Position at Company", "Entwickler bei Firma", "Cheffe de projet chez ..."
+    const employerWords = Locales.alternation(['at'].concat(this.locale.employerConnectors));
+    this.employerWordPattern = new RegExp(` (?:${employerWords}) `, 'i' + this.unicodeFlag);
+    this.employerSplitPattern = new RegExp(`\\s+(?:${employerWords})\\s+`, 'i' + this.unicodeFlag);
+    return this;
+  }
+
+  hasEmployerWord(text) {
+    return this.employerWordPattern.test(text);
+  }
+
+  /**
+   * "Month Year - Month Year" or "Month Year - Present" in the parser's
+   * language; `suffix` is appended to the source (e.g. "\\s*$" for end of line)
+   */
+  dateRangePattern(flags = 'i', suffix = '') {
+    const monthYear = this.monthYearSource;
+    return new RegExp(
+      `(${monthYear})\\s*[-–—]\\s*((?:${monthYear})|${this.presentSource})${suffix}`,
+      flags + this.unicodeFlag
+    );
+  }
+
+  isPresent(date) {
+    return new RegExp(this.presentSource, 'i' + this.unicodeFlag).test(date);
+  }
+
+  /**
+   * Section keywords with the locale pack's headers added
+   */
+  sectionKeywordsForLanguage() {
+    const keywords = { ...this.sectionKeywords };
+    for (const [section, headers] of Object.entries(this.locale.sections)) {
+      keywords[section] = (keywords[section] || []).concat(headers.map((header) => this.escapeKeyword(header)));
+    }
+    return keywords;
   }
 
   /**
@@ -106,22 +165,44 @@ class RobustResumeParser {
       return this.getEmptyResume();
     }
 
-    const cleaned = this.cleanText(text);
-    
-    // Try multiple parsing strategies
-    const sections = this.identifySectionsFlexible(cleaned);
-    
-    return {
-      basics: this.extractBasics(cleaned, sections),
-      work: this.extractWorkExperience(sections.experience || '', cleaned),
-      education: this.extractEducation(sections.education || '', cleaned),
-      skills: this.extractSkills(sections.skills || '', cleaned),
-      projects: this.extractProjects(sections.projects || '', cleaned),
-      summary: sections.summary || sections.profile || '',
-      certifications: this.extractCertifications(sections.certifications || '', cleaned)
-    };
+    const Pipeline = typeof ResumeParserPipeline !== 'undefined'
+      ? ResumeParserPipeline
+      : require('./pipeline.js');
+    return Pipeline.execute(RobustResumeParser.strategy, text, { parser: this }).data;
   }
 
+  /**
+   * Stages run by ResumeParserPipeline (see pipeline.js)
+   */
+  static strategy = {
+    name: 'robust',
+    label: 'Robust parser',
+    create: () => new RobustResumeParser(),
+    setLanguage: (language, { parser }) => parser.setLanguage(language),
+    clean: (text, { parser }) => parser.cleanText(text),
+    // Try multiple parsing strategies
+    detectSections: (text, { parser, layout }) => parser.identifySectionsFlexible(text, layout),
+    extractors: {
+      basics: (sections, { parser, text }) => parser.extractBasics(text, sections),
+      work: (sections, { parser, text }) => parser.extractWorkExperience(sections.experience || '', text),
+      education: (sections, { parser, text }) => parser.extractEducation(sections.education || '', text),
+      skills: (sections, { parser, text }) => parser.extractSkills(sections.skills || '', text),
+      projects: (sections, { parser, text }) => parser.extractProjects(sections.projects || '', text),
+      summary: (sections) => sections.summary || sections.profile || '',
+      certifications: (sections, { parser, text }) =>
+        parser.extractCertifications(sections.certifications || '', text)
+    },
+    // Extractors fall back to searching the full text when their section is missing
+    sources: {
+      work: 'experience',
+      education: 'education',
+      skills: 'skills',
+      projects: 'projects',
+      summary: 'summary',
+      certifications: 'certifications'
+    }
+  };
+
   /**
    * Enhanced text cleaning
    */
@@ -142,15 +223,17 @@ class RobustResumeParser {
   }
 
   /**
-   * Flexible section identification with multiple strategies
+   * Flexible section identification with multiple strategies.
+   * `layout` (PDFTextExtractor.extractLayout) adds font size/weight/caps
+   * signals to the keyword matches, see section-headers.js
    */
-  identifySectionsFlexible(text) {
+  identifySectionsFlexible(text, layout = null) {
     const sections = {};
     
     // Strategy 1: Look for clear section headers (case-insensitive)
-    const headerMatches = [];
+    let headerMatches = [];
     
-    for (const [sectionName, keywords] of Object.entries(this.sectionKeywords)) {
+    for (const [sectionName, keywords] of Object.entries(this.sectionKeywordsForLanguage())) {
       for (const keyword of keywords) {
         // Match headers on their own line or followed by colon
         const patterns = [
@@ -203,6 +286,15 @@ class RobustResumeParser {
       }
     }
 
+    // Strategy 1.75: Keep headers the PDF styles as headers, add custom ones
+    if (layout) {
+      const Headers = typeof SectionHeaderDetector !== 'undefined'
+        ? SectionHeaderDetector
+        : require('./section-headers.js');
+      headerMatches = Headers.refine(text, headerMatches, layout)
+        .map(header => ({ keyword: header.text, ...header }));
+    }
+
     // Sort by position and remove exact duplicates (same position)
     headerMatches.sort((a, b) => a.index - b.index);
     
@@ -278,7 +370,7 @@ class RobustResumeParser {
       const lower = line.toLowerCase();
       
       // Check for education indicators
-      if (this.educationKeywords.some(kw => lower.includes(kw))) {
+      if (this.educationWords().some(kw => lower.includes(kw))) {
         eduLines.push(idx);
       }
       
@@ -532,7 +624,7 @@ class RobustResumeParser {
   findJobBoundaries(text) {
     const boundaries = [];
     const lines = text.split('\n');
-    const datePattern = /([A-Z][a-z]+\.?\s+\d{2,4})\s*[-–—]\s*((?:[A-Z][a-z]+\.?\s+\d{2,4})|Present|Current)/i;
+    const datePattern = this.dateRangePattern('i');
     
     let currentIndex = 0;
     
@@ -556,7 +648,7 @@ class RobustResumeParser {
         boundaries.push({ index: currentIndex, type: 'professional' });
       } else if (startsWithBullet) {
         const withoutBullet = trimmed.replace(/^[•\-●]\s*/, '');
-        if (withoutBullet.toLowerCase().includes(' at ') || withoutBullet.includes(':')) {
+        if (this.hasEmployerWord(withoutBullet) || withoutBullet.includes(':')) {
           boundaries.push({ index: currentIndex, type: 'volunteering' });
         }
       }
@@ -571,7 +663,7 @@ class RobustResumeParser {
    * Parse a single job block
    */
   parseJobBlock(blockText, jobType) {
-    const datePattern = /([A-Z][a-z]+\.?\s+\d{2,4})\s*[-–—]\s*((?:[A-Z][a-z]+\.?\s+\d{2,4})|Present|Current)/i;
+    const datePattern = this.dateRangePattern('i');
     const dateMatch = blockText.match(datePattern);
     
     if (!dateMatch) return null;
@@ -579,7 +671,7 @@ class RobustResumeParser {
     // Convert dates
     let startDate = dateMatch[1].replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
     let endDate = dateMatch[2];
-    if (!/present|current/i.test(endDate)) {
+    if (!this.isPresent(endDate)) {
       endDate = endDate.replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
     }
     
@@ -614,8 +706,8 @@ class RobustResumeParser {
     let position = '';
     let company = '';
     
-    if (headerText.toLowerCase().includes(' at ')) {
-      const parts = headerText.split(/\s+at\s+/i);
+    if (this.hasEmployerWord(headerText)) {
+      const parts = headerText.split(this.employerSplitPattern);
       position = parts[0].trim();
       company = parts[1] ? parts[1].split(',')[0].trim() : '';
     } else if (headerText.includes(',')) {
@@ -651,8 +743,8 @@ class RobustResumeParser {
     let company = '';
     
     // Parse header: "Position at Company" or "Position, Company, Location"
-    if (headerText.toLowerCase().includes(' at ')) {
-      const parts = headerText.split(/\s+at\s+/i);
+    if (this.hasEmployerWord(headerText)) {
+      const parts = headerText.split(this.employerSplitPattern);
       position = parts[0].trim().replace(/:$/, '');
       company = parts[1] ? parts[1].trim().split(':')[0].split(',')[0].trim() : '';
     } else if (headerText.includes(',')) {
@@ -684,8 +776,8 @@ class RobustResumeParser {
   extractJobFromParagraph(para) {
     // Find date range in paragraph
     const datePatterns = [
-      /([A-Z][a-z]+\.?\s+\d{2,4})\s*[-–—]\s*((?:[A-Z][a-z]+\.?\s+\d{2,4})|Present|Current)/gi,
-      /(\d{2,4})\s*[-–—]\s*(\d{2,4}|Present|Current)/gi,
+      this.dateRangePattern('gi'),
+      new RegExp(`(\\d{2,4})\\s*[-–—]\\s*(\\d{2,4}|${this.presentSource})`, 'gi' + this.unicodeFlag),
     ];
     
     let dateMatch = null;
@@ -708,7 +800,7 @@ class RobustResumeParser {
     // Convert 2-digit years
     let startDate = dateMatch[1].replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
     let endDate = dateMatch[2];
-    if (!/present|current/i.test(endDate)) {
+    if (!this.isPresent(endDate)) {
       endDate = endDate.replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
     }
     
@@ -742,8 +834,8 @@ class RobustResumeParser {
       const descStart = firstLine.substring(colonIndex + 1).trim();
       
       // Parse header
-      if (header.toLowerCase().includes(' at ')) {
-        const parts = header.split(/\s+at\s+/i);
+      if (this.hasEmployerWord(header)) {
+        const parts = header.split(this.employerSplitPattern);
         position = parts[0].trim();
         company = parts[1].trim().replace(/,$/, '');
       } else if (header.includes(',')) {
@@ -760,8 +852,8 @@ class RobustResumeParser {
       
     } else {
       // No colon - assume first line is header in "Position, Company" format
-      if (firstLine.toLowerCase().includes(' at ')) {
-        const parts = firstLine.split(/\s+at\s+/i);
+      if (this.hasEmployerWord(firstLine)) {
+        const parts = firstLine.split(this.employerSplitPattern);
         position = parts[0].trim();
         company = parts[1].trim().replace(/,$/, '');
       } else if (firstLine.includes(',')) {
@@ -797,9 +889,10 @@ class RobustResumeParser {
     
     // Pattern: "Start - End" or "Start - Present" at END of line
     const rangePatterns = [
-      /([A-Z][a-z]+\.?\s+\d{2,4})\s*[-–—]\s*((?:[A-Z][a-z]+\.?\s+\d{2,4})|Present|Current)\s*$/gi,
-      /(\d{2,4})\s*[-–—]\s*(\d{2,4}|Present|Current)\s*$/gi,
-      /(\d{1,2}\/\d{2,4})\s*[-–—]\s*(\d{1,2}\/\d{2,4}|Present|Current)\s*$/gi,
+      this.dateRangePattern('gi', '\\s*$'),
+      new RegExp(`(\\d{2,4})\\s*[-–—]\\s*(\\d{2,4}|${this.presentSource})\\s*$`, 'gi' + this.unicodeFlag),
+      // "03/2019 - 05/2021", or "03.2019 - 05.2021" as written in Europe
+      new RegExp(`(\\d{1,2}[/.]\\d{2,4})\\s*[-–—]\\s*(\\d{1,2}[/.]\\d{2,4}|${this.presentSource})\\s*$`, 'gi' + this.unicodeFlag),
     ];
 
     let currentIndex = 0;
@@ -814,7 +907,7 @@ class RobustResumeParser {
           
           // Handle "April 21" → "April 2021"
           startDate = startDate.replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
-          if (!/present|current/i.test(endDate)) {
+          if (!this.isPresent(endDate)) {
             endDate = endDate.replace(/\b(\d{2})\b/, (m) => this.convertToFullYear(m));
           }
           
@@ -857,8 +950,8 @@ class RobustResumeParser {
         const parts = headerLine.split(',').map(p => p.trim());
         position = parts[0] || '';
         company = parts.slice(1).join(', ').trim();
-      } else if (headerLine.toLowerCase().includes(' at ')) {
-        const parts = headerLine.split(/\s+at\s+/i);
+      } else if (this.hasEmployerWord(headerLine)) {
+        const parts = headerLine.split(this.employerSplitPattern);
         position = parts[0].trim();
         company = parts[1].trim();
       } else {
@@ -879,7 +972,7 @@ class RobustResumeParser {
         const trimmed = line.trim();
         // Stop if we hit a line that looks like a new job header (not a bullet, has comma or "at")
         if (!trimmed.startsWith('•') && !trimmed.startsWith('-') && 
-            (trimmed.match(/,.*,/) || trimmed.toLowerCase().includes(' at '))) {
+            (trimmed.match(/,.*,/) || this.hasEmployerWord(trimmed))) {
           break;
         }
         cleanedLines.push(line);
@@ -1031,6 +1124,16 @@ class RobustResumeParser {
         return match[1].trim();
       }
     }
+
+    // Locale pack schools ("Technische Universität München"), on one line
+    for (const keyword of this.locale.institutions) {
+      const name = "[\\p{L}\\d&()'.-]";
+      const regex = new RegExp(`((?:${name}+[ \\t]+)*${this.escapeKeyword(keyword)}${name}*(?:[ \\t]+${name}+)*)`, 'iu');
+      const match = text.match(regex);
+      if (match) {
+        return match[1].trim();
+      }
+    }
     return '';
   }
 
@@ -1039,6 +1142,12 @@ class RobustResumeParser {
    */
   findDegree(text, fromIndex) {
     const afterDate = text.substring(fromIndex, fromIndex + 300);
+
+    // Locale pack first, so "Master en Informatique" keeps its field
+    if (this.language !== 'en') {
+      const degree = this.findLocaleDegree(afterDate);
+      if (degree) return degree;
+    }
     
     const degreePatterns = [
       { pattern: /\b(bachelor'?s?|b\.?s\.?|b\.?a\.?|b\.?tech)\s+(?:of|in|degree in)?\s*([a-z\s&()]+)/i, type: "Bachelor's" },
@@ -1060,6 +1169,48 @@ class RobustResumeParser {
     return { type: '', field: '' };
   }
 
+  /**
+   * Degree from the locale pack's names, or the English ones followed by
+   * the pack's connectors ("Máster en Ingeniería", "Master en Informatique")
+   */
+  findLocaleDegree(text) {
+    const degrees = this.locale.degrees.concat([
+      { keyword: 'Bachelor', type: "Bachelor's" },
+      { keyword: 'Master', type: "Master's" },
+      { keyword: 'MBA', type: "Master's" },
+      { keyword: 'PhD', type: 'PhD' },
+    ]);
+
+    for (const { keyword, type } of degrees) {
+      const pattern = new RegExp(
+        `(?<![\\p{L}])${this.escapeKeyword(keyword)}(?![\\p{L}])[ \\t]*${this.degreeConnectorSource}([\\p{L} \\t&()'-]*)`,
+        'iu'
+      );
+      const match = text.match(pattern);
+      if (match) {
+        return { type: type, field: match[1].trim() };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Education keywords with the locale pack's schools and degree names
+   */
+  educationWords() {
+    return this.educationKeywords.concat(
+      this.locale.institutions,
+      this.locale.degrees.map((degree) => degree.keyword.toLowerCase())
+    );
+  }
+
+  escapeKeyword(keyword) {
+    const Locales = typeof ResumeLocales !== 'undefined'
+      ? ResumeLocales
+      : require('./locales.js');
+    return Locales.escape(keyword);
+  }
+
   /**
    * Find education in full text
    */
@@ -1069,7 +1220,7 @@ class RobustResumeParser {
     
     lines.forEach((line, idx) => {
       const lower = line.toLowerCase();
-      if (this.educationKeywords.some(kw => lower.includes(kw))) {
+      if (this.educationWords().some(kw => lower.includes(kw))) {
         eduLines.push(idx);
       }
     });
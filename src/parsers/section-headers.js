@@ -0,0 +1,319 @@
+/**
+ * SectionHeaderDetector
+ *
+ * Finds section headers from the PDF text layer's styling and merges them
+ * with the keyword matches of the text parsers:
+ * - Visual signals: font larger than body text, bold weight, ALL CAPS
+ * - Keyword signal: the line names a known section ("Experience", "Skills")
+ * - Lines styled like the document's plain keyword headers become headers
+ *   too, so custom headers ("Where I've Worked") are found and classified
+ * - Keyword matches on lines styled as body text are dropped, so a sentence
+ *   containing "experience" does not start a section
+ *
+ * Without a layout (plain text, JSON import) keyword matches are kept as-is.
+ */
+
+class SectionHeaderDetector {
+  static get defaults() {
+    return {
+      maxWords: 6, // longer lines are never headers
+      largerRatio: 1.12, // font size vs. body text that counts as "larger"
+      minScore: 0.45,
+    };
+  }
+
+  /**
+   * Words that identify a section, checked in this order so "Projects I've
+   * Worked On" is a projects header, not an experience one. One-word
+   * headers of the locale packs ("Berufserfahrung") are added.
+   */
+  static get vocabulary() {
+    const localized = SectionHeaderDetector._localeWords();
+    return SectionHeaderDetector.englishVocabulary.map(([section, words]) => [
+      section,
+      words.concat(localized[section] || []),
+    ]);
+  }
+
+  static get englishVocabulary() {
+    return [
+      ["projects", ["projects", "project", "portfolio", "built", "made", "side", "samples"]],
+      ["education", ["education", "academic", "academics", "studied", "study", "studies", "school", "degrees", "qualifications", "schooling", "learned"]],
+      ["skills", ["skills", "skill", "competencies", "toolbox", "tools", "stack", "technologies", "expertise", "proficiencies", "capabilities"]],
+      ["certifications", ["certifications", "certificates", "licenses", "credentials", "awards", "achievements", "honors"]],
+      ["languages", ["languages", "speak"]],
+      ["summary", ["summary", "profile", "objective", "about", "overview"]],
+      ["experience", ["experience", "employment", "worked", "work", "career", "history", "jobs", "positions", "roles"]],
+    ];
+  }
+
+  // { section: ["berufserfahrung", "formation", ...] } from every locale pack
+  static _localeWords() {
+    const Locales = typeof ResumeLocales !== "undefined" ? ResumeLocales : require("./locales.js");
+    const words = {};
+    for (const { code } of Locales.list()) {
+      for (const [section, headers] of Object.entries(Locales.get(code).sections)) {
+        const single = headers.filter((header) => SectionHeaderDetector._words(header).length === 1);
+        words[section] = (words[section] || []).concat(single.map((header) => SectionHeaderDetector._words(header)[0]));
+      }
+    }
+    return words;
+  }
+
+  /**
+   * Words that may accompany section words in a plain header
+   */
+  static get fillers() {
+    return ["professional", "technical", "key", "core", "relevant", "personal", "other", "additional", "selected", "notable", "and", "my", "of"];
+  }
+
+  // ==================== MERGING ====================
+
+  /**
+   * Merge keyword header matches ({ section, index, length }, positions in
+   * text) with the headers found from the layout's styles. Kept matches are
+   * returned unchanged; style-only headers are added as
+   * { section, index, length, text, source: "style" }.
+   */
+  static refine(text, matches, layout, options = {}) {
+    const analysis = SectionHeaderDetector.analyze(SectionHeaderDetector.linesFromLayout(layout), options);
+    if (!analysis) return matches;
+
+    // Several lines can share the same text; any header among them counts
+    const byKey = new Map();
+    for (const line of analysis.lines) {
+      const known = byKey.get(line.key);
+      if (!known || (line.header && !known.header)) byKey.set(line.key, line);
+    }
+
+    const kept = matches.filter((match) => {
+      const line = byKey.get(SectionHeaderDetector.key(SectionHeaderDetector._matchedLine(text, match)));
+      if (!line || line.header) return true;
+
+      // Body-styled line: drop it when the document styles its headers, or
+      // when it reads like a sentence rather than a header
+      return !analysis.styled && line.words <= 4;
+    });
+
+    const added = [];
+    let offset = 0;
+    for (const lineText of text.split("\n")) {
+      const start = offset;
+      offset += lineText.length + 1;
+
+      const line = byKey.get(SectionHeaderDetector.key(lineText));
+      if (!line || !line.header) continue;
+
+      const covered = kept.some((match) => match.index <= start && start < match.index + match.length);
+      if (covered) continue;
+
+      added.push({
+        section: line.section || "other",
+        index: start,
+        length: lineText.length,
+        text: lineText.trim(),
+        source: "style",
+      });
+    }
+
+    return kept.concat(added).sort((a, b) => a.index - b.index);
+  }
+
+  static _matchedLine(text, match) {
+    return (
+      text
+        .substr(match.index, match.length)
+        .split("\n")
+        .find((line) => line.trim()) || ""
+    );
+  }
+
+  // ==================== DETECTION ====================
+
+  /**
+   * Styled lines of every block ({ text, fontSize, fontName, bold })
+   */
+  static linesFromLayout(layout) {
+    if (!layout || !layout.pages) return [];
+    return layout.pages.flatMap((page) => page.blocks.flatMap((block) => block.styles || []));
+  }
+
+  /**
+   * Score every styled line. Returns null when there is nothing to score.
+   *   { body: { fontSize, boldShare, capsShare }, styled, lines: [{ text,
+   *     key, words, section, strong, signals, score, header }], headers }
+   */
+  static analyze(styledLines, options = {}) {
+    const settings = { ...SectionHeaderDetector.defaults, ...options };
+    const lines = (styledLines || []).filter((line) => line && line.text && line.text.trim());
+    if (lines.length === 0) return null;
+
+    const body = SectionHeaderDetector.bodyStyle(lines);
+    const scored = lines.map((line) => SectionHeaderDetector.score(line, body, settings));
+
+    // The look of plain keyword headers ("EXPERIENCE", "Technical Skills")
+    // that stand out visually, e.g. "12pt bold". A look most body lines share
+    // (bold caps job titles) is too ambiguous to find custom headers with.
+    const styleCounts = {};
+    for (const line of scored) {
+      if (!line.eligible) continue;
+      const style = SectionHeaderDetector._styleKey(line);
+      styleCounts[style] = styleCounts[style] || { strong: 0, other: 0 };
+      if (line.strong && line.visual) styleCounts[style].strong++;
+      else if (!line.keyword) styleCounts[style].other++;
+    }
+    const headerStyles = new Set(
+      Object.keys(styleCounts).filter((style) => styleCounts[style].strong > 0)
+    );
+    const customStyles = new Set(
+      Array.from(headerStyles).filter((style) => styleCounts[style].other <= styleCounts[style].strong * 2 + 1)
+    );
+    const styled = headerStyles.size > 0;
+
+    for (const line of scored) {
+      if (!line.eligible) continue;
+      const style = SectionHeaderDetector._styleKey(line);
+
+      if (line.strong) {
+        line.header = line.visual || !styled;
+      } else if (styled) {
+        // Custom headers and keyword-ish lines must look like the headers
+        line.header = headerStyles.has(style) && (line.keyword || customStyles.has(style));
+      } else {
+        line.header = line.keyword && line.signals.larger && line.score >= settings.minScore;
+      }
+    }
+
+    return {
+      body: body,
+      styled: styled,
+      lines: scored,
+      headers: scored.filter((line) => line.header),
+    };
+  }
+
+  /**
+   * Most common font size (by characters) and how much text is bold or caps
+   */
+  static bodyStyle(lines) {
+    const sizes = {};
+    let chars = 0;
+    let boldChars = 0;
+    let capsChars = 0;
+
+    for (const line of lines) {
+      const length = line.text.trim().length;
+      sizes[line.fontSize] = (sizes[line.fontSize] || 0) + length;
+      chars += length;
+      if (line.bold) boldChars += length;
+      if (SectionHeaderDetector.isCaps(line.text)) capsChars += length;
+    }
+
+    const fontSize = Object.keys(sizes).reduce((best, size) => (best === null || sizes[size] > sizes[best] ? size : best), null);
+    return {
+      fontSize: Number(fontSize) || 0,
+      boldShare: chars > 0 ? boldChars / chars : 0,
+      capsShare: chars > 0 ? capsChars / chars : 0,
+    };
+  }
+
+  static score(line, body, settings = SectionHeaderDetector.defaults) {
+    const text = line.text.trim();
+    const words = text.split(/\s+/).length;
+    const section = SectionHeaderDetector.classify(text);
+    const tokens = SectionHeaderDetector._words(text);
+
+    // Sentences, dates and contact details are never headers
+    const eligible =
+      words <= settings.maxWords &&
+      text.length <= 50 &&
+      !/[.!?,;]$/.test(text) &&
+      !/\d{4}|@|www\.|https?:/i.test(text);
+
+    const signals = {
+      larger: body.fontSize > 0 && line.fontSize >= body.fontSize * settings.largerRatio,
+      bold: Boolean(line.bold) && body.boldShare < 0.5,
+      caps: SectionHeaderDetector.isCaps(text) && body.capsShare < 0.5,
+      keyword: Boolean(section),
+      colon: /:$/.test(text),
+    };
+
+    const score = eligible
+      ? (signals.larger ? 0.35 : 0) +
+        (signals.bold ? 0.25 : 0) +
+        (signals.caps ? 0.2 : 0) +
+        (signals.keyword ? 0.3 : 0) +
+        (signals.colon ? 0.1 : 0)
+      : 0;
+
+    return {
+      text: text,
+      key: SectionHeaderDetector.key(text),
+      fontSize: line.fontSize,
+      bold: Boolean(line.bold),
+      caps: SectionHeaderDetector.isCaps(text),
+      words: words,
+      section: section,
+      keyword: Boolean(section),
+      // Only section words ("Professional Experience"), unlike "Project Manager"
+      strong: Boolean(section) && words <= 4 && tokens.every((word) => SectionHeaderDetector._headerWord(word)),
+      visual: signals.larger || signals.bold || signals.caps,
+      eligible: eligible,
+      signals: signals,
+      score: Math.round(score * 100) / 100,
+      header: false,
+    };
+  }
+
+  /**
+   * Section a header names, from its words, or null
+   */
+  static classify(text) {
+    const words = new Set(SectionHeaderDetector._words(text));
+    for (const [section, vocabulary] of SectionHeaderDetector.vocabulary) {
+      if (vocabulary.some((word) => words.has(word))) return section;
+    }
+    return null;
+  }
+
+  static _words(text) {
+    return text
+      .toLowerCase()
+      .replace(/[’']/g, "")
+      .split(/[^\p{L}]+/u)
+      .filter(Boolean);
+  }
+
+  static _headerWord(word) {
+    return (
+      SectionHeaderDetector.fillers.includes(word) ||
+      SectionHeaderDetector.vocabulary.some(([, vocabulary]) => vocabulary.includes(word))
+    );
+  }
+
+  static isCaps(text) {
+    const letters = text.replace(/[^A-Za-z]/g, "");
+    return letters.length >= 3 && letters === letters.toUpperCase();
+  }
+
+  /**
+   * Line identity that survives the parsers' text cleanup (spacing, dashes,
+   * quotes)
+   */
+  static key(text) {
+    return (text || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+  }
+
+  static _styleKey(line) {
+    return `${line.fontSize}|${line.bold}|${line.caps}`;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.SectionHeaderDetector = SectionHeaderDetector;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SectionHeaderDetector;
+}
@@ -0,0 +1,163 @@
+/**
+ * AtsReportPanel
+ *
+ * ATS check above the preview, so problems are visible before export:
+ * - Score of the current template (AtsChecker.check) and its warnings,
+ *   most severe first
+ * - "Compare templates" lists every template's score; each row has a Use
+ *   button for that template
+ * Calls onCompare when the comparison is opened (the app checks the
+ * templates and calls showComparison) and onSelectTemplate with a template
+ * id.
+ */
+
+class AtsReportPanel {
+  static severityOrder = ["high", "medium", "low"];
+
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onCompare = options.onCompare || (() => {});
+    this.onSelectTemplate = options.onSelectTemplate || (() => {});
+    this.comparing = false;
+    this.render();
+
+    this.container.addEventListener("click", (e) => this._handleClick(e));
+  }
+
+  render() {
+    this.container.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "ats-header";
+    this.summary = document.createElement("div");
+    this.summary.className = "ats-summary";
+    header.appendChild(this.summary);
+
+    this.compareBtn = document.createElement("button");
+    this.compareBtn.type = "button";
+    this.compareBtn.className = "editor-btn";
+    this.compareBtn.dataset.action = "compare";
+    this.compareBtn.textContent = "Compare templates";
+    header.appendChild(this.compareBtn);
+    this.container.appendChild(header);
+
+    this.warnings = document.createElement("ul");
+    this.warnings.className = "ats-warnings";
+    this.container.appendChild(this.warnings);
+
+    this.comparison = document.createElement("div");
+    this.comparison.className = "ats-comparison is-hidden";
+    this.container.appendChild(this.comparison);
+  }
+
+  /**
+   * Show the check of the template in the preview
+   */
+  showResult(templateName, result) {
+    this.summary.innerHTML = "";
+    this.warnings.innerHTML = "";
+
+    this.summary.appendChild(AtsReportPanel.badge(result));
+    this.summary.appendChild(document.createTextNode(` ATS compatibility of ${templateName}`));
+
+    if (result.warnings.length === 0) {
+      const item = document.createElement("li");
+      item.className = "ats-ok";
+      item.textContent = "No problems found: applicant tracking systems should read this template well.";
+      this.warnings.appendChild(item);
+      return;
+    }
+
+    const sorted = result.warnings
+      .slice()
+      .sort(
+        (a, b) =>
+          AtsReportPanel.severityOrder.indexOf(a.severity) - AtsReportPanel.severityOrder.indexOf(b.severity)
+      );
+    for (const warning of sorted) {
+      const item = document.createElement("li");
+      item.className = `ats-warning is-${warning.severity}`;
+      const severity = document.createElement("span");
+      severity.className = "ats-severity";
+      severity.textContent = warning.severity;
+      item.appendChild(severity);
+      item.appendChild(document.createTextNode(` ${warning.message}`));
+      this.warnings.appendChild(item);
+    }
+  }
+
+  /**
+   * List AtsChecker.checkTemplates results; the current template is marked
+   */
+  showComparison(results, currentTemplate) {
+    this.comparison.innerHTML = "";
+
+    const list = document.createElement("ol");
+    list.className = "ats-template-list";
+    for (const result of results) {
+      const item = document.createElement("li");
+      item.className = "ats-template";
+      item.dataset.id = result.id;
+      item.appendChild(AtsReportPanel.badge(result));
+
+      const name = document.createElement("span");
+      name.className = "ats-template-name";
+      name.textContent = result.name;
+      name.title = result.warnings.map((warning) => warning.message).join("\n");
+      item.appendChild(name);
+
+      if (result.id === currentTemplate) {
+        const current = document.createElement("span");
+        current.className = "history-current";
+        current.textContent = "current";
+        item.appendChild(current);
+      } else {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "editor-btn";
+        btn.dataset.action = "select";
+        btn.textContent = "Use";
+        item.appendChild(btn);
+      }
+      list.appendChild(item);
+    }
+    this.comparison.appendChild(list);
+  }
+
+  _toggleComparison() {
+    this.comparing = !this.comparing;
+    this.comparison.classList.toggle("is-hidden", !this.comparing);
+    this.compareBtn.textContent = this.comparing ? "Hide comparison" : "Compare templates";
+    if (this.comparing) this.onCompare();
+  }
+
+  _handleClick(e) {
+    const btn = e.target.closest ? e.target.closest(".editor-btn") : null;
+    if (!btn) return;
+    if (btn.dataset.action === "compare") {
+      this._toggleComparison();
+    } else if (btn.dataset.action === "select") {
+      this.onSelectTemplate(btn.closest(".ats-template").dataset.id);
+    }
+  }
+
+  /**
+   * "87/100" badge colored by the score level
+   */
+  static badge(result) {
+    const classes = { good: "is-high", fair: "is-medium", poor: "is-low" };
+    const badge = document.createElement("span");
+    badge.className = `confidence-badge ${classes[result.level]}`;
+    badge.textContent = `${result.score}/100`;
+    return badge;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.AtsReportPanel = AtsReportPanel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AtsReportPanel;
+}
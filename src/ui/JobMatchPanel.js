@@ -0,0 +1,215 @@
+/**
+ * JobMatchPanel
+ *
+ * "Target job" panel under the template customizer:
+ * - Text area for a pasted job description
+ * - Match score, the keywords the resume already has (hover for where)
+ *   and the missing ones with where they could go (JobMatcher.match)
+ * - Checkbox to highlight matched terms in the preview
+ * Calls onChange with the job description on every edit and onHighlight
+ * with the checkbox state; the app runs the match and calls showResult.
+ */
+
+class JobMatchPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.onHighlight = options.onHighlight || (() => {});
+    this.render();
+  }
+
+  render() {
+    this.container.innerHTML = "";
+
+    const label = document.createElement("label");
+    label.className = "sr-only";
+    label.htmlFor = "jobDescription";
+    label.textContent = "Job description";
+    this.container.appendChild(label);
+
+    this.input = document.createElement("textarea");
+    this.input.id = "jobDescription";
+    this.input.className = "job-input";
+    this.input.rows = 6;
+    this.input.placeholder = "Paste the job description you are applying for...";
+    this.input.addEventListener("input", () => this.onChange(this.input.value));
+    this.container.appendChild(this.input);
+
+    const toggle = document.createElement("label");
+    toggle.className = "job-highlight-toggle";
+    this.highlightInput = document.createElement("input");
+    this.highlightInput.type = "checkbox";
+    this.highlightInput.checked = true;
+    this.highlightInput.addEventListener("change", () => this.onHighlight(this.highlightInput.checked));
+    toggle.appendChild(this.highlightInput);
+    toggle.appendChild(document.createTextNode(" Highlight matches in the preview"));
+    this.container.appendChild(toggle);
+
+    this.results = document.createElement("div");
+    this.results.className = "job-results";
+    this.container.appendChild(this.results);
+    this.showResult(null);
+  }
+
+  setText(text) {
+    this.input.value = text || "";
+  }
+
+  /**
+   * Show a JobMatcher.match result; null before a job description is pasted.
+   * Without a resume only the posting's keywords are listed.
+   */
+  showResult(result, hasResume = true) {
+    this.results.innerHTML = "";
+
+    if (!result) {
+      this.results.appendChild(
+        this._note("Paste a job description to see which of its keywords your resume covers.")
+      );
+      return;
+    }
+    if (result.score === null) {
+      this.results.appendChild(this._note("No skills or keywords recognized in this job description."));
+      return;
+    }
+    if (!hasResume) {
+      this.results.appendChild(this._note("Upload a resume to compare it with this job."));
+      this.results.appendChild(this._keywordList("Keywords", result.keywords, "job-keyword"));
+      return;
+    }
+
+    this.results.appendChild(this._score(result.score));
+    if (result.matched.length > 0) {
+      this.results.appendChild(
+        this._keywordList(`Matched (${result.matched.length})`, result.matched, "job-keyword matched")
+      );
+    }
+    if (result.missing.length > 0) {
+      this.results.appendChild(this._missingList(result.missing));
+    }
+  }
+
+  _score(score) {
+    const level = score >= 75 ? "is-high" : score >= 50 ? "is-medium" : "is-low";
+    const wrapper = document.createElement("div");
+    wrapper.className = "job-score";
+
+    const value = document.createElement("span");
+    value.className = `confidence-badge ${level}`;
+    value.textContent = `${score}%`;
+    wrapper.appendChild(value);
+    wrapper.appendChild(document.createTextNode(" keyword match"));
+
+    const bar = document.createElement("div");
+    bar.className = "job-score-bar";
+    const fill = document.createElement("span");
+    fill.className = level;
+    fill.style.width = `${score}%`;
+    bar.appendChild(fill);
+    wrapper.appendChild(bar);
+    return wrapper;
+  }
+
+  _keywordList(title, keywords, className) {
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(this._title(title));
+
+    const list = document.createElement("ul");
+    list.className = "job-keywords";
+    for (const keyword of keywords) {
+      const item = document.createElement("li");
+      item.className = className;
+      item.textContent = keyword.term;
+      if (keyword.foundIn) item.title = `Found in ${keyword.foundIn.join(", ")}`;
+      if (!keyword.required) item.classList.add("optional");
+      list.appendChild(item);
+    }
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+
+  _missingList(missing) {
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(this._title(`Missing (${missing.length})`));
+
+    const list = document.createElement("ul");
+    list.className = "job-missing";
+    for (const keyword of missing) {
+      const item = document.createElement("li");
+      const term = document.createElement("strong");
+      term.textContent = keyword.term;
+      item.appendChild(term);
+
+      const details = document.createElement("span");
+      details.className = "job-missing-details";
+      details.textContent = ` ${keyword.required ? "required" : "nice to have"} • ${keyword.suggestion.text}`;
+      item.appendChild(details);
+      list.appendChild(item);
+    }
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+
+  _title(text) {
+    const title = document.createElement("h4");
+    title.className = "job-results-title";
+    title.textContent = text;
+    return title;
+  }
+
+  _note(text) {
+    const note = document.createElement("p");
+    note.className = "job-note";
+    note.textContent = text;
+    return note;
+  }
+
+  /**
+   * Wrap the terms (JobMatcher.termFor) found in root's text in
+   * <mark class="job-match">. Styles, scripts and existing marks are
+   * skipped.
+   */
+  static highlight(root, terms) {
+    if (!terms || terms.length === 0) return 0;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      const parent = walker.currentNode.parentNode;
+      if (parent.closest && parent.closest("style, script, mark.job-match")) continue;
+      nodes.push(walker.currentNode);
+    }
+
+    let count = 0;
+    for (const node of nodes) {
+      const text = node.nodeValue;
+      const found = JobMatcher.findAll(text, terms);
+      if (found.length === 0) continue;
+
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      for (const match of found) {
+        fragment.appendChild(document.createTextNode(text.slice(last, match.start)));
+        const mark = document.createElement("mark");
+        mark.className = "job-match";
+        mark.title = `Job keyword: ${match.term}`;
+        mark.textContent = text.slice(match.start, match.end);
+        fragment.appendChild(mark);
+        last = match.end;
+        count++;
+      }
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    }
+    return count;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.JobMatchPanel = JobMatchPanel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = JobMatchPanel;
+}
@@ -0,0 +1,373 @@
+/**
+ * ResumeEditor
+ *
+ * Form-based editor for parsed resume data:
+ * - One fieldset per resume section (basics, work, education, ...)
+ * - Add, remove and reorder entries
+ * - Calls onChange on every edit so the preview can re-render live
+ */
+
+class ResumeEditor {
+  /**
+   * Field layout per section. `type` controls the input:
+   * - text / textarea: plain string
+   * - list: array of strings, one per line (e.g. highlights)
+   * - tags: array of strings, comma separated (e.g. keywords)
+   */
+  static schema = {
+    basics: {
+      title: "Basic Information",
+      fields: [
+        { key: "name", label: "Name" },
+        { key: "label", label: "Title" },
+        { key: "email", label: "Email" },
+        { key: "phone", label: "Phone" },
+        { key: "url", label: "Website" },
+        { key: "location", label: "Location" },
+        { key: "summary", label: "Summary", type: "textarea" },
+      ],
+    },
+    work: {
+      title: "Experience",
+      itemLabel: "Position",
+      fields: [
+        { key: "position", label: "Position" },
+        { key: "company", label: "Company" },
+        { key: "location", label: "Location" },
+        { key: "startDate", label: "Start Date" },
+        { key: "endDate", label: "End Date" },
+        { key: "url", label: "Website" },
+        { key: "summary", label: "Summary", type: "textarea" },
+        { key: "highlights", label: "Highlights (one per line)", type: "list" },
+      ],
+    },
+    education: {
+      title: "Education",
+      itemLabel: "Degree",
+      fields: [
+        { key: "institution", label: "Institution" },
+        { key: "studyType", label: "Degree" },
+        { key: "area", label: "Field of Study" },
+        { key: "location", label: "Location" },
+        { key: "startDate", label: "Start Date" },
+        { key: "endDate", label: "End Date" },
+        { key: "score", label: "GPA / Score" },
+      ],
+    },
+    skills: {
+      title: "Skills",
+      itemLabel: "Skill Category",
+      fields: [
+        { key: "name", label: "Category" },
+        { key: "keywords", label: "Keywords (comma separated)", type: "tags" },
+      ],
+    },
+    projects: {
+      title: "Projects",
+      itemLabel: "Project",
+      fields: [
+        { key: "name", label: "Name" },
+        { key: "url", label: "Link" },
+        { key: "summary", label: "Summary", type: "textarea" },
+        { key: "keywords", label: "Technologies (comma separated)", type: "tags" },
+      ],
+    },
+    certifications: {
+      title: "Certifications",
+      itemLabel: "Certification",
+      fields: [
+        { key: "name", label: "Name" },
+        { key: "issuer", label: "Issuer" },
+        { key: "date", label: "Date" },
+      ],
+    },
+  };
+
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.data = null;
+
+    this.container.addEventListener("input", (e) => this._handleInput(e));
+    this.container.addEventListener("click", (e) => this._handleClick(e));
+  }
+
+  /**
+   * Attach the editor to a resume object. The object is edited in place.
+   */
+  load(data) {
+    this.data = data;
+    if (this.data) {
+      ResumeEditor.normalize(this.data);
+    }
+    this.render();
+  }
+
+  /**
+   * Make sure every section the editor shows exists on the data object.
+   * Parsers emit `company` while templates read the JSON Resume `name`
+   * key, so both are kept in sync for work entries.
+   */
+  static normalize(data) {
+    data.basics = data.basics || {};
+    for (const section of Object.keys(ResumeEditor.schema)) {
+      if (section === "basics") continue;
+      if (!Array.isArray(data[section])) data[section] = [];
+    }
+    data.work.forEach((job) => {
+      if (!job.company && job.name) job.company = job.name;
+      if (!job.name && job.company) job.name = job.company;
+    });
+    return data;
+  }
+
+  render() {
+    this.container.innerHTML = "";
+
+    if (!this.data) {
+      this.container.innerHTML =
+        '<div class="empty-state"><p>✏️ Upload and parse a PDF to edit structured data</p></div>';
+      return;
+    }
+
+    for (const [section, config] of Object.entries(ResumeEditor.schema)) {
+      this.container.appendChild(this._renderSection(section, config));
+    }
+  }
+
+  /**
+   * Focus the input for a field path ("basics.summary", "work[0].position",
+   * "work[0].highlights[2]"); one line of a list field is selected.
+   * Returns false when the editor has no such field.
+   */
+  focusField(path) {
+    const match = String(path).match(/^(\w+)(?:\[(\d+)\])?\.(\w+)(?:\[(\d+)\])?$/);
+    if (!match) return false;
+    const [, section, index, field, item] = match;
+    const input = this.container.querySelector(`#editor-${section}-${index === undefined ? "x" : index}-${field}`);
+    if (!input) return false;
+
+    input.focus();
+    if (input.scrollIntoView) input.scrollIntoView({ block: "center" });
+    if (item !== undefined && input.dataset.type === "list") {
+      const lines = input.value.split("\n");
+      const start = lines.slice(0, Number(item)).reduce((sum, line) => sum + line.length + 1, 0);
+      const line = lines[Number(item)] || "";
+      input.setSelectionRange(start, start + line.length);
+    }
+    return true;
+  }
+
+  _renderSection(section, config) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "editor-section";
+
+    const legend = document.createElement("legend");
+    legend.textContent = config.title;
+    fieldset.appendChild(legend);
+
+    if (section === "basics") {
+      fieldset.appendChild(
+        this._renderFields(section, null, config.fields, this.data.basics)
+      );
+      return fieldset;
+    }
+
+    const entries = this.data[section];
+    entries.forEach((entry, index) => {
+      const item = document.createElement("div");
+      item.className = "editor-entry";
+
+      const header = document.createElement("div");
+      header.className = "editor-entry-header";
+
+      const title = document.createElement("span");
+      title.className = "editor-entry-title";
+      title.textContent = `${config.itemLabel} ${index + 1}`;
+      header.appendChild(title);
+
+      const actions = document.createElement("div");
+      actions.className = "editor-entry-actions";
+      actions.appendChild(
+        this._button("↑", "move-up", section, index, index === 0)
+      );
+      actions.appendChild(
+        this._button("↓", "move-down", section, index, index === entries.length - 1)
+      );
+      actions.appendChild(this._button("✕", "remove", section, index));
+      header.appendChild(actions);
+
+      item.appendChild(header);
+      item.appendChild(this._renderFields(section, index, config.fields, entry));
+      fieldset.appendChild(item);
+    });
+
+    const addBtn = this._button(`+ Add ${config.itemLabel}`, "add", section);
+    addBtn.classList.add("editor-add");
+    fieldset.appendChild(addBtn);
+
+    return fieldset;
+  }
+
+  _renderFields(section, index, fields, entry) {
+    const grid = document.createElement("div");
+    grid.className = "editor-fields";
+
+    for (const field of fields) {
+      const type = field.type || "text";
+      const id = `editor-${section}-${index === null ? "x" : index}-${field.key}`;
+
+      const wrapper = document.createElement("div");
+      wrapper.className = "editor-field";
+      if (type === "textarea" || type === "list") {
+        wrapper.classList.add("editor-field-wide");
+      }
+
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = field.label;
+
+      const input =
+        type === "text" || type === "tags"
+          ? document.createElement("input")
+          : document.createElement("textarea");
+      input.id = id;
+      input.className = "editor-input";
+      input.dataset.section = section;
+      input.dataset.field = field.key;
+      input.dataset.type = type;
+      if (index !== null) input.dataset.index = index;
+      if (input.tagName === "INPUT") input.type = "text";
+      if (input.tagName === "TEXTAREA") input.rows = type === "list" ? 4 : 3;
+
+      input.value = ResumeEditor.toInputValue(entry[field.key], type);
+
+      wrapper.appendChild(label);
+      wrapper.appendChild(input);
+      grid.appendChild(wrapper);
+    }
+
+    return grid;
+  }
+
+  _button(text, action, section, index = null, disabled = false) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "editor-btn";
+    btn.textContent = text;
+    btn.dataset.action = action;
+    btn.dataset.section = section;
+    if (index !== null) btn.dataset.index = index;
+    btn.disabled = disabled;
+    return btn;
+  }
+
+  /**
+   * Convert a stored value into the string shown in its input
+   */
+  static toInputValue(value, type) {
+    if (value === undefined || value === null) return "";
+    if (type === "list") {
+      return Array.isArray(value) ? value.join("\n") : String(value);
+    }
+    if (type === "tags") {
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    }
+    // Nested objects (e.g. JSON Resume location objects) are shown flattened
+    if (typeof value === "object") {
+      return Object.values(value).filter(Boolean).join(", ");
+    }
+    return String(value);
+  }
+
+  /**
+   * Convert an input string back into the stored value
+   */
+  static fromInputValue(value, type) {
+    if (type === "list") {
+      return value
+        .split("\n")
+        .map((l) => l.trim())
+        .filter((l) => l.length > 0);
+    }
+    if (type === "tags") {
+      return value
+        .split(",")
+        .map((k) => k.trim())
+        .filter((k) => k.length > 0);
+    }
+    return value;
+  }
+
+  _handleInput(e) {
+    const input = e.target;
+    if (!input.classList || !input.classList.contains("editor-input")) return;
+    if (!this.data) return;
+
+    const { section, field, type, index } = input.dataset;
+    const target =
+      section === "basics" ? this.data.basics : this.data[section][Number(index)];
+    if (!target) return;
+
+    target[field] = ResumeEditor.fromInputValue(input.value, type);
+    if (section === "work" && field === "company") {
+      target.name = target.company;
+    }
+
+    this.onChange(this.data);
+  }
+
+  _handleClick(e) {
+    const btn = e.target.closest ? e.target.closest(".editor-btn") : null;
+    if (!btn || !this.data) return;
+
+    const { action, section } = btn.dataset;
+    const index = Number(btn.dataset.index);
+    const entries = this.data[section];
+
+    switch (action) {
+      case "add":
+        entries.push(ResumeEditor.emptyEntry(section));
+        break;
+      case "remove":
+        entries.splice(index, 1);
+        break;
+      case "move-up":
+        ResumeEditor.moveEntry(entries, index, index - 1);
+        break;
+      case "move-down":
+        ResumeEditor.moveEntry(entries, index, index + 1);
+        break;
+      default:
+        return;
+    }
+
+    this.render();
+    this.onChange(this.data);
+  }
+
+  static emptyEntry(section) {
+    const entry = {};
+    for (const field of ResumeEditor.schema[section].fields) {
+      entry[field.key] =
+        field.type === "list" || field.type === "tags" ? [] : "";
+    }
+    return entry;
+  }
+
+  static moveEntry(entries, from, to) {
+    if (to < 0 || to >= entries.length) return entries;
+    const [entry] = entries.splice(from, 1);
+    entries.splice(to, 0, entry);
+    return entries;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeEditor = ResumeEditor;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeEditor;
+}
@@ -0,0 +1,228 @@
+/**
+ * ResumeHistoryPanel
+ *
+ * Version history of the open resume, in the "History" tab:
+ * - Two selects pick the versions to compare (the previous and the current
+ *   version at first); the ResumeDiff of their experience, education and
+ *   skills is shown below them
+ * - Every version is listed with why it was made and when, with a Restore
+ *   button for all but the current one
+ * Calls onRestore with the version id; the app restores it in the library
+ * and re-renders the panel with the new history.
+ */
+
+class ResumeHistoryPanel {
+  static sources = {
+    parse: "Parsed from PDF",
+    import: "Imported",
+    edit: "Edited",
+    restore: "Restored",
+    duplicate: "Duplicated",
+  };
+
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onRestore = options.onRestore || (() => {});
+    this.versions = [];
+    this.fromId = null;
+    this.toId = null;
+
+    this.container.addEventListener("change", (e) => this._handleChange(e));
+    this.container.addEventListener("click", (e) => this._handleClick(e));
+  }
+
+  /**
+   * Show a resume's versions (ResumeLibrary.versions, newest first)
+   */
+  render(versions = this.versions) {
+    // A new version (or another resume) compares the previous and current
+    // version again
+    const ids = versions.map((version) => version.id);
+    if (ids[0] !== (this.versions[0] && this.versions[0].id) || !ids.includes(this.fromId)) {
+      this.toId = ids[0] || null;
+      this.fromId = ids[1] || ids[0] || null;
+    }
+    this.versions = versions;
+    this.container.innerHTML = "";
+
+    if (versions.length === 0) {
+      this.container.innerHTML =
+        '<div class="empty-state"><p>🕘 Versions are saved as you parse, import and edit a resume</p></div>';
+      return;
+    }
+
+    const controls = document.createElement("div");
+    controls.className = "history-compare";
+    controls.appendChild(this._versionSelect("from", "Compare", this.fromId));
+    controls.appendChild(this._versionSelect("to", "with", this.toId));
+    this.container.appendChild(controls);
+
+    const diff = document.createElement("div");
+    diff.className = "history-diff";
+    this._renderDiff(diff);
+    this.container.appendChild(diff);
+
+    this.container.appendChild(this._renderList());
+  }
+
+  _versionSelect(key, label, selectedId) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "customize-field";
+    wrapper.textContent = label;
+
+    const select = document.createElement("select");
+    select.className = "export-select";
+    select.dataset.compare = key;
+    for (const version of this.versions) {
+      const option = document.createElement("option");
+      option.value = version.id;
+      option.textContent = `Version ${version.number} • ${ResumeHistoryPanel.describe(version)}`;
+      select.appendChild(option);
+    }
+    select.value = selectedId;
+
+    wrapper.appendChild(select);
+    return wrapper;
+  }
+
+  _renderDiff(container) {
+    const from = this.versions.find((version) => version.id === this.fromId);
+    const to = this.versions.find((version) => version.id === this.toId);
+    const diff = ResumeDiff.compare(from.resumeData, to.resumeData);
+
+    if (diff.changes === 0) {
+      const same = document.createElement("p");
+      same.className = "history-same";
+      same.textContent =
+        from === to
+          ? "Pick two different versions to compare."
+          : "No differences in experience, education or skills.";
+      container.appendChild(same);
+      return;
+    }
+
+    for (const [section, config] of Object.entries(ResumeDiff.sections)) {
+      const changed = diff[section].filter((entry) => entry.status !== "unchanged");
+      if (changed.length === 0) continue;
+
+      const title = document.createElement("h4");
+      title.className = "history-section-title";
+      title.textContent = config.title;
+      container.appendChild(title);
+
+      for (const entry of changed) {
+        container.appendChild(this._renderEntry(entry));
+      }
+    }
+  }
+
+  _renderEntry(entry) {
+    const item = document.createElement("div");
+    item.className = `history-entry ${entry.status}`;
+
+    const header = document.createElement("div");
+    header.className = "history-entry-header";
+    const status = document.createElement("span");
+    status.className = "history-status";
+    status.textContent = entry.status;
+    const title = document.createElement("strong");
+    title.textContent = entry.title;
+    header.appendChild(status);
+    header.appendChild(title);
+    item.appendChild(header);
+
+    if (entry.fields.length === 0) return item;
+
+    const fields = document.createElement("ul");
+    fields.className = "history-fields";
+    for (const field of entry.fields) {
+      const row = document.createElement("li");
+      const label = document.createElement("span");
+      label.className = "history-field-label";
+      label.textContent = `${field.label}:`;
+      row.appendChild(label);
+
+      if (field.added || field.removed) {
+        for (const text of field.removed) row.appendChild(this._value(`− ${text}`, "removed"));
+        for (const text of field.added) row.appendChild(this._value(`+ ${text}`, "added"));
+      } else {
+        row.appendChild(this._value(field.before === null ? "(empty)" : field.before, "removed"));
+        row.appendChild(document.createTextNode(" → "));
+        row.appendChild(this._value(field.after === null ? "(empty)" : field.after, "added"));
+      }
+      fields.appendChild(row);
+    }
+    item.appendChild(fields);
+    return item;
+  }
+
+  _value(text, kind) {
+    const span = document.createElement("span");
+    span.className = `history-value ${kind}`;
+    span.textContent = text;
+    return span;
+  }
+
+  _renderList() {
+    const list = document.createElement("ol");
+    list.className = "history-list";
+    this.versions.forEach((version, index) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+      item.dataset.id = version.id;
+
+      const text = document.createElement("span");
+      text.textContent = `Version ${version.number} • ${ResumeHistoryPanel.describe(version)}`;
+      item.appendChild(text);
+
+      if (index === 0) {
+        const current = document.createElement("span");
+        current.className = "history-current";
+        current.textContent = "current";
+        item.appendChild(current);
+      } else {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "editor-btn";
+        btn.textContent = "Restore";
+        btn.dataset.action = "restore";
+        item.appendChild(btn);
+      }
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  _handleChange(e) {
+    const key = e.target.dataset && e.target.dataset.compare;
+    if (!key) return;
+    this[key === "from" ? "fromId" : "toId"] = e.target.value;
+    this.render();
+  }
+
+  _handleClick(e) {
+    const btn = e.target.closest ? e.target.closest(".editor-btn") : null;
+    if (!btn || btn.dataset.action !== "restore") return;
+    this.onRestore(btn.closest(".history-item").dataset.id);
+  }
+
+  /**
+   * "Edited, Mar 5, 2024, 3:41 PM" / "Restored version 2, ..."
+   */
+  static describe(version) {
+    let source = this.sources[version.source] || version.source;
+    if (version.restoredFrom) source += ` version ${version.restoredFrom}`;
+    const date = new Date(version.updatedAt || version.createdAt);
+    if (isNaN(date)) return source;
+    return `${source}, ${date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}`;
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeHistoryPanel = ResumeHistoryPanel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeHistoryPanel;
+}
@@ -0,0 +1,138 @@
+/**
+ * ResumeLibraryPanel
+ *
+ * List of the resumes saved in the ResumeLibrary, shown under the upload
+ * area:
+ * - Name, job title, template and when each resume was last saved
+ * - Open, rename, duplicate and delete buttons per resume
+ * - The open resume is highlighted
+ * Calls onOpen, onRename, onDuplicate and onDelete with the resume id; the
+ * app does the library calls and re-renders the panel with the new list.
+ */
+
+class ResumeLibraryPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onOpen = options.onOpen || (() => {});
+    this.onRename = options.onRename || (() => {});
+    this.onDuplicate = options.onDuplicate || (() => {});
+    this.onDelete = options.onDelete || (() => {});
+    this.entries = [];
+    this.activeId = null;
+
+    this.container.addEventListener("click", (e) => this._handleClick(e));
+  }
+
+  /**
+   * Show the library's summaries (ResumeLibrary.list), highlighting activeId
+   */
+  render(entries = this.entries, activeId = this.activeId) {
+    this.entries = entries;
+    this.activeId = activeId;
+    this.container.innerHTML = "";
+
+    if (entries.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "library-empty";
+      empty.textContent = "Parsed and imported resumes are saved here automatically.";
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "library-list";
+    for (const entry of entries) {
+      list.appendChild(this._item(entry));
+    }
+    this.container.appendChild(list);
+  }
+
+  _item(entry) {
+    const item = document.createElement("li");
+    item.className = "library-item";
+    item.dataset.id = entry.id;
+    if (entry.id === this.activeId) item.classList.add("active");
+
+    const info = document.createElement("div");
+    info.className = "library-info";
+
+    const name = document.createElement("strong");
+    name.className = "library-name";
+    name.textContent = entry.name;
+    info.appendChild(name);
+
+    const details = document.createElement("span");
+    details.className = "library-details";
+    details.textContent = [
+      entry.label,
+      entry.template && TemplateRenderer.has(entry.template)
+        ? TemplateRenderer.get(entry.template).name
+        : entry.template,
+      `saved ${ResumeLibraryPanel.formatTime(entry.updatedAt)}`,
+    ]
+      .filter(Boolean)
+      .join(" • ");
+    info.appendChild(details);
+    item.appendChild(info);
+
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+    actions.appendChild(this._button("Open", "open", entry.id === this.activeId));
+    actions.appendChild(this._button("Rename", "rename"));
+    actions.appendChild(this._button("Duplicate", "duplicate"));
+    actions.appendChild(this._button("Delete", "delete"));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  _button(text, action, disabled = false) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "editor-btn";
+    btn.textContent = text;
+    btn.dataset.action = action;
+    btn.disabled = disabled;
+    return btn;
+  }
+
+  _handleClick(e) {
+    const btn = e.target.closest ? e.target.closest(".editor-btn") : null;
+    const item = btn && btn.closest(".library-item");
+    if (!item) return;
+
+    const id = item.dataset.id;
+    switch (btn.dataset.action) {
+      case "open":
+        this.onOpen(id);
+        break;
+      case "rename":
+        this.onRename(id);
+        break;
+      case "duplicate":
+        this.onDuplicate(id);
+        break;
+      case "delete":
+        this.onDelete(id);
+        break;
+    }
+  }
+
+  /**
+   * "Mar 5, 2024, 3:41 PM" for a saved ISO timestamp
+   */
+  static formatTime(iso) {
+    const date = new Date(iso);
+    if (isNaN(date)) return "";
+    return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.ResumeLibraryPanel = ResumeLibraryPanel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ResumeLibraryPanel;
+}
@@ -0,0 +1,226 @@
+/**
+ * TemplateCustomizerPanel
+ *
+ * Form for the TemplateCustomizer settings, shown under the template gallery:
+ * - Accent and secondary color pickers (start at the template's own colors)
+ * - Font pairing, density, margin, date style and language selects
+ * - Section order list with move up/down buttons
+ * - Reset back to the template's design
+ * Calls onChange with the normalized settings on every change.
+ */
+
+class TemplateCustomizerPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.settings = TemplateCustomizer.normalize();
+    this.templateColors = {};
+
+    this.container.addEventListener("input", (e) => this._handleInput(e));
+    this.container.addEventListener("change", (e) => this._handleInput(e));
+    this.container.addEventListener("click", (e) => this._handleClick(e));
+  }
+
+  /**
+   * Show settings for a template. templateColors are the template's own
+   * colors ({ accentColor, secondaryColor }) shown for unset pickers.
+   */
+  load(settings, templateColors = {}) {
+    this.settings = TemplateCustomizer.normalize(settings);
+    this.templateColors = templateColors || {};
+    this.render();
+  }
+
+  render() {
+    const settings = this.settings;
+    this.container.innerHTML = "";
+
+    const fields = document.createElement("div");
+    fields.className = "customize-fields";
+
+    fields.appendChild(this._colorField("accentColor", "Accent color"));
+    if (this.templateColors.secondaryColor || settings.secondaryColor) {
+      fields.appendChild(this._colorField("secondaryColor", "Secondary color"));
+    }
+
+    fields.appendChild(
+      this._selectField(
+        "fontPairing",
+        "Fonts",
+        Object.entries(TemplateCustomizer.fontPairings).map(([value, pairing]) => [value, pairing.label])
+      )
+    );
+    fields.appendChild(
+      this._selectField(
+        "density",
+        "Density",
+        Object.entries(TemplateCustomizer.densities).map(([value, density]) => [value, density.label])
+      )
+    );
+    fields.appendChild(
+      this._selectField(
+        "margin",
+        "Margin",
+        TemplateCustomizer.margins.map((margin) => [margin.value === null ? "" : String(margin.value), margin.label])
+      )
+    );
+    fields.appendChild(this._selectField("dateStyle", "Dates", Object.entries(ResumeDates.styles)));
+    fields.appendChild(
+      this._selectField(
+        "locale",
+        "Language",
+        [["", "English"]].concat(
+          TemplateTranslations.list()
+            .filter((catalog) => catalog.code !== "en")
+            .map((catalog) => [catalog.code, catalog.name])
+        )
+      )
+    );
+
+    const reset = this._button("Reset to template", "reset");
+    reset.classList.add("customize-reset");
+    fields.appendChild(reset);
+
+    this.container.appendChild(fields);
+    this.container.appendChild(this._renderOrder());
+  }
+
+  _colorField(key, label) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "customize-field";
+    wrapper.textContent = label;
+
+    const input = document.createElement("input");
+    input.type = "color";
+    input.className = "customize-color";
+    input.dataset.setting = key;
+    input.value = this.settings[key] || this.templateColors[key] || "#000000";
+
+    wrapper.appendChild(input);
+    return wrapper;
+  }
+
+  _selectField(key, label, options) {
+    const wrapper = document.createElement("label");
+    wrapper.className = "customize-field";
+    wrapper.textContent = label;
+
+    const select = document.createElement("select");
+    select.className = "export-select";
+    select.dataset.setting = key;
+    for (const [value, text] of options) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    const current = this.settings[key];
+    select.value = current === null ? "" : String(current);
+
+    wrapper.appendChild(select);
+    return wrapper;
+  }
+
+  _renderOrder() {
+    const order = TemplateCustomizerPanel.sectionOrder(this.settings);
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "customize-order";
+
+    const title = document.createElement("span");
+    title.className = "customize-order-title";
+    title.textContent = "Section order";
+    wrapper.appendChild(title);
+
+    const list = document.createElement("ol");
+    list.className = "customize-order-list";
+    order.forEach((key, index) => {
+      const item = document.createElement("li");
+      item.className = "customize-order-item";
+
+      const name = document.createElement("span");
+      name.textContent = TemplateCustomizer.sections[key];
+      item.appendChild(name);
+
+      item.appendChild(this._button("↑", "move-up", index, index === 0));
+      item.appendChild(this._button("↓", "move-down", index, index === order.length - 1));
+      list.appendChild(item);
+    });
+    wrapper.appendChild(list);
+
+    return wrapper;
+  }
+
+  _button(text, action, index = null, disabled = false) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "editor-btn";
+    btn.textContent = text;
+    btn.dataset.action = action;
+    if (index !== null) btn.dataset.index = index;
+    btn.disabled = disabled;
+    return btn;
+  }
+
+  /**
+   * Every section in display order: the chosen order, then the rest
+   */
+  static sectionOrder(settings) {
+    const chosen = settings.sectionOrder || [];
+    return chosen.concat(
+      Object.keys(TemplateCustomizer.sections).filter((key) => !chosen.includes(key))
+    );
+  }
+
+  _handleInput(e) {
+    const input = e.target;
+    const key = input.dataset && input.dataset.setting;
+    if (!key) return;
+
+    // Color pickers fire "input" while dragging and "change" at the end
+    if (e.type === "change" && input.type === "color") return;
+    if (e.type === "input" && input.tagName === "SELECT") return;
+
+    this.settings = TemplateCustomizer.normalize({
+      ...this.settings,
+      [key]: input.value === "" ? null : input.value,
+    });
+    this.onChange(this.settings);
+  }
+
+  _handleClick(e) {
+    const btn = e.target.closest ? e.target.closest(".editor-btn") : null;
+    if (!btn) return;
+
+    const index = Number(btn.dataset.index);
+    switch (btn.dataset.action) {
+      case "reset":
+        this.settings = TemplateCustomizer.normalize();
+        break;
+      case "move-up":
+      case "move-down": {
+        const order = TemplateCustomizerPanel.sectionOrder(this.settings);
+        const to = btn.dataset.action === "move-up" ? index - 1 : index + 1;
+        if (to < 0 || to >= order.length) return;
+        const [key] = order.splice(index, 1);
+        order.splice(to, 0, key);
+        this.settings = TemplateCustomizer.normalize({ ...this.settings, sectionOrder: order });
+        break;
+      }
+      default:
+        return;
+    }
+
+    this.render();
+    this.onChange(this.settings);
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TemplateCustomizerPanel = TemplateCustomizerPanel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateCustomizerPanel;
+}
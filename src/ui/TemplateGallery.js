@@ -0,0 +1,111 @@
+/**
+ * TemplateGallery
+ *
+ * Template cards generated from the TemplateRenderer registry:
+ * - Thumbnail, name and description from each template's metadata
+ * - Category and ATS-safe badges
+ * - Re-renders when a plugin registers a template after page load,
+ *   keeping the selected card and the enabled state
+ * Calls onSelect with the template id when a card is clicked.
+ */
+
+class TemplateGallery {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSelect = options.onSelect || (() => {});
+    this.activeId = null;
+    this.enabled = false;
+
+    this.container.addEventListener("click", (e) => {
+      const card = e.target.closest ? e.target.closest(".template-card") : null;
+      if (!card || card.disabled) return;
+      this.onSelect(card.dataset.template);
+    });
+
+    window.addEventListener("template-registered", () => this.render());
+  }
+
+  render() {
+    this.container.innerHTML = "";
+    for (const template of TemplateRenderer.all()) {
+      this.container.appendChild(this._card(template));
+    }
+  }
+
+  _card(template) {
+    const card = document.createElement("button");
+    card.type = "button";
+    card.className = "template-card";
+    card.dataset.template = template.id;
+    card.disabled = !this.enabled;
+    if (template.id === this.activeId) card.classList.add("active");
+
+    const preview = document.createElement("div");
+    preview.className = "template-preview";
+    if (template.preview) {
+      // Static markup from the template's own metadata, never resume data
+      preview.classList.add(template.preview.className || `${template.id}-preview`);
+      preview.innerHTML = template.preview.html || "";
+    }
+    card.appendChild(preview);
+
+    const info = document.createElement("div");
+    info.className = "template-info";
+
+    const name = document.createElement("h3");
+    name.textContent = template.name;
+    info.appendChild(name);
+
+    const description = document.createElement("p");
+    description.textContent = template.description;
+    info.appendChild(description);
+
+    const badges = document.createElement("div");
+    badges.className = "template-badges";
+    badges.appendChild(
+      this._badge(TemplateRenderer.categories[template.category] || template.category)
+    );
+    if (template.atsSafe) {
+      const ats = this._badge("ATS-safe");
+      ats.classList.add("ats-safe");
+      ats.title = "Single column and plain text that applicant tracking systems read reliably";
+      badges.appendChild(ats);
+    }
+    info.appendChild(badges);
+
+    card.appendChild(info);
+    return card;
+  }
+
+  _badge(text) {
+    const badge = document.createElement("span");
+    badge.className = "template-badge";
+    badge.textContent = text;
+    return badge;
+  }
+
+  setActive(id) {
+    this.activeId = id;
+    this.container.querySelectorAll(".template-card").forEach((card) => {
+      card.classList.toggle("active", card.dataset.template === id);
+    });
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.activeId = null;
+    this.container.querySelectorAll(".template-card").forEach((card) => {
+      card.disabled = !enabled;
+      if (!enabled) card.classList.remove("active");
+    });
+  }
+}
+
+// Export
+if (typeof window !== "undefined") {
+  window.TemplateGallery = TemplateGallery;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TemplateGallery;
+}
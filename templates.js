@@ -1,22 +1,146 @@
 const TEMPLATES = {
   classic: {
     name: "Classic",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Traditional & Professional",
+    category: "professional",
+    atsSafe: true,
+    sections: ["work", "education", "skills", "projects", "certifications"],
+    preview: {
+      className: "classic-preview",
+      html: '<div class="prev-header"></div><div class="prev-line"></div><div class="prev-line short"></div><div class="prev-line"></div>',
+    },
+    colors: { accentColor: "#5d4e37", secondaryColor: "#c9b49a" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.classic.colors,
+        fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="resume-section">
+            <h2>${label("work", "Experience")}</h2>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="entry">
+                <div class="entry-header">
+                  <h3>${job.position || "Position"}</h3>
+                  <span class="date">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</span>
+                </div>
+                <p class="company">${job.name || "Company"}</p>
+                ${job.summary ? `<p>${job.summary}</p>` : ""}
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="resume-section">
+            <h2>${label("education", "Education")}</h2>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="entry">
+                <div class="entry-header">
+                  <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</h3>
+                  <span class="date">${formatDate(
+                    edu.startDate,
+                    edu.endDate
+                  )}</span>
+                </div>
+                <p class="institution">${edu.institution || "Institution"}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <section class="resume-section">
+            <h2>${label("skills", "Skills")}</h2>
+            <div class="skills-grid">
+              ${data.skills
+                .map(
+                  (skill) => `
+                <div class="skill-item">
+                  <strong>${skill.name || "Skill"}</strong>
+                  <p>${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords.join(", ")
+                      : skill.keywords || ""
+                  }</p>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="resume-section">
+            <h2>${label("projects", "Projects")}</h2>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="entry">
+                <h3>${proj.name || "Project"}</h3>
+                ${proj.summary ? `<p>${proj.summary}</p>` : ""}
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        certifications:
+          data.certifications && data.certifications.length
+            ? `
+          <section class="resume-section">
+            <h2>${label("certifications", "Certifications")}</h2>
+            ${data.certifications
+              .map(
+                (cert) => `
+              <div class="entry">
+                <p><strong>${cert.name || "Certification"}</strong>${
+                  cert.issuer ? ` - ${cert.issuer}` : ""
+                }${cert.date ? ` (${cert.date})` : ""}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -40,148 +164,21 @@ const TEMPLATES = {
             }
           </header>
 
-          ${
-            data.work && data.work.length
-              ? `
-            <section class="resume-section">
-              <h2>Experience</h2>
-              ${data.work
-                .map(
-                  (job) => `
-                <div class="entry">
-                  <div class="entry-header">
-                    <h3>${job.position || "Position"}</h3>
-                    <span class="date">${formatDate(
-                      job.startDate,
-                      job.endDate
-                    )}</span>
-                  </div>
-                  <p class="company">${job.name || "Company"}</p>
-                  ${job.summary ? `<p>${job.summary}</p>` : ""}
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <section class="resume-section">
-              <h2>Education</h2>
-              ${data.education
-                .map(
-                  (edu) => `
-                <div class="entry">
-                  <div class="entry-header">
-                    <h3>${edu.studyType || "Degree"} in ${
-                    edu.area || "Field"
-                  }</h3>
-                    <span class="date">${formatDate(
-                      edu.startDate,
-                      edu.endDate
-                    )}</span>
-                  </div>
-                  <p class="institution">${edu.institution || "Institution"}</p>
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.skills && data.skills.length
-              ? `
-            <section class="resume-section">
-              <h2>Skills</h2>
-              <div class="skills-grid">
-                ${data.skills
-                  .map(
-                    (skill) => `
-                  <div class="skill-item">
-                    <strong>${skill.name || "Skill"}</strong>
-                    <p>${
-                      Array.isArray(skill.keywords)
-                        ? skill.keywords.join(", ")
-                        : skill.keywords || ""
-                    }</p>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.projects && data.projects.length
-              ? `
-            <section class="resume-section">
-              <h2>Projects</h2>
-              ${data.projects
-                .map(
-                  (proj) => `
-                <div class="entry">
-                  <h3>${proj.name || "Project"}</h3>
-                  ${proj.summary ? `<p>${proj.summary}</p>` : ""}
-                  ${
-                    proj.keywords && proj.keywords.length
-                      ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                          ", "
-                        )}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.certifications && data.certifications.length
-              ? `
-            <section class="resume-section">
-              <h2>Certifications</h2>
-              ${data.certifications
-                .map(
-                  (cert) => `
-                <div class="entry">
-                  <p><strong>${cert.name || "Certification"}</strong>${
-                    cert.issuer ? ` - ${cert.issuer}` : ""
-                  }${cert.date ? ` (${cert.date})` : ""}</p>
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
+          ${orderSections(sections, sectionOrder)}
         </div>
       `;
 
       const css = `
         .resume-content {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          font-family: ${fontFamily};
           line-height: 1.6;
           color: #000;
-          background: linear-gradient(135deg, #C9B49A 0%, #D4C4B0 100%);
+          background: linear-gradient(135deg, ${secondaryColor} 0%, #D4C4B0 100%);
           padding: 40px;
           border-radius: 8px;
         }
         .resume-header {
-          border-bottom: 3px solid #5D4E37;
+          border-bottom: 3px solid ${accentColor};
           padding-bottom: 20px;
           margin-bottom: 30px;
           background: rgba(255, 255, 255, 0.7);
@@ -207,7 +204,7 @@ const TEMPLATES = {
           flex-wrap: wrap;
         }
         .contact-info span {
-          border-right: 1px solid #5D4E37;
+          border-right: 1px solid ${accentColor};
           padding-right: 15px;
         }
         .contact-info span:last-child {
@@ -224,12 +221,12 @@ const TEMPLATES = {
           background: rgba(255, 255, 255, 0.8);
           padding: 20px;
           border-radius: 8px;
-          border-left: 4px solid #5D4E37;
+          border-left: 4px solid ${accentColor};
         }
         .resume-section h2 {
           font-size: 16px;
           font-weight: 700;
-          border-bottom: 2px solid #5D4E37;
+          border-bottom: 2px solid ${accentColor};
           padding-bottom: 8px;
           margin-bottom: 15px;
           color: #000;
@@ -275,7 +272,7 @@ const TEMPLATES = {
           padding: 8px;
           background: rgba(255, 255, 255, 0.2);
           border-radius: 4px;
-          border: 1px solid #5D4E37;
+          border: 1px solid ${accentColor};
         }
         .skill-item strong {
           font-size: 12px;
@@ -301,22 +298,115 @@ const TEMPLATES = {
 
   modern: {
     name: "Modern",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Clean & Minimal",
+    category: "modern",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "modern-preview",
+      html: '<div class="prev-sidebar"></div><div class="prev-main"><div class="prev-line"></div><div class="prev-line"></div></div>',
+    },
+    colors: { accentColor: "#667eea", secondaryColor: "#764ba2" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.modern.colors,
+        fontFamily: "'Inter', 'Segoe UI', sans-serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="modern-block">
+            <h2>${label("work", "Work Experience")}</h2>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="modern-card">
+                <div class="card-header">
+                  <div>
+                    <h3>${job.position || "Position"}</h3>
+                    <p class="card-subtitle">${job.name || "Company"}</p>
+                  </div>
+                  <span class="card-date">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</span>
+                </div>
+                ${
+                  job.summary
+                    ? `<p class="card-description">${job.summary}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="modern-block">
+            <h2>${label("education", "Education")}</h2>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="modern-card">
+                <div class="card-header">
+                  <div>
+                    <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</h3>
+                    <p class="card-subtitle">${
+                      edu.institution || "Institution"
+                    }</p>
+                  </div>
+                  <span class="card-date">${formatDate(
+                    edu.startDate,
+                    edu.endDate
+                  )}</span>
+                </div>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="modern-block">
+            <h2>${label("projects", "Projects")}</h2>
+            <div class="projects-grid">
+              ${data.projects
+                .map(
+                  (proj) => `
+                <div class="project-card">
+                  <h3>${proj.name || "Project"}</h3>
+                  ${proj.summary ? `<p>${proj.summary}</p>` : ""}
+                  ${
+                    proj.keywords && proj.keywords.length
+                      ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                          ", "
+                        )}</p>`
+                      : ""
+                  }
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -339,7 +429,7 @@ const TEMPLATES = {
               data.basics?.email || data.basics?.phone || data.basics?.location
                 ? `
               <div class="modern-section">
-                <h3>Contact</h3>
+                <h3>${label("contact", "Contact")}</h3>
                 <div class="modern-contact">
                   ${
                     data.basics?.email
@@ -366,7 +456,7 @@ const TEMPLATES = {
               data.skills && data.skills.length
                 ? `
               <div class="modern-section">
-                <h3>Skills</h3>
+                <h3>${label("skills", "Skills")}</h3>
                 <div class="modern-skills">
                   ${data.skills
                     .map(
@@ -394,99 +484,7 @@ const TEMPLATES = {
           </aside>
 
           <main class="modern-main">
-            ${
-              data.work && data.work.length
-                ? `
-              <section class="modern-block">
-                <h2>Work Experience</h2>
-                ${data.work
-                  .map(
-                    (job) => `
-                  <div class="modern-card">
-                    <div class="card-header">
-                      <div>
-                        <h3>${job.position || "Position"}</h3>
-                        <p class="card-subtitle">${job.name || "Company"}</p>
-                      </div>
-                      <span class="card-date">${formatDate(
-                        job.startDate,
-                        job.endDate
-                      )}</span>
-                    </div>
-                    ${
-                      job.summary
-                        ? `<p class="card-description">${job.summary}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.education && data.education.length
-                ? `
-              <section class="modern-block">
-                <h2>Education</h2>
-                ${data.education
-                  .map(
-                    (edu) => `
-                  <div class="modern-card">
-                    <div class="card-header">
-                      <div>
-                        <h3>${edu.studyType || "Degree"} in ${
-                      edu.area || "Field"
-                    }</h3>
-                        <p class="card-subtitle">${
-                          edu.institution || "Institution"
-                        }</p>
-                      </div>
-                      <span class="card-date">${formatDate(
-                        edu.startDate,
-                        edu.endDate
-                      )}</span>
-                    </div>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.projects && data.projects.length
-                ? `
-              <section class="modern-block">
-                <h2>Projects</h2>
-                <div class="projects-grid">
-                  ${data.projects
-                    .map(
-                      (proj) => `
-                    <div class="project-card">
-                      <h3>${proj.name || "Project"}</h3>
-                      ${proj.summary ? `<p>${proj.summary}</p>` : ""}
-                      ${
-                        proj.keywords && proj.keywords.length
-                          ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                              ", "
-                            )}</p>`
-                          : ""
-                      }
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              </section>
-            `
-                : ""
-            }
+            ${orderSections(sections, sectionOrder)}
           </main>
         </div>
       `;
@@ -496,12 +494,12 @@ const TEMPLATES = {
           display: grid;
           grid-template-columns: 280px 1fr;
           gap: 30px;
-          font-family: 'Inter', 'Segoe UI', sans-serif;
+          font-family: ${fontFamily};
           max-width: 1000px;
           margin: 0 auto;
         }
         .modern-sidebar {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(135deg, ${accentColor} 0%, ${secondaryColor} 100%);
           color: white;
           padding: 35px 25px;
           border-radius: 12px;
@@ -586,7 +584,7 @@ const TEMPLATES = {
           color: white;
           position: relative;
           padding-bottom: 12px;
-          background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(90deg, ${accentColor} 0%, ${secondaryColor} 100%);
           padding: 16px 20px;
           border-radius: 8px;
           margin-bottom: 25px;
@@ -599,7 +597,7 @@ const TEMPLATES = {
           margin-bottom: 20px;
           padding: 18px;
           background: #f8f9fa;
-          border-left: 4px solid #667eea;
+          border-left: 4px solid ${accentColor};
           border-radius: 8px;
           transition: all 0.3s ease;
         }
@@ -650,7 +648,7 @@ const TEMPLATES = {
           transition: all 0.3s ease;
         }
         .project-card:hover {
-          border-color: #667eea;
+          border-color: ${accentColor};
           box-shadow: 0 4px 12px rgba(102, 126, 234, 0.1);
         }
         .project-card h3 {
@@ -667,7 +665,7 @@ const TEMPLATES = {
         }
         .project-tech {
           font-size: 11px;
-          color: #667eea;
+          color: ${accentColor};
           margin: 8px 0 0 0;
           font-style: italic;
         }
@@ -684,181 +682,180 @@ const TEMPLATES = {
 
   creative: {
     name: "Creative",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Bold & Colorful",
+    category: "creative",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "creative-preview",
+      html: '<div class="prev-accent"></div><div class="prev-line"></div><div class="prev-line short"></div>',
+    },
+    colors: { accentColor: "#667eea", secondaryColor: "#764ba2" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.creative.colors,
+        fontFamily: "'Poppins', 'Segoe UI', sans-serif",
+        ...options,
       };
 
-      const html = `
-        <div class="resume-content creative-portfolio">
-          <div class="creative-hero">
-            <div class="hero-content">
-              <h1 class="hero-name">${data.basics?.name || "Your Name"}</h1>
-              <p class="hero-title">${
-                data.basics?.label || "Creative Professional"
-              }</p>
-              ${
-                data.basics?.summary
-                  ? `<p class="hero-bio">${data.basics.summary}</p>`
-                  : ""
-              }
-            </div>
-          </div>
-
-          ${
-            data.skills && data.skills.length
-              ? `
-            <div class="stats-container">
-              ${data.skills
-                .slice(0, 3)
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="creative-section">
+            <h2>${label("work", "Work Experience")}</h2>
+            <div class="cards-grid">
+              ${data.work
                 .map(
-                  (skill, idx) => `
-                <div class="stat-card">
-                  <div class="stat-number">${
-                    skill.keywords ? skill.keywords.length : 0
-                  }</div>
-                  <div class="stat-label">${skill.name}</div>
-                </div>
-              `
-                )
-                .join("")}
+                  (job) => `
+                <div class="experience-card">
+                  <div class="card-accent"></div>
+                  <h3>${job.position || "Position"}</h3>
+                  <p class="card-company">${job.name || "Company"}</p>
+                  <p class="card-date">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</p>
+                  ${
+                    job.summary
+                      ? `<p class="card-text">${job.summary}</p>`
+                      : ""
+                  }
+                </div>
+              `
+                )
+                .join("")}
             </div>
-          `
-              : ""
-          }
-
-          ${
-            data.work && data.work.length
-              ? `
-            <section class="creative-section">
-              <h2>Work Experience</h2>
-              <div class="cards-grid">
-                ${data.work
-                  .map(
-                    (job) => `
-                  <div class="experience-card">
-                    <div class="card-accent"></div>
-                    <h3>${job.position || "Position"}</h3>
-                    <p class="card-company">${job.name || "Company"}</p>
-                    <p class="card-date">${formatDate(
-                      job.startDate,
-                      job.endDate
-                    )}</p>
-                    ${
-                      job.summary
-                        ? `<p class="card-text">${job.summary}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <section class="creative-section">
-              <h2>Education</h2>
-              <div class="cards-grid">
-                ${data.education
-                  .map(
-                    (edu) => `
-                  <div class="education-card">
-                    <div class="card-accent-alt"></div>
-                    <h3>${edu.studyType || "Degree"}</h3>
-                    <p class="card-major">${edu.area || "Field"}</p>
-                    <p class="card-school">${
-                      edu.institution || "Institution"
-                    }</p>
-                    <p class="card-date">${formatDate(
-                      edu.startDate,
-                      edu.endDate
-                    )}</p>
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="creative-section">
+            <h2>${label("education", "Education")}</h2>
+            <div class="cards-grid">
+              ${data.education
+                .map(
+                  (edu) => `
+                <div class="education-card">
+                  <div class="card-accent-alt"></div>
+                  <h3>${edu.studyType || "Degree"}</h3>
+                  <p class="card-major">${edu.area || "Field"}</p>
+                  <p class="card-school">${
+                    edu.institution || "Institution"
+                  }</p>
+                  <p class="card-date">${formatDate(
+                    edu.startDate,
+                    edu.endDate
+                  )}</p>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="creative-section">
+            <h2>${label("projects", "Featured Projects")}</h2>
+            <div class="projects-masonry">
+              ${data.projects
+                .map(
+                  (proj, idx) => `
+                <div class="project-card ${
+                  idx % 2 === 0 ? "project-wide" : ""
+                }">
+                  <div class="project-header">
+                    <h3>${proj.name || "Project"}</h3>
                   </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
+                  ${
+                    proj.summary
+                      ? `<p class="project-desc">${proj.summary}</p>`
+                      : ""
+                  }
+                  ${
+                    proj.keywords && proj.keywords.length
+                      ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                          ", "
+                        )}</p>`
+                      : ""
+                  }
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <section class="creative-section">
+            <h2>${label("skills", "Skills & Expertise")}</h2>
+            <div class="skills-cloud">
+              ${data.skills
+                .flatMap((skill) =>
+                  Array.isArray(skill.keywords) ? skill.keywords : []
+                )
+                .map(
+                  (keyword) => `<span class="skill-pill">${keyword}</span>`
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+      };
 
-          ${
-            data.projects && data.projects.length
-              ? `
-            <section class="creative-section">
-              <h2>Featured Projects</h2>
-              <div class="projects-masonry">
-                ${data.projects
-                  .map(
-                    (proj, idx) => `
-                  <div class="project-card ${
-                    idx % 2 === 0 ? "project-wide" : ""
-                  }">
-                    <div class="project-header">
-                      <h3>${proj.name || "Project"}</h3>
-                    </div>
-                    ${
-                      proj.summary
-                        ? `<p class="project-desc">${proj.summary}</p>`
-                        : ""
-                    }
-                    ${
-                      proj.keywords && proj.keywords.length
-                        ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                            ", "
-                          )}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
+      const html = `
+        <div class="resume-content creative-portfolio">
+          <div class="creative-hero">
+            <div class="hero-content">
+              <h1 class="hero-name">${data.basics?.name || "Your Name"}</h1>
+              <p class="hero-title">${
+                data.basics?.label || "Creative Professional"
+              }</p>
+              ${
+                data.basics?.summary
+                  ? `<p class="hero-bio">${data.basics.summary}</p>`
+                  : ""
+              }
+            </div>
+          </div>
 
           ${
             data.skills && data.skills.length
               ? `
-            <section class="creative-section">
-              <h2>Skills & Expertise</h2>
-              <div class="skills-cloud">
-                ${data.skills
-                  .flatMap((skill) =>
-                    Array.isArray(skill.keywords) ? skill.keywords : []
-                  )
-                  .map(
-                    (keyword) => `<span class="skill-pill">${keyword}</span>`
-                  )
-                  .join("")}
-              </div>
-            </section>
+            <div class="stats-container">
+              ${data.skills
+                .slice(0, 3)
+                .map(
+                  (skill, idx) => `
+                <div class="stat-card">
+                  <div class="stat-number">${
+                    skill.keywords ? skill.keywords.length : 0
+                  }</div>
+                  <div class="stat-label">${skill.name}</div>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
           `
               : ""
           }
 
+          ${orderSections(sections, sectionOrder)}
+
           <div class="creative-footer">
             ${
               data.basics?.email
@@ -881,7 +878,7 @@ const TEMPLATES = {
 
       const css = `
         .resume-content.creative-portfolio {
-          font-family: 'Poppins', 'Segoe UI', sans-serif;
+          font-family: ${fontFamily};
           background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
           padding: 40px;
         }
@@ -897,7 +894,7 @@ const TEMPLATES = {
           font-size: 48px;
           font-weight: 800;
           margin: 0 0 10px 0;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(135deg, ${accentColor} 0%, ${secondaryColor} 100%);
           -webkit-background-clip: text;
           -webkit-text-fill-color: transparent;
           background-clip: text;
@@ -937,7 +934,7 @@ const TEMPLATES = {
         .stat-number {
           font-size: 32px;
           font-weight: 800;
-          color: #667eea;
+          color: ${accentColor};
         }
         .stat-label {
           font-size: 12px;
@@ -964,7 +961,7 @@ const TEMPLATES = {
           left: 0;
           width: 60px;
           height: 4px;
-          background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(90deg, ${accentColor} 0%, ${secondaryColor} 100%);
           border-radius: 2px;
         }
         .cards-grid {
@@ -991,7 +988,7 @@ const TEMPLATES = {
           left: 0;
           right: 0;
           height: 4px;
-          background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(90deg, ${accentColor} 0%, ${secondaryColor} 100%);
         }
         .card-accent-alt {
           position: absolute;
@@ -1061,7 +1058,7 @@ const TEMPLATES = {
         }
         .project-tech {
           font-size: 11px;
-          color: #667eea;
+          color: ${accentColor};
           margin: 8px 0 0 0;
           font-style: italic;
         }
@@ -1075,7 +1072,7 @@ const TEMPLATES = {
           box-shadow: 0 4px 15px rgba(0, 0, 0, 0.08);
         }
         .skill-pill {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(135deg, ${accentColor} 0%, ${secondaryColor} 100%);
           color: white;
           padding: 8px 16px;
           border-radius: 20px;
@@ -1119,26 +1116,198 @@ const TEMPLATES = {
 
   tech: {
     name: "Tech",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Developer-Focused",
+    category: "technical",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "tech-preview",
+      html: '<div class="prev-grid"><div class="prev-box"></div><div class="prev-box"></div><div class="prev-box"></div><div class="prev-box"></div></div>',
+    },
+    colors: { accentColor: "#00ff88", secondaryColor: "#00ffff" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.tech.colors,
+        fontFamily: "'Fira Code', 'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
+        ...options,
       };
 
-      // Calculate experience level based on work history
-      const totalYears = data.work ? Math.round(data.work.length * 2.5) : 0;
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Years of experience from the work dates, overlapping roles merged
+      const experience = analyzeExperience(data.work);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        // Work experience command
+        work:
+          data.work && data.work.length
+            ? `
+          <div class="terminal-line">
+            <span class="prompt">$</span>
+            <span class="command">git log --all --oneline --graph</span>
+          </div>
+          <div class="terminal-output">
+            ${data.work
+              .map(
+                (job, idx) => `
+              <div class="output-block">
+                <div class="output-line timeline-node">
+                  <span class="timeline-marker">●</span>
+                  <span class="highlight">${
+                    job.position || "Position"
+                  }</span>
+                </div>
+                <div class="output-line">
+                  <span class="label">Company:</span>
+                  <span class="value">${job.company || "Company"}</span>
+                </div>
+                <div class="output-line">
+                  <span class="label">Period:</span>
+                  <span class="value">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</span>
+                  ${
+                    experience.roles[idx].months
+                      ? `<span class="tenure">(${formatDuration(experience.roles[idx].months, options)})</span>`
+                      : ""
+                  }
+                </div>
+                ${
+                  job.summary
+                    ? `<div class="output-line description">
+                  <span class="label">✓</span> ${job.summary
+                    .substring(0, 180)
+                    .replace(/\n/g, " ")}
+                </div>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+        // Education command
+        education:
+          data.education && data.education.length
+            ? `
+          <div class="terminal-line">
+            <span class="prompt">$</span>
+            <span class="command">ls -lah /usr/local/education/</span>
+          </div>
+          <div class="terminal-output">
+            <div class="output-line">drwxr-xr-x  ${
+              data.education.length
+            }  root  root  ${
+                data.education.length * 4
+              }K  Nov 20 10:45</div>
+            ${data.education
+              .map(
+                (edu, idx) => `
+              <div class="output-line edu-item">
+                <span class="file-icon">📚</span>
+                <span class="label">${edu.studyType || "Degree"}</span>
+                <span class="value">${edu.area || "Field"}</span>
+                <span class="muted">(${
+                  edu.institution || "Institution"
+                })</span>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+        // Skills command
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <div class="terminal-line">
+            <span class="prompt">$</span>
+            <span class="command">source ~/.bashrc && echo \$SKILLS</span>
+          </div>
+          <div class="terminal-output">
+            ${data.skills
+              .map(
+                (skill, idx) => `
+              <div class="skill-category">
+                <div class="output-line skill-header">
+                  <span class="skill-name">[${skill.name}]</span>
+                </div>
+                <div class="output-line skill-items">
+                  ${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords
+                          .map(
+                            (kw) =>
+                              `<span class="skill-badge">${kw}</span>`
+                          )
+                          .join("")
+                      : skill.keywords || ""
+                  }
+                </div>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+        // Projects command
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <div class="terminal-line">
+            <span class="prompt">$</span>
+            <span class="command">find ~/projects -type f -name "*.md" | head -${
+              data.projects.length
+            }</span>
+          </div>
+          <div class="terminal-output">
+            ${data.projects
+              .map(
+                (proj, idx) => `
+              <div class="project-item">
+                <div class="output-line project-name">
+                  <span class="project-icon">🚀</span>
+                  <span class="highlight">${proj.name || "Project"}</span>
+                </div>
+                ${
+                  proj.summary
+                    ? `<div class="output-line project-desc">
+                  ${proj.summary.substring(0, 200).replace(/\n/g, " ")}
+                </div>`
+                    : ""
+                }
+                ${
+                  proj.keywords
+                    ? `<div class="output-line project-tech">
+                  <span class="tech-label">${label("technologies", "Stack")}:</span>
+                  ${
+                    Array.isArray(proj.keywords)
+                      ? proj.keywords
+                          .map(
+                            (tech) =>
+                              `<span class="tech-tag">${tech}</span>`
+                          )
+                          .join("")
+                      : proj.keywords
+                  }
+                </div>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+      };
 
       const html = `
         <div class="resume-content tech-terminal">
@@ -1178,13 +1347,18 @@ ${(
                 <div class="output-line"><span class="output-text">${
                   data.basics?.name || "Professional"
                 }</span></div>
-                <div class="output-line" style="color: #00ff88; font-size: 11px;">
+                <div class="output-line" style="color: ${accentColor}; font-size: 11px;">
                   ${
                     data.basics?.label
                       ? data.basics.label.split("|")[0].trim()
                       : "Full Stack Developer"
                   }
                 </div>
+                ${
+                  experience.totalMonths
+                    ? `<div class="output-line"><span class="label">⏱ ${label("work", "Experience")}:</span> <span class="value">${formatDuration(experience.totalMonths, options)}</span></div>`
+                    : ""
+                }
               </div>
 
               <!-- CONTACT INFO COMMAND -->
@@ -1195,22 +1369,22 @@ ${(
               <div class="terminal-output">
                 ${
                   data.basics?.email
-                    ? `<div class="output-line"><span class="label">📧 Email:</span> <span class="link">${data.basics.email}</span></div>`
+                    ? `<div class="output-line"><span class="label">📧 ${label("email", "Email")}:</span> <span class="link">${data.basics.email}</span></div>`
                     : ""
                 }
                 ${
                   data.basics?.phone
-                    ? `<div class="output-line"><span class="label">📱 Phone:</span> <span class="link">${data.basics.phone}</span></div>`
+                    ? `<div class="output-line"><span class="label">📱 ${label("phone", "Phone")}:</span> <span class="link">${data.basics.phone}</span></div>`
                     : ""
                 }
                 ${
                   data.basics?.url
-                    ? `<div class="output-line"><span class="label">🔗 Web:</span> <span class="link">${data.basics.url}</span></div>`
+                    ? `<div class="output-line"><span class="label">🔗 ${label("website", "Web")}:</span> <span class="link">${data.basics.url}</span></div>`
                     : ""
                 }
                 ${
                   data.basics?.location
-                    ? `<div class="output-line"><span class="label">📍 Location:</span> <span class="value">${data.basics.location}</span></div>`
+                    ? `<div class="output-line"><span class="label">📍 ${label("location", "Location")}:</span> <span class="value">${data.basics.location}</span></div>`
                     : ""
                 }
               </div>
@@ -1233,191 +1407,23 @@ ${(
                   : ""
               }
 
-              <!-- WORK EXPERIENCE COMMAND -->
-              ${
-                data.work && data.work.length
-                  ? `
-                <div class="terminal-line">
-                  <span class="prompt">$</span>
-                  <span class="command">git log --all --oneline --graph</span>
-                </div>
-                <div class="terminal-output">
-                  ${data.work
-                    .map(
-                      (job, idx) => `
-                    <div class="output-block">
-                      <div class="output-line timeline-node">
-                        <span class="timeline-marker">●</span>
-                        <span class="highlight">${
-                          job.position || "Position"
-                        }</span>
-                      </div>
-                      <div class="output-line">
-                        <span class="label">Company:</span>
-                        <span class="value">${job.company || "Company"}</span>
-                      </div>
-                      <div class="output-line">
-                        <span class="label">Period:</span>
-                        <span class="value">${formatDate(
-                          job.startDate,
-                          job.endDate
-                        )}</span>
-                      </div>
-                      ${
-                        job.summary
-                          ? `<div class="output-line description">
-                        <span class="label">✓</span> ${job.summary
-                          .substring(0, 180)
-                          .replace(/\n/g, " ")}
-                      </div>`
-                          : ""
-                      }
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              `
-                  : ""
-              }
+              ${orderSections(sections, sectionOrder)}
 
-              <!-- EDUCATION COMMAND -->
-              ${
-                data.education && data.education.length
-                  ? `
-                <div class="terminal-line">
-                  <span class="prompt">$</span>
-                  <span class="command">ls -lah /usr/local/education/</span>
-                </div>
-                <div class="terminal-output">
-                  <div class="output-line">drwxr-xr-x  ${
-                    data.education.length
-                  }  root  root  ${
-                      data.education.length * 4
-                    }K  Nov 20 10:45</div>
-                  ${data.education
-                    .map(
-                      (edu, idx) => `
-                    <div class="output-line edu-item">
-                      <span class="file-icon">📚</span>
-                      <span class="label">${edu.studyType || "Degree"}</span>
-                      <span class="value">${edu.area || "Field"}</span>
-                      <span class="muted">(${
-                        edu.institution || "Institution"
-                      })</span>
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              `
-                  : ""
-              }
-
-              <!-- SKILLS COMMAND -->
-              ${
-                data.skills && data.skills.length
-                  ? `
-                <div class="terminal-line">
-                  <span class="prompt">$</span>
-                  <span class="command">source ~/.bashrc && echo \$SKILLS</span>
-                </div>
-                <div class="terminal-output">
-                  ${data.skills
-                    .map(
-                      (skill, idx) => `
-                    <div class="skill-category">
-                      <div class="output-line skill-header">
-                        <span class="skill-name">[${skill.name}]</span>
-                      </div>
-                      <div class="output-line skill-items">
-                        ${
-                          Array.isArray(skill.keywords)
-                            ? skill.keywords
-                                .map(
-                                  (kw) =>
-                                    `<span class="skill-badge">${kw}</span>`
-                                )
-                                .join("")
-                            : skill.keywords || ""
-                        }
-                      </div>
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              `
-                  : ""
-              }
-
-              <!-- PROJECTS COMMAND -->
-              ${
-                data.projects && data.projects.length
-                  ? `
-                <div class="terminal-line">
-                  <span class="prompt">$</span>
-                  <span class="command">find ~/projects -type f -name "*.md" | head -${
-                    data.projects.length
-                  }</span>
-                </div>
-                <div class="terminal-output">
-                  ${data.projects
-                    .map(
-                      (proj, idx) => `
-                    <div class="project-item">
-                      <div class="output-line project-name">
-                        <span class="project-icon">🚀</span>
-                        <span class="highlight">${proj.name || "Project"}</span>
-                      </div>
-                      ${
-                        proj.summary
-                          ? `<div class="output-line project-desc">
-                        ${proj.summary.substring(0, 200).replace(/\n/g, " ")}
-                      </div>`
-                          : ""
-                      }
-                      ${
-                        proj.keywords
-                          ? `<div class="output-line project-tech">
-                        <span class="tech-label">Stack:</span>
-                        ${
-                          Array.isArray(proj.keywords)
-                            ? proj.keywords
-                                .map(
-                                  (tech) =>
-                                    `<span class="tech-tag">${tech}</span>`
-                                )
-                                .join("")
-                            : proj.keywords
-                        }
-                      </div>`
-                          : ""
-                      }
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              `
-                  : ""
-              }
-
-              <!-- FOOTER -->
-              <div class="terminal-line">
-                <span class="prompt">$</span>
-                <span class="blink">_</span>
-              </div>
-            </div>
-          </div>
-        </div>
-      `;
+              <!-- FOOTER -->
+              <div class="terminal-line">
+                <span class="prompt">$</span>
+                <span class="blink">_</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      `;
 
       const css = `
         .resume-content.tech-terminal {
           background: #0a0e27;
           color: #0fff50;
-          font-family: 'Fira Code', 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+          font-family: ${fontFamily};
           padding: 30px 20px;
           min-height: 100vh;
           line-height: 1.5;
@@ -1426,7 +1432,7 @@ ${(
         .ascii-header {
           text-align: center;
           margin: 50px auto 50px auto;
-          color: #00ff88;
+          color: ${accentColor};
           opacity: 0.8;
           font-size: 11px;
           font-weight: bold;
@@ -1490,14 +1496,14 @@ ${(
         }
 
         .btn-maximize {
-          background: #00ff88;
+          background: ${accentColor};
           box-shadow: 0 0 10px rgba(0, 255, 136, 0.5);
         }
 
         .terminal-title {
           font-size: 11px;
           margin-left: 12px;
-          color: #00ff88;
+          color: ${accentColor};
           flex: 1;
           text-align: center;
           letter-spacing: 1px;
@@ -1575,18 +1581,18 @@ ${(
         }
 
         .output-line.highlight {
-          color: #00ffff;
+          color: ${secondaryColor};
           font-weight: bold;
           text-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
         }
 
         .output-line.timeline-node {
-          color: #00ff88;
+          color: ${accentColor};
           font-weight: bold;
         }
 
         .timeline-marker {
-          color: #00ff88;
+          color: ${accentColor};
           font-size: 14px;
         }
 
@@ -1597,13 +1603,13 @@ ${(
         }
 
         .output-line.summary-text {
-          color: #00ff88;
+          color: ${accentColor};
           font-style: italic;
           margin: 8px 0;
         }
 
         .output-line.edu-item {
-          color: #00ff88;
+          color: ${accentColor};
           padding: 5px 0;
         }
 
@@ -1614,7 +1620,7 @@ ${(
         }
 
         .output-text {
-          color: #00ffff;
+          color: ${secondaryColor};
           font-weight: bold;
           text-shadow: 0 0 8px rgba(0, 255, 255, 0.4);
         }
@@ -1626,11 +1632,16 @@ ${(
         }
 
         .value {
-          color: #00ff88;
+          color: ${accentColor};
+        }
+
+        .tenure {
+          color: #666688;
+          margin-left: 6px;
         }
 
         .link {
-          color: #00ffff;
+          color: ${secondaryColor};
           text-decoration: underline;
           cursor: pointer;
         }
@@ -1648,11 +1659,11 @@ ${(
           margin-bottom: 10px;
           padding: 8px;
           background: rgba(15, 255, 80, 0.05);
-          border-left: 2px solid #00ff88;
+          border-left: 2px solid ${accentColor};
         }
 
         .skill-header {
-          color: #00ffff;
+          color: ${secondaryColor};
           font-weight: bold;
           text-shadow: 0 0 8px rgba(0, 255, 255, 0.3);
         }
@@ -1667,8 +1678,8 @@ ${(
         .skill-badge {
           display: inline-block;
           background: rgba(0, 255, 136, 0.1);
-          border: 1px solid #00ff88;
-          color: #00ff88;
+          border: 1px solid ${accentColor};
+          color: ${accentColor};
           padding: 3px 8px;
           border-radius: 3px;
           font-size: 11px;
@@ -1682,13 +1693,13 @@ ${(
 
         .project-item {
           background: rgba(0, 255, 255, 0.05);
-          border-left: 3px solid #00ffff;
+          border-left: 3px solid ${secondaryColor};
           padding: 10px;
           margin-bottom: 12px;
         }
 
         .project-name {
-          color: #00ffff;
+          color: ${secondaryColor};
           font-weight: bold;
           font-size: 13px;
           text-shadow: 0 0 10px rgba(0, 255, 255, 0.4);
@@ -1706,7 +1717,7 @@ ${(
         }
 
         .project-tech {
-          color: #00ff88;
+          color: ${accentColor};
           font-size: 11px;
           margin-left: 26px;
           margin-top: 6px;
@@ -1723,8 +1734,8 @@ ${(
         .tech-tag {
           display: inline-block;
           background: rgba(0, 255, 136, 0.1);
-          border: 1px solid #00ff88;
-          color: #00ff88;
+          border: 1px solid ${accentColor};
+          color: ${accentColor};
           padding: 2px 6px;
           border-radius: 2px;
           font-size: 10px;
@@ -1788,22 +1799,140 @@ ${(
 
   executive: {
     name: "Executive",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Senior Leadership",
+    category: "professional",
+    atsSafe: true,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "executive-preview",
+      html: '<div class="prev-header elegant"></div><div class="prev-line"></div><div class="prev-line"></div>',
+    },
+    colors: { accentColor: "#1a1a1a", secondaryColor: "#666666" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.executive.colors,
+        fontFamily: "'Georgia', 'Times New Roman', serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="formal-section">
+            <h2>${label("work", "PROFESSIONAL HISTORY")}</h2>
+            <div class="section-divider">───────────────────────────────────────────────────────────────</div>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="formal-entry">
+                <div class="entry-header">
+                  <h3>${job.position || "Position"} | ${
+                  job.name || "Company"
+                }</h3>
+                  <span class="entry-date">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</span>
+                </div>
+                ${
+                  job.summary
+                    ? `<p class="formal-text">${job.summary}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="formal-section">
+            <h2>${label("education", "ACADEMIC CREDENTIALS")}</h2>
+            <div class="section-divider">───────────────────────────────────────────────────────────────</div>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="formal-entry compact">
+                <div class="entry-header">
+                  <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</h3>
+                  <span class="entry-date">${formatDate(
+                    edu.startDate,
+                    edu.endDate
+                  )}</span>
+                </div>
+                <p class="institution">${edu.institution || "Institution"}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <section class="formal-section">
+            <h2>${label("skills", "CORE COMPETENCIES")}</h2>
+            <div class="section-divider">───────────────────────────────────────────────────────────────</div>
+            <div class="competencies-grid">
+              ${data.skills
+                .map(
+                  (skill) => `
+                <div class="competency-block">
+                  <strong>${skill.name || "Skill"}:</strong>
+                  <span>${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords.join(", ")
+                      : skill.keywords || ""
+                  }</span>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="formal-section">
+            <h2>${label("projects", "KEY INITIATIVES")}</h2>
+            <div class="section-divider">───────────────────────────────────────────────────────────────</div>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="formal-entry compact">
+                <h3>▸ ${proj.name || "Project"}</h3>
+                ${
+                  proj.summary
+                    ? `<p class="formal-text">${proj.summary}</p>`
+                    : ""
+                }
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -1835,7 +1964,7 @@ ${(
             data.basics?.summary
               ? `
             <section class="formal-section">
-              <h2>EXECUTIVE PROFILE</h2>
+              <h2>${label("summary", "EXECUTIVE PROFILE")}</h2>
               <div class="section-divider">───────────────────────────────────────────────────────────────</div>
               <p class="formal-text">${data.basics.summary}</p>
             </section>
@@ -1843,126 +1972,7 @@ ${(
               : ""
           }
 
-          ${
-            data.work && data.work.length
-              ? `
-            <section class="formal-section">
-              <h2>PROFESSIONAL HISTORY</h2>
-              <div class="section-divider">───────────────────────────────────────────────────────────────</div>
-              ${data.work
-                .map(
-                  (job) => `
-                <div class="formal-entry">
-                  <div class="entry-header">
-                    <h3>${job.position || "Position"} | ${
-                    job.name || "Company"
-                  }</h3>
-                    <span class="entry-date">${formatDate(
-                      job.startDate,
-                      job.endDate
-                    )}</span>
-                  </div>
-                  ${
-                    job.summary
-                      ? `<p class="formal-text">${job.summary}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <section class="formal-section">
-              <h2>ACADEMIC CREDENTIALS</h2>
-              <div class="section-divider">───────────────────────────────────────────────────────────────</div>
-              ${data.education
-                .map(
-                  (edu) => `
-                <div class="formal-entry compact">
-                  <div class="entry-header">
-                    <h3>${edu.studyType || "Degree"} in ${
-                    edu.area || "Field"
-                  }</h3>
-                    <span class="entry-date">${formatDate(
-                      edu.startDate,
-                      edu.endDate
-                    )}</span>
-                  </div>
-                  <p class="institution">${edu.institution || "Institution"}</p>
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.skills && data.skills.length
-              ? `
-            <section class="formal-section">
-              <h2>CORE COMPETENCIES</h2>
-              <div class="section-divider">───────────────────────────────────────────────────────────────</div>
-              <div class="competencies-grid">
-                ${data.skills
-                  .map(
-                    (skill) => `
-                  <div class="competency-block">
-                    <strong>${skill.name || "Skill"}:</strong>
-                    <span>${
-                      Array.isArray(skill.keywords)
-                        ? skill.keywords.join(", ")
-                        : skill.keywords || ""
-                    }</span>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.projects && data.projects.length
-              ? `
-            <section class="formal-section">
-              <h2>KEY INITIATIVES</h2>
-              <div class="section-divider">───────────────────────────────────────────────────────────────</div>
-              ${data.projects
-                .map(
-                  (proj) => `
-                <div class="formal-entry compact">
-                  <h3>▸ ${proj.name || "Project"}</h3>
-                  ${
-                    proj.summary
-                      ? `<p class="formal-text">${proj.summary}</p>`
-                      : ""
-                  }
-                  ${
-                    proj.keywords && proj.keywords.length
-                      ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                          ", "
-                        )}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
+          ${orderSections(sections, sectionOrder)}
 
           <div class="formal-footer">
             ═══════════════════════════════════════════════════════════════
@@ -1972,8 +1982,8 @@ ${(
 
       const css = `
         .resume-content.executive-formal {
-          font-family: 'Georgia', 'Times New Roman', serif;
-          color: #1a1a1a;
+          font-family: ${fontFamily};
+          color: ${accentColor};
           max-width: 850px;
           margin: 0 auto;
           background: #ffffff;
@@ -1987,7 +1997,7 @@ ${(
         }
         .header-divider {
           font-size: 12px;
-          color: #1a1a1a;
+          color: ${accentColor};
           letter-spacing: 2px;
           margin-bottom: 12px;
         }
@@ -2025,7 +2035,7 @@ ${(
         }
         .section-divider {
           font-size: 11px;
-          color: #666;
+          color: ${secondaryColor};
           letter-spacing: 1px;
           margin-bottom: 12px;
           display: block;
@@ -2057,13 +2067,13 @@ ${(
         }
         .entry-date {
           font-size: 10px;
-          color: #666;
+          color: ${secondaryColor};
           white-space: nowrap;
           font-weight: 500;
         }
         .institution {
           font-size: 11px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 4px 0 0 0;
           font-style: italic;
         }
@@ -2075,7 +2085,7 @@ ${(
         }
         .project-tech {
           font-size: 10px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 4px 0 0 0;
           font-style: italic;
         }
@@ -2094,12 +2104,12 @@ ${(
           margin-bottom: 2px;
         }
         .competency-block span {
-          color: #666;
+          color: ${secondaryColor};
         }
         .formal-footer {
           text-align: center;
           font-size: 12px;
-          color: #1a1a1a;
+          color: ${accentColor};
           letter-spacing: 2px;
           margin-top: 20px;
           padding-top: 15px;
@@ -2117,22 +2127,113 @@ ${(
 
   compact: {
     name: "Compact",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Two-Column Layout",
+    category: "modern",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "compact-preview",
+      html: '<div class="prev-columns"><div class="prev-col"><div class="prev-line short"></div><div class="prev-line short"></div></div><div class="prev-col"><div class="prev-line short"></div><div class="prev-line short"></div></div></div>',
+    },
+    colors: { accentColor: "#000000", secondaryColor: "#666666" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.compact.colors,
+        fontFamily: "'Helvetica', 'Arial', sans-serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="swiss-block">
+            <h2>${label("work", "Experience")}</h2>
+            <div class="timeline-grid">
+              ${data.work
+                .map(
+                  (job) => `
+                <div class="timeline-entry">
+                  <div class="entry-date">${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )}</div>
+                  <div class="entry-content">
+                    <h3>${job.position || "Position"}</h3>
+                    <p class="company">${job.name || "Company"}</p>
+                    ${
+                      job.summary
+                        ? `<p class="description">${job.summary}</p>`
+                        : ""
+                    }
+                  </div>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="swiss-block">
+            <h2>${label("education", "Education")}</h2>
+            <div class="timeline-grid">
+              ${data.education
+                .map(
+                  (edu) => `
+                <div class="timeline-entry">
+                  <div class="entry-date">${formatDate(
+                    edu.startDate,
+                    edu.endDate
+                  )}</div>
+                  <div class="entry-content">
+                    <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                    edu.area || "Field"
+                  }</h3>
+                    <p class="institution">${
+                      edu.institution || "Institution"
+                    }</p>
+                  </div>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="swiss-block">
+            <h2>${label("projects", "Projects")}</h2>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="project-item">
+                <h3>${proj.name}</h3>
+                ${proj.summary ? `<p>${proj.summary}</p>` : ""}
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -2150,7 +2251,7 @@ ${(
                 data.basics?.location
                   ? `
                 <section class="swiss-box">
-                  <h3>Contact</h3>
+                  <h3>${label("contact", "Contact")}</h3>
                   ${data.basics?.email ? `<p>📧 ${data.basics.email}</p>` : ""}
                   ${data.basics?.phone ? `<p>📱 ${data.basics.phone}</p>` : ""}
                   ${
@@ -2167,7 +2268,7 @@ ${(
                 data.skills && data.skills.length
                   ? `
                 <section class="swiss-box">
-                  <h3>Skills</h3>
+                  <h3>${label("skills", "Skills")}</h3>
                   ${data.skills
                     .map(
                       (skill) => `
@@ -2203,105 +2304,15 @@ ${(
                   : ""
               }
 
-              ${
-                data.work && data.work.length
-                  ? `
-                <section class="swiss-block">
-                  <h2>Experience</h2>
-                  <div class="timeline-grid">
-                    ${data.work
-                      .map(
-                        (job) => `
-                      <div class="timeline-entry">
-                        <div class="entry-date">${formatDate(
-                          job.startDate,
-                          job.endDate
-                        )}</div>
-                        <div class="entry-content">
-                          <h3>${job.position || "Position"}</h3>
-                          <p class="company">${job.name || "Company"}</p>
-                          ${
-                            job.summary
-                              ? `<p class="description">${job.summary}</p>`
-                              : ""
-                          }
-                        </div>
-                      </div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </section>
-              `
-                  : ""
-              }
-
-              ${
-                data.education && data.education.length
-                  ? `
-                <section class="swiss-block">
-                  <h2>Education</h2>
-                  <div class="timeline-grid">
-                    ${data.education
-                      .map(
-                        (edu) => `
-                      <div class="timeline-entry">
-                        <div class="entry-date">${formatDate(
-                          edu.startDate,
-                          edu.endDate
-                        )}</div>
-                        <div class="entry-content">
-                          <h3>${edu.studyType || "Degree"} in ${
-                          edu.area || "Field"
-                        }</h3>
-                          <p class="institution">${
-                            edu.institution || "Institution"
-                          }</p>
-                        </div>
-                      </div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </section>
-              `
-                  : ""
-              }
-
-              ${
-                data.projects && data.projects.length
-                  ? `
-                <section class="swiss-block">
-                  <h2>Projects</h2>
-                  ${data.projects
-                    .map(
-                      (proj) => `
-                    <div class="project-item">
-                      <h3>${proj.name}</h3>
-                      ${proj.summary ? `<p>${proj.summary}</p>` : ""}
-                      ${
-                        proj.keywords && proj.keywords.length
-                          ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                              ", "
-                            )}</p>`
-                          : ""
-                      }
-                    </div>
-                  `
-                    )
-                    .join("")}
-                </section>
-              `
-                  : ""
-              }
-            </main>
-          </div>
-        </div>
-      `;
+              ${orderSections(sections, sectionOrder)}
+            </main>
+          </div>
+        </div>
+      `;
 
       const css = `
         .resume-content.swiss-grid {
-          font-family: 'Helvetica', 'Arial', sans-serif;
+          font-family: ${fontFamily};
           color: #222;
           max-width: 900px;
           margin: 0 auto;
@@ -2312,7 +2323,7 @@ ${(
         .swiss-header {
           margin-bottom: 30px;
           padding-bottom: 20px;
-          border-bottom: 1px solid #000;
+          border-bottom: 1px solid ${accentColor};
         }
         .swiss-header h1 {
           font-size: 28px;
@@ -2391,7 +2402,7 @@ ${(
           letter-spacing: 1px;
           text-transform: uppercase;
           padding-bottom: 6px;
-          border-bottom: 1px solid #000;
+          border-bottom: 1px solid ${accentColor};
         }
         .timeline-grid {
           display: flex;
@@ -2406,7 +2417,7 @@ ${(
         .entry-date {
           font-size: 10px;
           font-weight: 600;
-          color: #666;
+          color: ${secondaryColor};
         }
         .entry-content h3 {
           font-size: 11px;
@@ -2415,7 +2426,7 @@ ${(
         }
         .company, .institution {
           font-size: 10px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 0;
           font-weight: 500;
         }
@@ -2429,7 +2440,7 @@ ${(
           margin-bottom: 12px;
           padding: 10px;
           background: #f9f9f9;
-          border-left: 2px solid #000;
+          border-left: 2px solid ${accentColor};
         }
         .project-item h3 {
           font-size: 10px;
@@ -2439,11 +2450,11 @@ ${(
         .project-item p {
           font-size: 9px;
           margin: 0;
-          color: #666;
+          color: ${secondaryColor};
         }
         .project-tech {
           font-size: 9px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 4px 0 0 0;
           font-style: italic;
         }
@@ -2455,22 +2466,125 @@ ${(
 
   minimal: {
     name: "Minimal",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Ultra-Clean",
+    category: "modern",
+    atsSafe: true,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "minimal-preview",
+      html: '<div class="prev-header minimal"></div><div class="prev-line"></div><div class="prev-line short"></div>',
+    },
+    colors: { accentColor: "#2c3e50", secondaryColor: "#7f8c8d" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.minimal.colors,
+        fontFamily: "'Segoe UI', 'Helvetica Neue', sans-serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="zen-section">
+            <h2>${label("work", "Experience")}</h2>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="zen-entry">
+                <div class="zen-entry-header">
+                  <h3>${job.position || "Position"}</h3>
+                  <span>${formatDate(job.startDate, job.endDate)}</span>
+                </div>
+                <p class="zen-company">${job.name || "Company"}</p>
+                ${job.summary ? `<p class="zen-text">${job.summary}</p>` : ""}
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="zen-section">
+            <h2>${label("education", "Education")}</h2>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="zen-entry">
+                <div class="zen-entry-header">
+                  <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</h3>
+                  <span>${formatDate(edu.startDate, edu.endDate)}</span>
+                </div>
+                <p class="zen-company">${edu.institution || "Institution"}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <section class="zen-section">
+            <h2>${label("skills", "Skills")}</h2>
+            <div class="zen-skills">
+              ${data.skills
+                .map(
+                  (skill) => `
+                <div class="skill-item">
+                  <strong>${skill.name}</strong>
+                  <p>${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords.join(", ")
+                      : skill.keywords || ""
+                  }</p>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="zen-section">
+            <h2>${label("projects", "Projects")}</h2>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="zen-entry">
+                <h3>${proj.name}</h3>
+                ${
+                  proj.summary
+                    ? `<p class="zen-text">${proj.summary}</p>`
+                    : ""
+                }
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="zen-text"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -2495,118 +2609,14 @@ ${(
             }
           </div>
 
-          ${
-            data.work && data.work.length
-              ? `
-            <section class="zen-section">
-              <h2>Experience</h2>
-              ${data.work
-                .map(
-                  (job) => `
-                <div class="zen-entry">
-                  <div class="zen-entry-header">
-                    <h3>${job.position || "Position"}</h3>
-                    <span>${formatDate(job.startDate, job.endDate)}</span>
-                  </div>
-                  <p class="zen-company">${job.name || "Company"}</p>
-                  ${job.summary ? `<p class="zen-text">${job.summary}</p>` : ""}
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <section class="zen-section">
-              <h2>Education</h2>
-              ${data.education
-                .map(
-                  (edu) => `
-                <div class="zen-entry">
-                  <div class="zen-entry-header">
-                    <h3>${edu.studyType || "Degree"} in ${
-                    edu.area || "Field"
-                  }</h3>
-                    <span>${formatDate(edu.startDate, edu.endDate)}</span>
-                  </div>
-                  <p class="zen-company">${edu.institution || "Institution"}</p>
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.skills && data.skills.length
-              ? `
-            <section class="zen-section">
-              <h2>Skills</h2>
-              <div class="zen-skills">
-                ${data.skills
-                  .map(
-                    (skill) => `
-                  <div class="skill-item">
-                    <strong>${skill.name}</strong>
-                    <p>${
-                      Array.isArray(skill.keywords)
-                        ? skill.keywords.join(", ")
-                        : skill.keywords || ""
-                    }</p>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </div>
-            </section>
-          `
-              : ""
-          }
-
-          ${
-            data.projects && data.projects.length
-              ? `
-            <section class="zen-section">
-              <h2>Projects</h2>
-              ${data.projects
-                .map(
-                  (proj) => `
-                <div class="zen-entry">
-                  <h3>${proj.name}</h3>
-                  ${
-                    proj.summary
-                      ? `<p class="zen-text">${proj.summary}</p>`
-                      : ""
-                  }
-                  ${
-                    proj.keywords && proj.keywords.length
-                      ? `<p class="zen-text"><strong>Tech:</strong> ${proj.keywords.join(
-                          ", "
-                        )}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </section>
-          `
-              : ""
-          }
+          ${orderSections(sections, sectionOrder)}
         </div>
       `;
 
       const css = `
         .resume-content.zen-minimal {
-          font-family: 'Segoe UI', 'Helvetica Neue', sans-serif;
-          color: #2c3e50;
+          font-family: ${fontFamily};
+          color: ${accentColor};
           background: #fafafa;
           max-width: 850px;
           margin: 0 auto;
@@ -2644,7 +2654,7 @@ ${(
           display: flex;
           gap: 20px;
           font-size: 11px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
           border-bottom: 1px solid #ecf0f1;
           flex-wrap: wrap;
         }
@@ -2660,7 +2670,7 @@ ${(
           text-transform: uppercase;
           letter-spacing: 2px;
           margin: 0 0 28px 0;
-          color: #2c3e50;
+          color: ${accentColor};
           padding-bottom: 12px;
           border-bottom: 2px solid #ecf0f1;
         }
@@ -2681,7 +2691,7 @@ ${(
           font-size: 13px;
           margin: 0;
           font-weight: 600;
-          color: #2c3e50;
+          color: ${accentColor};
           flex: 1;
         }
         .zen-entry-header span {
@@ -2692,7 +2702,7 @@ ${(
         }
         .zen-company {
           font-size: 11px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
           margin: 0 0 8px 0;
           font-weight: 500;
         }
@@ -2717,18 +2727,18 @@ ${(
           font-size: 12px;
           font-weight: 600;
           margin-bottom: 8px;
-          color: #2c3e50;
+          color: ${accentColor};
         }
         .skill-item p {
           font-size: 11px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
           margin: 0;
           line-height: 1.5;
           font-weight: 300;
         }
         .project-tech {
           font-size: 11px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
           margin: 8px 0 0 0;
           font-style: italic;
           font-weight: 300;
@@ -2741,25 +2751,135 @@ ${(
 
   colorful: {
     name: "Colorful",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Vibrant & Fun",
+    category: "creative",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "colorful-preview",
+      html: '<div class="prev-accent colorful"></div><div class="prev-box"></div><div class="prev-box"></div>',
+    },
+    colors: { accentColor: "#667eea", secondaryColor: "#764ba2" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.colorful.colors,
+        fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+        ...options,
       };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
       const colors = ["#FF6B6B", "#4ECDC4", "#45B7D1", "#FFA07A", "#98D8C8"];
 
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="colorful-section" style="border-top: 4px solid ${
+            colors[0]
+          }">
+            <h2>${label("work", "Experience")}</h2>
+            ${data.work
+              .map(
+                (job, idx) => `
+              <div class="colorful-item" style="border-left: 3px solid ${
+                colors[idx % colors.length]
+              }">
+                <h3>${job.position || "Position"}</h3>
+                <p class="company">${job.name || "Company"}</p>
+                <p class="date">${formatDate(
+                  job.startDate,
+                  job.endDate
+                )}</p>
+                ${job.summary ? `<p>${job.summary}</p>` : ""}
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="colorful-section" style="border-top: 4px solid ${
+            colors[1]
+          }">
+            <h2>${label("education", "Education")}</h2>
+            ${data.education
+              .map(
+                (edu, idx) => `
+              <div class="colorful-item" style="border-left: 3px solid ${
+                colors[(idx + 2) % colors.length]
+              }">
+                <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</h3>
+                <p class="company">${edu.institution || "Institution"}</p>
+                <p class="date">${formatDate(
+                  edu.startDate,
+                  edu.endDate
+                )}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <section class="colorful-section" style="border-top: 4px solid ${
+            colors[2]
+          }">
+            <h2>${label("skills", "Skills")}</h2>
+            <div class="skill-badges">
+              ${data.skills
+                .map(
+                  (skill, idx) => `
+                <span class="badge" style="background: ${
+                  colors[idx % colors.length]
+                }">${skill.name}</span>
+              `
+                )
+                .join("")}
+            </div>
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="colorful-section" style="border-top: 4px solid ${
+            colors[3]
+          }">
+            <h2>${label("projects", "Projects")}</h2>
+            ${data.projects
+              .map(
+                (proj, idx) => `
+              <div class="colorful-item" style="border-left: 3px solid ${
+                colors[(idx + 1) % colors.length]
+              }">
+                <h3>${proj.name || "Project"}</h3>
+                ${proj.summary ? `<p>${proj.summary}</p>` : ""}
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="project-tech"><strong>${label("technologies", "Tech")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+      };
+
       const html = `
         <div class="resume-content colorful">
           <div class="header-colorful">
@@ -2774,128 +2894,17 @@ ${(
           }
 
           <div class="colorful-grid">
-            ${
-              data.work && data.work.length
-                ? `
-              <section class="colorful-section" style="border-top: 4px solid ${
-                colors[0]
-              }">
-                <h2>Experience</h2>
-                ${data.work
-                  .map(
-                    (job, idx) => `
-                  <div class="colorful-item" style="border-left: 3px solid ${
-                    colors[idx % colors.length]
-                  }">
-                    <h3>${job.position || "Position"}</h3>
-                    <p class="company">${job.name || "Company"}</p>
-                    <p class="date">${formatDate(
-                      job.startDate,
-                      job.endDate
-                    )}</p>
-                    ${job.summary ? `<p>${job.summary}</p>` : ""}
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.education && data.education.length
-                ? `
-              <section class="colorful-section" style="border-top: 4px solid ${
-                colors[1]
-              }">
-                <h2>Education</h2>
-                ${data.education
-                  .map(
-                    (edu, idx) => `
-                  <div class="colorful-item" style="border-left: 3px solid ${
-                    colors[(idx + 2) % colors.length]
-                  }">
-                    <h3>${edu.studyType || "Degree"} in ${
-                      edu.area || "Field"
-                    }</h3>
-                    <p class="company">${edu.institution || "Institution"}</p>
-                    <p class="date">${formatDate(
-                      edu.startDate,
-                      edu.endDate
-                    )}</p>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.skills && data.skills.length
-                ? `
-              <section class="colorful-section" style="border-top: 4px solid ${
-                colors[2]
-              }">
-                <h2>Skills</h2>
-                <div class="skill-badges">
-                  ${data.skills
-                    .map(
-                      (skill, idx) => `
-                    <span class="badge" style="background: ${
-                      colors[idx % colors.length]
-                    }">${skill.name}</span>
-                  `
-                    )
-                    .join("")}
-                </div>
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.projects && data.projects.length
-                ? `
-              <section class="colorful-section" style="border-top: 4px solid ${
-                colors[3]
-              }">
-                <h2>Projects</h2>
-                ${data.projects
-                  .map(
-                    (proj, idx) => `
-                  <div class="colorful-item" style="border-left: 3px solid ${
-                    colors[(idx + 1) % colors.length]
-                  }">
-                    <h3>${proj.name || "Project"}</h3>
-                    ${proj.summary ? `<p>${proj.summary}</p>` : ""}
-                    ${
-                      proj.keywords && proj.keywords.length
-                        ? `<p class="project-tech"><strong>Tech:</strong> ${proj.keywords.join(
-                            ", "
-                          )}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
+            ${orderSections(sections, sectionOrder)}
           </div>
         </div>
       `;
 
       const css = `
         .resume-content.colorful {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          font-family: ${fontFamily};
         }
         .header-colorful {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          background: linear-gradient(135deg, ${accentColor} 0%, ${secondaryColor} 100%);
           color: white;
           padding: 25px;
           border-radius: 8px;
@@ -2985,35 +2994,158 @@ ${(
 
   dark: {
     name: "Dark",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Modern Dark Mode",
+    category: "modern",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "dark-preview",
+      html: '<div class="prev-header dark"></div><div class="prev-line dark"></div><div class="prev-line dark short"></div>',
+    },
+    colors: { accentColor: "#00ffff", secondaryColor: "#ff00ff" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.dark.colors,
+        fontFamily: "'Courier New', monospace",
+        ...options,
       };
 
-      const html = `
-        <div class="resume-content cyberpunk-dark">
-          <div class="cyberpunk-container">
-            <div class="cyberpunk-header">
-              <div class="header-border-top">╔═══════════════════════════════════════╗</div>
-              <div class="header-content">
-                <h1 class="name-glitch">${data.basics?.name || "Your Name"}</h1>
-                <div class="title-line">█ ${(
-                  data.basics?.label || "Professional"
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <div class="experience-block">
+            <div class="block-header">▸ EXPERIENCE_LOGS [${
+              data.work.length
+            }/${data.work.length}]</div>
+            <div class="block-content">
+              ${data.work
+                .map(
+                  (job, idx) => `
+                <div class="entry-box">
+                  <div class="entry-border">┌─ ${formatDate(
+                    job.startDate,
+                    job.endDate
+                  )} ─┐</div>
+                  <div class="entry-title"><span class="neon-magenta">[${
+                    idx + 1
+                  }]</span> ${job.position || "Position"}</div>
+                  <div class="entry-subtitle">${
+                    job.name || "Company"
+                  }</div>
+                  <div class="entry-desc indent">${(
+                    job.summary || ""
+                  ).substring(0, 120)}...</div>
+                  <div class="entry-border">└────────────────────────┘</div>
+                </div>
+              `
                 )
-                  .split("|")[0]
+                .join("")}
+            </div>
+          </div>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <div class="education-block">
+            <div class="block-header">▸ KNOWLEDGE_BASE [${
+              data.education.length
+            }/${data.education.length}]</div>
+            <div class="block-content">
+              ${data.education
+                .map(
+                  (edu) => `
+                <div class="data-line">
+                  <span class="neon-green">📚</span> ${
+                    edu.studyType
+                  } - <span class="neon-cyan">${edu.area}</span>
+                </div>
+                <div class="data-line indent">${
+                  edu.institution
+                } (${formatDate(edu.startDate, edu.endDate)})</div>
+              `
+                )
+                .join("")}
+            </div>
+          </div>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <div class="skills-block">
+            <div class="block-header">▸ CAPABILITIES [${
+              data.skills.length
+            }/7]</div>
+            <div class="block-content">
+              ${data.skills
+                .map(
+                  (skill) => `
+                <div class="skill-line">
+                  <span class="neon-magenta">[${skill.name}]</span>
+                  <span class="skill-bar">████████████████</span>
+                  <span class="neon-green">${
+                    Array.isArray(skill.keywords)
+                      ? skill.keywords.slice(0, 3).join(", ")
+                      : ""
+                  }</span>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </div>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <div class="projects-block">
+            <div class="block-header">▸ PROJECTS_INDEXED [${
+              data.projects.length
+            }/5]</div>
+            <div class="block-content">
+              ${data.projects
+                .map(
+                  (proj, idx) => `
+                <div class="project-box">
+                  <div class="project-title"><span class="neon-cyan">❱</span> ${
+                    proj.name
+                  }</div>
+                  <div class="project-tech">tech: <span class="neon-magenta">${
+                    Array.isArray(proj.keywords)
+                      ? proj.keywords.join(", ")
+                      : ""
+                  }</span></div>
+                  <div class="project-desc">${(
+                    proj.summary || ""
+                  ).substring(0, 100)}...</div>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </div>
+        `
+            : "",
+      };
+
+      const html = `
+        <div class="resume-content cyberpunk-dark">
+          <div class="cyberpunk-container">
+            <div class="cyberpunk-header">
+              <div class="header-border-top">╔═══════════════════════════════════════╗</div>
+              <div class="header-content">
+                <h1 class="name-glitch">${data.basics?.name || "Your Name"}</h1>
+                <div class="title-line">█ ${(
+                  data.basics?.label || "Professional"
+                )
+                  .split("|")[0]
                   .trim()}</div>
               </div>
               <div class="header-border-bottom">╚═══════════════════════════════════════╝</div>
@@ -3025,142 +3157,18 @@ ${(
                 <div class="block-content">
                   ${
                     data.basics?.email
-                      ? `<div class="data-line">Email ► <span class="neon-cyan">${data.basics.email}</span></div>`
+                      ? `<div class="data-line">${label("email", "Email")} ► <span class="neon-cyan">${data.basics.email}</span></div>`
                       : ""
                   }
                   ${
                     data.basics?.phone
-                      ? `<div class="data-line">Phone ► <span class="neon-cyan">${data.basics.phone}</span></div>`
+                      ? `<div class="data-line">${label("phone", "Phone")} ► <span class="neon-cyan">${data.basics.phone}</span></div>`
                       : ""
                   }
                 </div>
               </div>
 
-              ${
-                data.work && data.work.length
-                  ? `
-                <div class="experience-block">
-                  <div class="block-header">▸ EXPERIENCE_LOGS [${
-                    data.work.length
-                  }/${data.work.length}]</div>
-                  <div class="block-content">
-                    ${data.work
-                      .map(
-                        (job, idx) => `
-                      <div class="entry-box">
-                        <div class="entry-border">┌─ ${formatDate(
-                          job.startDate,
-                          job.endDate
-                        )} ─┐</div>
-                        <div class="entry-title"><span class="neon-magenta">[${
-                          idx + 1
-                        }]</span> ${job.position || "Position"}</div>
-                        <div class="entry-subtitle">${
-                          job.name || "Company"
-                        }</div>
-                        <div class="entry-desc indent">${(
-                          job.summary || ""
-                        ).substring(0, 120)}...</div>
-                        <div class="entry-border">└────────────────────────┘</div>
-                      </div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </div>
-              `
-                  : ""
-              }
-
-              ${
-                data.education && data.education.length
-                  ? `
-                <div class="education-block">
-                  <div class="block-header">▸ KNOWLEDGE_BASE [${
-                    data.education.length
-                  }/${data.education.length}]</div>
-                  <div class="block-content">
-                    ${data.education
-                      .map(
-                        (edu) => `
-                      <div class="data-line">
-                        <span class="neon-green">📚</span> ${
-                          edu.studyType
-                        } - <span class="neon-cyan">${edu.area}</span>
-                      </div>
-                      <div class="data-line indent">${
-                        edu.institution
-                      } (${formatDate(edu.startDate, edu.endDate)})</div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </div>
-              `
-                  : ""
-              }
-
-              ${
-                data.skills && data.skills.length
-                  ? `
-                <div class="skills-block">
-                  <div class="block-header">▸ CAPABILITIES [${
-                    data.skills.length
-                  }/7]</div>
-                  <div class="block-content">
-                    ${data.skills
-                      .map(
-                        (skill) => `
-                      <div class="skill-line">
-                        <span class="neon-magenta">[${skill.name}]</span>
-                        <span class="skill-bar">████████████████</span>
-                        <span class="neon-green">${
-                          Array.isArray(skill.keywords)
-                            ? skill.keywords.slice(0, 3).join(", ")
-                            : ""
-                        }</span>
-                      </div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </div>
-              `
-                  : ""
-              }
-
-              ${
-                data.projects && data.projects.length
-                  ? `
-                <div class="projects-block">
-                  <div class="block-header">▸ PROJECTS_INDEXED [${
-                    data.projects.length
-                  }/5]</div>
-                  <div class="block-content">
-                    ${data.projects
-                      .map(
-                        (proj, idx) => `
-                      <div class="project-box">
-                        <div class="project-title"><span class="neon-cyan">❱</span> ${
-                          proj.name
-                        }</div>
-                        <div class="project-tech">tech: <span class="neon-magenta">${
-                          Array.isArray(proj.keywords)
-                            ? proj.keywords.join(", ")
-                            : ""
-                        }</span></div>
-                        <div class="project-desc">${(
-                          proj.summary || ""
-                        ).substring(0, 100)}...</div>
-                      </div>
-                    `
-                      )
-                      .join("")}
-                  </div>
-                </div>
-              `
-                  : ""
-              }
+              ${orderSections(sections, sectionOrder)}
             </div>
 
             <div class="footer-border">═══════════════════════════════════════════════════</div>
@@ -3172,7 +3180,7 @@ ${(
         .resume-content.cyberpunk-dark {
           background: linear-gradient(135deg, #0a0a0f 0%, #1a0a2e 100%);
           color: #00ff00;
-          font-family: 'Courier New', monospace;
+          font-family: ${fontFamily};
           padding: 30px;
           min-height: 100vh;
         }
@@ -3191,7 +3199,7 @@ ${(
 
         .header-border-top,
         .header-border-bottom {
-          color: #00ffff;
+          color: ${accentColor};
           font-size: 12px;
           margin-bottom: 10px;
         }
@@ -3208,16 +3216,16 @@ ${(
         .name-glitch {
           font-size: 24px;
           font-weight: bold;
-          color: #00ffff;
+          color: ${accentColor};
           margin: 0;
           text-shadow: 
-            -2px 0 #ff00ff,
+            -2px 0 ${secondaryColor},
             2px 0 #00ff00,
             0 0 10px rgba(0, 255, 255, 0.5);
         }
 
         .title-line {
-          color: #ff00ff;
+          color: ${secondaryColor};
           font-size: 13px;
           margin-top: 8px;
         }
@@ -3232,15 +3240,15 @@ ${(
         .skills-block,
         .projects-block {
           margin-bottom: 20px;
-          border: 1px solid #00ffff;
+          border: 1px solid ${accentColor};
           background: rgba(0, 255, 255, 0.02);
         }
 
         .block-header {
           background: #1a1a2e;
-          border-bottom: 1px solid #00ffff;
+          border-bottom: 1px solid ${accentColor};
           padding: 8px 12px;
-          color: #00ffff;
+          color: ${accentColor};
           font-size: 12px;
           font-weight: bold;
         }
@@ -3274,7 +3282,7 @@ ${(
         }
 
         .entry-border {
-          color: #00ffff;
+          color: ${accentColor};
           font-size: 11px;
           margin-bottom: 4px;
         }
@@ -3286,7 +3294,7 @@ ${(
         }
 
         .entry-subtitle {
-          color: #ff00ff;
+          color: ${secondaryColor};
           font-size: 11px;
           margin-bottom: 4px;
         }
@@ -3303,7 +3311,7 @@ ${(
         }
 
         .project-title {
-          color: #00ffff;
+          color: ${accentColor};
           font-weight: bold;
           margin-bottom: 3px;
         }
@@ -3328,7 +3336,7 @@ ${(
         }
 
         .skill-bar {
-          color: #ff00ff;
+          color: ${secondaryColor};
         }
 
         .neon-green {
@@ -3336,11 +3344,11 @@ ${(
         }
 
         .neon-cyan {
-          color: #00ffff;
+          color: ${accentColor};
         }
 
         .neon-magenta {
-          color: #ff00ff;
+          color: ${secondaryColor};
         }
 
         .indent {
@@ -3349,11 +3357,11 @@ ${(
 
         .footer-border {
           text-align: center;
-          color: #00ffff;
+          color: ${accentColor};
           font-size: 11px;
           margin-top: 20px;
           padding-top: 15px;
-          border-top: 1px solid #00ffff;
+          border-top: 1px solid ${accentColor};
         }
 
         @media print {
@@ -3408,22 +3416,99 @@ ${(
 
   ats: {
     name: "ATS-Friendly",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Parser-Optimized",
+    category: "ats",
+    atsSafe: true,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "ats-preview",
+      html: '<div class="prev-title"></div><div class="prev-line"></div><div class="prev-line"></div><div class="prev-line short"></div>',
+    },
+    colors: { accentColor: "#000000" },
+    render: (data, options = {}) => {
+      const { accentColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.ats.colors,
+        fontFamily: "'Times New Roman', serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <h2>${label("work", "PROFESSIONAL EXPERIENCE")}</h2>
+          ${data.work
+            .map(
+              (job) => `
+            <h3>${job.position || "Position"}</h3>
+            <p>${job.name || "Company"} | ${formatDate(
+                job.startDate,
+                job.endDate
+              )}</p>
+            ${job.summary ? `<p>${job.summary}</p>` : ""}
+          `
+            )
+            .join("")}
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <h2>${label("education", "EDUCATION")}</h2>
+          ${data.education
+            .map(
+              (edu) => `
+            <h3>${edu.studyType || "Degree"} ${label("in", "in")} ${edu.area || "Field"}</h3>
+            <p>${edu.institution || "Institution"} | ${formatDate(
+                edu.startDate,
+                edu.endDate
+              )}</p>
+          `
+            )
+            .join("")}
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <h2>${label("skills", "SKILLS")}</h2>
+          <p>${data.skills
+            .map(
+              (s) =>
+                `${s.name}${
+                  Array.isArray(s.keywords) && s.keywords.length
+                    ? `: ${s.keywords.join(", ")}`
+                    : ""
+                }`
+            )
+            .join(" | ")}</p>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <h2>${label("projects", "PROJECTS")}</h2>
+          ${data.projects
+            .map(
+              (proj) => `
+            <h3>${proj.name || "Project"}</h3>
+            ${proj.summary ? `<p>${proj.summary}</p>` : ""}
+            ${
+              proj.keywords && proj.keywords.length
+                ? `<p><strong>${label("technologies", "Technologies")}:</strong> ${proj.keywords.join(
+                    ", "
+                  )}</p>`
+                : ""
+            }
+          `
+            )
+            .join("")}
+        `
+            : "",
       };
 
       const html = `
@@ -3441,98 +3526,20 @@ ${(
           ${
             data.basics?.summary
               ? `
-            <h2>PROFESSIONAL SUMMARY</h2>
+            <h2>${label("summary", "PROFESSIONAL SUMMARY")}</h2>
             <p>${data.basics.summary}</p>
           `
               : ""
           }
 
-          ${
-            data.work && data.work.length
-              ? `
-            <h2>PROFESSIONAL EXPERIENCE</h2>
-            ${data.work
-              .map(
-                (job) => `
-              <h3>${job.position || "Position"}</h3>
-              <p>${job.name || "Company"} | ${formatDate(
-                  job.startDate,
-                  job.endDate
-                )}</p>
-              ${job.summary ? `<p>${job.summary}</p>` : ""}
-            `
-              )
-              .join("")}
-          `
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <h2>EDUCATION</h2>
-            ${data.education
-              .map(
-                (edu) => `
-              <h3>${edu.studyType || "Degree"} in ${edu.area || "Field"}</h3>
-              <p>${edu.institution || "Institution"} | ${formatDate(
-                  edu.startDate,
-                  edu.endDate
-                )}</p>
-            `
-              )
-              .join("")}
-          `
-              : ""
-          }
-
-          ${
-            data.skills && data.skills.length
-              ? `
-            <h2>SKILLS</h2>
-            <p>${data.skills
-              .map(
-                (s) =>
-                  `${s.name}${
-                    Array.isArray(s.keywords) && s.keywords.length
-                      ? `: ${s.keywords.join(", ")}`
-                      : ""
-                  }`
-              )
-              .join(" | ")}</p>
-          `
-              : ""
-          }
-
-          ${
-            data.projects && data.projects.length
-              ? `
-            <h2>PROJECTS</h2>
-            ${data.projects
-              .map(
-                (proj) => `
-              <h3>${proj.name || "Project"}</h3>
-              ${proj.summary ? `<p>${proj.summary}</p>` : ""}
-              ${
-                proj.keywords && proj.keywords.length
-                  ? `<p><strong>Technologies:</strong> ${proj.keywords.join(
-                      ", "
-                    )}</p>`
-                  : ""
-              }
-            `
-              )
-              .join("")}
-          `
-              : ""
-          }
+          ${orderSections(sections, sectionOrder)}
         </div>
       `;
 
       const css = `
         .resume-content.ats {
-          font-family: 'Times New Roman', serif;
-          color: #000;
+          font-family: ${fontFamily};
+          color: ${accentColor};
           line-height: 1.5;
           font-size: 12px;
           background: #ffffff;
@@ -3578,150 +3585,149 @@ ${(
 
   academic: {
     name: "Academic",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Scholarly Format",
+    category: "academic",
+    atsSafe: true,
+    sections: ["education", "work", "skills", "projects"],
+    preview: {
+      className: "academic-preview",
+      html: '<div class="prev-center"></div><div class="prev-line"></div><div class="prev-line"></div>',
+    },
+    colors: { accentColor: "#2c3e50", secondaryColor: "#7f8c8d" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.academic.colors,
+        fontFamily: "'Georgia', serif",
+        ...options,
       };
 
-      const html = `
-        <div class="resume-content academic">
-          <h1 class="name">${data.basics?.name || "Your Name"}</h1>
-          <p class="academic-title">${data.basics?.label || "Scholar"}</p>
-
-          ${
-            data.basics?.summary
-              ? `<div class="academic-section"><p>${data.basics.summary}</p></div>`
-              : ""
-          }
-
-          ${
-            data.education && data.education.length
-              ? `
-            <div class="academic-section">
-              <h2>Education</h2>
-              ${data.education
-                .map(
-                  (edu) => `
-                <div class="academic-entry">
-                  <p class="entry-title"><strong>${
-                    edu.studyType || "Degree"
-                  }</strong> in ${edu.area || "Field"}</p>
-                  <p class="entry-institution">${
-                    edu.institution || "Institution"
-                  }</p>
-                  <p class="entry-date">${formatDate(
-                    edu.startDate,
-                    edu.endDate
-                  )}</p>
-                </div>
-              `
-                )
-                .join("")}
-            </div>
-          `
-              : ""
-          }
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
 
-          ${
-            data.work && data.work.length
-              ? `
-            <div class="academic-section">
-              <h2>Academic & Professional Experience</h2>
-              ${data.work
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        education:
+          data.education && data.education.length
+            ? `
+          <div class="academic-section">
+            <h2>${label("education", "Education")}</h2>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="academic-entry">
+                <p class="entry-title"><strong>${
+                  edu.studyType || "Degree"
+                }</strong> ${label("in", "in")} ${edu.area || "Field"}</p>
+                <p class="entry-institution">${
+                  edu.institution || "Institution"
+                }</p>
+                <p class="entry-date">${formatDate(
+                  edu.startDate,
+                  edu.endDate
+                )}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+        work:
+          data.work && data.work.length
+            ? `
+          <div class="academic-section">
+            <h2>${label("work", "Academic & Professional Experience")}</h2>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="academic-entry">
+                <p class="entry-title"><strong>${
+                  job.position || "Position"
+                }</strong></p>
+                <p class="entry-institution">${job.name || "Organization"}</p>
+                <p class="entry-date">${formatDate(
+                  job.startDate,
+                  job.endDate
+                )}</p>
+                ${
+                  job.summary
+                    ? `<p class="entry-desc">${job.summary}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+        skills:
+          data.skills && data.skills.length
+            ? `
+          <div class="academic-section">
+            <h2>${label("skills", "Research Areas & Competencies")}</h2>
+            <ul class="academic-list">
+              ${data.skills
                 .map(
-                  (job) => `
-                <div class="academic-entry">
-                  <p class="entry-title"><strong>${
-                    job.position || "Position"
-                  }</strong></p>
-                  <p class="entry-institution">${job.name || "Organization"}</p>
-                  <p class="entry-date">${formatDate(
-                    job.startDate,
-                    job.endDate
-                  )}</p>
-                  ${
-                    job.summary
-                      ? `<p class="entry-desc">${job.summary}</p>`
+                  (skill) => `
+                <li>${skill.name}${
+                    Array.isArray(skill.keywords) && skill.keywords.length
+                      ? `: ${skill.keywords.slice(0, 3).join(", ")}`
                       : ""
-                  }
-                </div>
+                  }</li>
               `
                 )
                 .join("")}
-            </div>
-          `
-              : ""
-          }
+            </ul>
+          </div>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <div class="academic-section">
+            <h2>${label("projects", "Projects & Research")}</h2>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="academic-entry">
+                <p class="entry-title"><strong>${
+                  proj.name || "Project"
+                }</strong></p>
+                ${
+                  proj.summary
+                    ? `<p class="entry-desc">${proj.summary}</p>`
+                    : ""
+                }
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="entry-desc"><strong>${label("technologies", "Technologies")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        `
+            : "",
+      };
 
-          ${
-            data.skills && data.skills.length
-              ? `
-            <div class="academic-section">
-              <h2>Research Areas & Competencies</h2>
-              <ul class="academic-list">
-                ${data.skills
-                  .map(
-                    (skill) => `
-                  <li>${skill.name}${
-                      Array.isArray(skill.keywords) && skill.keywords.length
-                        ? `: ${skill.keywords.slice(0, 3).join(", ")}`
-                        : ""
-                    }</li>
-                `
-                  )
-                  .join("")}
-              </ul>
-            </div>
-          `
-              : ""
-          }
+      const html = `
+        <div class="resume-content academic">
+          <h1 class="name">${data.basics?.name || "Your Name"}</h1>
+          <p class="academic-title">${data.basics?.label || "Scholar"}</p>
 
           ${
-            data.projects && data.projects.length
-              ? `
-            <div class="academic-section">
-              <h2>Projects & Research</h2>
-              ${data.projects
-                .map(
-                  (proj) => `
-                <div class="academic-entry">
-                  <p class="entry-title"><strong>${
-                    proj.name || "Project"
-                  }</strong></p>
-                  ${
-                    proj.summary
-                      ? `<p class="entry-desc">${proj.summary}</p>`
-                      : ""
-                  }
-                  ${
-                    proj.keywords && proj.keywords.length
-                      ? `<p class="entry-desc"><strong>Technologies:</strong> ${proj.keywords.join(
-                          ", "
-                        )}</p>`
-                      : ""
-                  }
-                </div>
-              `
-                )
-                .join("")}
-            </div>
-          `
+            data.basics?.summary
+              ? `<div class="academic-section"><p>${data.basics.summary}</p></div>`
               : ""
           }
 
+          ${orderSections(sections, sectionOrder)}
+
           ${
             data.basics?.email || data.basics?.phone
               ? `
@@ -3742,8 +3748,8 @@ ${(
 
       const css = `
         .resume-content.academic {
-          font-family: 'Georgia', serif;
-          color: #2c3e50;
+          font-family: ${fontFamily};
+          color: ${accentColor};
           line-height: 1.6;
           background: #ffffff;
           padding: 40px;
@@ -3758,7 +3764,7 @@ ${(
         .academic-title {
           text-align: center;
           font-size: 13px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
           margin: 0 0 15px 0;
           font-style: italic;
         }
@@ -3769,7 +3775,7 @@ ${(
           font-size: 13px;
           font-weight: 700;
           margin: 15px 0 10px 0;
-          border-bottom: 2px solid #2c3e50;
+          border-bottom: 2px solid ${accentColor};
           padding-bottom: 5px;
         }
         .academic-entry {
@@ -3811,7 +3817,7 @@ ${(
           border-top: 1px solid #bdc3c7;
           text-align: center;
           font-size: 10px;
-          color: #7f8c8d;
+          color: ${secondaryColor};
         }
       `;
 
@@ -3821,22 +3827,105 @@ ${(
 
   corporate: {
     name: "Corporate",
-    render: (data) => {
-      const formatDate = (start, end) => {
-        if (!end)
-          return start
-            ? new Date(start).toLocaleDateString("en-US", {
-                year: "numeric",
-                month: "short",
-              })
-            : "";
-        return `${new Date(start).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })} - ${new Date(end).toLocaleDateString("en-US", {
-          year: "numeric",
-          month: "short",
-        })}`;
+    description: "Executive Style",
+    category: "professional",
+    atsSafe: false,
+    sections: ["work", "education", "skills", "projects"],
+    preview: {
+      className: "corporate-preview",
+      html: '<div class="prev-sidebar"></div><div class="prev-main"><div class="prev-line"></div><div class="prev-line short"></div></div>',
+    },
+    colors: { accentColor: "#003366", secondaryColor: "#666666" },
+    render: (data, options = {}) => {
+      const { accentColor, secondaryColor, fontFamily, sectionOrder } = {
+        ...TEMPLATES.corporate.colors,
+        fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+        ...options,
+      };
+
+      const formatDate = (start, end) => formatDateRange(start, end, options);
+      const label = (key, text) => sectionLabel(key, text, options);
+
+      // Sections in the order chosen in the customization panel
+      const sections = {
+        work:
+          data.work && data.work.length
+            ? `
+          <section class="corp-section">
+            <h2>${label("work", "Professional Experience")}</h2>
+            ${data.work
+              .map(
+                (job) => `
+              <div class="corp-job">
+                <div class="job-header">
+                  <h3>${job.position || "Position"}</h3>
+                  <span>${formatDate(job.startDate, job.endDate)}</span>
+                </div>
+                <p class="job-company">${job.name || "Company"}</p>
+                ${
+                  job.summary
+                    ? `<p class="job-desc">${job.summary}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        education:
+          data.education && data.education.length
+            ? `
+          <section class="corp-section">
+            <h2>${label("education", "Education & Certifications")}</h2>
+            ${data.education
+              .map(
+                (edu) => `
+              <div class="corp-edu">
+                <p><strong>${edu.studyType || "Degree"}</strong> ${label("in", "in")} ${
+                  edu.area || "Field"
+                }</p>
+                <p>${edu.institution || "Institution"} • ${formatDate(
+                  edu.startDate,
+                  edu.endDate
+                )}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
+        projects:
+          data.projects && data.projects.length
+            ? `
+          <section class="corp-section">
+            <h2>${label("projects", "Projects")}</h2>
+            ${data.projects
+              .map(
+                (proj) => `
+              <div class="corp-job">
+                <h3>${proj.name || "Project"}</h3>
+                ${
+                  proj.summary
+                    ? `<p class="job-desc">${proj.summary}</p>`
+                    : ""
+                }
+                ${
+                  proj.keywords && proj.keywords.length
+                    ? `<p class="job-desc"><strong>${label("technologies", "Technologies")}:</strong> ${proj.keywords.join(
+                        ", "
+                      )}</p>`
+                    : ""
+                }
+              </div>
+            `
+              )
+              .join("")}
+          </section>
+        `
+            : "",
       };
 
       const html = `
@@ -3855,7 +3944,7 @@ ${(
               ].filter(Boolean).length
                 ? `
               <div class="corp-contact">
-                <h3>Contact</h3>
+                <h3>${label("contact", "Contact")}</h3>
                 ${data.basics?.email ? `<p>${data.basics.email}</p>` : ""}
                 ${data.basics?.phone ? `<p>${data.basics.phone}</p>` : ""}
                 ${data.basics?.location ? `<p>${data.basics.location}</p>` : ""}
@@ -3868,7 +3957,7 @@ ${(
               data.skills && data.skills.length
                 ? `
               <div class="corp-skills">
-                <h3>Core Competencies</h3>
+                <h3>${label("skills", "Core Competencies")}</h3>
                 ${data.skills
                   .slice(0, 6)
                   .map(
@@ -3891,96 +3980,14 @@ ${(
               data.basics?.summary
                 ? `
               <section class="corp-section">
-                <h2>Executive Profile</h2>
+                <h2>${label("summary", "Executive Profile")}</h2>
                 <p>${data.basics.summary}</p>
               </section>
             `
                 : ""
             }
 
-            ${
-              data.work && data.work.length
-                ? `
-              <section class="corp-section">
-                <h2>Professional Experience</h2>
-                ${data.work
-                  .map(
-                    (job) => `
-                  <div class="corp-job">
-                    <div class="job-header">
-                      <h3>${job.position || "Position"}</h3>
-                      <span>${formatDate(job.startDate, job.endDate)}</span>
-                    </div>
-                    <p class="job-company">${job.name || "Company"}</p>
-                    ${
-                      job.summary
-                        ? `<p class="job-desc">${job.summary}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.education && data.education.length
-                ? `
-              <section class="corp-section">
-                <h2>Education & Certifications</h2>
-                ${data.education
-                  .map(
-                    (edu) => `
-                  <div class="corp-edu">
-                    <p><strong>${edu.studyType || "Degree"}</strong> in ${
-                      edu.area || "Field"
-                    }</p>
-                    <p>${edu.institution || "Institution"} • ${formatDate(
-                      edu.startDate,
-                      edu.endDate
-                    )}</p>
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
-
-            ${
-              data.projects && data.projects.length
-                ? `
-              <section class="corp-section">
-                <h2>Projects</h2>
-                ${data.projects
-                  .map(
-                    (proj) => `
-                  <div class="corp-job">
-                    <h3>${proj.name || "Project"}</h3>
-                    ${
-                      proj.summary
-                        ? `<p class="job-desc">${proj.summary}</p>`
-                        : ""
-                    }
-                    ${
-                      proj.keywords && proj.keywords.length
-                        ? `<p class="job-desc"><strong>Technologies:</strong> ${proj.keywords.join(
-                            ", "
-                          )}</p>`
-                        : ""
-                    }
-                  </div>
-                `
-                  )
-                  .join("")}
-              </section>
-            `
-                : ""
-            }
+            ${orderSections(sections, sectionOrder)}
           </div>
         </div>
       `;
@@ -3990,7 +3997,7 @@ ${(
           display: grid;
           grid-template-columns: 220px 1fr;
           gap: 20px;
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          font-family: ${fontFamily};
           background: #ffffff;
           padding: 20px;
           border-radius: 8px;
@@ -3998,23 +4005,23 @@ ${(
         .corp-sidebar {
           background: #f8f9fa;
           padding: 20px;
-          border-right: 3px solid #003366;
+          border-right: 3px solid ${accentColor};
           overflow-x: hidden;
         }
         .corp-header {
           margin-bottom: 20px;
-          border-bottom: 2px solid #003366;
+          border-bottom: 2px solid ${accentColor};
           padding-bottom: 15px;
         }
         .corp-header h1 {
           font-size: 20px;
           margin: 0 0 5px 0;
-          color: #003366;
+          color: ${accentColor};
           font-weight: 700;
         }
         .corp-header p {
           font-size: 12px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 0;
         }
         .corp-contact {
@@ -4024,7 +4031,7 @@ ${(
           font-size: 11px;
           font-weight: 700;
           text-transform: uppercase;
-          color: #003366;
+          color: ${accentColor};
           margin: 0 0 8px 0;
         }
         .corp-contact p {
@@ -4048,7 +4055,7 @@ ${(
         }
         .skill-bar {
           height: 6px;
-          background: linear-gradient(90deg, #003366 60%, #ddd 60%);
+          background: linear-gradient(90deg, ${accentColor} 60%, #ddd 60%);
           border-radius: 3px;
         }
         .corp-main {
@@ -4061,9 +4068,9 @@ ${(
           font-size: 12px;
           font-weight: 700;
           text-transform: uppercase;
-          color: #003366;
+          color: ${accentColor};
           margin: 0 0 10px 0;
-          border-bottom: 2px solid #003366;
+          border-bottom: 2px solid ${accentColor};
           padding-bottom: 5px;
         }
         .corp-section > p {
@@ -4091,7 +4098,7 @@ ${(
         }
         .job-company {
           font-size: 11px;
-          color: #666;
+          color: ${secondaryColor};
           margin: 2px 0 5px 0;
           font-weight: 600;
         }
@@ -4117,11 +4124,141 @@ ${(
   },
 };
 
-function renderTemplate(templateName, resumeData) {
-  const template = TEMPLATES[templateName];
-  if (!template) {
+/**
+ * Register the built-in templates with the TemplateRenderer registry, which
+ * also holds the templates defined in TemplateRenderer.js and any plugins.
+ */
+const Templates =
+  typeof TemplateRenderer !== "undefined"
+    ? TemplateRenderer
+    : require("./src/core/TemplateRenderer.js");
+
+for (const [id, template] of Object.entries(TEMPLATES)) {
+  Templates.register(id, template);
+}
+
+/**
+ * Date range in the locale and date style from the render options, e.g.
+ * "Sep 2023 - Present" (see ResumeDates.format)
+ */
+function formatDateRange(start, end, options = {}) {
+  const Dates =
+    typeof ResumeDates !== "undefined" ? ResumeDates : require("./src/parsers/dates.js");
+  return Dates.formatRange(start, end, {
+    locale: options.locale,
+    style: options.dateStyle,
+    presentLabel: sectionLabel("present", "Present", options),
+  });
+}
+
+/**
+ * Section heading or label in the language from the render options; the
+ * template's own English wording otherwise (see TemplateTranslations.label)
+ */
+function sectionLabel(key, text, options = {}) {
+  const Translations =
+    typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./src/core/TemplateTranslations.js");
+  return Translations.label(key, options.locale, text);
+}
+
+/**
+ * Total and per-role tenure for the work entries (see ExperienceAnalytics)
+ */
+function analyzeExperience(work) {
+  const Experience =
+    typeof ExperienceAnalytics !== "undefined"
+      ? ExperienceAnalytics
+      : require("./src/core/ExperienceAnalytics.js");
+  return Experience.analyze(work);
+}
+
+function formatDuration(months, options = {}) {
+  const Experience =
+    typeof ExperienceAnalytics !== "undefined"
+      ? ExperienceAnalytics
+      : require("./src/core/ExperienceAnalytics.js");
+  const Translations =
+    typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./src/core/TemplateTranslations.js");
+  return Experience.formatDuration(months, Translations.durationUnits(options.locale));
+}
+
+/**
+ * Join a template's rendered sections ({ work, education, ... }) in the
+ * given order. Sections missing from the order keep the template's own
+ * order after the ordered ones.
+ */
+function orderSections(sections, order) {
+  return Templates.orderSections(sections, order);
+}
+
+/**
+ * Render a template. `options` are the customization panel settings (see
+ * TemplateCustomizer): accent colors, font pairing, density, margin and
+ * section order. Without options the template renders as designed.
+ */
+function renderTemplate(templateName, resumeData, options = {}) {
+  if (!Templates.has(templateName)) {
     console.error(`Template "${templateName}" not found`);
     return { html: "<p>Template not found</p>", css: "" };
   }
-  return template.render(resumeData);
+
+  const Customizer =
+    typeof TemplateCustomizer !== "undefined"
+      ? TemplateCustomizer
+      : require("./src/core/TemplateCustomizer.js");
+  const settings = Customizer.normalize(options);
+  const result = Templates.render(templateName, resumeData, Customizer.toRenderOptions(settings));
+  return Customizer.apply(result, settings);
+}
+
+/**
+ * Render a template as a standalone HTML page with its CSS inlined, as
+ * saved by "Export HTML" and the command-line tool
+ */
+function renderDocument(templateName, resumeData, options = {}) {
+  const Customizer =
+    typeof TemplateCustomizer !== "undefined"
+      ? TemplateCustomizer
+      : require("./src/core/TemplateCustomizer.js");
+  const Translations =
+    typeof TemplateTranslations !== "undefined"
+      ? TemplateTranslations
+      : require("./src/core/TemplateTranslations.js");
+  const Sanitizer =
+    typeof HtmlSanitizer !== "undefined" ? HtmlSanitizer : require("./src/core/HtmlSanitizer.js");
+
+  const result = renderTemplate(templateName, resumeData, options);
+  const locale = Customizer.normalize(options).locale;
+  const name = (resumeData && resumeData.basics && resumeData.basics.name) || "Resume";
+
+  return `<!DOCTYPE html>
+<html lang="${locale || "en"}" dir="${Translations.direction(locale)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${Sanitizer.escape(name)} - Resume</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 20px;
+      font-family: Arial, sans-serif;
+    }
+    @media print { body { padding: 0; } }
+    ${result.css || ""}
+  </style>
+</head>
+<body>
+  ${result.html || ""}
+</body>
+</html>
+`;
+}
+
+// Export
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TEMPLATES, orderSections, renderTemplate, renderDocument };
 }
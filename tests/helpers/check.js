@@ -0,0 +1,22 @@
+// Shared by the test scripts: check() compares a value with the expected
+// one as JSON and prints ✓ or ✗ with both values; done() prints the result
+// and sets the exit code, after the last check.
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  if (!ok) failures++;
+  console.log(`${ok ? "✓" : "✗"} ${label}`);
+  if (!ok) {
+    console.log("   expected:", JSON.stringify(expected));
+    console.log("   actual:  ", JSON.stringify(actual));
+  }
+}
+
+function done() {
+  console.log(failures === 0 ? "\n✅ All checks passed" : `\n❌ ${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+module.exports = { check, done };
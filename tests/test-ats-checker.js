@@ -0,0 +1,95 @@
+// Test the ATS compatibility check: layout, hidden text, icon, heading,
+// table and contact warnings on hand-written HTML/CSS, and the scores of
+// the registered templates
+
+const AtsChecker = require("../src/core/AtsChecker.js");
+const { check, done } = require("./helpers/check.js");
+
+const resume = {
+  basics: { name: "Jane Doe", email: "jane@example.com", phone: "+1 555-123-4567" },
+  work: [{ position: "Engineer", company: "Acme Corp" }],
+  education: [{ institution: "State University", studyType: "BSc" }],
+  skills: [{ name: "Languages", keywords: ["Python"] }],
+};
+
+const plain = `<div class="resume-content">
+  <h1>Jane Doe</h1>
+  <p>Email: jane@example.com | Phone: +1 555-123-4567</p>
+  <h2>Experience</h2><h3>Engineer</h3><p>Acme Corp</p>
+  <h2>Education</h2><h3>BSc</h3><p>State University</p>
+  <h2>Skills</h2><p>Languages: Python</p>
+</div>`;
+
+const codes = (html, css = "", data = resume) => AtsChecker.check({ html, css }, data).warnings.map((w) => w.code);
+
+console.log("=== SINGLE COLUMN ===");
+const clean = AtsChecker.check({ html: plain, css: ".resume-content h2 { font-size: 14pt; }" }, resume);
+check("no warnings", clean.warnings, []);
+check("score", [clean.score, clean.level], [100, "good"]);
+
+console.log("\n=== LAYOUT ===");
+check("sidebar class", codes(plain.replace('class="resume-content"', 'class="resume-content"><div class="cv-sidebar"></div><div')), ["multi-column"]);
+check("aside", codes(`<aside></aside>${plain}`), ["multi-column"]);
+check("page grid", codes(plain, ".resume-content { display: grid; grid-template-columns: 280px 1fr; }"), ["multi-column"]);
+check("item grid is minor", AtsChecker.check({ html: plain, css: ".skills-grid { grid-template-columns: repeat(2, 1fr); }" }, resume).warnings.map((w) => w.severity), ["low"]);
+check("one column grid", codes(plain, ".resume-content { grid-template-columns: 1fr; }"), []);
+check("justify-content is not columns", codes(plain, ".header { justify-content: space-between; }"), []);
+check("CSS columns", codes(plain, ".skills { column-count: 2; }"), ["multi-column"]);
+check("float", codes(plain, ".photo { float: right; }"), ["float"]);
+check("track count", ["280px 1fr", "repeat(3, 1fr)", "repeat(auto-fit, minmax(200px, 1fr))", "1fr"].map((v) => AtsChecker._columnCount(v)), [2, 3, 2, 1]);
+
+console.log("\n=== HIDDEN TEXT ===");
+check("image", codes(`<img src="name.png" alt="">${plain}`), ["image"]);
+check("svg text", codes(`<svg><text>Jane</text></svg>${plain}`), ["graphic-text"]);
+check("words in CSS content", codes(plain, '.phone::before { content: "Phone: "; }'), ["pseudo-text"]);
+check("bullets in CSS content", codes(plain, 'li::before { content: "•"; }'), []);
+check("box drawing", codes(`<pre>╔══════╗ Jane Doe ╚══════╝</pre>${plain}`), ["box-drawing"]);
+
+console.log("\n=== ICONS ===");
+check("icons instead of labels", codes(plain.replace("Email: jane", "📧 jane").replace("Phone: +1", "📱 +1")), ["icon-label"]);
+check("icon with a label", codes(plain.replace("Email: jane", "📧 Email: jane")), []);
+check("label before the icon", codes(plain.replace("Email: jane", "Email ► jane")), []);
+check("decorative symbol", codes(plain.replace("<h3>Engineer", "<h3>🚀 Engineer")), ["symbols"]);
+
+console.log("\n=== HEADINGS ===");
+check("unknown heading", codes(plain.replace("<h2>Skills</h2>", "<h2>Things I Know</h2>")), ["heading", "missing-heading"]);
+check("decorated heading", codes(plain.replace("<h2>Experience</h2>", "<h2>▸ EXPERIENCE_LOGS [1/3]</h2>")), ["symbols", "heading", "missing-heading"]);
+check("header class", codes(plain.replace("<h2>Skills</h2>", '<div class="section-header">Skills</div>')), []);
+check("entry titles are not section headings", AtsChecker.headings(plain).filter((h) => !h.section).map((h) => h.text), ["Engineer", "BSc"]);
+const dropped = AtsChecker.check({ html: plain }, { ...resume, projects: [{ name: "Billing Revamp" }] }).warnings;
+check("section left out", dropped.map((w) => w.message), ["Your projects section is not shown in this template"]);
+
+console.log("\n=== TABLES ===");
+check("table", codes(`<table><tr><td>x</td></tr></table>${plain}`), ["table"]);
+check("CSS table", codes(plain, ".row { display: table; }"), ["table"]);
+
+console.log("\n=== CONTACT ===");
+const noEmail = AtsChecker.check({ html: plain.replace("Email: jane@example.com | ", "") }, resume);
+check("email not shown", noEmail.warnings.map((w) => [w.severity, w.message]), [["high", "Your email address is not shown in this template"]]);
+check("score", noEmail.score, 75);
+check("no data", AtsChecker.check({ html: "<h1>Jane</h1>" }).warnings.map((w) => w.message), [
+  "No email address: ATS use it to create your candidate profile",
+  "No phone number: ATS use it to create your candidate profile",
+]);
+check("entities decoded", AtsChecker.visibleText("<p>A &amp; B&nbsp;<b>C</b></p><style>p{}</style>").trim(), "A & B C");
+
+console.log("\n=== TEMPLATES ===");
+const results = AtsChecker.checkTemplates({
+  ...resume,
+  basics: { ...resume.basics, location: "Boston, MA" },
+  projects: [{ name: "Billing Revamp", summary: "Rebuilt invoicing" }],
+});
+const byId = Object.fromEntries(results.map((r) => [r.id, r]));
+check("every template", results.length >= 12, true);
+check("best first", results.every((r, i) => i === 0 || results[i - 1].score >= r.score), true);
+check("ats template", [byId.ats.score, byId.ats.warnings], [100, []]);
+check(
+  "two-column templates",
+  ["elegant", "modern", "compact", "corporate"].filter((id) => byId[id].warnings.some((w) => w.code === "multi-column")),
+  ["elegant", "modern", "compact", "corporate"]
+);
+check("icons in modern", byId.modern.warnings.some((w) => w.code === "icon-label"), true);
+check("tech has no standard headings", byId.tech.warnings.filter((w) => w.code === "missing-heading").length >= 3, true);
+check("ats beats the sidebar templates", ["elegant", "modern", "compact", "corporate", "tech", "dark"].every((id) => byId[id].score < byId.ats.score), true);
+
+done();
@@ -0,0 +1,90 @@
+// Test the date model: parsing the formats found in resumes, the stored
+// form written by the parser pipeline, and locale/style-aware formatting
+// used by every template and exporter
+
+const ResumeDates = require("../src/parsers/dates.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const TemplateCustomizer = require("../src/core/TemplateCustomizer.js");
+const TextExporter = require("../src/exporters/TextExporter.js");
+const { TEMPLATES, renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const model = (value) => {
+  const { year, month, precision, isPresent } = ResumeDates.parse(value);
+  return { year, month, precision, isPresent };
+};
+
+console.log("=== PARSING ===");
+check("abbreviated month with a period", model("Sep. 2023"), { year: 2023, month: 9, precision: "month", isPresent: false });
+check("full month name", model("September 2023"), { year: 2023, month: 9, precision: "month", isPresent: false });
+check("Sept", model("Sept 2023").month, 9);
+check("two-digit year", model("Apr '21"), { year: 2021, month: 4, precision: "month", isPresent: false });
+check("numeric month/year", model("09/2023"), { year: 2023, month: 9, precision: "month", isPresent: false });
+check("ISO month", model("2023-09"), { year: 2023, month: 9, precision: "month", isPresent: false });
+check("ISO day", [model("2023-09-15").precision, ResumeDates.parse("2023-09-15").day], ["day", 15]);
+check("year only", model("2020"), { year: 2020, month: null, precision: "year", isPresent: false });
+check("season", model("Summer 2020"), { year: 2020, month: 6, precision: "season", isPresent: false });
+check("present words", ["Present", "current", "Now", "ongoing"].map((v) => model(v).isPresent), [true, true, true, true]);
+check("not a date", model("Summer internship"), { year: null, month: null, precision: null, isPresent: false });
+check("month out of range", model("13/2020").precision, null);
+check("empty", ResumeDates.parse("  "), null);
+check(
+  "day with a month name",
+  ["15 Mar 2020", "15th March 2020", "Mar 15, 2020", "March 15th 2020", "1 Mar. 2020"].map((v) => ResumeDates.toString(v)),
+  ["2020-03-15", "2020-03-15", "2020-03-15", "2020-03-15", "2020-03-01"]
+);
+check("day out of range", [model("32 Mar 2020").precision, model("Mar 0, 2020").precision], [null, null]);
+check(
+  "quarters start their first month",
+  ["Q2 2021", "q4/2020", "Q1 '22", "2021 Q3", "2021-Q2"].map((v) => ResumeDates.toString(v)),
+  ["2021-04", "2020-10", "2022-01", "2021-07", "2021-04"]
+);
+check("not a quarter", model("Q5 2021").precision, null);
+
+console.log("\n=== STORED FORM ===");
+check(
+  "ISO where possible",
+  ["Sep. 2023", "2023-9-5", "2020", "Summer 2020", "current", "TBD"].map((v) => ResumeDates.toString(v)),
+  ["2023-09", "2023-09-05", "2020", "Summer 2020", "Present", "TBD"]
+);
+
+const parsed = ResumeParserPipeline.normalizeDates({
+  work: [{ startDate: "Jan. 2020", endDate: "current" }],
+  education: [{ startDate: "Fall 2014", endDate: "05/2018" }],
+  certifications: [{ name: "AWS", date: "March 2022" }],
+});
+check("pipeline normalizes every section", [parsed.work[0], parsed.education[0], parsed.certifications[0].date], [
+  { startDate: "2020-01", endDate: "Present" },
+  { startDate: "Fall 2014", endDate: "2018-05" },
+  "2022-03",
+]);
+
+console.log("\n=== FORMATTING ===");
+check(
+  "styles",
+  Object.keys(ResumeDates.styles).map((style) => ResumeDates.format("Sep. 2023", { style })),
+  ["Sep 2023", "September 2023", "09/2023", "2023"]
+);
+check("locale", ResumeDates.format("2023-03", { locale: "de-DE", style: "long" }), "März 2023");
+check("unknown locale falls back", ResumeDates.format("2023-03", { locale: "not a locale!" }), "Mar 2023");
+check("year precision ignores month styles", ResumeDates.format("2020", { style: "long" }), "2020");
+check("text that is not a date is kept", ResumeDates.format("Summer internship"), "Summer internship");
+check("present label", ResumeDates.format("present", { presentLabel: "Heute" }), "Heute");
+check("range", ResumeDates.formatRange("2020-01", "Present"), "Jan 2020 - Present");
+check("range with one side", [ResumeDates.formatRange("2020-01", ""), ResumeDates.formatRange("", "2021")], ["Jan 2020", "2021"]);
+check("no timezone shift", ResumeDates.format("2020-01"), "Jan 2020");
+
+console.log("\n=== TEMPLATES AND EXPORTS ===");
+const resume = {
+  basics: { name: "Jane Doe" },
+  work: [{ name: "Acme", position: "Developer", startDate: "Sep. 2023", endDate: "Present" }],
+};
+for (const name of Object.keys(TEMPLATES)) {
+  const html = renderTemplate(name, resume, { dateStyle: "numeric" }).html;
+  check(`${name}: shared formatter`, [html.includes("09/2023"), html.includes("Invalid Date")], [true, false]);
+}
+check("date style setting", TemplateCustomizer.normalize({ dateStyle: "long" }).dateStyle, "long");
+check("unknown date style falls back", TemplateCustomizer.normalize({ dateStyle: "weird" }).dateStyle, "short");
+check("plain text export", TextExporter.toPlainText(resume).includes("Sep 2023 - Present"), true);
+
+done();
@@ -1,15 +1,8 @@
 // Test with the deduplication logic
 
-function cleanAndNormalizeText(text) {
-  if (!text) return "";
-  let cleaned = text
-    .replace(/[ \t]+/g, " ")
-    .replace(/[-–—]/g, "-")
-    .replace(/\n\s*\n+/g, " ")
-    .replace(/\s+([.,;:])/g, "$1")
-    .trim();
-  return cleaned;
-}
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+
+const cleanAndNormalizeText = ResumeParserPipeline.normalizeText;
 
 const rawText = `Shanmuga Priya Kannan
 872-330-3203 | shanmugapriyakannan019@gmail.com | https://www.linkedin.com/in/shanmuga-priya-k-95400a194
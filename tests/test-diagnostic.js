@@ -1,6 +1,14 @@
 // Test to diagnose section extraction issue
 // This simulates the exact resume content from the PDF
 
+const {
+  identifySections,
+  parseWorkExperience,
+  parseEducation,
+  parseSkills,
+  parseProjects,
+} = require("../src/parsers/normalize.js");
+
 const sampleResume = `Shanmuga Priya Kannan 872-330-3203 | shanmugapriya@gmail.com | www.linkedin.com/in/shanmuga
 
 Senior ServiceNow Developer | ServiceNow Administrator | ITIL Foundation Certified
@@ -50,91 +58,6 @@ Big data analytics project analyzing 1M+ taxi trip records
 console.log("Sample Resume Length:", sampleResume.length);
 console.log("\n=== TESTING identifySections ===\n");
 
-// Mock the function
-function identifySections(text) {
-  const sections = {};
-  const sectionKeywords = {
-    education: ["EDUCATION", "ACADEMIC", "QUALIFICATIONS"],
-    experience: ["PROFESSIONAL EXPERIENCE", "WORK EXPERIENCE", "EXPERIENCE"],
-    projects: ["PROJECTS", "PORTFOLIO"],
-    skills: ["TECHNICAL SKILLS", "SKILLS"],
-  };
-
-  const headerMatches = [];
-
-  for (const [sectionName, keywords] of Object.entries(sectionKeywords)) {
-    for (const keyword of keywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, "g");
-      let match;
-      while ((match = regex.exec(text)) !== null) {
-        headerMatches.push({
-          sectionName: sectionName,
-          keyword: keyword,
-          index: match.index,
-        });
-      }
-    }
-  }
-
-  headerMatches.sort((a, b) => a.index - b.index);
-
-  console.log("Raw headers found:", headerMatches.length);
-  for (const h of headerMatches) {
-    console.log(`  [${h.index}] ${h.sectionName}: "${h.keyword}"`);
-    const context = text.substring(
-      Math.max(0, h.index - 30),
-      Math.min(text.length, h.index + h.keyword.length + 30)
-    );
-    console.log(`      Context: ...${context}...`);
-  }
-
-  // Deduplication
-  const uniqueMatches = [];
-  for (let i = 0; i < headerMatches.length; i++) {
-    const current = headerMatches[i];
-    let skipCurrent = false;
-
-    if (i > 0) {
-      const prev = headerMatches[i - 1];
-      const distance = Math.abs(current.index - prev.index);
-      if (current.sectionName === prev.sectionName && distance < 20) {
-        if (current.keyword.length < prev.keyword.length) {
-          skipCurrent = true;
-        }
-      }
-    }
-
-    if (!skipCurrent) {
-      uniqueMatches.push(current);
-    }
-  }
-
-  console.log("\nAfter dedup:", uniqueMatches.length);
-
-  // Extract content
-  for (let i = 0; i < uniqueMatches.length; i++) {
-    const currentHeader = uniqueMatches[i];
-    const nextHeader = uniqueMatches[i + 1];
-
-    let startIndex = currentHeader.index + currentHeader.keyword.length;
-    let endIndex = nextHeader ? nextHeader.index : text.length;
-    let content = text.substring(startIndex, endIndex).trim();
-
-    console.log(`\n>>> ${currentHeader.sectionName.toUpperCase()}`);
-    console.log(
-      `    Start: ${startIndex}, End: ${endIndex}, Length: ${content.length}`
-    );
-    console.log(`    Content: "${content.substring(0, 200)}..."`);
-    console.log(`    Lines: ${content.split("\n").length}`);
-
-    if (!sections[currentHeader.sectionName] && content.length > 0) {
-      sections[currentHeader.sectionName] = content;
-    }
-  }
-
-  return sections;
-}
-
 const sections = identifySections(sampleResume);
 
 console.log("\n\n=== FINAL SECTIONS ===");
@@ -147,80 +70,6 @@ for (const [name, content] of Object.entries(sections)) {
 // Now test parsing each section
 console.log("\n\n=== TESTING PARSERS ===\n");
 
-function parseWorkExperience(text) {
-  if (!text) return [];
-  console.log("parseWorkExperience input length:", text.length);
-
-  const datePattern =
-    /([A-Z][a-z]+\.?\s+\d{4})\s*[-–—]\s*((?:[A-Z][a-z]+\.?\s+\d{4})|Present)/g;
-
-  const dateMatches = [];
-  let match;
-  while ((match = datePattern.exec(text)) !== null) {
-    dateMatches.push({
-      startDate: match[1],
-      endDate: match[2],
-      index: match.index,
-      length: match[0].length,
-    });
-  }
-
-  console.log("  Dates found:", dateMatches.length);
-  for (const dm of dateMatches) {
-    console.log(`    ${dm.startDate} - ${dm.endDate} at index ${dm.index}`);
-  }
-
-  return dateMatches.length;
-}
-
-function parseEducation(text) {
-  if (!text) return [];
-  console.log("parseEducation input length:", text.length);
-
-  const blocks = text.split(/\n\s*\n/).filter((b) => b.trim().length > 0);
-  console.log("  Blocks found:", blocks.length);
-
-  return blocks.length;
-}
-
-function parseSkills(text) {
-  if (!text) return [];
-  console.log("parseSkills input length:", text.length);
-
-  const lines = text
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-  console.log("  Lines found:", lines.length);
-
-  let count = 0;
-  for (const line of lines) {
-    if (line.includes(":")) {
-      count++;
-      console.log(`    ${line.substring(0, 50)}...`);
-    }
-  }
-
-  return count;
-}
-
-function parseProjects(text) {
-  if (!text) return [];
-  console.log("parseProjects input length:", text.length);
-
-  const projectTitleRegex =
-    /([A-Z][A-Za-z0-9\s]+(?:[A-Z][A-Za-z0-9\s]+)*)\s*\|\s*([^•]+?)(?=•|(?:[A-Z][A-Za-z0-9\s]+(?:[A-Z][A-Za-z0-9\s]+)*\s*\|)|$)/g;
-
-  let count = 0;
-  let m;
-  while ((m = projectTitleRegex.exec(text)) !== null) {
-    count++;
-    console.log(`    ${m[1]}`);
-  }
-
-  return count;
-}
-
 console.log(
   "\nWork experience entries:",
   parseWorkExperience(sections.experience || "")
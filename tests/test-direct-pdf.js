@@ -1,13 +1,10 @@
 const fs = require("fs");
 
-// Read app.js functions
-const appCode = fs.readFileSync(
-  "/Users/satvikpraveen/Documents/resume-loader/app.js",
-  "utf8"
-);
+// Parser stages shared with the app
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { identifySections, parseEducation } = require("../src/parsers/normalize.js");
 
-// Execute the code to get the functions
-eval(appCode);
+const cleanAndNormalizeText = ResumeParserPipeline.normalizeText;
 
 // Read the PDF
 const pdfBuffer = fs.readFileSync(
@@ -0,0 +1,80 @@
+// Test the DOCX exporter: ZIP packaging, template layout profiles and
+// XML escaping of resume text
+
+const DocxExporter = require("../src/exporters/DocxExporter.js");
+const { check, done } = require("./helpers/check.js");
+
+const resume = {
+  basics: {
+    name: "Jane Doe",
+    label: "Engineer",
+    email: "jane@example.com",
+    phone: "555-123-4567",
+    location: "Chicago, IL",
+    summary: "Builds <fast> & reliable systems",
+  },
+  work: [
+    {
+      position: "Developer",
+      company: "Acme",
+      startDate: "Jan 2020",
+      endDate: "Present",
+      summary: "Backend work",
+      highlights: ["Cut latency by 40%", "Led migration"],
+    },
+  ],
+  education: [
+    { institution: "DePaul University", studyType: "Master's", area: "CS", startDate: "2018", endDate: "2020" },
+  ],
+  skills: [
+    { name: "Languages", keywords: ["Java", "Python"] },
+    { name: "Cloud", keywords: ["AWS"] },
+  ],
+  projects: [{ name: "Resume Tool", summary: "PDF parsing", keywords: ["JS"] }],
+};
+
+const documentXml = (template) =>
+  DocxExporter.buildDocumentXml(
+    resume,
+    DocxExporter.profiles[template] || DocxExporter.profiles.classic,
+    DocxExporter.pageSizes.letter,
+    720
+  );
+
+console.log("=== ZIP ===");
+check("crc32 check value", DocxExporter.crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+const bytes = DocxExporter.build(resume, { template: "classic" });
+const latin = Buffer.from(bytes).toString("latin1");
+check("starts with local file header", latin.slice(0, 4), "PK\u0003\u0004");
+check("has end of central directory", latin.includes("PK\u0005\u0006"), true);
+for (const part of ["[Content_Types].xml", "_rels/.rels", "word/document.xml", "word/styles.xml", "word/numbering.xml"]) {
+  check(`contains ${part}`, latin.includes(part), true);
+}
+
+console.log("\n=== CLASSIC ===");
+const classic = documentXml("classic");
+check("section headings", ["Experience", "Education", "Skills", "Projects"].every((h) => classic.includes(`>${h}<`)), true);
+check("highlights are bullets", (classic.match(/<w:numId w:val="1"\/>/g) || []).length, 2);
+check("skills grid is a table", classic.includes("<w:tbl>"), true);
+check("text is escaped", classic.includes("Builds &lt;fast&gt; &amp; reliable systems"), true);
+
+console.log("\n=== ATS ===");
+const ats = documentXml("ats");
+check("uppercase headings", ats.includes(">PROFESSIONAL EXPERIENCE<") && ats.includes(">PROFESSIONAL SUMMARY<"), true);
+check("no tables", ats.includes("<w:tbl>"), false);
+check("pipe-separated contact line", ats.includes("jane@example.com | 555-123-4567 | Chicago, IL"), true);
+
+console.log("\n=== CORPORATE ===");
+const corporate = documentXml("corporate");
+check("sidebar table layout", corporate.startsWith('<?xml') && corporate.includes('<w:gridCol w:w="3456"/>'), true);
+const tablePropertyOrder = (xml) =>
+  (xml.match(/<w:tblPr>.*?<\/w:tblPr>/g) || []).map((props) => (props.match(/<w:tbl(?!Pr)[A-Z]\w*/g) || []).join(" "));
+check("table properties in schema order", [...tablePropertyOrder(corporate), ...tablePropertyOrder(classic)].every((order) => /^<w:tblW( <w:tblBorders)?( <w:tblLayout)?( <w:tblCellMar)?$/.test(order)), true);
+check("sidebar table properties", tablePropertyOrder(corporate)[0], "<w:tblW <w:tblBorders <w:tblLayout");
+check("sidebar headings", corporate.includes(">Core Competencies<") && corporate.includes(">Contact<"), true);
+check("main headings", corporate.includes(">Executive Profile<") && corporate.includes(">Education &amp; Certifications<"), true);
+
+console.log("\n=== FALLBACK ===");
+check("unknown templates use classic layout", documentXml("tech"), classic);
+
+done();
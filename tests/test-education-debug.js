@@ -1,18 +1,8 @@
 // Test to understand what's in the EDUCATION section
-const fs = require("fs");
-const appCode = fs.readFileSync(
-  "/Users/satvikpraveen/Documents/resume-loader/app.js",
-  "utf8"
-);
-
-// Extract just the functions we need
-const functionsToExtract = [
-  "cleanAndNormalizeText",
-  "identifySections",
-  "parseEducation",
-];
-
-eval(appCode);
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { identifySections, parseEducation } = require("../src/parsers/normalize.js");
+
+const cleanAndNormalizeText = ResumeParserPipeline.normalizeText;
 
 // Mock resume text similar to what should be extracted
 const mockText = `EDUCATION
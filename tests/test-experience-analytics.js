@@ -0,0 +1,100 @@
+// Test years of experience and per-role tenure: inclusive month ranges,
+// "Present", year-only dates, overlapping roles merged, unreadable dates
+// skipped, and the figures shown by the tech and timeline templates
+
+const ExperienceAnalytics = require("../src/core/ExperienceAnalytics.js");
+const TemplateEngine = require("../src/core/TemplateEngine.js");
+const { renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const now = new Date(2024, 5, 15); // June 2024
+const months = (work) => ExperienceAnalytics.analyze(work, { now }).totalMonths;
+const tenure = (startDate, endDate) => ExperienceAnalytics.tenure({ startDate, endDate }, { now }).months;
+
+console.log("=== TENURE ===");
+check("inclusive month range", tenure("2020-01", "2020-12"), 12);
+check("single month", tenure("2023-09", "2023-09"), 1);
+check("Present runs through this month", tenure("2023-07", "Present"), 12);
+check("no end date is current", ExperienceAnalytics.tenure({ startDate: "2023-07" }, { now }).isCurrent, true);
+check("year-only dates", tenure("2018", "2020"), 36);
+check("same year", tenure("2020", "2020"), 12);
+check("year-only end runs through December", tenure("2019-06", "2020"), 19);
+check("year-only start counts from January", tenure("2019", "2020-03"), 15);
+check("year-only end before a month start", tenure("2020-06", "2019"), null);
+check("seasons", tenure("Summer 2020", "Fall 2020"), 4);
+check("end before start", tenure("2021-05", "2020-01"), null);
+check("unreadable start", tenure("sometime", "2020-01"), null);
+check("no start", tenure("", "2020-01"), null);
+
+console.log("\n=== TOTALS ===");
+const internships = [
+  { startDate: "2019-06", endDate: "2019-08" },
+  { startDate: "2020-06", endDate: "2020-08" },
+  { startDate: "2021-06", endDate: "2021-08" },
+  { startDate: "2022-06", endDate: "2022-08" },
+];
+check("four internships are one year, not ten", months(internships), 12);
+check(
+  "overlapping roles count once",
+  months([
+    { startDate: "2020-01", endDate: "2021-12" },
+    { startDate: "2021-01", endDate: "2022-06" },
+  ]),
+  30
+);
+check(
+  "adjacent roles add up",
+  months([
+    { startDate: "2020-01", endDate: "2020-06" },
+    { startDate: "2020-07", endDate: "2020-12" },
+  ]),
+  12
+);
+check(
+  "a role inside another adds nothing",
+  months([
+    { startDate: "2015-01", endDate: "Present" },
+    { startDate: "2018-03", endDate: "2019-02" },
+  ]),
+  114
+);
+const analysis = ExperienceAnalytics.analyze(
+  [
+    { startDate: "2022-01", endDate: "Present" },
+    { startDate: "unknown" },
+    { startDate: "2019-01", endDate: "2021-12" },
+  ],
+  { now }
+);
+check("roles in resume order", analysis.roles, [
+  { months: 30, isCurrent: true },
+  { months: null, isCurrent: false },
+  { months: 36, isCurrent: false },
+]);
+check("whole years", [analysis.totalMonths, analysis.years], [66, 5]);
+check("no work", ExperienceAnalytics.analyze(undefined), { totalMonths: 0, years: 0, roles: [] });
+
+console.log("\n=== FORMATTING ===");
+check("years and months", ExperienceAnalytics.formatDuration(41), "3 yrs 5 mos");
+check("singular", ExperienceAnalytics.formatDuration(13), "1 yr 1 mo");
+check("months only", ExperienceAnalytics.formatDuration(7), "7 mos");
+check("whole years", ExperienceAnalytics.formatDuration(24), "2 yrs");
+check("nothing", [ExperienceAnalytics.formatDuration(0), ExperienceAnalytics.formatDuration(null)], ["", ""]);
+
+console.log("\n=== TEMPLATES ===");
+const data = {
+  basics: { name: "Jane Doe" },
+  work: internships.map((dates, i) => ({ name: `Company ${i + 1}`, position: "Intern", ...dates })),
+};
+const tech = renderTemplate("tech", data).html;
+check("tech shows the real total", tech.includes('<span class="value">1 yr</span>'), true);
+check("tech shows per-role tenure", tech.includes('<span class="tenure">(3 mos)</span>'), true);
+check("tech has no made-up figure", tech.includes("10 yrs"), false);
+check(
+  "tenure helper",
+  TemplateEngine.compile("{{tenure startDate endDate}}")({ startDate: "2020-01", endDate: "2021-03" }),
+  "1 yr 3 mos"
+);
+check("totalExperience helper", TemplateEngine.compile("{{totalExperience work}}")(data), "1 yr");
+
+done();
@@ -1,17 +1,9 @@
 // Full end-to-end test of the parsing pipeline
 
-function cleanAndNormalizeText(text) {
-  if (!text) return "";
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { identifySections } = require("../src/parsers/normalize.js");
 
-  let cleaned = text
-    .replace(/[ \t]+/g, " ")
-    .replace(/[-–—]/g, "-")
-    .replace(/\n\s*\n+/g, " ")
-    .replace(/\s+([.,;:])/g, "$1")
-    .trim();
-
-  return cleaned;
-}
+const cleanAndNormalizeText = ResumeParserPipeline.normalizeText;
 
 const rawText = `Shanmuga Priya Kannan
 872-330-3203 | shanmugapriyakannan019@gmail.com | https://www.linkedin.com/in/shanmuga-priya-k-95400a194
@@ -48,100 +40,6 @@ Web Development: HTML/CSS, JavaScript, Node.js`;
 
 const cleaned = cleanAndNormalizeText(rawText);
 
-function identifySections(text) {
-  const sections = {};
-
-  const sectionKeywords = {
-    education: [
-      "EDUCATION",
-      "ACADEMIC",
-      "QUALIFICATIONS",
-      "DEGREES",
-      "ACADEMIC BACKGROUND",
-      "EDUCATIONAL BACKGROUND",
-    ],
-    experience: [
-      "PROFESSIONAL EXPERIENCE",
-      "WORK EXPERIENCE",
-      "EMPLOYMENT",
-      "CAREER",
-      "EXPERIENCE",
-      "WORK HISTORY",
-      "PROFESSIONAL HISTORY",
-    ],
-    projects: [
-      "PROJECTS",
-      "PORTFOLIO",
-      "KEY PROJECTS",
-      "NOTABLE PROJECTS",
-      "PERSONAL PROJECTS",
-    ],
-    skills: [
-      "TECHNICAL SKILLS",
-      "SKILLS",
-      "COMPETENCIES",
-      "CORE COMPETENCIES",
-      "TECHNICAL COMPETENCIES",
-      "KEY SKILLS",
-    ],
-    summary: [
-      "PROFESSIONAL SUMMARY",
-      "SUMMARY",
-      "OBJECTIVE",
-      "PROFILE",
-      "OVERVIEW",
-      "ABOUT",
-    ],
-    certifications: [
-      "CERTIFICATIONS",
-      "LICENSES",
-      "CERTIFICATES",
-      "PROFESSIONAL CERTIFICATIONS",
-    ],
-    languages: ["LANGUAGES", "LANGUAGE"],
-  };
-
-  const headerMatches = [];
-
-  for (const [sectionName, keywords] of Object.entries(sectionKeywords)) {
-    for (const keyword of keywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, "g");
-      let match;
-
-      while ((match = regex.exec(text)) !== null) {
-        headerMatches.push({
-          sectionName: sectionName,
-          keyword: keyword,
-          index: match.index,
-        });
-      }
-    }
-  }
-
-  headerMatches.sort((a, b) => a.index - b.index);
-
-  console.log("Header matches:", headerMatches);
-
-  for (let i = 0; i < headerMatches.length; i++) {
-    const currentHeader = headerMatches[i];
-    const nextHeader = headerMatches[i + 1];
-
-    let startIndex = currentHeader.index + currentHeader.keyword.length;
-    let endIndex = nextHeader ? nextHeader.index : text.length;
-
-    let content = text.substring(startIndex, endIndex).trim();
-
-    if (!sections[currentHeader.sectionName] && content.length > 0) {
-      sections[currentHeader.sectionName] = content;
-      console.log(`\nFound ${currentHeader.sectionName}:`);
-      console.log(`  Length: ${content.length}`);
-      console.log(`  Preview: ${content.substring(0, 80)}...`);
-    }
-  }
-
-  return sections;
-}
-
 console.log("===== SECTION IDENTIFICATION =====");
 const sections = identifySections(cleaned);
 
@@ -0,0 +1,118 @@
+// Test job description matching: keyword extraction with aliases, acronyms
+// and optional sections, the weighted match score, where matched keywords
+// were found and where missing ones could go
+
+const JobMatcher = require("../src/core/JobMatcher.js");
+const { check, done } = require("./helpers/check.js");
+
+const job = `Senior Backend Engineer
+
+We want someone to join the rest of the platform team and go further.
+
+REQUIREMENTS
+- 5+ years of Python or Golang
+- PostgreSQL and REST APIs
+- AWS, Docker and k8s in production
+- Strong communication skills; you will mentor junior engineers
+- Experience with HIPAA or SOC2 compliance
+
+Nice to have:
+- Kafka or Terraform
+- React experience is a plus`;
+
+const resume = {
+  basics: { name: "Jane Doe" },
+  work: [
+    {
+      company: "Acme Corp",
+      position: "Backend Engineer",
+      summary: "Built REST services on Postgres",
+      highlights: ["Mentored three engineers", "Moved the billing platform to Kubernetes"],
+    },
+  ],
+  skills: [
+    { name: "Languages", keywords: ["Python", "JavaScript"] },
+    { name: "Cloud", keywords: ["AWS"] },
+  ],
+};
+
+console.log("=== KEYWORDS ===");
+const keywords = JobMatcher.extractKeywords(job);
+check("terms in order", keywords.map((k) => k.term), [
+  "Python", "Go", "PostgreSQL", "REST", "AWS", "Docker", "Kubernetes", "Communication", "Mentoring",
+  "HIPAA", "SOC2", "Kafka", "Terraform", "React",
+]);
+check("optional section and inline 'a plus'", keywords.filter((k) => !k.required).map((k) => k.term), ["Kafka", "Terraform", "React"]);
+check("kinds", [keywords[0].kind, keywords[6].kind, keywords[7].kind, keywords[9].kind], ["languages", "cloud", "soft", "other"]);
+check("ordinary words are not keywords", JobMatcher.extractKeywords("Go above and beyond, rest assured, lead the way").map((k) => k.term), ["Go"]);
+check("headings in capitals are not acronyms", JobMatcher.extractKeywords("ABOUT YOU\nWe use SQL").map((k) => k.term), ["SQL"]);
+check("counted once per term", JobMatcher.extractKeywords("Python\nPython 3 and python").find((k) => k.term === "Python").count, 3);
+check("acronyms outside a skills context", JobMatcher.extractKeywords("Experience with HIPAA compliance").map((k) => k.term), []);
+check("acronym next to a skill", JobMatcher.extractKeywords("HIPAA compliance on AWS").map((k) => k.term), ["HIPAA", "AWS"]);
+check("required wins", JobMatcher.extractKeywords("Docker is a plus\nRequirements:\nDocker")[0].required, true);
+
+console.log("\n=== WHOLE WORDS ===");
+const terms = (text) => JobMatcher.findAll(text).map((f) => f.term);
+check("Java is not JavaScript", terms("JavaScript and Java"), ["JavaScript", "Java"]);
+check("symbols", terms("C++, C#, .NET and Node.js"), ["C++", "C#", ".NET", "Node.js"]);
+check("longest form wins", terms("Google Cloud Platform"), ["GCP"]);
+check("Go is not Google", terms("Google"), []);
+check("positions", JobMatcher.findAll("Led a Kubernetes migration")[0], { start: 6, end: 16, term: "Kubernetes", kind: "cloud" });
+
+console.log("\n=== MATCH ===");
+const result = JobMatcher.match(resume, job);
+check("matched", result.matched.map((k) => k.term), ["Python", "PostgreSQL", "REST", "AWS", "Kubernetes", "Mentoring"]);
+check("missing", result.missing.map((k) => k.term), ["Go", "Docker", "Communication", "HIPAA", "SOC2", "Kafka", "Terraform", "React"]);
+// required weigh 2: 11 required (6 matched) and 3 optional (none)
+check("score", result.score, Math.round((12 / 25) * 100));
+check("found in", result.matched.find((k) => k.term === "Kubernetes").foundIn, ["Backend Engineer at Acme Corp highlights"]);
+check("alias found in a summary", result.matched.find((k) => k.term === "PostgreSQL").foundIn, ["Backend Engineer at Acme Corp summary"]);
+check("no keywords", JobMatcher.match(resume, "We are a friendly team.").score, null);
+check("no resume", JobMatcher.match(null, "Python").score, 0);
+
+const posting = `Senior Software Engineer, Platform (Remote, US)
+
+About the role
+You will build the services behind our payments platform, starting in Q3.
+
+Requirements:
+- BS or MS in Computer Science, or equivalent experience
+- 5+ years with Python and Go
+- PostgreSQL, AWS and Docker in production
+- Experience with PCI, SOC2 or HIPAA audits
+
+Nice to have:
+- Kafka
+
+Benefits
+- Competitive salary, RSU grants and a 401K match
+- Offices in NY and Washington, DC; remote within EST or PST hours`;
+const engineer = {
+  work: [{ position: "Software Engineer", company: "Acme", highlights: ["Passed the PCI and SOC2 audits for the payments API"] }],
+  skills: [
+    { name: "Languages", keywords: ["Python", "Go"] },
+    { name: "Cloud", keywords: ["AWS", "Docker"] },
+    { name: "Data", keywords: ["PostgreSQL"] },
+  ],
+};
+const realistic = JobMatcher.match(engineer, posting);
+check("realistic posting keywords", realistic.keywords.map((k) => k.term), [
+  "Python", "Go", "PostgreSQL", "AWS", "Docker", "PCI", "SOC2", "HIPAA", "Kafka",
+]);
+check("realistic posting missing", realistic.missing.map((k) => k.term), ["HIPAA", "Kafka"]);
+// 8 required (7 matched) and 1 optional (missing)
+check("realistic posting score", realistic.score, Math.round((14 / 17) * 100));
+
+console.log("\n=== SUGGESTIONS ===");
+const suggestion = (term) => result.missing.find((k) => k.term === term).suggestion;
+check("language into the matching category", suggestion("Go"), { section: "skills", index: 0, text: 'Add it to your "Languages" skills' });
+check("cloud tool", suggestion("Docker").index, 1);
+check("soft skill into the latest job", suggestion("Communication"), {
+  section: "work",
+  index: 0,
+  text: "Show it in a highlight for Backend Engineer at Acme Corp",
+});
+check("no matching category", suggestion("React").text, "Add it to your skills");
+check("no skills yet", JobMatcher.suggest({ term: "SQL", kind: "languages" }, {}).text, "Add a skills section that lists it");
+
+done();
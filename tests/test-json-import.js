@@ -0,0 +1,74 @@
+// Test JSON Resume import: validation, normalization and round-tripping
+// the JSON written by "Download JSON"
+
+const JsonResumeImporter = require("../src/parsers/json-resume.js");
+const RobustResumeParser = require("../src/parsers/robust-parser.js");
+const { check, done } = require("./helpers/check.js");
+
+const importer = new JsonResumeImporter();
+
+console.log("=== INVALID INPUT ===");
+check("malformed JSON is rejected", importer.parse("{ nope").valid, false);
+check("arrays are rejected", importer.parse("[]").valid, false);
+check("empty object is rejected", importer.parse("{}").valid, false);
+check(
+  "non-array work is rejected",
+  importer.parse(JSON.stringify({ basics: { name: "A" }, work: {} })).errors,
+  ['"work" must be an array']
+);
+check(
+  "non-object entries are rejected",
+  importer.parse(JSON.stringify({ basics: { name: "A" }, skills: ["Java"] })).errors,
+  ["skills[0] must be an object"]
+);
+
+console.log("\n=== JSON RESUME SCHEMA ===");
+const jsonResume = {
+  basics: {
+    name: "Jane Doe",
+    email: "jane@example.com",
+    location: { city: "Chicago", region: "IL", countryCode: "US" },
+  },
+  work: [
+    {
+      name: "Acme",
+      position: "Engineer",
+      startDate: "2020-01",
+      highlights: ["Shipped X", 42],
+    },
+  ],
+  skills: [{ name: "Languages", keywords: "Java, Python" }],
+  certificates: [{ name: "AWS SAA", issuer: "Amazon", date: "2022" }],
+  languages: [{ language: "English", fluency: "Native" }],
+};
+const result = importer.validate(jsonResume);
+check("valid JSON Resume is accepted", result.valid, true);
+check("location object is flattened", result.data.basics.location, "Chicago, IL, US");
+check("missing basics fields become empty strings", result.data.basics.phone, "");
+check("work name is mirrored to company", result.data.work[0].company, "Acme");
+check("highlights are strings", result.data.work[0].highlights, ["Shipped X", "42"]);
+check("keyword string is split", result.data.skills[0].keywords, ["Java", "Python"]);
+check("certificates become certifications", result.data.certifications[0].name, "AWS SAA");
+check("missing sections become empty arrays", result.data.education, []);
+check("extra sections are kept", result.data.languages, jsonResume.languages);
+
+console.log("\n=== ROUND TRIP ===");
+const parsed = new RobustResumeParser().parseResume(`Jane Doe
+Software Engineer
+jane@example.com | 555-123-4567
+EXPERIENCE
+Developer, Acme Inc  Jan 2020 - Present
+• Built the billing system
+EDUCATION
+DePaul University
+Sep 2016 - June 2020
+Bachelor of Science in Computer Science
+SKILLS
+Languages: JavaScript, Python`);
+const roundTrip = importer.parse(JSON.stringify(parsed, null, 2));
+check("parser output is a valid import", roundTrip.valid, true);
+check("name survives", roundTrip.data.basics.name, parsed.basics.name);
+check("work entries survive", roundTrip.data.work.length, parsed.work.length);
+check("company is copied to name", roundTrip.data.work[0].name, parsed.work[0].company);
+
+done();
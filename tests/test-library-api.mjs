@@ -0,0 +1,81 @@
+// Test the ES module library entries: index.mjs (browser bundles and Node)
+// and node.mjs (pdf.js from pdfjs-dist and the templates/ folders).
+// PDF parsing needs pdfjs-dist (npm install).
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as lib from "../index.mjs";
+import * as node from "../node.mjs";
+import { check, done } from "./helpers/check.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const text = `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Acme Corp
+Developer, Jan 2020 - Present
+• Cut costs by 20%
+
+SKILLS
+Languages: Python, Go`;
+
+const resume = {
+  basics: { name: "Jane Doe", email: "jane@example.com" },
+  work: [{ position: "Developer", company: "Acme", startDate: "2020-01", endDate: "Present" }],
+};
+
+console.log("=== EXPORTS ===");
+const api = ["parseResumePdf", "parseResumeText", "render", "renderPage", "listTemplates", "loadTemplate", "readResume", "exportText"];
+check("index.mjs", api.filter((name) => typeof lib[name] !== "function"), []);
+check("node.mjs", api.filter((name) => typeof node[name] !== "function"), []);
+check("node.mjs overrides", [lib.render === node.render, lib.parseResumeText === node.parseResumeText], [false, true]);
+
+console.log("\n=== PARSE ===");
+const log = console.log;
+console.log = () => {};
+const parsed = lib.parseResumeText(text);
+console.log = log;
+check("name", parsed.resumeData.basics.name, "Jane Doe");
+check("work", parsed.resumeData.work.map((job) => [job.position, job.startDate]), [["Developer", "2020-01"]]);
+check("report", ["confidence", "language"].every((key) => key in parsed), true);
+let missing = null;
+await lib.parseResumePdf(new Uint8Array(0)).catch((error) => (missing = error.message));
+check("no pdf.js in index.mjs", missing.startsWith("pdf.js is not loaded"), true);
+
+console.log("\n=== TEMPLATES ===");
+const ids = (await lib.listTemplates()).map((template) => template.id);
+check("built-in templates", ["classic", "tech", "ats"].every((id) => ids.includes(id)), true);
+check("template folders need loading", ids.includes("timeline"), false);
+check("node.mjs loads them", (await node.listTemplates()).some((template) => template.id === "timeline"), true);
+await lib.loadTemplate("templates/timeline", (file) => fs.promises.readFile(path.join(root, file), "utf8"));
+check("loadTemplate", (await lib.listTemplates()).some((template) => template.id === "timeline"), true);
+
+console.log("\n=== RENDER ===");
+const result = await lib.render("tech", resume);
+check("parts", Object.keys(result), ["html", "css", "template"]);
+check("template markup", result.html.includes("tech-terminal"), true);
+check("default template", (await lib.render(null, resume)).template, "classic");
+check("saved template", (await lib.render(null, { ...resume, meta: { template: "ats" } })).template, "ats");
+check("page", (await node.renderPage("timeline", resume)).startsWith("<!DOCTYPE html>"), true);
+let unknown = null;
+await lib.render("nope", resume).catch((error) => (unknown = error.message));
+check("unknown template", unknown, 'Unknown template "nope". Run list-templates to see the available ones.');
+
+console.log("\n=== JSON AND TEXT ===");
+check("read object", lib.readResume(resume).basics.name, "Jane Doe");
+check("read text", lib.readResume(JSON.stringify(resume)).work[0].company, "Acme");
+check("markdown", lib.exportText(resume, "md").split("\n")[0], "# Jane Doe");
+
+console.log("\n=== PARSE PDF ===");
+console.log = () => {};
+const pdf = await node
+  .parseResumePdf(fs.readFileSync(path.join(root, "shanmuga-priya-resume.pdf")))
+  .catch((error) => ({ error: error.message }));
+console.log = log;
+check("pdf.js loads", pdf.error || null, null);
+check("name from the PDF", pdf.resumeData && pdf.resumeData.basics.name, "Shanmuga Priya Kannan");
+
+done();
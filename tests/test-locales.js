@@ -0,0 +1,187 @@
+// Test locale packs: language detection, dates in German, French and
+// Spanish, localized section headers, and German/French/Spanish resumes
+// parsed end to end by the default pipeline
+
+const ResumeLocales = require("../src/parsers/locales.js");
+const ResumeDates = require("../src/parsers/dates.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const SectionHeaderDetector = require("../src/parsers/section-headers.js");
+const { check, done } = require("./helpers/check.js");
+
+const resumes = {
+  de: `Max Mustermann
+Softwareentwickler
+max@example.de | +49 170 1234567
+Berlin, Deutschland
+
+PROFIL
+Erfahrener Entwickler mit Fokus auf Webanwendungen und Cloud-Architektur für die Industrie.
+
+BERUFSERFAHRUNG
+Senior Entwickler bei Beispiel GmbH, Berlin März 2021 - heute
+Entwicklung von Microservices mit Go und Kubernetes für die Logistik
+Softwareentwickler bei Muster AG, München Okt. 2017 - Feb. 2021
+Aufbau einer Plattform und Betreuung der Datenbank durch das Team
+
+AUSBILDUNG
+Technische Universität München Okt. 2012 - Sep. 2017
+Diplom in Informatik
+
+KENNTNISSE
+Go, JavaScript, Kubernetes, PostgreSQL`,
+  fr: `Claire Martin
+Cheffe de projet
+claire@example.fr
+
+EXPÉRIENCE PROFESSIONNELLE
+Cheffe de projet chez Exemple SA, Paris févr. 2019 - aujourd'hui
+Gestion de projet et mise en place des outils pour les équipes
+Développeuse chez Autre SARL, Lyon sept. 2015 - janv. 2019
+Développement des applications web avec le framework interne
+
+FORMATION
+Université Paris-Saclay sept. 2010 - juin 2015
+Master en Informatique
+
+COMPÉTENCES
+Java, Scrum, SQL`,
+  es: `Lucía García
+Ingeniera de software
+lucia@example.es
+
+PERFIL
+Ingeniera con experiencia en el desarrollo de aplicaciones para la gestión de equipos y empresas.
+
+EXPERIENCIA LABORAL
+Desarrolladora en Ejemplo SL, Madrid septiembre de 2020 - actualidad
+Desarrollo de servicios con Node y gestión del equipo de plataforma
+Programadora en Otra Empresa, Sevilla ene. 2018 - ago. 2020
+Mantenimiento de aplicaciones para los clientes del sector
+
+FORMACIÓN ACADÉMICA
+Universidad Complutense de Madrid sept. 2013 - jun. 2017
+Grado en Ingeniería Informática
+
+HABILIDADES
+Node.js, Python, SQL`,
+  en: `John Smith
+Software Engineer
+john@example.com
+
+EXPERIENCE
+Senior Engineer at Acme Corp Jan 2020 - Present
+Led the migration of the billing platform to Kubernetes and managed the team
+
+EDUCATION
+University of Washington 2012 - 2016
+Bachelor of Science in Computer Science`,
+};
+
+console.log("=== PACKS ===");
+check("built-in packs", ResumeLocales.list().map((pack) => pack.code), ["en", "de", "fr", "es"]);
+check("pack names", ResumeLocales.get("de").name, "Deutsch");
+check("unknown pack", ResumeLocales.get("xx"), null);
+
+let error = null;
+try {
+  ResumeLocales.register("it", { months: ["Gennaio", "Febbraio"] });
+} catch (e) {
+  error = e.message;
+}
+check("pack without 12 months is rejected", error, 'Locale pack "it" needs 12 month names');
+check("rejected pack is not registered", ResumeLocales.get("it"), null);
+
+console.log("\n=== DETECTION ===");
+for (const [code, text] of Object.entries(resumes)) {
+  check(`detects ${code}`, ResumeLocales.detect(text), code);
+}
+check("empty text falls back to English", ResumeLocales.detect(""), "en");
+check("fallback option", ResumeLocales.detect("12345", { fallback: "de" }), "de");
+check("pipeline detection", ResumeParserPipeline.detectLanguage(resumes.fr), "fr");
+
+console.log("\n=== DATES ===");
+const stored = (value) => ResumeDates.toString(value);
+check("German month", stored("März 2021"), "2021-03");
+check("German abbreviation", stored("Okt. 2017"), "2017-10");
+check("French abbreviation", stored("févr. 2019"), "2019-02");
+check("French month without accent", stored("aout 2020"), "2020-08");
+check("Spanish month with connector", stored("septiembre de 2023"), "2023-09");
+check("Spanish abbreviation", stored("ene. 2018"), "2018-01");
+check("day-first date", stored("15.09.2023"), "2023-09-15");
+check("invalid day-first date", ResumeDates.parse("45.09.2023").precision, null);
+check("day with a German month", stored("15. März 2020"), "2020-03-15");
+check("day with a Spanish month", stored("15 de septiembre de 2023"), "2023-09-15");
+check(
+  "present words",
+  ["heute", "aujourd'hui", "aujourd’hui", "actualidad"].map((word) => ResumeDates.parse(word).isPresent),
+  [true, true, true, true]
+);
+check("season", stored("Sommer 2020"), "Summer 2020");
+
+console.log("\n=== SECTION HEADERS ===");
+check("German header", SectionHeaderDetector.classify("Berufserfahrung"), "experience");
+check("French header", SectionHeaderDetector.classify("Compétences"), "skills");
+check("Spanish header", SectionHeaderDetector.classify("Formación"), "education");
+check("English header still works", SectionHeaderDetector.classify("Work Experience"), "experience");
+
+console.log("\n=== PIPELINE ===");
+const pipeline = ResumeParserPipeline.createDefault();
+const parse = (text, options) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return pipeline.parseDetailed(text, options);
+  } finally {
+    console.log = log;
+  }
+};
+
+const de = parse(resumes.de);
+check("German language in result", de.language, "de");
+check("German sections", ["experience", "education", "skills"].every((s) => s in de.sections), true);
+check(
+  "German work",
+  de.data.work.map(({ position, company, startDate, endDate }) => ({ position, company, startDate, endDate })),
+  [
+    { position: "Senior Entwickler", company: "Beispiel GmbH", startDate: "2021-03", endDate: "Present" },
+    { position: "Softwareentwickler", company: "Muster AG", startDate: "2017-10", endDate: "2021-02" },
+  ]
+);
+check(
+  "German education",
+  (({ institution, studyType, area }) => ({ institution, studyType, area }))(de.data.education[0]),
+  { institution: "Technische Universität München", studyType: "Diploma", area: "Informatik" }
+);
+
+const fr = parse(resumes.fr);
+check(
+  "French work",
+  fr.data.work.map(({ position, company, endDate }) => ({ position, company, endDate })),
+  [
+    { position: "Cheffe de projet", company: "Exemple SA", endDate: "Present" },
+    { position: "Développeuse", company: "Autre SARL", endDate: "2019-01" },
+  ]
+);
+check("French degree", [fr.data.education[0].studyType, fr.data.education[0].area], ["Master's", "Informatique"]);
+
+const es = parse(resumes.es);
+check(
+  "Spanish work",
+  es.data.work.map(({ position, company, startDate }) => ({ position, company, startDate })),
+  [
+    { position: "Desarrolladora", company: "Ejemplo SL", startDate: "2020-09" },
+    { position: "Programadora", company: "Otra Empresa", startDate: "2018-01" },
+  ]
+);
+check(
+  "Spanish education",
+  [es.data.education[0].institution, es.data.education[0].studyType, es.data.education[0].endDate],
+  ["Universidad Complutense de Madrid", "Bachelor's", "2017-06"]
+);
+
+const en = parse(resumes.en);
+check("English language in result", en.language, "en");
+check("English work", [en.data.work[0].company, en.data.work[0].endDate], ["Acme Corp", "Present"]);
+check("language option skips detection", parse(resumes.en, { language: "de" }).language, "de");
+
+done();
@@ -0,0 +1,158 @@
+// Test the OCR path for scanned PDFs: tesseract.js output normalization,
+// OCR of pages without a text layer only, and the confidence penalty for
+// fields holding words the engine was unsure of
+
+const OcrEngine = require("../src/core/OcrEngine.js");
+const PdfAdvancedFeatures = require("../src/core/PdfAdvancedFeatures.js");
+const ParseConfidence = require("../src/parsers/confidence.js");
+const { check, done } = require("./helpers/check.js");
+
+const bbox = { x0: 10, y0: 20, x1: 90, y1: 40 };
+
+console.log("=== TESSERACT OUTPUT ===");
+// tesseract.js v6+: words nested in blocks -> paragraphs -> lines
+const blocksShape = {
+  text: "Jane Dce\nPython\n",
+  confidence: 83.4,
+  blocks: [
+    {
+      paragraphs: [
+        {
+          lines: [
+            {
+              text: "Jane Dce\n",
+              confidence: 71,
+              bbox,
+              words: [
+                { text: "Jane", confidence: 96.2, bbox },
+                { text: "Dce", confidence: 41.7, bbox },
+              ],
+            },
+            { text: "Python\n", confidence: 92, bbox, words: [{ text: "Python", confidence: 92, bbox }] },
+          ],
+        },
+      ],
+    },
+  ],
+};
+const fromBlocks = OcrEngine.fromTesseract(blocksShape);
+check("text trimmed", fromBlocks.text, "Jane Dce\nPython");
+check("confidence scaled to 0-1", fromBlocks.confidence, 0.83);
+check("words from the blocks tree", fromBlocks.words.map((w) => [w.text, w.confidence]), [
+  ["Jane", 0.96],
+  ["Dce", 0.42],
+  ["Python", 0.92],
+]);
+check("lines", fromBlocks.lines.map((l) => l.text), ["Jane Dce", "Python"]);
+check("word boxes kept", fromBlocks.words[0].bbox, bbox);
+
+// tesseract.js v5: flat words and lines
+const flat = OcrEngine.fromTesseract({
+  text: "SKILLS",
+  confidence: 90,
+  words: [{ text: "SKILLS", confidence: 90, bbox }, { text: " ", confidence: 0 }],
+  lines: [{ text: "SKILLS", confidence: 90, bbox }],
+});
+check("flat words, blanks dropped", flat.words.map((w) => w.text), ["SKILLS"]);
+check("language codes", OcrEngine.toTesseractLanguages(["en", "de", "chi_sim"]), ["eng", "deu", "chi_sim"]);
+
+console.log("\n=== SCANNED PAGES ===");
+// Page 1 has a text layer, page 2 is a scan
+const pageTexts = ["Jane Doe - Software Engineer with ten years of experience", ""];
+const rendered = [];
+const api = {
+  getPage: async (doc, pageNumber) => ({ pageNumber }),
+  extractPageText: async (page) => ({ fullText: pageTexts[page.pageNumber - 1], lines: [] }),
+  renderPageToCanvas: async (page, canvas, options) => {
+    rendered.push([page.pageNumber, options.scale]);
+    return { success: true };
+  },
+};
+let terminated = false;
+const engine = {
+  load: async () => engine,
+  recognize: async () => fromBlocks,
+  terminate: async () => {
+    terminated = true;
+  },
+};
+global.document = { createElement: () => ({}) };
+
+(async () => {
+  const features = new PdfAdvancedFeatures(api);
+  const progress = [];
+  const result = await features.extractTextWithOcr(
+    { numPages: 2 },
+    {
+      useOcr: true,
+      engine,
+      onProgress: ({ pageNumber, source }) => progress.push(`${pageNumber}:${source}`),
+    }
+  );
+
+  check("only the scanned page is rendered", rendered, [[2, 2]]);
+  check("page sources", result.pages.map((p) => p.source), ["text", "ocr"]);
+  check("progress reports the source", progress, ["1:text", "2:ocr"]);
+  check("ocr page count", result.ocrPages, 1);
+  check("text layer pages are certain", result.pages[0].confidence, 1);
+  check("low-confidence words flagged", result.lowConfidenceWords.map((w) => [w.text, w.pageNumber]), [["Dce", 2]]);
+  check("languages reported", result.detectedLanguages, ["en"]);
+  check("confidence weighted by text length", result.confidence, 0.96);
+  check("caller's engine is not terminated", terminated, false);
+
+  rendered.length = 0;
+  const textOnly = await features.extractTextWithOcr({ numPages: 2 }, { engine });
+  check("useOcr false never renders", [rendered.length, textOnly.ocrPages], [0, 0]);
+
+  rendered.length = 0;
+  const chosen = await features.extractTextWithOcr({ numPages: 2 }, { useOcr: "always", pages: [2], engine });
+  check("only the pages asked for", [chosen.pages.map((p) => p.pageNumber), rendered.map(([n]) => n)], [[2], [2]]);
+
+  console.log("\n=== OCR FAILURES ===");
+  const missing = {
+    load: async () => {
+      throw new Error("OCR engine not found in vendor/tesseract/");
+    },
+    recognize: async () => fromBlocks,
+    terminate: async () => {},
+  };
+  let loadError = null;
+  await features
+    .extractTextWithOcr({ numPages: 2 }, { useOcr: true, engine: missing })
+    .catch((error) => (loadError = error.message));
+  check("engine load errors are not swallowed", loadError, "OCR engine not found in vendor/tesseract/");
+
+  let calls = 0;
+  const flaky = {
+    load: async () => flaky,
+    recognize: async () => {
+      if (++calls === 1) throw new Error("recognition failed");
+      return fromBlocks;
+    },
+    terminate: async () => {},
+  };
+  const skipped = await features.extractTextWithOcr({ numPages: 2 }, { useOcr: "always", engine: flaky });
+  check("failed page skipped", [skipped.failedPages, skipped.pages.map((p) => p.pageNumber)], [[1], [2]]);
+
+  console.log("\n=== PARSE CONFIDENCE ===");
+  const parsed = {
+    strategy: "robust",
+    trace: { basics: { strategy: "robust" } },
+    data: { basics: { name: "Jane Dce", email: "jane@example.com" } },
+  };
+  const ocr = { confidence: result.confidence, pages: 1, lowConfidenceWords: result.lowConfidenceWords };
+  const report = ParseConfidence.assess(parsed, { ocr });
+  const field = (r, path) => r.fields.find((f) => f.path === path);
+
+  check("unsure OCR word lowers the field", field(report, "basics.name").confidence < field(ParseConfidence.assess(parsed), "basics.name").confidence, true);
+  check("note names the word", /OCR unsure of "Dce"/.test(field(report, "basics.name").note), true);
+  check("name needs review", report.needsReview.some((f) => f.path === "basics.name"), true);
+  check("other fields untouched", field(report, "basics.email").confidence, field(ParseConfidence.assess(parsed), "basics.email").confidence);
+  check("report keeps OCR summary", report.ocr.pages, 1);
+
+  const edited = ParseConfidence.reassess(report, { basics: { name: "Jane Doe", email: "jane@example.com" } });
+  check("manual fix clears the flag", field(edited, "basics.name").confidence, 1);
+  check("reassess keeps OCR summary", edited.ocr === ocr, true);
+
+  done();
+})();
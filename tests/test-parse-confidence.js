@@ -0,0 +1,74 @@
+// Test per-field confidence scores: validation rules, parser rule notes,
+// the "needs review" list and manual edits in the editor
+
+const ParseConfidence = require("../src/parsers/confidence.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { check, done } = require("./helpers/check.js");
+
+const trace = {
+  basics: { strategy: "robust", label: "Robust parser", section: null, sectionFound: null },
+  work: { strategy: "robust", label: "Robust parser", section: "experience", sectionFound: true },
+  education: { strategy: "robust", label: "Robust parser", section: "education", sectionFound: false },
+};
+
+const data = {
+  basics: { name: "Jane Doe", email: "jane@example", phone: "555-123-4567", location: "Java, Python" },
+  work: [
+    { position: "Senior Developer", company: "Acme Corp", startDate: "Jan 2020", endDate: "Present" },
+    { position: "Did many things across the whole stack for several product teams over multiple years", company: "", startDate: "2021", endDate: "2019" },
+  ],
+  education: [{ institution: "DePaul University", studyType: "Master's", area: "CS", startDate: "2016", endDate: "2018" }],
+  skills: [{ name: "Languages", keywords: ["Java", "Python"] }],
+};
+
+const report = ParseConfidence.assess({ strategy: "robust", trace, data });
+const field = (path) => ParseConfidence.field(report, path);
+
+console.log("=== FIELD RULES ===");
+check("valid name", field("basics.name").confidence, 0.9);
+check("invalid email", [field("basics.email").confidence, field("basics.email").note], [0.4, "Not a valid email address"]);
+check("phone digits", field("basics.phone").note, "10 digits");
+check("location that is really skills", field("basics.location").confidence, 0.2);
+check("empty optional fields are skipped", field("basics.url"), null);
+check("job title keyword", field("work[0].position").confidence, 0.85);
+check("company suffix", field("work[0].company").note, "Contains a company suffix");
+check("recognized date range", field("work[0].dates").value, "Jan 2020 - Present");
+check("long position", field("work[1].position").confidence, 0.3);
+check("missing company", field("work[1].company").confidence, 0);
+check("reversed dates", field("work[1].dates").note, "Start date is after end date");
+
+console.log("\n=== PARSER RULES ===");
+check("basics come from the header", field("basics.email").rule, "Robust parser · contact header");
+check("section source", field("work[0].company").rule, "Robust parser · Experience section");
+check("full-text fallback", field("education[0].institution").rule, "Robust parser · full-text fallback");
+check("fallback lowers confidence", field("education[0].institution").confidence, 0.63);
+
+console.log("\n=== NEEDS REVIEW ===");
+check(
+  "low-confidence fields, weakest first",
+  report.needsReview.map((f) => f.path),
+  ["work[1].company", "basics.location", "work[1].dates", "work[1].position", "basics.email", "education[0].area"]
+);
+check("overall score is an average", report.score > 0 && report.score < 1, true);
+
+console.log("\n=== MANUAL EDITS ===");
+const edited = JSON.parse(JSON.stringify(data));
+edited.work[1].company = "Freelance";
+const after = ParseConfidence.reassess(report, edited);
+check("edited field is reviewed", [ParseConfidence.field(after, "work[1].company").confidence, ParseConfidence.field(after, "work[1].company").rule], [1, "Edited manually"]);
+check("edited field leaves the review list", after.needsReview.some((f) => f.path === "work[1].company"), false);
+const again = ParseConfidence.reassess(after, edited);
+check("manual edits stick across re-scoring", ParseConfidence.field(again, "work[1].company").confidence, 1);
+
+console.log("\n=== PIPELINE TRACE ===");
+const log = console.log;
+console.log = console.warn = () => {};
+const result = ResumeParserPipeline.createDefault().parseDetailed(
+  "Jane Doe\njane@example.com\nEXPERIENCE\nDeveloper\nAcme Inc\nJan 2020 - Present\nSKILLS\nJava, Python"
+);
+console.log = log;
+check("trace marks found sections", [result.trace.work.section, result.trace.work.sectionFound], ["experience", true]);
+check("trace marks missing sections", result.trace.education.sectionFound, false);
+check("report names the strategy", ParseConfidence.assess(result).strategy, result.strategy);
+
+done();
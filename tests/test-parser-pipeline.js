@@ -0,0 +1,138 @@
+// Test the parser pipeline: strategy registration, stage order, fallback
+// between strategies and the built-in parsers running inside it
+
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const RobustResumeParser = require("../src/parsers/robust-parser.js");
+const ResumeNormalizer = require("../src/parsers/normalize.js");
+const EnhancedResumeNormalizer = require("../src/core/EnhancedResumeNormalizer.js");
+const { check, done } = require("./helpers/check.js");
+
+// The parsers log their intermediate steps; keep the test output readable
+const log = console.log;
+const quiet = (fn) => {
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+};
+
+const resumeText = `Jane Doe
+Software Engineer
+jane@example.com | 555-123-4567 | Chicago, IL
+SUMMARY
+Backend engineer with 5 years of experience building APIs.
+EXPERIENCE
+Senior Developer
+Acme Corp
+Jan 2020 - Present
+• Led the migration to Kubernetes
+EDUCATION
+DePaul University
+Master's in Computer Science
+Sep 2016 - June 2018
+SKILLS
+Languages: Java, Python
+PROJECTS
+Resume Tool | JavaScript, PDF.js
+Parses resumes in the browser`;
+
+console.log("=== DEFAULT PIPELINE ===");
+const pipeline = ResumeParserPipeline.createDefault();
+check("built-in strategies in priority order", pipeline.list().map((s) => s.name), ["robust", "heuristic"]);
+check(
+  "robust strategy matches parseResume",
+  quiet(() => pipeline.run("robust", resumeText).data),
+  quiet(() => new RobustResumeParser().parseResume(resumeText))
+);
+check(
+  "heuristic strategy matches normalizeText",
+  quiet(() => pipeline.run("heuristic", resumeText).data),
+  quiet(() => ResumeNormalizer.normalizeText(resumeText))
+);
+const parsed = quiet(() => pipeline.parse(resumeText));
+check("parse returns robust result", parsed.basics.email, "jane@example.com");
+check("heuristic finds sections", Object.keys(quiet(() => pipeline.run("heuristic", resumeText).sections)).sort(), [
+  "education",
+  "experience",
+  "projects",
+  "skills",
+  "summary",
+]);
+
+console.log("\n=== SHARED NORMALIZATION ===");
+check("collapses spaces and dashes", ResumeParserPipeline.normalizeText("Jan  2020 — Present ,"), "Jan 2020 - Present,");
+check("empty text", ResumeParserPipeline.normalizeText(null), "");
+
+console.log("\n=== CUSTOM STRATEGIES ===");
+const calls = [];
+const custom = new ResumeParserPipeline()
+  .register({
+    name: "empty",
+    detectSections: () => ({}),
+    extractors: { work: () => [] },
+  })
+  .register({
+    name: "lines",
+    create: () => ({ prefix: "#" }),
+    clean: (text) => text.toUpperCase(),
+    detectSections: (text) => {
+      calls.push("sections");
+      return { work: text.split("\n") };
+    },
+    extractors: {
+      work: (sections, { parser }) => {
+        calls.push("work");
+        return sections.work.map((line) => ({ position: parser.prefix + line }));
+      },
+    },
+    postProcess: [
+      (data) => {
+        calls.push("post");
+        return { ...data, post: true };
+      },
+    ],
+  })
+  .addPostProcessor((data) => ({ ...data, pipeline: true }));
+
+const customResult = quiet(() => custom.parse("dev\nlead"));
+check("falls back past empty strategies", customResult.work, [{ position: "#DEV" }, { position: "#LEAD" }]);
+check("stages run in order", calls, ["sections", "work", "post"]);
+check("pipeline post-processors run last", [customResult.post, customResult.pipeline], [true, true]);
+
+custom.setExtractor("lines", "skills", () => [{ name: "Added", keywords: [] }]);
+check("extractors can be added per pipeline", quiet(() => custom.run("lines", "x").data.skills), [{ name: "Added", keywords: [] }]);
+pipeline.setExtractor("robust", "languages", () => []);
+check("overrides don't change the parser's own strategy", "languages" in RobustResumeParser.strategy.extractors, false);
+
+const failing = new ResumeParserPipeline()
+  .register({ name: "broken", detectSections: () => { throw new Error("boom"); }, extractors: { work: () => [] } })
+  .register({ name: "ok", detectSections: () => ({}), extractors: { work: () => [{ position: "Dev" }] } });
+check("errors fall through to the next strategy", quiet(() => failing.parse("text")).work, [{ position: "Dev" }]);
+
+let error = null;
+try {
+  new ResumeParserPipeline().register({ name: "bad", extractors: {} });
+} catch (e) {
+  error = e.message;
+}
+check("strategies need a section detector", error, 'Parser strategy "bad" needs a detectSections stage');
+
+error = null;
+try {
+  pipeline.run("missing", resumeText);
+} catch (e) {
+  error = e.message;
+}
+check("unknown strategy throws", error, 'Unknown parser strategy "missing"');
+
+console.log("\n=== OPT-IN STRATEGIES ===");
+const structured = new ResumeParserPipeline().register(EnhancedResumeNormalizer.strategy);
+check(
+  "structured strategy matches normalize()",
+  quiet(() => structured.run("structured", resumeText).data),
+  quiet(() => new EnhancedResumeNormalizer({ text: resumeText }).normalize())
+);
+
+done();
@@ -0,0 +1,77 @@
+// Test the PDF writer behind "Download PDF": structure, page geometry and
+// cross-reference offsets. Rasterizing needs a browser, so page images are
+// stand-in bytes here.
+
+const PdfExporter = require("../src/exporters/PdfExporter.js");
+const { check, done } = require("./helpers/check.js");
+
+const fakeJpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]);
+const letter = PdfExporter.pageSizes.letter;
+const contentHeightPx = (letter.height - 72) * PdfExporter.CSS_PX_PER_PT;
+
+const bytes = PdfExporter.buildPdf(
+  [
+    { jpeg: fakeJpeg, pixelWidth: 1088, pixelHeight: 1920, cssHeight: contentHeightPx },
+    { jpeg: fakeJpeg, pixelWidth: 1088, pixelHeight: 400, cssHeight: 200 },
+  ],
+  { pageWidth: letter.width, pageHeight: letter.height, margin: 36, title: "Jane (Doe) Résumé" }
+);
+const text = Buffer.from(bytes).toString("latin1");
+
+console.log("=== STRUCTURE ===");
+check("starts with PDF header", text.startsWith("%PDF-1.4"), true);
+check("ends with EOF marker", text.trimEnd().endsWith("%%EOF"), true);
+check("page tree counts two pages", /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 2/.test(text), true);
+check("two page objects", (text.match(/\/Type \/Page /g) || []).length, 2);
+check("images use DCTDecode", (text.match(/\/Filter \/DCTDecode/g) || []).length, 2);
+check("letter media box", text.includes("/MediaBox [0 0 612 792]"), true);
+check("title is escaped ASCII", text.includes("/Title (Jane \\(Doe\\) Rsum)"), true);
+
+console.log("\n=== GEOMETRY ===");
+// Full page: image fills the content box between the margins
+check("full page image placement", text.includes("q 540 0 0 720 36 36 cm /Im0 Do Q"), true);
+// Short last page: image hangs from the top margin
+check("partial page image placement", text.includes("q 540 0 0 150 36 606 cm /Im1 Do Q"), true);
+
+console.log("\n=== XREF ===");
+const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+check("startxref points at xref table", text.substr(startxref, 4), "xref");
+const entries = text.substr(startxref).split("\n").slice(3, 3 + 9);
+const offsetsOk = entries.every((line, i) => {
+  const offset = Number(line.slice(0, 10));
+  return text.substr(offset, `${i + 1} 0 obj`.length) === `${i + 1} 0 obj`;
+});
+check("every xref offset points at its object", offsetsOk, true);
+
+console.log("\n=== TEXT LAYER ===");
+// Runs in CSS px: one on the first page, one on the second (page height 960px)
+const runs = [
+  { text: "Jane Doe", left: 0, right: 120, top: 0, bottom: 32, fontSize: 32, scale: 95 },
+  { text: "Python", left: 24, right: 80, top: 1000, bottom: 1016, fontSize: 16, scale: 100 },
+];
+const pageOne = PdfExporter.pageText(runs, { top: 0, height: contentHeightPx, margin: 36, pageHeight: 792 });
+check("runs on their page", pageOne.map((run) => run.text), ["Jane Doe"]);
+check("position in points from the bottom-left", [pageOne[0].x, Math.round(pageOne[0].y * 100) / 100, pageOne[0].size], [36, 737.04, 24]);
+const pageTwo = PdfExporter.pageText(runs, { top: contentHeightPx, height: contentHeightPx, margin: 36, pageHeight: 792 });
+check("second page offset", [pageTwo[0].text, pageTwo[0].x, Math.round(pageTwo[0].y * 100) / 100], ["Python", 54, 716.52]);
+
+check("WinAnsi escapes", PdfExporter._winAnsiString("Zoë (Dev) – 100% \\ “ok”"), "Zo\\353 \\(Dev\\) \\226 100% \\\\ \\223ok\\224");
+check("accents outside Latin-1 reduced", PdfExporter._winAnsiString("Dvořák"), "Dvor\\341k");
+check("other scripts dropped", PdfExporter._winAnsiString("李 Li"), " Li");
+
+const withText = Buffer.from(
+  PdfExporter.buildPdf([{ jpeg: fakeJpeg, pixelWidth: 1088, pixelHeight: 400, cssHeight: 200, text: pageOne }], {
+    pageWidth: letter.width,
+    pageHeight: letter.height,
+    margin: 36,
+  })
+).toString("latin1");
+check("invisible text over the image", withText.includes("BT 3 Tr\n/F1 24 Tf 95 Tz 1 0 0 1 36 737.04 Tm (Jane Doe) Tj\nET"), true);
+check("Helvetica font resource", /\/Font << \/F1 (\d+) 0 R >>/.test(withText) && withText.includes("/BaseFont /Helvetica /Encoding /WinAnsiEncoding"), true);
+check("pages without text have no text object", text.includes("BT"), false);
+
+console.log("\n=== OPTIONS ===");
+check("A4 size is defined", PdfExporter.pageSizes.a4.width, 595.28);
+check("break-avoid selector covers entries", PdfExporter.breakAvoidSelector.includes("[class*='entry']"), true);
+
+done();
@@ -0,0 +1,106 @@
+// Test column detection in PdfLayoutAnalyzer: a two-column resume with a
+// skills sidebar must not come out interleaved line by line
+
+const PdfLayoutAnalyzer = require("../src/parsers/pdf-layout.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { check, done } = require("./helpers/check.js");
+
+// pdf.js-style text item (10pt font, ~5pt per character)
+function item(str, x, y) {
+  return { str: str, transform: [10, 0, 0, 10, x, y], width: str.length * 5, height: 10 };
+}
+
+const page = { pageNumber: 1, width: 612, height: 792 };
+
+// Full-width header, then main column (x=40) next to a right sidebar (x=420)
+const twoColumn = [
+  item("Jane Doe", 260, 760),
+  item("jane@example.com | 555-123-4567 | Chicago, IL | janedoe.dev", 150, 745),
+  item("EXPERIENCE", 40, 710),
+  item("SKILLS", 420, 710),
+  item("Senior Developer at Acme Corp", 40, 695),
+  item("Python", 420, 695),
+  item("Jan 2020 - Present", 40, 680),
+  item("JavaScript", 420, 680),
+  item("Built the billing platform for 2M users", 40, 665),
+  item("SQL", 420, 665),
+  item("Developer at Beta LLC", 40, 650),
+  item("LANGUAGES", 420, 650),
+  item("2017 - 2019", 40, 635),
+  item("English", 420, 635),
+  item("EDUCATION", 40, 610),
+  item("BS Computer Science, DePaul", 40, 595),
+];
+
+console.log("=== TWO COLUMNS ===");
+const analyzed = PdfLayoutAnalyzer.analyzePage(twoColumn, page);
+check("page type", analyzed.type, "two-column");
+check("one gutter between the columns", analyzed.gutters.length === 1 && analyzed.gutters[0] > 240 && analyzed.gutters[0] < 420, true);
+check("block roles in reading order", analyzed.blocks.map((b) => b.role), ["header", "main", "sidebar"]);
+check("sidebar column index", analyzed.blocks[2].column, 1);
+check("main column keeps experience together", analyzed.blocks[1].lines.slice(0, 4), [
+  "EXPERIENCE",
+  "Senior Developer at Acme Corp",
+  "Jan 2020 - Present",
+  "Built the billing platform for 2M users",
+]);
+check("sidebar is its own block", analyzed.blocks[2].lines, ["SKILLS", "Python", "JavaScript", "SQL", "LANGUAGES", "English"]);
+
+const layout = PdfLayoutAnalyzer.summarize([analyzed]);
+check("document layout", [layout.type, layout.columns, layout.hasSidebar], ["two-column", 2, true]);
+check("text separates blocks", layout.text.split("\n\n").length, 3);
+check("no interleaved lines", layout.text.includes("Senior Developer at Acme Corp Python"), false);
+check("blocksByRole", PdfLayoutAnalyzer.blocksByRole(layout, "sidebar").map((b) => b.id), ["p1-b3"]);
+check("describe", PdfLayoutAnalyzer.describe(layout), "2 columns (sidebar right)");
+
+console.log("\n=== LEFT SIDEBAR ===");
+const leftSidebar = twoColumn.map((entry) => {
+  const x = entry.transform[4];
+  if (entry.transform[5] > 740) return entry;
+  return item(entry.str, x === 420 ? 40 : x + 180, entry.transform[5]);
+});
+const leftLayout = PdfLayoutAnalyzer.summarize([PdfLayoutAnalyzer.analyzePage(leftSidebar, page)]);
+check("sidebar first in reading order", leftLayout.pages[0].blocks.map((b) => b.role), ["header", "sidebar", "main"]);
+check("describe left sidebar", PdfLayoutAnalyzer.describe(leftLayout), "2 columns (sidebar left)");
+
+console.log("\n=== SINGLE COLUMN ===");
+const singleColumn = [
+  item("John Smith", 40, 760),
+  item("EXPERIENCE", 40, 730),
+  item("Software Engineer, Initech", 40, 715),
+  item("Mar 2018 - Present", 470, 715),
+  item("Maintained the reporting service and cut nightly build times in half", 40, 700),
+  item("Analyst, Initrode", 40, 685),
+  item("2015 - 2018", 500, 685),
+  item("Wrote SQL reports for finance and automated quarterly data exports", 40, 670),
+  item("Intern, Globex", 40, 655),
+  item("2014 - 2015", 500, 655),
+];
+const single = PdfLayoutAnalyzer.analyzePage(singleColumn, page);
+check("right-aligned dates are not a column", [single.type, single.gutters], ["single-column", []]);
+check("single block", single.blocks.map((b) => b.role), ["main"]);
+check("rows joined left to right", single.blocks[0].lines[2], "Software Engineer, Initech Mar 2018 - Present");
+
+console.log("\n=== ROW JOINING ===");
+check(
+  "space only across gaps",
+  PdfLayoutAnalyzer.joinItems([item("Java", 40, 700), item("Script", 60, 700), item("Node", 100, 700)]),
+  "JavaScript Node"
+);
+check("empty page", PdfLayoutAnalyzer.summarize([PdfLayoutAnalyzer.analyzePage([], page)]).text, "");
+
+console.log("\n=== PIPELINE CONTEXT ===");
+let seenLayout = null;
+const pipeline = new ResumeParserPipeline().register({
+  name: "layout-probe",
+  detectSections: (text, context) => {
+    seenLayout = context.layout;
+    return {};
+  },
+  extractors: { skills: () => [] },
+});
+const result = pipeline.run("layout-probe", layout.text, { layout });
+check("strategies see the layout", seenLayout === layout, true);
+check("run result includes layout", result.layout === layout, true);
+
+done();
@@ -0,0 +1,145 @@
+// Test the Node toolkit and command-line tool: argument parsing, text
+// parsing, template listing, HTML rendering, text export, exit codes and
+// PDF parsing with pdfjs-dist (npm install).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ResumeToolkit = require("../src/node/ResumeToolkit.js");
+const { main, parseArgs } = require("../bin/resume-loader.js");
+const { check, done } = require("./helpers/check.js");
+
+const resume = {
+  basics: { name: "Jane <Doe>", label: "Engineer", email: "jane@example.com", phone: "555-123-4567" },
+  work: [{ position: "Developer", company: "Acme", startDate: "2020-01", endDate: "Present", highlights: ["Cut costs by 20%"] }],
+  education: [{ institution: "State University", studyType: "BSc", area: "Computer Science" }],
+  skills: [{ name: "Languages", keywords: ["Python", "Go"] }],
+};
+
+const text = `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Acme Corp
+Developer, Jan 2020 - Present
+• Cut costs by 20%
+
+EDUCATION
+State University
+BSc Computer Science, 2019
+
+SKILLS
+Languages: Python, Go`;
+
+(async () => {
+  console.log("=== ARGUMENTS ===");
+  check("command, input and options", parseArgs(["render", "r.json", "-t", "tech", "--output=out.html"]), {
+    command: "render",
+    input: "r.json",
+    options: { template: "tech", output: "out.html" },
+  });
+  check("stdin input", parseArgs(["export", "-", "--format", "md"]).input, "-");
+  check("flags", parseArgs(["list-templates", "--json", "-v"]).options, { json: true, verbose: true });
+  const usage = (argv) => {
+    try {
+      parseArgs(argv);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+  check("unknown option", usage(["parse", "--pages", "2"]), "Unknown option --pages");
+  check("missing value", usage(["render", "r.json", "-t"]), "-t needs a value");
+  check("extra argument", usage(["render", "a.json", "b.json"]), "Unexpected argument b.json");
+
+  console.log("\n=== PARSE TEXT ===");
+  const parsed = ResumeToolkit.parseText(text);
+  check("name", parsed.resumeData.basics.name, "Jane Doe");
+  check("email", parsed.resumeData.basics.email, "jane@example.com");
+  check("work", parsed.resumeData.work.map((job) => [job.position, job.startDate, job.endDate]), [["Developer", "2020-01", "Present"]]);
+  check("confidence report", typeof parsed.confidence.score, "number");
+  check("language", parsed.language, "en");
+
+  console.log("\n=== TEMPLATES ===");
+  const templates = await ResumeToolkit.listTemplates();
+  const ids = templates.map((template) => template.id);
+  check("built-in templates", ["classic", "tech", "ats"].every((id) => ids.includes(id)), true);
+  check("template folders", ids.includes("timeline"), true);
+  check("entry shape", Object.keys(templates[0]), ["id", "name", "description", "category", "atsSafe"]);
+
+  console.log("\n=== RENDER ===");
+  const html = await ResumeToolkit.renderPage(resume, "tech");
+  check("standalone page", html.startsWith("<!DOCTYPE html>"), true);
+  check("title escaped", html.includes("<title>Jane &lt;Doe&gt; - Resume</title>"), true);
+  check("template markup", html.includes("tech-terminal"), true);
+  const saved = { ...resume, meta: { template: "ats" } };
+  check("saved template", (await ResumeToolkit.renderPage(saved)).includes("tech-terminal"), false);
+  let unknown = null;
+  try {
+    await ResumeToolkit.renderPage(resume, "nope");
+  } catch (error) {
+    unknown = error.message;
+  }
+  check("unknown template", unknown, 'Unknown template "nope". Run list-templates to see the available ones.');
+
+  console.log("\n=== EXPORT ===");
+  check("text", ResumeToolkit.exportText(resume, "txt").split("\n")[0], "JANE <DOE>");
+  check("markdown", ResumeToolkit.exportText(resume, "md").split("\n")[0], "# Jane &lt;Doe&gt;");
+  let format = null;
+  try {
+    ResumeToolkit.exportText(resume, "pdf");
+  } catch (error) {
+    format = error.message;
+  }
+  check("unknown format", format, 'Unknown format "pdf". Use txt or md.');
+  check("invalid JSON", (() => {
+    try {
+      return ResumeToolkit.readResume('{"basics":');
+    } catch (error) {
+      return error.message.split("\n")[0];
+    }
+  })(), "Not a valid resume:");
+
+  console.log("\n=== COMMANDS ===");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "resume-cli-"));
+  const input = path.join(dir, "resume.json");
+  fs.writeFileSync(input, JSON.stringify(resume));
+
+  // Keep the tool's messages out of the test output
+  const error = console.error;
+  const messages = [];
+  console.error = (...args) => messages.push(args.join(" "));
+  const run = async (...argv) => {
+    messages.length = 0;
+    return main(argv);
+  };
+
+  check("render to a file", await run("render", input, "-t", "classic", "-o", path.join(dir, "out.html")), 0);
+  const written = fs.readFileSync(path.join(dir, "out.html"), "utf8");
+  check("written page", written.startsWith("<!DOCTYPE html>"), true);
+  check("export to a file", await run("export", input, "--format=md", "-o", path.join(dir, "out.md")), 0);
+  check("written markdown", fs.readFileSync(path.join(dir, "out.md"), "utf8").startsWith("# Jane"), true);
+  check("help", await run("--help"), 0);
+  check("no command", await run(), 2);
+  check("unknown command", await run("frob"), 2);
+  check("missing input", await run("render"), 2);
+  check("missing file", await run("render", path.join(dir, "missing.json")), 1);
+  check("error message", messages[0].startsWith("resume-loader: ENOENT"), true);
+  check("unknown template exits 1", await run("render", input, "-t", "nope"), 1);
+  console.error = error;
+
+  console.log("\n=== PARSE PDF ===");
+  const pdf = path.join(__dirname, "..", "shanmuga-priya-resume.pdf");
+  // pdf.js and the parsers log with console.log
+  const log = console.log;
+  console.log = () => {};
+  const result = await ResumeToolkit.parsePdf(fs.readFileSync(pdf)).catch((error) => ({ error: error.message }));
+  console.log = log;
+  check("pdf.js loads", result.error || null, null);
+  check("name from the PDF", result.resumeData && result.resumeData.basics.name, "Shanmuga Priya Kannan");
+  check("page layout", Boolean(result.layout) && result.layout.pages.length >= 1, true);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  done();
+})();
@@ -0,0 +1,83 @@
+// Test field-level diffs between resume versions: matching entries across
+// versions, added/removed/changed entries, changed fields and list items
+
+const ResumeDiff = require("../src/core/ResumeDiff.js");
+const { check, done } = require("./helpers/check.js");
+
+const before = {
+  work: [
+    { company: "Acme Corp", name: "Acme Corp", position: "Engineer", startDate: "2020-01", highlights: ["Built billing", "Ran on-call"] },
+    { company: "Initech", name: "Initech", position: "Intern", startDate: "2018-06", endDate: "2019-08" },
+  ],
+  education: [{ institution: "MIT", studyType: "Bachelor's", area: "Physics", endDate: "2019" }],
+  skills: [
+    { name: "Languages", keywords: ["JavaScript", "Python"] },
+    { name: "Cloud", keywords: ["AWS"] },
+  ],
+};
+const after = {
+  work: [
+    { company: "Globex", name: "Globex", position: "Staff Engineer", startDate: "2023-02" },
+    { company: "Acme Corp", name: "Acme Corp", position: "Senior Engineer", startDate: "2020-01", endDate: "2023-01", highlights: ["Built billing", "Led the platform team"] },
+  ],
+  education: [{ institution: "MIT", studyType: "Bachelor's", area: "Physics", endDate: "2019" }],
+  skills: [
+    { name: "Languages", keywords: ["JavaScript", "Go"] },
+    { name: "Cloud", keywords: ["AWS"] },
+  ],
+};
+
+const diff = ResumeDiff.compare(before, after);
+
+console.log("=== ENTRIES ===");
+check("work statuses in the new order", diff.work.map((e) => [e.status, e.title]), [
+  ["added", "Staff Engineer at Globex"],
+  ["changed", "Senior Engineer at Acme Corp"],
+  ["removed", "Intern at Initech"],
+]);
+check("unchanged education", diff.education.map((e) => e.status), ["unchanged"]);
+check("skills", diff.skills.map((e) => e.status), ["changed", "unchanged"]);
+check("number of changes", diff.changes, 4);
+check("same resume", ResumeDiff.compare(before, JSON.parse(JSON.stringify(before))).changes, 0);
+
+console.log("\n=== FIELDS ===");
+const acme = diff.work[1];
+check("changed fields", acme.fields.map((f) => f.key), ["position", "endDate", "highlights"]);
+check("old and new value", [acme.fields[0].before, acme.fields[0].after], ["Engineer", "Senior Engineer"]);
+check("new field", [acme.fields[1].before, acme.fields[1].after], [null, "2023-01"]);
+check("list items", [acme.fields[2].added, acme.fields[2].removed], [["Led the platform team"], ["Ran on-call"]]);
+check("keywords", [diff.skills[0].fields[0].added, diff.skills[0].fields[0].removed], [["Go"], ["Python"]]);
+check("entries kept for display", [acme.before.position, acme.after.position], ["Engineer", "Senior Engineer"]);
+
+console.log("\n=== MATCHING ===");
+check(
+  "JSON Resume name matches parser company",
+  ResumeDiff.compareSection("work", [{ company: "Acme", position: "Dev" }], [{ name: "Acme", position: "Dev" }]).map((e) => e.status),
+  ["unchanged"]
+);
+check(
+  "empty values are equal",
+  ResumeDiff.compareEntries("education", { institution: "MIT", score: "" }, { institution: "MIT", courses: [] }),
+  []
+);
+check(
+  "renamed skill category is a new entry",
+  ResumeDiff.compareSection("skills", [{ name: "Tools" }], [{ name: "Tooling" }]).map((e) => e.status),
+  ["added", "removed"]
+);
+check(
+  "two roles at one company",
+  ResumeDiff.compareSection(
+    "work",
+    [{ company: "Acme", position: "Engineer" }, { company: "Acme", position: "Intern" }],
+    [{ company: "Acme", position: "Senior Engineer" }, { company: "Acme", position: "Intern" }]
+  ).map((e) => [e.status, e.title]),
+  [["changed", "Senior Engineer at Acme"], ["unchanged", "Intern at Acme"]]
+);
+check("missing sections", ResumeDiff.compare({}, { skills: [{ name: "Web" }] }).changes, 1);
+
+console.log("\n=== TITLES ===");
+check("education title", ResumeDiff.entryTitle("education", before.education[0]), "Bachelor's in Physics, MIT");
+check("untitled position", ResumeDiff.entryTitle("work", {}), "Untitled position");
+
+done();
@@ -0,0 +1,65 @@
+// Test the data helpers behind the structured resume editor
+
+const ResumeEditor = require("../src/ui/ResumeEditor.js");
+const { check, done } = require("./helpers/check.js");
+
+console.log("=== NORMALIZE ===");
+const data = ResumeEditor.normalize({
+  basics: { name: "Jane Doe" },
+  work: [{ position: "Developer", company: "Acme" }],
+});
+check("missing sections become empty arrays", data.education, []);
+check("certifications section is created", data.certifications, []);
+check("work company is mirrored to name", data.work[0].name, "Acme");
+
+console.log("\n=== INPUT CONVERSION ===");
+check(
+  "highlights list -> lines",
+  ResumeEditor.toInputValue(["Built A", "Shipped B"], "list"),
+  "Built A\nShipped B"
+);
+check(
+  "lines -> highlights list (blank lines dropped)",
+  ResumeEditor.fromInputValue("Built A\n\n  Shipped B  \n", "list"),
+  ["Built A", "Shipped B"]
+);
+check(
+  "keywords -> comma string",
+  ResumeEditor.toInputValue(["Java", "Python"], "tags"),
+  "Java, Python"
+);
+check(
+  "comma string -> keywords",
+  ResumeEditor.fromInputValue("Java,  Python, ,SQL", "tags"),
+  ["Java", "Python", "SQL"]
+);
+check(
+  "location object is flattened",
+  ResumeEditor.toInputValue({ city: "Chicago", region: "IL" }, "text"),
+  "Chicago, IL"
+);
+check("missing value -> empty string", ResumeEditor.toInputValue(undefined), "");
+
+console.log("\n=== ENTRIES ===");
+check("empty work entry", ResumeEditor.emptyEntry("work"), {
+  position: "",
+  company: "",
+  location: "",
+  startDate: "",
+  endDate: "",
+  url: "",
+  summary: "",
+  highlights: [],
+});
+check(
+  "move entry down",
+  ResumeEditor.moveEntry(["a", "b", "c"], 0, 1),
+  ["b", "a", "c"]
+);
+check(
+  "move past the end is ignored",
+  ResumeEditor.moveEntry(["a", "b", "c"], 2, 3),
+  ["a", "b", "c"]
+);
+
+done();
@@ -0,0 +1,175 @@
+// Test the resume library records: what is stored for a new or updated
+// resume, the summaries the library panel lists, default names, names for
+// copies and the versions saves add to the history; then the IndexedDB
+// transactions, against fake-indexeddb
+
+const { IDBFactory } = require("fake-indexeddb");
+const ResumeLibrary = require("../src/core/ResumeLibrary.js");
+const { check, done } = require("./helpers/check.js");
+
+const resumeData = {
+  basics: { name: "Jane Doe", label: "Software Engineer" },
+  work: [{ name: "Acme Corp", position: "Engineer" }],
+};
+const created = new Date("2024-03-05T15:41:00Z");
+const edited = new Date("2024-03-06T09:00:00Z");
+
+console.log("=== NEW RESUMES ===");
+const record = ResumeLibrary.createRecord(
+  {
+    resumeData,
+    rawText: "Jane Doe\nSoftware Engineer",
+    fileName: "jane-doe.pdf",
+    template: "modern",
+    templateOptions: { density: "compact" },
+    pdfBytes: new ArrayBuffer(8),
+  },
+  null,
+  created
+);
+check("gets an id", typeof record.id === "string" && record.id.length > 0, true);
+check("named after the person", record.name, "Jane Doe");
+check("timestamps", [record.createdAt, record.updatedAt], [created.toISOString(), created.toISOString()]);
+check("fields", [record.fileName, record.template, record.templateOptions], ["jane-doe.pdf", "modern", { density: "compact" }]);
+check("PDF bytes are kept out of the record", ["pdfBytes" in record, record.hasPdf], [false, true]);
+check("given id is used", ResumeLibrary.createRecord({ id: "abc", resumeData }).id, "abc");
+check("ids are unique", ResumeLibrary.newId() !== ResumeLibrary.newId(), true);
+
+console.log("\n=== UPDATES ===");
+const updated = ResumeLibrary.createRecord(
+  { id: record.id, template: "classic" },
+  record,
+  edited
+);
+check("changed field", updated.template, "classic");
+check("other fields are kept", [updated.name, updated.fileName, updated.resumeData], [record.name, record.fileName, resumeData]);
+check("createdAt is kept", updated.createdAt, record.createdAt);
+check("updatedAt moves", updated.updatedAt, edited.toISOString());
+check("PDF is kept without pdfBytes", updated.hasPdf, true);
+check("PDF removed", ResumeLibrary.createRecord({ pdfBytes: null }, record).hasPdf, false);
+check("rename", ResumeLibrary.createRecord({ name: "  Jane (EU)  " }, record).name, "Jane (EU)");
+check("existing record is not changed", record.template, "modern");
+
+console.log("\n=== SUMMARIES ===");
+check("summary", ResumeLibrary.summary(updated), {
+  id: record.id,
+  name: "Jane Doe",
+  label: "Software Engineer",
+  fileName: "jane-doe.pdf",
+  template: "classic",
+  hasPdf: true,
+  createdAt: created.toISOString(),
+  updatedAt: edited.toISOString(),
+});
+check("summary without resume data", ResumeLibrary.summary({ id: "x", name: "Untitled resume" }).label, "");
+
+console.log("\n=== NAMES ===");
+check("person's name", ResumeLibrary.defaultName({ resumeData, fileName: "cv.pdf" }), "Jane Doe");
+check("PDF file name", ResumeLibrary.defaultName({ resumeData: { basics: { name: " " } }, fileName: "cv-2024.pdf" }), "cv-2024");
+check("JSON file name", ResumeLibrary.defaultName({ fileName: "resume.JSON" }), "resume");
+check("no name", ResumeLibrary.defaultName({}), "Untitled resume");
+check("copy", ResumeLibrary.copyName("Jane Doe", ["Jane Doe"]), "Jane Doe (copy)");
+check("second copy", ResumeLibrary.copyName("Jane Doe", ["Jane Doe", "Jane Doe (copy)"]), "Jane Doe (copy 2)");
+check(
+  "copy of a copy",
+  ResumeLibrary.copyName("Jane Doe (copy)", ["Jane Doe", "Jane Doe (copy)", "Jane Doe (copy 2)"]),
+  "Jane Doe (copy 3)"
+);
+
+console.log("\n=== VERSIONS ===");
+const first = ResumeLibrary.createVersion("r1", { resumeData, source: "parse" }, null, created);
+check("first version", [first.resumeId, first.number, first.source, first.createdAt], ["r1", 1, "parse", created.toISOString()]);
+check("data is copied", first.resumeData !== resumeData && first.resumeData.basics.name === "Jane Doe", true);
+check("unchanged data adds no version", ResumeLibrary.createVersion("r1", { resumeData }, first, edited), null);
+check(
+  "template settings alone add no version",
+  ResumeLibrary.createVersion("r1", { resumeData: { ...resumeData, meta: { template: "modern" } } }, first, edited),
+  null
+);
+
+const changed = { ...resumeData, basics: { name: "Jane Doe", label: "Staff Engineer" } };
+const second = ResumeLibrary.createVersion("r1", { resumeData: changed }, first, edited);
+check("edit after a parse", [second.number, second.source, second.id !== first.id], [2, "edit", true]);
+
+const soon = new Date(edited.getTime() + 30 * 1000);
+const later = { ...resumeData, basics: { name: "Jane Doe", label: "Principal Engineer" } };
+const merged = ResumeLibrary.createVersion("r1", { resumeData: later }, second, soon);
+check("quick edits are merged", [merged.id, merged.number, merged.createdAt, merged.updatedAt], [second.id, 2, second.createdAt, soon.toISOString()]);
+check("merged data", merged.resumeData.basics.label, "Principal Engineer");
+
+const hourLater = new Date(edited.getTime() + 60 * 60 * 1000);
+check("later edits are a new version", ResumeLibrary.createVersion("r1", { resumeData: later }, second, hourLater).number, 3);
+const restored = ResumeLibrary.createVersion("r1", { resumeData, source: "restore", restoredFrom: 1 }, merged, soon);
+check("restore is a new version", [restored.number, restored.source, restored.restoredFrom], [3, "restore", 1]);
+
+const rejection = (promise) => promise.then(() => null, (error) => error.message);
+
+(async () => {
+  console.log("\n=== INDEXEDDB ===");
+  const library = new ResumeLibrary({ indexedDB: new IDBFactory() });
+  const pdfBytes = new Uint8Array([37, 80, 68, 70]).buffer;
+
+  const saved = await library.save({ resumeData, rawText: "Jane Doe", fileName: "jane-doe.pdf", pdfBytes, source: "parse" });
+  const stored = await library.get(saved.id);
+  check("save and get", [stored.name, stored.rawText, stored.resumeData], ["Jane Doe", "Jane Doe", resumeData]);
+  check("PDF bytes in their own store", Array.from(new Uint8Array(stored.pdfBytes)), [37, 80, 68, 70]);
+  check("first version", (await library.versions(saved.id)).map((v) => [v.number, v.source]), [[1, "parse"]]);
+  check("unknown id", await library.get("missing"), null);
+  check("update of an unknown id", await rejection(library.save({ id: "missing", name: "x" })), 'Saved resume "missing" not found');
+
+  await library.save({ id: saved.id, resumeData: changed });
+  await library.save({ id: saved.id, resumeData: later });
+  check("quick edits share a version", (await library.versions(saved.id)).map((v) => [v.number, v.source, v.resumeData.basics.label]), [
+    [2, "edit", "Principal Engineer"],
+    [1, "parse", "Software Engineer"],
+  ]);
+  await library.rename(saved.id, "Jane (US)");
+  check("rename keeps data and versions", [(await library.get(saved.id)).resumeData.basics.label, (await library.versions(saved.id)).length], ["Principal Engineer", 2]);
+  check("empty name", await rejection(library.rename(saved.id, " ")), "A saved resume needs a name");
+
+  const copy = await library.duplicate(saved.id);
+  const copied = await library.get(copy.id);
+  check("duplicate", [copy.name, copied.resumeData.basics.label, Array.from(new Uint8Array(copied.pdfBytes))], ["Jane (US) (copy)", "Principal Engineer", [37, 80, 68, 70]]);
+  check("copy starts its own history", (await library.versions(copy.id)).map((v) => [v.number, v.source]), [[1, "duplicate"]]);
+  const listed = await library.list();
+  check("list", listed.map((entry) => entry.name).sort(), ["Jane (US)", "Jane (US) (copy)"]);
+  check("newest first", listed[0].updatedAt >= listed[1].updatedAt, true);
+
+  const [, firstVersion] = await library.versions(saved.id);
+  await library.restoreVersion(saved.id, firstVersion.id);
+  check("restore", (await library.get(saved.id)).resumeData.basics.label, "Software Engineer");
+  check("restore adds a version", (await library.versions(saved.id)).map((v) => [v.number, v.source, v.restoredFrom]), [
+    [3, "restore", 1],
+    [2, "edit", undefined],
+    [1, "parse", undefined],
+  ]);
+  const copyVersion = (await library.versions(copy.id))[0];
+  check("version of another resume", await rejection(library.restoreVersion(saved.id, copyVersion.id)), `Version "${copyVersion.id}" not found`);
+
+  const limit = ResumeLibrary.VERSION_LIMIT;
+  ResumeLibrary.VERSION_LIMIT = 3;
+  for (const label of ["A", "B", "C"]) {
+    await library.save({ id: copy.id, resumeData: { basics: { name: "Jane Doe", label } }, source: "import" });
+  }
+  ResumeLibrary.VERSION_LIMIT = limit;
+  check("oldest versions dropped", (await library.versions(copy.id)).map((v) => v.number), [4, 3, 2]);
+
+  check("no last session", await library.getLastSession(), null);
+  await library.setLastSession(copy.id);
+  check("last session", await library.getLastSession(), copy.id);
+
+  await library.delete(copy.id);
+  check("deleted", [await library.get(copy.id), (await library.versions(copy.id)).length], [null, 0]);
+  check("deleting the open resume clears the session", await library.getLastSession(), null);
+  check("other resumes stay", (await library.list()).map((entry) => entry.id), [saved.id]);
+  await library.setLastSession(null);
+  check("session cleared", await library.getLastSession(), null);
+  library.close();
+
+  const reopened = new ResumeLibrary({ indexedDB: library.indexedDB });
+  check("saved across connections", (await reopened.get(saved.id)).name, "Jane (US)");
+  reopened.close();
+  check("no IndexedDB", await rejection(new ResumeLibrary({ indexedDB: null }).open()), "IndexedDB is not available, resumes cannot be saved in this browser");
+
+  done();
+})();
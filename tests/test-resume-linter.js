@@ -0,0 +1,117 @@
+// Test the writing linter: weak and repeated openers, missing numbers,
+// pronouns, passive voice, long highlights, tense per role and date formats
+
+const ResumeLinter = require("../src/core/ResumeLinter.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { check, done } = require("./helpers/check.js");
+
+const rules = (text) =>
+  ResumeLinter.lintText({ path: "work[0].highlights[0]", label: "Highlight", text, bullet: true }).map((f) => f.rule);
+
+console.log("=== SINGLE HIGHLIGHTS ===");
+check("strong highlight", rules("Cut page load time by 40% for 2M monthly users"), []);
+check("weak opener", rules("Responsible for 3 internal tools"), ["weak-verb"]);
+check("weak opener as written", ResumeLinter.weakOpener("• worked on the API").phrase, "worked on");
+check("no number", rules("Redesigned the onboarding flow"), ["no-metric"]);
+check("number words count", rules("Mentored three junior designers"), []);
+check("pronoun", rules("I shipped 4 releases"), ["pronoun"]);
+check("US is not a pronoun", rules("Expanded into the US market in 2021"), []);
+check("I/O is not a pronoun", rules("Reduced I/O wait by 30%"), []);
+check("passive", rules("Reports were generated weekly for 12 teams"), ["passive"]);
+check("adjective after was", rules("Managed 5 stores based in Ohio, which is based on demand"), []);
+check("long", rules(`Built ${"a very long list of things ".repeat(6)}for 3 teams`), ["long-bullet"]);
+check(
+  "summaries skip number and length checks",
+  ResumeLinter.lintText({ path: "basics.summary", label: "Summary", text: "Designer who loves calm interfaces", bullet: false }),
+  []
+);
+
+console.log("\n=== REPEATED OPENERS ===");
+const repeated = ResumeLinter.lint({
+  work: [
+    { endDate: "2020", highlights: ["Developed 2 apps", "Developed a CLI in 3 weeks", "Developed 5 APIs", "Built 1 SDK"] },
+    { endDate: "2018", highlights: ["developed 9 plugins"] },
+  ],
+}).filter((f) => f.rule === "repeated-verb");
+check("after the limit", repeated.map((f) => f.path), ["work[0].highlights[2]", "work[1].highlights[0]"]);
+check("message", repeated[0].message, '"Developed" already starts 2 highlights: vary your opening verbs');
+
+console.log("\n=== TENSE ===");
+const tense = ResumeLinter.lint({
+  work: [
+    { startDate: "2021-01", endDate: "Present", highlights: ["Lead 6 engineers", "Own the 3 billing services", "Shipped 12 releases"] },
+    { startDate: "2018-01", endDate: "2020-12", summary: "Manage the 2 store websites", highlights: ["Built 4 dashboards"] },
+  ],
+}).filter((f) => f.rule === "tense");
+check("paths", tense.map((f) => f.path), ["work[0].highlights[2]", "work[1].summary"]);
+check("current role uses its main tense", tense[0].message, '"Shipped" mixes tenses in your current role: write it as "Ship" like its other lines');
+check("past role", tense[1].message, '"Manage" is present tense in a past role: write "Managed"');
+check("no end date is current", ResumeLinter.texts({ work: [{ startDate: "2022", highlights: ["x"] }] })[0].current, true);
+check("verb forms", ["Leads", "led", "Planned", "Analyzed", "Grow", "Coffee"].map((w) => ResumeLinter.tense(w)), ["present", "past", "past", "past", "present", null]);
+check("in tense", [ResumeLinter.inTense("Leads", "past"), ResumeLinter.inTense("Shipped", "present"), ResumeLinter.inTense("Supports", "past"), ResumeLinter.inTense("plan", "past")], ["Led", "Ship", "Supported", "planned"]);
+
+console.log("\n=== DATE FORMATS ===");
+check("formats", ["2023-09", "09/2023", "Sep 2023", "Sept. 2023", "September 2023", "May 2023", "2023", "Present", "Summer 2020"].map((d) => ResumeLinter.dateFormat(d)), [
+  "iso", "numeric", "short", "short", "long", null, null, null, null,
+]);
+const dates = ResumeLinter.lint({
+  work: [
+    { startDate: "2021-01", endDate: "Present" },
+    { startDate: "Jan 2018", endDate: "2020-12" },
+  ],
+  education: [{ startDate: "2014-09", endDate: "2018" }],
+}).filter((f) => f.rule === "date-format");
+check("odd one out", dates.map((f) => [f.path, f.label]), [["work[1].startDate", "Experience 2 · Start Date"]]);
+check("message", dates[0].message, '"Jan 2018" is written like Sep 2023; most of your dates look like 2023-09');
+check("one format", ResumeLinter.checkDateFormats({ work: [{ startDate: "Jan 2018", endDate: "Mar 2020" }] }), []);
+
+const text = `Jane Doe
+jane@example.com | 555-123-4567
+
+EXPERIENCE
+Acme Corp
+Senior Developer, Jan 2020 - Present
+• Cut costs by 20%
+
+Globex
+Developer, March 2017 - December 2019
+• Shipped 12 releases
+
+Initech
+Intern, Jun 2016 - Aug 2016
+• Wrote 40 tests
+
+EDUCATION
+State University
+BSc Computer Science, 2016`;
+const log = console.log;
+console.log = () => {};
+const parsed = ResumeParserPipeline.createDefault().parse(text);
+console.log = log;
+check("parsed dates are stored alike", parsed.work.map((job) => job.startDate), ["2020-01", "2017-03", "2016-06"]);
+check("stored dates alone look consistent", ResumeLinter.checkDateFormats(parsed), []);
+const written = ResumeLinter.lint(parsed, { text }).filter((f) => f.rule === "date-format");
+check("dates as written in the PDF", written.map((f) => [f.path, f.text]), [
+  ["work[1].startDate", "March 2017"],
+  ["work[1].endDate", "December 2019"],
+]);
+check("message for a written date", written[0].message, '"March 2017" is written like September 2023; most of your dates look like Sep 2023');
+check("written dates by stored form", Array.from(ResumeLinter.writtenDates("Jan 2020 - 01/2020, Summer 2019, 2018").entries()), [
+  ["2020-01", ["Jan 2020", "01/2020"]],
+]);
+
+console.log("\n=== WHOLE RESUME ===");
+const findings = ResumeLinter.lint({
+  basics: { summary: "My focus is accessible design." },
+  work: [{ endDate: "Present", summary: "Helped the team", highlights: ["Launched 3 products"] }],
+  projects: [{ summary: "We built a 2 week prototype" }],
+});
+check("order and paths", findings.map((f) => [f.path, f.rule]), [
+  ["basics.summary", "pronoun"],
+  ["work[0].summary", "weak-verb"],
+  ["projects[0].summary", "pronoun"],
+]);
+check("finding shape", Object.keys(findings[0]), ["rule", "severity", "path", "label", "message", "text"]);
+check("empty resume", ResumeLinter.lint(null), []);
+
+done();
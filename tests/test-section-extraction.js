@@ -1,21 +1,9 @@
 // Test the actual section extraction with real cleaned text
 
-function cleanAndNormalizeText(text) {
-  if (!text) return "";
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const { identifySections } = require("../src/parsers/normalize.js");
 
-  let cleaned = text
-    // Replace multiple spaces/tabs with single space
-    .replace(/[ \t]+/g, " ")
-    // Normalize common dash characters
-    .replace(/[-–—]/g, "-")
-    // Clean up excessive newlines
-    .replace(/\n\s*\n+/g, " ")
-    // Remove spaces before common punctuation
-    .replace(/\s+([.,;:])/g, "$1")
-    .trim();
-
-  return cleaned;
-}
+const cleanAndNormalizeText = ResumeParserPipeline.normalizeText;
 
 // Simulated PDF extracted text (what PDF.js gives us)
 const rawText = `Shanmuga Priya Kannan
@@ -79,109 +67,6 @@ const cleaned = cleanAndNormalizeText(rawText);
 console.log("\n===== CLEANED TEXT =====");
 console.log(cleaned.substring(0, 200));
 
-// Now test section extraction
-function identifySections(text) {
-  const sections = {};
-
-  const sectionKeywords = {
-    education: [
-      "EDUCATION",
-      "ACADEMIC",
-      "QUALIFICATIONS",
-      "DEGREES",
-      "ACADEMIC BACKGROUND",
-      "EDUCATIONAL BACKGROUND",
-    ],
-    experience: [
-      "PROFESSIONAL EXPERIENCE",
-      "WORK EXPERIENCE",
-      "EMPLOYMENT",
-      "CAREER",
-      "EXPERIENCE",
-      "WORK HISTORY",
-      "PROFESSIONAL HISTORY",
-    ],
-    projects: [
-      "PROJECTS",
-      "PORTFOLIO",
-      "KEY PROJECTS",
-      "NOTABLE PROJECTS",
-      "PERSONAL PROJECTS",
-    ],
-    skills: [
-      "TECHNICAL SKILLS",
-      "SKILLS",
-      "COMPETENCIES",
-      "CORE COMPETENCIES",
-      "TECHNICAL COMPETENCIES",
-      "KEY SKILLS",
-    ],
-    summary: [
-      "PROFESSIONAL SUMMARY",
-      "SUMMARY",
-      "OBJECTIVE",
-      "PROFILE",
-      "OVERVIEW",
-      "ABOUT",
-    ],
-    certifications: [
-      "CERTIFICATIONS",
-      "LICENSES",
-      "CERTIFICATES",
-      "PROFESSIONAL CERTIFICATIONS",
-    ],
-    languages: ["LANGUAGES", "LANGUAGE"],
-  };
-
-  const headerMatches = [];
-
-  for (const [sectionName, keywords] of Object.entries(sectionKeywords)) {
-    for (const keyword of keywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, "gi");
-      let match;
-
-      while ((match = regex.exec(text)) !== null) {
-        headerMatches.push({
-          sectionName: sectionName,
-          keyword: keyword,
-          index: match.index,
-        });
-      }
-    }
-  }
-
-  headerMatches.sort((a, b) => a.index - b.index);
-
-  console.log("\n===== HEADER MATCHES =====");
-  headerMatches.forEach((h, i) => {
-    console.log(
-      `${i}: ${h.sectionName} ("${h.keyword}") at position ${h.index}`
-    );
-  });
-
-  for (let i = 0; i < headerMatches.length; i++) {
-    const currentHeader = headerMatches[i];
-    const nextHeader = headerMatches[i + 1];
-
-    let startIndex = currentHeader.index + currentHeader.keyword.length;
-    let endIndex = nextHeader ? nextHeader.index : text.length;
-
-    let content = text.substring(startIndex, endIndex).trim();
-
-    if (!sections[currentHeader.sectionName] && content.length > 0) {
-      sections[currentHeader.sectionName] = content;
-      console.log(
-        `\nExtracted ${currentHeader.sectionName}: ${content.substring(
-          0,
-          80
-        )}...`
-      );
-    }
-  }
-
-  return sections;
-}
-
 console.log("\n===== SECTION EXTRACTION =====");
 const sections = identifySections(cleaned);
 
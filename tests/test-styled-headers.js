@@ -0,0 +1,99 @@
+// Test section header detection from font size, weight and caps, merged with
+// the keyword matches of the heuristic and robust parsers
+
+const PdfLayoutAnalyzer = require("../src/parsers/pdf-layout.js");
+const SectionHeaderDetector = require("../src/parsers/section-headers.js");
+const ResumeParserPipeline = require("../src/parsers/pipeline.js");
+const ResumeNormalizer = require("../src/parsers/normalize.js");
+const RobustResumeParser = require("../src/parsers/robust-parser.js");
+const { check, done } = require("./helpers/check.js");
+
+// Quiet the parsers' debug logging
+const log = console.log;
+function quietly(fn) {
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// pdf.js-style text item; "f2" is the bold font
+function item(str, y, size = 10, font = "f1") {
+  return { str: str, transform: [size, 0, 0, size, 40, y], width: str.length * size * 0.5, height: size, fontName: font };
+}
+const fonts = {
+  f1: { name: "Helvetica", bold: false },
+  f2: { name: "Helvetica-Bold", bold: true },
+};
+
+const lines = [
+  item("Jane Doe", 760, 18, "f2"),
+  item("jane@example.com | 555-123-4567", 740),
+  item("WHERE I'VE WORKED", 710, 12, "f2"),
+  item("Project Manager", 695, 10, "f2"),
+  item("Acme Corp, Jan 2020 - Present", 680),
+  item("Mentored five engineers with years of experience", 665),
+  item("Shipped the billing platform", 650),
+  item("EDUCATION", 620, 12, "f2"),
+  item("BS Computer Science, DePaul University, 2016", 605),
+  item("My Toolbox", 575, 12, "f2"),
+  item("Python, JavaScript, SQL", 560),
+];
+const layout = PdfLayoutAnalyzer.summarize([
+  PdfLayoutAnalyzer.analyzePage(lines, { pageNumber: 1, width: 612, fonts: fonts }),
+]);
+
+console.log("=== LINE STYLES ===");
+check("styles follow lines", layout.pages[0].blocks[0].styles.length, layout.pages[0].blocks[0].lines.length);
+check("header style", layout.pages[0].blocks[0].styles[2], {
+  text: "WHERE I'VE WORKED",
+  fontSize: 12,
+  fontName: "Helvetica-Bold",
+  bold: true,
+});
+check("bold font names", [{ name: "ABCDEE+Cambria,Bold" }, { name: "Inter-SemiBold" }, { name: "Cambria" }].map(PdfLayoutAnalyzer.isBoldFont), [true, true, false]);
+
+console.log("\n=== DETECTION ===");
+const analysis = SectionHeaderDetector.analyze(SectionHeaderDetector.linesFromLayout(layout));
+check("body style", analysis.body.fontSize, 10);
+check(
+  "headers",
+  analysis.headers.map((header) => [header.text, header.section]),
+  [
+    ["WHERE I'VE WORKED", "experience"],
+    ["EDUCATION", "education"],
+    ["My Toolbox", "skills"],
+  ]
+);
+check("bold job title is not a header", analysis.lines.find((line) => line.text === "Project Manager").header, false);
+check("classify custom headers", ["Things I've Built", "Where I Studied", "Projects I've Worked On", "Interests"].map(SectionHeaderDetector.classify), [
+  "projects",
+  "education",
+  "projects",
+  null,
+]);
+
+console.log("\n=== HEURISTIC PARSER ===");
+const text = ResumeParserPipeline.normalizeText(layout.text);
+const plain = quietly(() => ResumeNormalizer.identifySections(text));
+const styled = quietly(() => ResumeNormalizer.identifySections(text, layout));
+check("keywords alone trip on body text", plain.experience, "Shipped the billing platform");
+check("layout finds the custom header", styled.experience.split("\n")[0], "Project Manager");
+check("body sentence stays in the section", styled.experience.includes("years of experience"), true);
+check("custom skills header", styled.skills, "Python, JavaScript, SQL");
+
+console.log("\n=== ROBUST PARSER ===");
+const parser = new RobustResumeParser();
+const cleaned = parser.cleanText(text);
+const robust = quietly(() => parser.identifySectionsFlexible(cleaned, layout));
+check("sections", Object.keys(robust).sort(), ["education", "experience", "skills"]);
+check("experience ends before education", robust.experience.split("\n").pop(), "Shipped the billing platform");
+
+console.log("\n=== WITHOUT LAYOUT ===");
+const matches = [{ section: "skills", index: 0, length: 6 }];
+check("keyword matches unchanged", SectionHeaderDetector.refine("Skills\nPython", matches, null), matches);
+check("pipeline passes the layout", quietly(() => ResumeParserPipeline.createDefault().parse(layout.text, { layout })).skills.length > 0, true);
+
+done();
@@ -0,0 +1,110 @@
+// Test template customization: settings validation, colors/fonts/density/
+// margin/section order applied to every template, and persistence in the
+// resume's meta block
+
+const TemplateCustomizer = require("../src/core/TemplateCustomizer.js");
+const JsonResumeImporter = require("../src/parsers/json-resume.js");
+const TemplateRenderer = require("../src/core/TemplateRenderer.js");
+const { orderSections, renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const data = {
+  basics: { name: "Jane Doe", label: "Engineer", email: "jane@example.com" },
+  work: [{ name: "Acme", position: "Developer", startDate: "2020-01" }],
+  education: [{ institution: "DePaul", studyType: "BS", area: "CS" }],
+  skills: [{ name: "Languages", keywords: ["JavaScript"] }],
+  projects: [{ name: "Billing", summary: "Invoices", keywords: ["Node"] }],
+};
+
+console.log("=== SETTINGS ===");
+check("defaults", TemplateCustomizer.normalize(), TemplateCustomizer.defaults);
+check(
+  "malformed values fall back",
+  TemplateCustomizer.normalize({
+    accentColor: "red;} body{display:none",
+    fontPairing: "comic",
+    density: "tiny",
+    margin: "-5",
+    sectionOrder: ["projects", "hobbies", "projects"],
+  }),
+  { ...TemplateCustomizer.defaults, sectionOrder: ["projects"] }
+);
+check("colors lowercased", TemplateCustomizer.normalize({ accentColor: "#FF0000" }).accentColor, "#ff0000");
+check("margin from a select value", TemplateCustomizer.normalize({ margin: "16" }).margin, 16);
+check(
+  "render options leave unset settings out",
+  TemplateCustomizer.toRenderOptions(TemplateCustomizer.normalize({ accentColor: "#112233", fontPairing: "classic-serif" })),
+  { accentColor: "#112233", fontFamily: TemplateCustomizer.fontPairings["classic-serif"].body }
+);
+
+console.log("\n=== CSS ===");
+check(
+  "density scales spacing, not font sizes",
+  TemplateCustomizer.scaleSpacing(".a { margin: 10px 0 20px; padding-left: 4px; gap: 12px; font-size: 14px; }", 0.5),
+  ".a { margin: 5px 0 10px; padding-left: 2px; gap: 6px; font-size: 14px; }"
+);
+check(
+  "density scales unitless line-height",
+  TemplateCustomizer.scaleLineHeight(".a { line-height: 1.6; } .b { line-height: 20px; }", 0.9),
+  ".a { line-height: 1.44; } .b { line-height: 20px; }"
+);
+check(
+  "margin override",
+  TemplateCustomizer.overrideCss(TemplateCustomizer.normalize({ margin: 48 })),
+  ".resume-content.resume-content { padding: 48px; }"
+);
+
+console.log("\n=== SECTION ORDER ===");
+const sections = { work: "W", education: "E", skills: "S", projects: "P" };
+check("template order by default", orderSections(sections), "WESP");
+check("chosen order first, rest after", orderSections(sections, ["projects", "skills"]), "PSWE");
+check("sections a template lacks are skipped", orderSections(sections, ["certifications", "education"]), "EWSP");
+
+console.log("\n=== ALL TEMPLATES ===");
+const custom = {
+  accentColor: "#123456",
+  secondaryColor: "#abcdef",
+  fontPairing: "mono-sans",
+  density: "compact",
+  margin: 16,
+  sectionOrder: ["projects", "education", "work"],
+};
+const headingPosition = (html, pattern) => html.search(pattern);
+for (const name of TemplateRenderer.list()) {
+  const plain = renderTemplate(name, data);
+  const styled = renderTemplate(name, data, custom);
+  const { accentColor: accent, secondaryColor: secondary } = TemplateRenderer.get(name).colors;
+
+  check(`${name}: declares its accent color`, /^#[0-9a-f]{6}$/.test(accent), true);
+  check(`${name}: accent applied`, styled.css.includes("#123456") || styled.html.includes("#123456"), true);
+  check(`${name}: template colors replaced`, styled.css.toLowerCase().includes(accent), false);
+  if (secondary) {
+    check(`${name}: secondary color applied`, styled.css.includes("#abcdef") || styled.html.includes("#abcdef"), true);
+  }
+  check(`${name}: body font applied`, styled.css.includes(TemplateCustomizer.fontPairings["mono-sans"].body), true);
+  check(`${name}: plain render has no overrides`, plain.css.includes("resume-content.resume-content"), false);
+
+  const projects = headingPosition(styled.html, /Billing/);
+  const school = headingPosition(styled.html, /DePaul/);
+  const job = headingPosition(styled.html, /Developer/);
+  if (TemplateRenderer.get(name).sections.includes("projects")) {
+    check(`${name}: projects moved before experience`, projects >= 0 && projects < job, true);
+  }
+  check(`${name}: education moved before experience`, school >= 0 && school < job, true);
+}
+
+console.log("\n=== PERSISTENCE ===");
+const resume = JSON.parse(JSON.stringify(data));
+TemplateCustomizer.toResume(resume, "corporate", custom);
+check("saved in meta", [resume.meta.template, resume.meta.templateOptions.accentColor], ["corporate", "#123456"]);
+
+const imported = new JsonResumeImporter().parse(JSON.stringify(resume));
+const restored = TemplateCustomizer.fromResume(imported.data);
+check("restored after JSON import", restored, { template: "corporate", options: TemplateCustomizer.normalize(custom) });
+check("resume without settings", TemplateCustomizer.fromResume(data), null);
+
+resume.meta.canonical = "https://example.com/resume.json";
+TemplateCustomizer.toResume(resume, "ats", {});
+check("other meta fields kept", [resume.meta.canonical, resume.meta.template], ["https://example.com/resume.json", "ats"]);
+
+done();
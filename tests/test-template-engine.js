@@ -0,0 +1,103 @@
+// Test declarative templates: the template language (values, escaping,
+// loops, conditionals, helpers, section order), syntax errors, and loading
+// the templates/timeline folder into the registry
+
+const fs = require("fs");
+const path = require("path");
+const TemplateEngine = require("../src/core/TemplateEngine.js");
+const TemplateRenderer = require("../src/core/TemplateRenderer.js");
+const { renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const render = (source, context, options) => TemplateEngine.compile(source)(context, options);
+const data = {
+  basics: { name: "Jane <Doe>", label: "Engineer" },
+  work: [
+    { name: "Acme", position: "Lead", startDate: "2021-03", highlights: ["Billing", "Hiring"] },
+    { name: "Beta", position: "Developer", startDate: "2018-01", endDate: "2021-02" },
+  ],
+  skills: [{ name: "Languages", keywords: ["JavaScript", "Go"] }],
+  projects: [],
+};
+
+console.log("=== LANGUAGE ===");
+check("values are escaped", render("<h1>{{basics.name}}</h1>", data), "<h1>Jane &lt;Doe&gt;</h1>");
+check("triple braces are not", render("{{{basics.name}}}", data), "Jane <Doe>");
+check("missing values are empty", render("[{{basics.email}}]", data), "[]");
+check("comments dropped", render("a{{! note }}b", data), "ab");
+check(
+  "each with item fields and @index",
+  render("{{#each work}}{{@index}}:{{position}}@{{name}} {{/each}}", data),
+  "0:Lead@Acme 1:Developer@Beta "
+);
+check(
+  "nested each over strings",
+  render("{{#each work}}{{#each highlights}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}{{/each}}", data),
+  "Billing, Hiring"
+);
+check("outer fields visible in a loop", render("{{#each skills}}{{basics.label}}{{/each}}", data), "Engineer");
+check("each else on an empty list", render("{{#each projects}}x{{else}}none{{/each}}", data), "none");
+check("if else", render("{{#if basics.email}}mail{{else}}no mail{{/if}}", data), "no mail");
+check("empty arrays are false", render("{{#if projects}}yes{{else}}no{{/if}}", data), "no");
+check("with", render("{{#with basics}}{{label}}{{/with}}", data), "Engineer");
+
+console.log("\n=== HELPERS ===");
+check("formatDate", render("{{formatDate startDate}}", { startDate: "2021-03" }), "Mar 2021");
+check(
+  "dateRange with an open end",
+  render("{{#each work}}{{dateRange startDate endDate}}|{{/each}}", data),
+  "Mar 2021 - Present|Jan 2018 - Feb 2021|"
+);
+check("join", render('{{#each skills}}{{join keywords " / "}}{{/each}}', data), "JavaScript / Go");
+check("helper output is escaped", render("{{join list}}", { list: ["<b>"] }), "&lt;b&gt;");
+
+TemplateEngine.registerHelper("upper", (value) => String(value || "").toUpperCase());
+check("custom helper", render("{{upper basics.label}}", data), "ENGINEER");
+
+console.log("\n=== SECTION ORDER ===");
+const sectioned =
+  "{{#sections}}{{#section work}}W{{/section}} {{#section education}}E{{/section}} {{#section skills}}S{{/section}}{{/sections}}";
+check("template order by default", render(sectioned, data), "WES");
+check("customizer order first", render(sectioned, data, { sectionOrder: ["skills", "projects"] }), "SWE");
+
+console.log("\n=== SYNTAX ERRORS ===");
+const errorOf = (source) => {
+  try {
+    TemplateEngine.compile(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+check("unclosed block", errorOf("<p>\n{{#each work}}"), "Unclosed {{#each}} from line 2");
+check("mismatched close", errorOf("{{#if a}}{{/each}}"), "Unexpected {{/each}} on line 1");
+check("unknown block", errorOf("{{#repeat work}}{{/repeat}}"), "Unknown block {{#repeat}} on line 1");
+check("stray else", errorOf("{{else}}"), "{{else}} outside a block on line 1");
+
+console.log("\n=== TEMPLATE FOLDERS ===");
+const readFile = (file) => fs.promises.readFile(path.join(__dirname, "..", file), "utf8");
+
+(async () => {
+  const template = await TemplateEngine.load("templates/timeline", readFile);
+  check("registered from template.json", [template.id, template.name, template.category], ["timeline", "Timeline", "modern"]);
+  check("listed in the registry", TemplateRenderer.has("timeline"), true);
+
+  const plain = renderTemplate("timeline", data);
+  check("renders resume data", plain.html.includes("<h3>Lead</h3>"), true);
+  check("template colors in the CSS", plain.css.includes("border-bottom: 3px solid #0f766e"), true);
+  check("font family from template.json", plain.css.includes("font-family: 'Segoe UI'"), true);
+
+  const custom = renderTemplate("timeline", data, {
+    accentColor: "#123456",
+    fontPairing: "classic-serif",
+    sectionOrder: ["skills"],
+  });
+  check("customizer colors", [custom.css.includes("#123456"), custom.css.includes("#0f766e")], [true, false]);
+  check("customizer font", custom.css.includes("font-family: Georgia"), true);
+  check("customizer section order", custom.html.indexOf("<h2>Skills</h2>") < custom.html.indexOf("<h2>Experience</h2>"), true);
+
+  const broken = await TemplateEngine.load("templates/missing", readFile).catch((error) => error.code);
+  check("missing folder rejects", broken, "ENOENT");
+
+  done();
+})();
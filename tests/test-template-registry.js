@@ -0,0 +1,90 @@
+// Test the template registry: metadata for the built-in templates, plugin
+// registration at runtime, color defaults and filtering for the gallery
+
+const TemplateRenderer = require("../src/core/TemplateRenderer.js");
+const { TEMPLATES, renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const data = { basics: { name: "Jane Doe" }, work: [{ name: "Acme", position: "Developer" }] };
+
+console.log("=== BUILT-IN TEMPLATES ===");
+check(
+  "templates.js and TemplateRenderer.js share one registry",
+  Object.keys(TEMPLATES).concat(["elegant", "modern-pro"]).every((id) => TemplateRenderer.has(id)),
+  true
+);
+for (const template of TemplateRenderer.all()) {
+  check(
+    `${template.id}: gallery metadata`,
+    [
+      typeof template.name === "string" && template.name.length > 0,
+      template.description.length > 0,
+      template.category in TemplateRenderer.categories,
+      typeof template.atsSafe,
+      template.paperSizes.length > 0,
+      !!(template.preview && template.preview.html),
+    ],
+    [true, true, true, "boolean", true, true]
+  );
+}
+check(
+  "ATS-safe templates",
+  TemplateRenderer.all({ atsSafe: true }).map((t) => t.id),
+  ["modern-pro", "classic", "executive", "minimal", "ats", "academic"]
+);
+check("filter by category", TemplateRenderer.all({ category: "technical" }).map((t) => t.id), ["tech"]);
+check("classic declares certifications", TemplateRenderer.get("classic").sections.includes("certifications"), true);
+check("unknown template", [TemplateRenderer.get("nope"), TemplateRenderer.has("nope")], [null, false]);
+
+console.log("\n=== RENDERING ===");
+check(
+  "registry passes the template colors",
+  TemplateRenderer.render("modern-pro", data).html.includes("background-color: #00bcd4"),
+  true
+);
+check(
+  "options override them",
+  TemplateRenderer.render("modern-pro", data, { accentColor: "#123456" }).html.includes("#123456"),
+  true
+);
+check(
+  "renderTemplate applies customization to registry templates",
+  renderTemplate("elegant", data, { margin: 16 }).css.includes(".resume-content.resume-content { padding: 16px; }"),
+  true
+);
+check("renderTemplate on an unknown id", renderTemplate("nope", data).html, "<p>Template not found</p>");
+
+console.log("\n=== PLUGINS ===");
+const registered = TemplateRenderer.register("plugin-card", {
+  name: "Plugin Card",
+  category: "creative",
+  paperSizes: ["a4"],
+  colors: { accentColor: "#abcdef" },
+  render: (resume, options) => ({
+    html: `<div class="resume-content">${resume.basics.name} ${options.accentColor}</div>`,
+    css: "",
+  }),
+});
+check("defaults filled in", [registered.id, registered.atsSafe, registered.sections], ["plugin-card", false, ["work", "education", "skills", "projects"]]);
+check("listed after the built-ins", TemplateRenderer.list().slice(-1), ["plugin-card"]);
+check("rendered through renderTemplate", renderTemplate("plugin-card", data).html, '<div class="resume-content">Jane Doe #abcdef</div>');
+
+TemplateRenderer.register("plain-function", (resume) => ({ html: resume.basics.name, css: "" }));
+check("a bare render function", [TemplateRenderer.get("plain-function").name, TemplateRenderer.render("plain-function", data).html], ["plain-function", "Jane Doe"]);
+
+const errorOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+check("render is required", errorOf(() => TemplateRenderer.register("broken", { name: "Broken" })), 'Template "broken" has no render function');
+check("id is required", errorOf(() => TemplateRenderer.register("", () => ({}))), "Template id must be a non-empty string");
+
+TemplateRenderer.unregister("plugin-card");
+TemplateRenderer.unregister("plain-function");
+check("unregister", [TemplateRenderer.has("plugin-card"), TemplateRenderer.has("plain-function")], [false, false]);
+
+done();
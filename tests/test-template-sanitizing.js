@@ -0,0 +1,100 @@
+// Test that hostile resume data cannot inject markup or script URLs through
+// any registered template: every render goes through HtmlSanitizer
+
+const fs = require("fs");
+const path = require("path");
+const HtmlSanitizer = require("../src/core/HtmlSanitizer.js");
+const TemplateRenderer = require("../src/core/TemplateRenderer.js");
+const TemplateEngine = require("../src/core/TemplateEngine.js");
+const { renderTemplate, renderDocument } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+console.log("=== ESCAPING ===");
+check("markup", HtmlSanitizer.escape(`<b class="x">Tom & 'Jerry'</b>`), "&lt;b class=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/b&gt;");
+check("null and numbers", [HtmlSanitizer.escape(null), HtmlSanitizer.escape(3)], ["", "3"]);
+
+console.log("\n=== URLS ===");
+check(
+  "safe schemes kept",
+  ["https://jane.dev", "http://a.b/c?d=1", "mailto:jane@example.com", "tel:+15551234567", "linkedin.com/in/jane"].map((url) =>
+    HtmlSanitizer.sanitizeUrl(url)
+  ),
+  ["https://jane.dev", "http://a.b/c?d=1", "mailto:jane@example.com", "tel:+15551234567", "linkedin.com/in/jane"]
+);
+check(
+  "script schemes removed",
+  ["javascript:alert(1)", " JavaScript:alert(1)", "java\tscript:alert(1)", "\u0001javascript:alert(1)", "vbscript:x", "data:text/html,<script>"].map(
+    (url) => HtmlSanitizer.sanitizeUrl(url)
+  ),
+  ["", "", "", "", "", ""]
+);
+check("data: images only for photos", [
+  HtmlSanitizer.sanitizeUrl("data:image/png;base64,iVBOR", { image: true }),
+  HtmlSanitizer.sanitizeUrl("data:image/png;base64,iVBOR"),
+  HtmlSanitizer.sanitizeUrl("data:image/svg+xml,<svg onload=alert(1)>", { image: true }),
+], ["data:image/png;base64,iVBOR", "", ""]);
+
+console.log("\n=== RESUME DATA ===");
+const original = { basics: { name: "<i>Jane</i>", url: "javascript:alert(1)", profiles: [{ network: "GitHub", url: "https://github.com/jane" }] }, work: [{ startDate: "2020-01", years: 3 }] };
+const sanitized = HtmlSanitizer.sanitizeData(original);
+check("strings escaped", sanitized.basics.name, "&lt;i&gt;Jane&lt;/i&gt;");
+check("url fields sanitized", [sanitized.basics.url, sanitized.basics.profiles[0].url], ["", "https://github.com/jane"]);
+check("other values kept", [sanitized.work[0].startDate, sanitized.work[0].years], ["2020-01", 3]);
+const nested = HtmlSanitizer.sanitizeData({
+  basics: { profiles: [{ url: "javascript:alert(1)" }, { url: "data:text/html,<script>" }] },
+  projects: [{ urls: ["https://jane.dev", "javascript:alert(1)"], githubUrl: "vbscript:msgbox(1)", keywords: ["javascript:x"] }],
+  meta: { links: [{ website: " JavaScript:alert(1)" }], avatar: "data:image/png;base64,iVBOR" },
+});
+check("url fields in arrays", nested.basics.profiles.map((profile) => profile.url), ["", ""]);
+check("url lists", nested.projects[0].urls, ["https://jane.dev", ""]);
+check("url suffix keys", nested.projects[0].githubUrl, "");
+check("other arrays kept", nested.projects[0].keywords, ["javascript:x"]);
+check("any depth", [nested.meta.links[0].website, nested.meta.avatar], ["", "data:image/png;base64,iVBOR"]);
+check("original untouched", original.basics.name, "<i>Jane</i>");
+
+console.log("\n=== EVERY TEMPLATE ===");
+const payload = `<script>alert(1)</script><img src=x onerror=alert(1)>" onmouseover="alert(1)' onfocus='alert(1)`;
+const hostile = {
+  basics: {
+    name: payload,
+    label: `${payload} | Engineer`,
+    email: payload,
+    phone: payload,
+    location: payload,
+    url: "javascript:alert(document.cookie)",
+    image: "javascript:alert(1)",
+    summary: payload,
+    profiles: [{ network: payload, username: payload, url: "javascript:alert(1)" }],
+  },
+  work: [{ name: payload, company: payload, position: payload, location: payload, startDate: "2020-01", summary: payload, highlights: [payload] }],
+  education: [{ institution: payload, studyType: payload, area: payload, startDate: "2014-09", endDate: "2018-06" }],
+  skills: [{ name: payload, keywords: [payload, "JavaScript"] }],
+  projects: [{ name: payload, summary: payload, keywords: [payload] }],
+  certifications: [{ name: payload, issuer: payload, date: "2022" }],
+  languages: [{ language: payload, fluency: payload }],
+};
+
+const unsafe = (html) => [
+  /<script/i.test(html) && "<script>",
+  /<img[^>]*onerror/i.test(html) && "<img onerror>",
+  /\son(mouseover|focus)=["']/i.test(html) && "attribute breakout",
+  /javascript:/i.test(html) && "javascript: URL",
+].filter(Boolean);
+
+const readFile = (file) => fs.promises.readFile(path.join(__dirname, "..", file), "utf8");
+
+(async () => {
+  await TemplateEngine.load("templates/timeline", readFile);
+
+  for (const id of TemplateRenderer.list()) {
+    const { html } = renderTemplate(id, hostile);
+    check(`${id}: no markup or script from the data`, unsafe(html), []);
+    check(`${id}: shows the text escaped`, html.includes("&lt;script&gt;"), true);
+  }
+
+  check("export page", unsafe(renderDocument("classic", hostile)), []);
+
+  check("payload still breaks an unescaped render", unsafe(`<h1>${payload}</h1>`).length > 0, true);
+
+  done();
+})();
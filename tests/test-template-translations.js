@@ -0,0 +1,92 @@
+// Test localized template output: catalog labels and fallbacks, the
+// language setting in the customizer, translated headings, "Present" and
+// durations in every kind of template, and right-to-left layouts
+
+const fs = require("fs");
+const path = require("path");
+const TemplateTranslations = require("../src/core/TemplateTranslations.js");
+const TemplateCustomizer = require("../src/core/TemplateCustomizer.js");
+const TemplateEngine = require("../src/core/TemplateEngine.js");
+const { renderTemplate } = require("../templates.js");
+const { check, done } = require("./helpers/check.js");
+
+const data = {
+  basics: { name: "Max Mustermann", label: "Entwickler", email: "max@example.de" },
+  work: [{ name: "Beispiel GmbH", position: "Entwickler", startDate: "2021-03", endDate: "Present", summary: "Microservices" }],
+  education: [{ institution: "TU München", studyType: "Master", area: "Informatik", startDate: "2015", endDate: "2017" }],
+  skills: [{ name: "Web", keywords: ["JavaScript", "Go"] }],
+  projects: [{ name: "Plattform", keywords: ["Kubernetes"] }],
+};
+
+console.log("=== CATALOGS ===");
+check("built-in catalogs", TemplateTranslations.list().map((c) => c.code), ["en", "de", "fr", "es", "ar", "he"]);
+check("translated label", TemplateTranslations.label("work", "de", "Experience"), "Berufserfahrung");
+check("English keeps the template's wording", TemplateTranslations.label("projects", "en", "Featured Projects"), "Featured Projects");
+check("no locale keeps the template's wording", TemplateTranslations.label("work", null, "Work History"), "Work History");
+check("capitals are kept", TemplateTranslations.label("work", "fr", "PROFESSIONAL HISTORY"), "EXPÉRIENCE PROFESSIONNELLE");
+check("regional tag uses the language", TemplateTranslations.label("skills", "es-MX", "Skills"), "Habilidades");
+check("unknown language falls back", TemplateTranslations.label("skills", "ja", "Skills"), "Skills");
+check("directions", ["en", "de", "ar", "he", "ar-EG"].map((l) => TemplateTranslations.direction(l)), ["ltr", "ltr", "rtl", "rtl", "rtl"]);
+
+let error = null;
+try {
+  TemplateTranslations.register("xx", { dir: "up" });
+} catch (e) {
+  error = e.message;
+}
+check("invalid direction is rejected", error, 'Catalog "xx" has dir "up"; use "ltr" or "rtl"');
+
+console.log("\n=== CUSTOMIZER ===");
+check("language setting", TemplateCustomizer.normalize({ locale: "de" }).locale, "de");
+check("regional tag setting", TemplateCustomizer.normalize({ locale: "fr-CA" }).locale, "fr-CA");
+check(
+  "unknown or malformed locales are dropped",
+  ["ja", 'de" onload="x', 42].map((locale) => TemplateCustomizer.normalize({ locale }).locale),
+  [null, null, null]
+);
+check("passed to templates", TemplateCustomizer.toRenderOptions(TemplateCustomizer.normalize({ locale: "he" })).locale, "he");
+check(
+  "saved with the resume",
+  TemplateCustomizer.fromResume(TemplateCustomizer.toResume({}, "classic", { locale: "es" })).options.locale,
+  "es"
+);
+
+console.log("\n=== RENDERED TEMPLATES ===");
+const german = renderTemplate("classic", data, { locale: "de" }).html;
+check("headings", ["Berufserfahrung", "Ausbildung", "Kenntnisse", "Projekte"].every((h) => german.includes(`<h2>${h}</h2>`)), true);
+check("Present", german.includes("März 2021 - heute"), true);
+check("field label", german.includes("<strong>Technologien:</strong>"), true);
+check("lang on the root element", german.includes('<div lang="de" dir="ltr" class="resume-content">'), true);
+check("uppercase template", renderTemplate("ats", data, { locale: "es" }).html.includes("<h2>EXPERIENCIA LABORAL</h2>"), true);
+check("registry template", renderTemplate("elegant", data, { locale: "fr" }).html.includes("<h3>Contact</h3>"), true);
+check("modern-pro degree", renderTemplate("modern-pro", data, { locale: "fr" }).html.includes("<h3>Master en Informatik</h3>"), true);
+check("durations", renderTemplate("tech", data, { locale: "es" }).html.includes("años"), true);
+
+const english = renderTemplate("classic", data);
+check("English has no lang or dir", english.html.includes('<div class="resume-content">'), true);
+check("English headings", english.html.includes("<h2>Experience</h2>"), true);
+
+console.log("\n=== RIGHT TO LEFT ===");
+const hebrew = renderTemplate("classic", data, { locale: "he" });
+check("dir=rtl", hebrew.html.includes('<div lang="he" dir="rtl" class="resume-content">'), true);
+check("Hebrew heading", hebrew.html.includes("<h2>ניסיון תעסוקתי</h2>"), true);
+check("borders mirrored", [english.css.includes("border-left: 4px solid"), hebrew.css.includes("border-right: 4px solid")], [true, true]);
+check("mirrorCss", TemplateCustomizer.mirrorCss(".a { margin-left: 4px; text-align: left; padding: 1px 2px 3px 4px; }"), ".a { margin-right: 4px; text-align: right; padding: 1px 4px 3px 2px; }");
+check("mirrorCss border-radius", TemplateCustomizer.mirrorCss(".a { border-radius: 1px 2px 3px 4px; }"), ".a { border-radius: 2px 1px 4px 3px; }");
+check("mirrorCss gradients", TemplateCustomizer.mirrorCss(".a { background: linear-gradient(90deg, red, blue); }"), ".a { background: linear-gradient(270deg, red, blue); }");
+check("mirrorCss leaves selectors alone", TemplateCustomizer.mirrorCss(".left:hover { color: red; }"), ".left:hover { color: red; }");
+
+console.log("\n=== DECLARATIVE TEMPLATES ===");
+check("translate helper", TemplateEngine.compile('{{translate "work" "Work History"}}')({}, { locale: "de" }), "Berufserfahrung");
+check("translate helper in English", TemplateEngine.compile('{{translate "work" "Work History"}}')({}), "Work History");
+check("dateRange helper", TemplateEngine.compile("{{dateRange startDate}}")({ startDate: "2021-03" }, { locale: "es", dateStyle: "year" }), "2021 - actualidad");
+
+const readFile = (file) => fs.promises.readFile(path.join(__dirname, "..", file), "utf8");
+(async () => {
+  await TemplateEngine.load("templates/timeline", readFile);
+  const timeline = renderTemplate("timeline", data, { locale: "ar" }).html;
+  check("timeline headings", timeline.includes("<h2>الخبرة المهنية</h2>"), true);
+  check("timeline dir=rtl", timeline.includes('dir="rtl" class="resume-content template-timeline"'), true);
+
+  done();
+})();
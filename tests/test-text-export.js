@@ -0,0 +1,81 @@
+// Test the plain-text and Markdown exporters: ATS section order, Markdown
+// escaping and link handling
+
+const TextExporter = require("../src/exporters/TextExporter.js");
+const { check, done } = require("./helpers/check.js");
+
+const resume = {
+  basics: {
+    name: "Jane Doe",
+    label: "Engineer",
+    email: "jane_doe@example.com",
+    phone: "555-123-4567",
+    location: "Chicago, IL",
+    url: "https://janedoe.dev",
+    summary: "Builds *fast* <reliable> systems",
+  },
+  work: [
+    {
+      position: "Developer",
+      company: "Acme",
+      startDate: "Jan 2020",
+      endDate: "Present",
+      summary: "Backend work",
+      highlights: ["Cut latency by 40%", "# of services reduced"],
+    },
+  ],
+  education: [
+    { institution: "DePaul University", studyType: "Master's", area: "CS", startDate: "2018", endDate: "2020" },
+  ],
+  skills: [{ name: "Languages", keywords: ["C#", "Python"] }],
+  projects: [{ name: "Resume Tool", url: "https://github.com/jane/tool", summary: "PDF parsing", keywords: ["JS"] }],
+  certifications: [{ name: "AWS SA", issuer: "Amazon", date: "2021" }],
+};
+
+console.log("=== PLAIN TEXT ===");
+const txt = TextExporter.export(resume, "txt");
+const lines = txt.split("\n");
+check("name is first line", lines[0], "JANE DOE");
+check("pipe-separated contact line", lines[2], "jane_doe@example.com | 555-123-4567 | Chicago, IL | https://janedoe.dev");
+const headings = lines.filter((line, i) => /^-+$/.test(lines[i + 1] || ""));
+check("ATS section order", headings, [
+  "PROFESSIONAL SUMMARY",
+  "PROFESSIONAL EXPERIENCE",
+  "EDUCATION",
+  "SKILLS",
+  "PROJECTS",
+  "CERTIFICATIONS",
+]);
+check("job meta line", txt.includes("Acme | Jan 2020 - Present"), true);
+check("highlights are dashed", txt.includes("- Cut latency by 40%"), true);
+check("text is left as typed", txt.includes("Builds *fast* <reliable> systems"), true);
+check("certification line", txt.includes("AWS SA - Amazon (2021)"), true);
+check("empty sections are skipped", TextExporter.toPlainText({ basics: { name: "A" } }), "A\n");
+
+console.log("\n=== MARKDOWN ===");
+const md = TextExporter.export(resume, "md");
+check("title heading", md.startsWith("# Jane Doe\n\n**Engineer**"), true);
+check("website is an autolink", md.includes("· <https://janedoe.dev>"), true);
+check("underscores are escaped", md.includes("jane\\_doe@example.com"), true);
+check("emphasis and HTML are escaped", md.includes("Builds \\*fast\\* &lt;reliable&gt; systems"), true);
+check("job heading", md.includes("### Developer — Acme\n\n*Jan 2020 - Present*"), true);
+check("leading # in bullets is escaped", md.includes("- \\# of services reduced"), true);
+check("skills list", md.includes("- **Languages:** C#, Python"), true);
+check("project links to its url", md.includes("### [Resume Tool](https://github.com/jane/tool)"), true);
+check(
+  "non-web urls are not linked",
+  TextExporter.toMarkdown({ basics: { name: "A", url: "javascript:alert(1)" } }).includes("<javascript"),
+  false
+);
+
+console.log("\n=== FORMATS ===");
+check("download extensions", [TextExporter.formats.txt.extension, TextExporter.formats.md.extension], ["txt", "md"]);
+let error = null;
+try {
+  TextExporter.export(resume, "rtf");
+} catch (e) {
+  error = e.message;
+}
+check("unknown format throws", error, 'Unknown text format "rtf"');
+
+done();